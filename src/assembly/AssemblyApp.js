@@ -86,7 +86,8 @@ export class AssemblyApp {
                 const edges = shapeStore.getEdgesForShape(shape.id);
                 const piece = this.factory.createPiece(shape, {
                     edges,
-                    joineryProvider: shapeStore
+                    joineryProvider: shapeStore,
+                    material: shapeStore.getMaterialForShape(shape)
                 });
                 if (!piece) return null;
                 // Joinery is baked into geometry; no separate overlay needed.
@@ -105,7 +106,7 @@ export class AssemblyApp {
         pieces.forEach(piece => {
             piece.mesh.position.x = piece.position.x;
             piece.mesh.position.z = piece.position.z;
-            piece.mesh.position.y = this.thickness / 2;
+            piece.mesh.position.y = piece.thickness / 2;
             this.scene.add(piece.mesh);
         });
 
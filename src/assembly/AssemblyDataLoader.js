@@ -15,6 +15,9 @@ export class AssemblyDataLoader {
             if (!activeTab || !Array.isArray(activeTab.shapes)) return null;
 
             const sceneState = new SceneState();
+            if (Array.isArray(activeTab.materials)) {
+                sceneState.materialStore.fromJSON({ materials: activeTab.materials });
+            }
             if (activeTab.parameters) {
                 await sceneState.parameterStore.fromJSON({ parameters: activeTab.parameters });
             }
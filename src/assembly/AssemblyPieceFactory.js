@@ -1,4 +1,5 @@
 import { THREE } from './three.js';
+import { bakeEdgeJoinery, pathContainsPoint } from '../geometry/index.js';
 
 const WOOD_COLOR = 0xd9b98c;
 
@@ -11,10 +12,14 @@ export class AssemblyPieceFactory {
     /**
      * Universal converter: converts any shape's geometry path to a THREE.js Shape.
      * This ensures perfect transfer from 2D SVG definitions to 3D extrusions.
+     * Edge joinery is baked into the outline first (see bakeEdgeJoinery), so
+     * the extruded piece matches the exported cut file.  Paths are nested with
+     * the even-odd rule (see nestPaths), so the holes of compound paths become
+     * THREE.js holes, and islands inside holes become further THREE.js Shapes.
      * 
      * @param {Object} shape - The shape object (must have toGeometryPath() method)
      * @param {Object} options - Options for conversion
-     * @returns {{shape2d: THREE.Shape, width: number, height: number, center: {x: number, y: number}}}
+     * @returns {{shape2d: THREE.Shape|THREE.Shape[], width: number, height: number, center: {x: number, y: number}}}
      */
     shapeToThreeShape(shape, options = {}) {
         // Get the geometry path from the shape
@@ -24,14 +29,20 @@ export class AssemblyPieceFactory {
         }
 
         try {
-            const geoPath = shape.toGeometryPath();
-            if (!geoPath || !geoPath.anchors || geoPath.anchors.length === 0) {
+            let geometry = shape.toGeometryPath();
+            const joineryLookup = this.buildJoineryLookup(options);
+            if (geometry && joineryLookup.size > 0) {
+                geometry = bakeEdgeJoinery(geometry, edge => joineryLookup.get(`${edge.pathIndex}:${edge.index}`) || null);
+            }
+
+            const paths = geometry ? geometry.allPaths().filter(path => path.anchors.length > 0) : [];
+            if (paths.length === 0) {
                 console.warn(`Shape ${shape.type || 'unknown'} produced empty geometry path`);
                 return { shape2d: this.rectShape(40, 40), width: 40, height: 40, center: { x: 0, y: 0 } };
             }
 
             // Get bounds to center the shape
-            const bounds = geoPath.tightBoundingBox() || geoPath.looseBoundingBox();
+            const bounds = geometry.tightBoundingBox() || geometry.looseBoundingBox();
             if (!bounds) {
                 return { shape2d: this.rectShape(40, 40), width: 40, height: 40, center: { x: 0, y: 0 } };
             }
@@ -43,77 +54,20 @@ export class AssemblyPieceFactory {
                 y: (bounds.min.y + bounds.max.y) / 2
             };
 
-            const joineryMap = this.buildJoineryMap(options);
-
-            // Create THREE.js Shape from geometry path anchors
-            const shape2d = new THREE.Shape();
-            const anchors = geoPath.anchors;
-            const isClosed = geoPath.closed;
-
-            if (anchors.length === 0) {
-                return { shape2d: this.rectShape(width, height), width, height, center };
-            }
-
-            // Start with first anchor (centered)
-            const firstAnchor = anchors[0];
-            const startX = firstAnchor.position.x - center.x;
-            const startY = firstAnchor.position.y - center.y;
-            shape2d.moveTo(startX, startY);
-
-            // Convert each segment
-            for (let i = 1; i < anchors.length; i++) {
-                const a1 = anchors[i - 1];
-                const a2 = anchors[i];
-                const joinery = joineryMap.get(`0:${i - 1}`);
-                if (joinery && this.isLinearSegment(a1, a2)) {
-                    const start = {
-                        x: a1.position.x - center.x,
-                        y: a1.position.y - center.y
-                    };
-                    const end = {
-                        x: a2.position.x - center.x,
-                        y: a2.position.y - center.y
-                    };
-                    const outward = this.outwardForEdge(start, end);
-                    this.appendEdgeWithTeeth(shape2d, start, end, outward, joinery);
-                } else {
-                    this.addSegmentToShape(shape2d, a1, a2, center);
-                }
-            }
-
-            // Close the path if it's closed, or if we need to close it for extrusion
-            if (isClosed && anchors.length > 2) {
-                // Close back to first anchor
-                const lastAnchor = anchors[anchors.length - 1];
-                const joinery = joineryMap.get(`0:${anchors.length - 1}`);
-                if (joinery && this.isLinearSegment(lastAnchor, anchors[0])) {
-                    const start = {
-                        x: lastAnchor.position.x - center.x,
-                        y: lastAnchor.position.y - center.y
-                    };
-                    const end = {
-                        x: anchors[0].position.x - center.x,
-                        y: anchors[0].position.y - center.y
-                    };
-                    const outward = this.outwardForEdge(start, end);
-                    this.appendEdgeWithTeeth(shape2d, start, end, outward, joinery);
-                } else {
-                    this.addSegmentToShape(shape2d, lastAnchor, anchors[0], center);
-                }
-                shape2d.closePath();
-            } else if (!isClosed && anchors.length > 1) {
-                // For open paths, close them for 3D extrusion
-                const lastAnchor = anchors[anchors.length - 1];
-                this.addSegmentToShape(shape2d, lastAnchor, anchors[0], center);
-                shape2d.closePath();
-            }
-
-            // Handle holes (for shapes like Donut)
-            // Note: The geometry library's Path doesn't directly expose holes,
-            // but shapes like Donut might have multiple paths. We'd need to check
-            // if the shape has multiple paths and convert them as holes.
-            // For now, we'll handle this in the specific shape cases if needed.
+            const shapes = this.nestPaths(paths).map(({ outline, holes }) => {
+                const shape2d = new THREE.Shape();
+                this.appendPathToShape(shape2d, outline, center);
+                holes.forEach(path => {
+                    if (path.anchors.length < 3) return;
+                    const hole = new THREE.Path();
+                    this.appendPathToShape(hole, path, center);
+                    shape2d.holes.push(hole);
+                });
+                return shape2d;
+            });
 
+            // ExtrudeGeometry takes a single Shape or an array of them
+            const shape2d = shapes.length === 1 ? shapes[0] : shapes;
             return { shape2d, width, height, center };
         } catch (e) {
             console.warn(`Failed to convert shape ${shape.type || 'unknown'} to THREE.js Shape:`, e);
@@ -127,6 +81,58 @@ export class AssemblyPieceFactory {
         }
     }
 
+    /**
+     * Group paths into outlines and their holes with the even-odd rule.  A path
+     * inside an even number of the others is an outline; a path inside an odd
+     * number is a hole of the innermost outline around it.  A lone path is
+     * always an outline, even when it is open.
+     * 
+     * @param {Object[]} paths - Geometry paths
+     * @returns {Array<{outline: Object, holes: Object[]}>}
+     */
+    nestPaths(paths) {
+        if (paths.length === 1) return [{ outline: paths[0], holes: [] }];
+
+        const containers = paths.map(path => {
+            const sample = path.positionAtTime(0.5);
+            return paths.filter(other => other !== path && other.anchors.length >= 3 && pathContainsPoint(other, sample));
+        });
+        const depths = containers.map(inside => inside.length);
+
+        const groups = new Map();
+        paths.forEach((path, i) => {
+            if (depths[i] % 2 === 0) groups.set(path, { outline: path, holes: [] });
+        });
+        paths.forEach((path, i) => {
+            if (depths[i] % 2 === 0) return;
+            const parent = containers[i].find(other => depths[paths.indexOf(other)] === depths[i] - 1);
+            if (parent) groups.get(parent).holes.push(path);
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * Trace a geometry path into a THREE.js Shape or Path, centred on `center`.
+     * Open paths are closed so they can be extruded.
+     * 
+     * @param {THREE.Path} target - THREE.js Shape or Path to draw into
+     * @param {Object} path - Geometry path (anchors, closed)
+     * @param {Object} center - Center point to offset coordinates
+     */
+    appendPathToShape(target, path, center) {
+        const anchors = path.anchors;
+        target.moveTo(anchors[0].position.x - center.x, anchors[0].position.y - center.y);
+
+        for (let i = 1; i < anchors.length; i++) {
+            this.addSegmentToShape(target, anchors[i - 1], anchors[i], center);
+        }
+
+        if (anchors.length > 1) {
+            this.addSegmentToShape(target, anchors[anchors.length - 1], anchors[0], center);
+            target.closePath();
+        }
+    }
+
     /**
      * Add a segment (line or bezier curve) to a THREE.js Shape.
      * 
@@ -178,7 +184,12 @@ export class AssemblyPieceFactory {
         return handleOutX === 0 && handleOutY === 0 && handleInX === 0 && handleInY === 0;
     }
 
-    buildJoineryMap(options = {}) {
+    /**
+     * Collect the joinery of a shape's edges keyed by `pathIndex:index`.
+     * @param {Object} options - `edges` and `joineryProvider` (store or lookup function)
+     * @returns {Map<string, Object>}
+     */
+    buildJoineryLookup(options = {}) {
         const edges = options.edges || [];
         if (!edges.length) return new Map();
         const joineryProvider = options.joineryProvider;
@@ -187,119 +198,25 @@ export class AssemblyPieceFactory {
             : joineryProvider?.getEdgeJoinery?.bind(joineryProvider);
         if (!getJoinery) return new Map();
 
-        const joineryMap = new Map();
+        const joineryLookup = new Map();
         edges.forEach(edge => {
-            const joinery = getJoinery(edge);
-            if (!joinery || !edge || !edge.isLinear || !edge.isLinear()) return;
-            const type = String(joinery.type || '').toLowerCase();
-            if (!this.isMaleJoinery(type)) return;
-            joineryMap.set(`${edge.pathIndex}:${edge.index}`, {
-                ...joinery,
-                type
-            });
+            const joinery = edge ? getJoinery(edge) : null;
+            if (!joinery) return;
+            joineryLookup.set(`${edge.pathIndex}:${edge.index}`, joinery);
         });
-        return joineryMap;
+        return joineryLookup;
     }
 
-    isMaleJoinery(type) {
-        return type === 'finger_joint' || type === 'finger_male' || type === 'male'
-            || type === 'dovetail' || type === 'dovetail_male';
-    }
-
-    outwardForEdge(start, end) {
-        const dx = end.x - start.x;
-        const dy = end.y - start.y;
-        const length = Math.hypot(dx, dy) || 1;
-        let nx = -dy / length;
-        let ny = dx / length;
-        const midX = (start.x + end.x) / 2;
-        const midY = (start.y + end.y) / 2;
-        const dot = nx * (-midX) + ny * (-midY);
-        if (dot > 0) {
-            nx = -nx;
-            ny = -ny;
-        }
-        return { x: nx, y: ny };
-    }
-
-    appendEdgeWithTeeth(shape2d, start, end, outward, joinery) {
-        const dx = end.x - start.x;
-        const dy = end.y - start.y;
-        const length = Math.hypot(dx, dy);
-        if (length < 0.001) {
-            shape2d.lineTo(end.x, end.y);
-            return;
-        }
-        const ux = dx / length;
-        const uy = dy / length;
-
-        const thicknessMm = Number(joinery.thicknessMm);
-        const depth = Math.min(Math.max(thicknessMm || 0, 0.5), length * 0.45);
-        const requestedCount = Number(joinery.fingerCount);
-        const count = Number.isFinite(requestedCount) && requestedCount >= 2
-            ? Math.floor(requestedCount)
-            : Math.max(2, Math.floor(length / Math.max(depth * 2, 4)));
-
-        let step = length / count;
-        let edgeInset = step * 0.5;
-        let usableLength = length - edgeInset * 2;
-        if (usableLength <= 0) {
-            edgeInset = 0;
-            usableLength = length;
-        }
-        step = usableLength / count;
-
-        const align = joinery.align || 'left';
-        const startIndex = align === 'right' ? 1 : 0;
-
-        const type = String(joinery.type || '').toLowerCase();
-        const isDovetail = type === 'dovetail' || type === 'dovetail_male';
-        const dovetailTaper = Math.min(depth * 0.2, step * 0.2);
-
-        if (edgeInset > 0) {
-            shape2d.lineTo(start.x + ux * edgeInset, start.y + uy * edgeInset);
-        }
-
-        for (let i = 0; i < count; i += 1) {
-            const segStartDist = edgeInset + step * i;
-            const segEndDist = edgeInset + step * (i + 1);
-            const segStart = {
-                x: start.x + ux * segStartDist,
-                y: start.y + uy * segStartDist
-            };
-            const segEnd = {
-                x: start.x + ux * segEndDist,
-                y: start.y + uy * segEndDist
-            };
-
-            const isTooth = ((i + startIndex) % 2 === 0);
-            if (!isTooth) {
-                shape2d.lineTo(segEnd.x, segEnd.y);
-                continue;
-            }
-
-            shape2d.lineTo(segStart.x, segStart.y);
-
-            if (isDovetail) {
-                const topStart = {
-                    x: segStart.x + outward.x * depth - ux * dovetailTaper,
-                    y: segStart.y + outward.y * depth - uy * dovetailTaper
-                };
-                const topEnd = {
-                    x: segEnd.x + outward.x * depth + ux * dovetailTaper,
-                    y: segEnd.y + outward.y * depth + uy * dovetailTaper
-                };
-                shape2d.lineTo(topStart.x, topStart.y);
-                shape2d.lineTo(topEnd.x, topEnd.y);
-            } else {
-                shape2d.lineTo(segStart.x + outward.x * depth, segStart.y + outward.y * depth);
-                shape2d.lineTo(segEnd.x + outward.x * depth, segEnd.y + outward.y * depth);
-            }
-
-            shape2d.lineTo(segEnd.x, segEnd.y);
-        }
-
-        shape2d.lineTo(end.x, end.y);
+    /**
+     * Stock thickness of a piece: its material's thickness, or the factory
+     * default for shapes without a material.
+     * @param {Object} options - createPiece options
+     * @param {Material} [options.material] - Material the shape is cut from
+     * @returns {number}
+     */
+    pieceThickness(options = {}) {
+        const thicknessMm = Number(options.material?.thicknessMm);
+        return thicknessMm > 0 ? thicknessMm : this.thickness;
     }
 
     createPiece(shape, options = {}) {
@@ -308,8 +225,9 @@ export class AssemblyPieceFactory {
         const { geometry, width, height } = this.buildGeometry(shape, options);
         if (!geometry) return null;
 
+        const thickness = this.pieceThickness(options);
         const material = new THREE.MeshStandardMaterial({
-            color: WOOD_COLOR,
+            color: options.material?.color || WOOD_COLOR,
             roughness: 0.6,
             metalness: 0.1
         });
@@ -323,22 +241,23 @@ export class AssemblyPieceFactory {
             width,
             height,
             isPiece: true,
-            lift: this.thickness / 2
+            lift: thickness / 2
         };
 
-        mesh.position.y = this.thickness / 2;
+        mesh.position.y = thickness / 2;
 
         this.addOutline(mesh, geometry);
 
         return {
             mesh,
             width,
-            height
+            height,
+            thickness
         };
     }
 
     buildGeometry(shape, options = {}) {
-        const thickness = this.thickness;
+        const thickness = this.pieceThickness(options);
         let skipFemaleHoles = false;
 
         // Universal converter: use the shape's SVG path definition for all shapes
@@ -361,16 +280,12 @@ export class AssemblyPieceFactory {
             return { geometry, width: outerRadius * 2, height: outerRadius * 2 };
         }
 
-        // For all other shapes, use the universal converter
-        const { shape2d, width, height, center } = this.shapeToThreeShape(shape, options);
+        // For all other shapes, use the universal converter (joinery teeth and
+        // female holes are already baked into its outline)
+        const { shape2d, width, height } = this.shapeToThreeShape(shape, options);
 
         if (!shape2d) return { geometry: null, width, height };
 
-        // Add female joinery holes if needed
-        if (!skipFemaleHoles) {
-            this.addFemaleJoineryHoles(shape2d, shape, options);
-        }
-
         const geometry = new THREE.ExtrudeGeometry(shape2d, {
             depth: thickness,
             bevelEnabled: false
@@ -907,7 +822,8 @@ export class AssemblyPieceFactory {
     isClosedShape(shape) {
         if (!shape) return false;
         if (shape.type === 'circle' || shape.type === 'rectangle' || shape.type === 'polygon' || shape.type === 'star') return true;
-        if (shape.type === 'path') return Boolean(shape.closed);
+        if (shape.type === 'compoundpath') return true;
+        if (shape.type === 'path' || shape.type === 'corners') return Boolean(shape.closed);
         return false;
     }
 }
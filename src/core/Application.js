@@ -14,13 +14,34 @@ import { PanelResizer } from '../ui/PanelResizer.js';
 import { BlocksEditor } from '../ui/BlocksEditor.js';
 import { CodeEditor } from '../ui/CodeEditor.js';
 import { EditorSyncConnector } from '../ui/EditorSyncConnector.js';
+import { NestingDialog } from '../ui/NestingDialog.js';
+import { GCodeDialog } from '../ui/GCodeDialog.js';
+import { LightBurnDialog } from '../ui/LightBurnDialog.js';
+import { MaterialLibraryDialog } from '../ui/MaterialLibraryDialog.js';
+import { HoldingTabsDialog } from '../ui/HoldingTabsDialog.js';
+import { PDFExportDialog } from '../ui/PDFExportDialog.js';
+import { TraceImageDialog } from '../ui/TraceImageDialog.js';
+import { DesignCheckDialog } from '../ui/DesignCheckDialog.js';
 import { CodeRunner } from '../programming/CodeRunner.js';
 import { DragDropManager } from './DragDropManager.js';
+import { SheetNester } from './SheetNester.js';
+import { DesignChecker } from './DesignChecker.js';
 import { Serializer } from '../persistence/Serializer.js';
 import { StorageManager } from '../persistence/StorageManager.js';
 import { FileManager } from '../persistence/FileManager.js';
+import { Material } from '../models/Material.js';
+import { FontRegistry } from '../models/FontRegistry.js';
 import * as Geometry from '../geometry/index.js';
 import { SceneHistory, SceneMemento } from './SceneState.js';
+import { getCommandRegistry } from './CommandRegistry.js';
+import {
+    ChamferCornersCommand,
+    FilletCornersCommand,
+    IntersectShapesCommand,
+    SimplifyShapesCommand,
+    SubtractShapesCommand,
+    UnionShapesCommand
+} from './Command.js';
 import EventBus, { EVENTS } from '../events/EventBus.js';
 
 export class Application {
@@ -32,6 +53,9 @@ export class Application {
         // Serializer is a static class, no instance needed
         this.storageManager = new StorageManager(this.tabManager, Serializer);
         this.fileManager = new FileManager(this.tabManager, Serializer);
+        // Named editing commands (boolean operations on the selection)
+        this.commandRegistry = getCommandRegistry();
+        this.registerCommands();
         
         // UI Components (will be initialized in init)
         this.canvasRenderer = null;
@@ -45,6 +69,14 @@ export class Application {
         this.codeEditor = null;
         this.codeRunner = null;
         this.editorSyncConnector = null;
+        this.nestingDialog = null;
+        this.gcodeDialog = null;
+        this.lightburnDialog = null;
+        this.materialDialog = null;
+        this.holdingTabsDialog = null;
+        this.pdfDialog = null;
+        this.traceImageDialog = null;
+        this.designCheckDialog = null;
         
         // Undo/Redo history
         this.sceneHistory = null;
@@ -190,6 +222,9 @@ export class Application {
         // Load initial state (autosave if available)
         this.loadInitialState();
         
+        // Fetch the bundled font; text shapes are drawn as placeholders until it arrives
+        this.loadBundledFont();
+        
         // Start autosave
         this.storageManager.startAutoSave();
         
@@ -222,6 +257,9 @@ export class Application {
         EventBus.subscribe(EVENTS.SHAPE_MOVED, () => {
             setTimeout(() => this.createHistorySnapshot(), 100);
         });
+        EventBus.subscribe(EVENTS.SHAPE_UPDATED, () => {
+            setTimeout(() => this.createHistorySnapshot(), 100);
+        });
         EventBus.subscribe(EVENTS.PARAM_ADDED, () => {
             setTimeout(() => this.createHistorySnapshot(), 100);
         });
@@ -351,6 +389,8 @@ export class Application {
                 this.canvasRenderer
             );
         }
+
+        this.updateFabricationUI();
     }
 
     /**
@@ -500,6 +540,340 @@ export class Application {
         return success;
     }
     
+    /**
+     * Export the active scene as an SVG cut file
+     * @param {string} filename 
+     */
+    exportSVG(filename = null) {
+        const success = this.fileManager.exportSVG(this.currentSceneState.shapeStore, filename, {
+            kerfMm: this.currentSceneState.fabrication?.kerfMm || 0,
+            cornerRelief: this.currentSceneState.fabrication?.cornerRelief,
+            holdingTabs: this.currentSceneState.fabrication?.tabs
+        });
+        if (success) {
+            this.showNotification('SVG exported successfully!', 'success');
+        } else {
+            this.showNotification('Error exporting SVG', 'error');
+        }
+        return success;
+    }
+    
+    /**
+     * Export the active scene as a DXF file
+     * @param {string} filename 
+     */
+    exportDXF(filename = null) {
+        const success = this.fileManager.exportDXF(this.currentSceneState.shapeStore, filename, {
+            kerfMm: this.currentSceneState.fabrication?.kerfMm || 0,
+            cornerRelief: this.currentSceneState.fabrication?.cornerRelief,
+            holdingTabs: this.currentSceneState.fabrication?.tabs
+        });
+        if (success) {
+            this.showNotification('DXF exported successfully!', 'success');
+        } else {
+            this.showNotification('Error exporting DXF', 'error');
+        }
+        return success;
+    }
+    
+    /**
+     * Show the G-code settings dialog; confirming it saves the settings and exports
+     */
+    showGCodeDialog() {
+        if (!this.currentSceneState) return;
+        if (!this.gcodeDialog) {
+            this.gcodeDialog = new GCodeDialog({
+                onExport: (settings) => {
+                    this.setGCodeSettings(settings);
+                    this.exportGCode();
+                }
+            });
+        }
+        this.gcodeDialog.show(this.currentSceneState.fabrication.gcode);
+    }
+    
+    /**
+     * Export the active scene as a GRBL G-code program using its G-code settings
+     * @param {string} filename 
+     */
+    exportGCode(filename = null) {
+        const fabrication = this.currentSceneState.fabrication;
+        const success = this.fileManager.exportGCode(this.currentSceneState.shapeStore, filename, {
+            ...fabrication.gcode,
+            kerfMm: fabrication.kerfMm || 0,
+            cornerRelief: fabrication.cornerRelief,
+            holdingTabs: fabrication.tabs
+        });
+        if (success) {
+            this.showNotification('G-code exported successfully!', 'success');
+        } else {
+            this.showNotification('Error exporting G-code', 'error');
+        }
+        return success;
+    }
+    
+    /**
+     * Replace the active scene's G-code settings
+     * @param {{machine: string, leadIn: number, layers: Object}} settings - Machine type,
+     *   lead-in length and feed rate, power and passes per operation
+     */
+    setGCodeSettings(settings) {
+        if (!this.currentSceneState) return;
+        const gcode = this.currentSceneState.fabrication.gcode;
+        this.currentSceneState.fabrication = {
+            ...this.currentSceneState.fabrication,
+            gcode: { ...gcode, ...settings, layers: { ...gcode.layers, ...settings.layers } }
+        };
+        this.createHistorySnapshot();
+        EventBus.emit(EVENTS.FABRICATION_CHANGED, { fabrication: this.currentSceneState.fabrication });
+    }
+    
+    /**
+     * Show the LightBurn settings dialog; confirming it saves the settings and exports
+     */
+    showLightBurnDialog() {
+        if (!this.currentSceneState) return;
+        if (!this.lightburnDialog) {
+            this.lightburnDialog = new LightBurnDialog({
+                onExport: (settings) => {
+                    this.setLightBurnSettings(settings);
+                    this.exportLightBurn();
+                }
+            });
+        }
+        this.lightburnDialog.show(this.currentSceneState.fabrication.lightburn);
+    }
+    
+    /**
+     * Export the active scene as a LightBurn project using its LightBurn settings
+     * @param {string} filename 
+     */
+    exportLightBurn(filename = null) {
+        const fabrication = this.currentSceneState.fabrication;
+        const success = this.fileManager.exportLightBurn(this.currentSceneState.shapeStore, filename, {
+            layers: fabrication.lightburn.layers,
+            kerfMm: fabrication.kerfMm || 0,
+            cornerRelief: fabrication.cornerRelief,
+            holdingTabs: fabrication.tabs
+        });
+        if (success) {
+            this.showNotification('LightBurn project exported successfully!', 'success');
+        } else {
+            this.showNotification('Error exporting LightBurn project', 'error');
+        }
+        return success;
+    }
+    
+    /**
+     * Replace the active scene's LightBurn cut settings
+     * @param {{layers: Object}} settings - Speed (mm/s), power (%) and passes per operation
+     */
+    setLightBurnSettings(settings) {
+        if (!this.currentSceneState) return;
+        const lightburn = this.currentSceneState.fabrication.lightburn;
+        this.currentSceneState.fabrication = {
+            ...this.currentSceneState.fabrication,
+            lightburn: { ...lightburn, ...settings, layers: { ...lightburn.layers, ...settings.layers } }
+        };
+        this.createHistorySnapshot();
+        EventBus.emit(EVENTS.FABRICATION_CHANGED, { fabrication: this.currentSceneState.fabrication });
+    }
+    
+    /**
+     * Set the project kerf used to compensate cut shapes on export
+     * @param {number|string} kerfMm - Kerf width in mm; invalid or negative values become 0
+     */
+    setKerf(kerfMm) {
+        if (!this.currentSceneState) return;
+        const value = Math.max(0, parseFloat(kerfMm) || 0);
+        this.currentSceneState.fabrication = { ...this.currentSceneState.fabrication, kerfMm: value };
+        this.updateFabricationUI();
+        this.createHistorySnapshot();
+        EventBus.emit(EVENTS.FABRICATION_CHANGED, { fabrication: this.currentSceneState.fabrication });
+    }
+    
+    /**
+     * Set the project corner relief applied to inside corners of cut shapes
+     * on export. Missing fields keep their current value.
+     * @param {{style?: string, toolDiameter?: number|string}} settings - Relief style
+     *   ('none', 'dogbone' or 'tbone') and tool diameter in mm; invalid or
+     *   negative diameters become 0
+     */
+    setCornerRelief(settings) {
+        if (!this.currentSceneState) return;
+        const current = this.currentSceneState.fabrication.cornerRelief;
+        const cornerRelief = { ...current };
+        if (settings.style !== undefined) {
+            cornerRelief.style = settings.style;
+        }
+        if (settings.toolDiameter !== undefined) {
+            cornerRelief.toolDiameter = Math.max(0, parseFloat(settings.toolDiameter) || 0);
+        }
+        this.currentSceneState.fabrication = { ...this.currentSceneState.fabrication, cornerRelief };
+        this.updateFabricationUI();
+        this.createHistorySnapshot();
+        EventBus.emit(EVENTS.FABRICATION_CHANGED, { fabrication: this.currentSceneState.fabrication });
+    }
+    
+    /**
+     * Show the holding tab settings dialog for the active scene
+     */
+    showHoldingTabsDialog() {
+        if (!this.currentSceneState) return;
+        if (!this.holdingTabsDialog) {
+            this.holdingTabsDialog = new HoldingTabsDialog({
+                onSave: (settings) => this.setHoldingTabSettings(settings)
+            });
+        }
+        this.holdingTabsDialog.show(this.currentSceneState.fabrication.tabs);
+    }
+    
+    /**
+     * Replace the active scene's holding tab settings
+     * @param {{count: number, width: number, height: number}} settings - Tabs per
+     *   contour, tab width and the height a knife leaves them at (mm)
+     */
+    setHoldingTabSettings(settings) {
+        if (!this.currentSceneState) return;
+        this.currentSceneState.fabrication = {
+            ...this.currentSceneState.fabrication,
+            tabs: { ...this.currentSceneState.fabrication.tabs, ...settings }
+        };
+        this.createHistorySnapshot();
+        EventBus.emit(EVENTS.FABRICATION_CHANGED, { fabrication: this.currentSceneState.fabrication });
+    }
+    
+    /**
+     * Show the PDF cut sheet dialog; confirming it exports the active scene
+     */
+    showPDFDialog() {
+        if (!this.currentSceneState) return;
+        if (!this.pdfDialog) {
+            this.pdfDialog = new PDFExportDialog({
+                onExport: (options) => this.exportPDF(null, options)
+            });
+        }
+        this.pdfDialog.show();
+    }
+    
+    /**
+     * Export the active scene as printable 1:1 PDF cut sheets
+     * @param {string} filename 
+     * @param {Object} options - Page and title block settings (see ScenePDFExporter);
+     *   defaults to the ones last used in the PDF dialog
+     */
+    exportPDF(filename = null, options = this.pdfDialog?.options ?? {}) {
+        const tab = this.tabManager.getActiveTab();
+        const success = this.fileManager.exportPDF(this.currentSceneState.shapeStore, filename, {
+            ...options,
+            tabName: tab?.name
+        });
+        if (success) {
+            this.showNotification('PDF exported successfully!', 'success');
+        } else {
+            this.showNotification('Error exporting PDF', 'error');
+        }
+        return success;
+    }
+    
+    /**
+     * Export the active scene's parts list. Sheet usage is estimated on the
+     * stock sheet last used for nesting.
+     * @param {'csv'|'html'} format
+     * @param {string} filename 
+     */
+    exportPartsList(format = 'csv', filename = null) {
+        const tab = this.tabManager.getActiveTab();
+        const success = this.fileManager.exportPartsList(this.currentSceneState.shapeStore, filename, {
+            format,
+            title: tab ? `${tab.name} - Parts list` : undefined,
+            sheet: this.nestingDialog?.options
+        });
+        if (success) {
+            this.showNotification('Parts list exported successfully!', 'success');
+        } else {
+            this.showNotification('Error exporting parts list', 'error');
+        }
+        return success;
+    }
+    
+    /**
+     * Check the active scene for problems before it is sent to a machine
+     * (see DesignChecker) and list them in the design check dialog. Parts are
+     * checked against the stock sheet last used for nesting.
+     * @returns {Array<import('./DesignChecker.js').DesignIssue>} The problems found
+     */
+    checkDesign() {
+        if (!this.currentSceneState) return [];
+        const fabrication = this.currentSceneState.fabrication;
+        const checker = new DesignChecker({
+            ...this.nestingDialog?.options,
+            kerfMm: fabrication?.kerfMm || 0,
+            cornerRelief: fabrication?.cornerRelief
+        });
+        const issues = checker.check(this.currentSceneState.shapeStore);
+
+        if (!this.designCheckDialog) {
+            this.designCheckDialog = new DesignCheckDialog({
+                onSelectShape: (id) => this.selectShapeById(id),
+                onRecheck: () => this.checkDesign()
+            });
+        }
+        this.designCheckDialog.show(issues);
+        return issues;
+    }
+    
+    /**
+     * Select a shape of the active scene on the canvas
+     * @param {string} id - Shape ID
+     * @returns {boolean} False if the scene has no such shape
+     */
+    selectShapeById(id) {
+        const shapeStore = this.currentSceneState?.shapeStore;
+        if (!shapeStore?.get(id)) {
+            this.showNotification(`Shape ${id} no longer exists`, 'error');
+            return false;
+        }
+        shapeStore.setSelected(id);
+        return true;
+    }
+    
+    /**
+     * Show the material library dialog for the active scene
+     */
+    showMaterialDialog() {
+        if (!this.currentSceneState) return;
+        if (!this.materialDialog) {
+            this.materialDialog = new MaterialLibraryDialog({
+                onSave: (materials) => this.setMaterials(materials)
+            });
+        }
+        this.materialDialog.show(this.currentSceneState.materialStore.getAll());
+    }
+    
+    /**
+     * Replace the active scene's material library. Entries with a known id
+     * update that material, entries without one are added, and materials
+     * missing from the list are removed.
+     * @param {Array<{id?: string, name: string, thicknessMm: number, kerfMm: number, color: string, fitToleranceMm: number, reliefStyle: string|null, toolDiameterMm: number}>} materials
+     */
+    setMaterials(materials) {
+        if (!this.currentSceneState) return;
+        const materialStore = this.currentSceneState.materialStore;
+        const keep = new Set(materials.map(material => material.id).filter(Boolean));
+        materialStore.getAll()
+            .filter(material => !keep.has(material.id))
+            .forEach(material => materialStore.remove(material.id));
+        materials.forEach(material => {
+            if (material.id && materialStore.get(material.id)) {
+                materialStore.update(material.id, material);
+            } else {
+                materialStore.add(Material.fromJSON({ ...material, id: null }));
+            }
+        });
+        this.createHistorySnapshot();
+    }
+    
     /**
      * Import from file
      */
@@ -521,6 +895,130 @@ export class Application {
         }
     }
     
+    /**
+     * Import an SVG or DXF drawing into the active scene as path shapes
+     */
+    async importDrawing() {
+        const shapeStore = this.currentSceneState.shapeStore;
+        const shapes = await this.fileManager.showDrawingImportDialog(shapeStore);
+        if (shapes) {
+            shapes.forEach(shape => shapeStore.add(shape));
+            shapeStore.setSelectedIds(shapes.map(shape => shape.id));
+            this.showNotification(`Imported ${shapes.length} path${shapes.length === 1 ? '' : 's'}`, 'success');
+        }
+    }
+    
+    /**
+     * Show the image trace dialog; confirming it picks an image and traces it
+     */
+    showTraceImageDialog() {
+        if (!this.currentSceneState) return;
+        if (!this.traceImageDialog) {
+            this.traceImageDialog = new TraceImageDialog({
+                onTrace: (options) => this.traceImage(options)
+            });
+        }
+        this.traceImageDialog.show();
+    }
+    
+    /**
+     * Trace a PNG or JPEG image into the active scene as path shapes
+     * @param {Object} options - Trace settings: threshold, invert, despeckle, smoothing, dpi
+     */
+    async traceImage(options = {}) {
+        const shapeStore = this.currentSceneState.shapeStore;
+        const shapes = await this.fileManager.showImageTraceDialog(shapeStore, options);
+        if (shapes) {
+            shapes.forEach(shape => shapeStore.add(shape));
+            shapeStore.setSelectedIds(shapes.map(shape => shape.id));
+            this.showNotification(`Traced ${shapes.length} path${shapes.length === 1 ? '' : 's'}`, 'success');
+        }
+    }
+    
+    /**
+     * Fetch the bundled font and redraw the text shapes with it
+     */
+    async loadBundledFont() {
+        try {
+            await FontRegistry.loadBundled();
+            this.canvasRenderer.render();
+            this.propertiesPanel.render();
+        } catch (error) {
+            console.warn('Bundled font not available; text is drawn as placeholders:', error);
+        }
+    }
+    
+    /**
+     * Load a TrueType or OpenType font file.  Selected text shapes switch to
+     * the new font; otherwise it is offered in the properties panel.
+     */
+    async loadFont() {
+        const fontId = await this.fileManager.showFontImportDialog();
+        if (!fontId) return;
+        
+        const shapeStore = this.currentSceneState.shapeStore;
+        const texts = Array.from(shapeStore.getSelectedIds())
+            .map(id => shapeStore.get(id))
+            .filter(shape => shape && shape.type === 'text');
+        texts.forEach(shape => shapeStore.setTextStyle(shape.id, { fontId }));
+        this.canvasRenderer.render();
+        this.propertiesPanel.render();
+        this.showNotification(texts.length > 0
+            ? `Loaded font ${fontId} for ${texts.length} text${texts.length === 1 ? '' : 's'}`
+            : `Loaded font ${fontId}`, 'success');
+    }
+    
+    /**
+     * Show the sheet nesting dialog for the active scene
+     */
+    showNestingDialog() {
+        if (!this.nestingDialog) {
+            this.nestingDialog = new NestingDialog({
+                onNest: (options) => this.nestSheets(options)
+            });
+        }
+        this.nestingDialog.show();
+    }
+    
+    /**
+     * Pack the active scene's parts onto stock sheets, one new tab per sheet.
+     * The source scene is left untouched; the first sheet becomes active.
+     * @param {Object} options - Sheet and packing settings (see SheetNester)
+     * @returns {Promise<number>} Number of sheets created
+     */
+    async nestSheets(options = {}) {
+        const sourceTab = this.tabManager.getActiveTab();
+        if (!sourceTab || !this.currentSceneState) return 0;
+
+        const { sheets, unplaced } = new SheetNester(options).nest(this.currentSceneState.shapeStore);
+        if (sheets.length === 0) {
+            this.showNotification(unplaced.length > 0 ? 'No part fits on the sheet' : 'Nothing to nest', 'error');
+            return 0;
+        }
+
+        const fabrication = { ...this.currentSceneState.fabrication };
+        const materials = this.currentSceneState.materialStore.toJSON();
+        const tabs = [];
+        for (const [index, sheet] of sheets.entries()) {
+            const tab = this.tabManager.createTab(`${sourceTab.name} - Sheet ${index + 1}`);
+            await tab.sceneState.shapeStore.fromJSON({
+                shapes: sheet.shapes.map(shape => shape.toJSON()),
+                edgeJoinery: sheet.edgeJoinery
+            });
+            tab.sceneState.fabrication = { ...fabrication };
+            tab.sceneState.materialStore.fromJSON(materials);
+            tabs.push(tab);
+        }
+        this.tabManager.switchTab(tabs[0].id);
+
+        if (unplaced.length > 0) {
+            this.showNotification(`${unplaced.length} part(s) too large for the sheet: ${unplaced.join(', ')}`, 'error');
+        } else {
+            this.showNotification(`Nested onto ${sheets.length} sheet${sheets.length === 1 ? '' : 's'}`, 'success');
+        }
+        return sheets.length;
+    }
+    
     /**
      * Show notification message
      * @param {string} message 
@@ -585,6 +1083,7 @@ export class Application {
                     if (this.zoomControls) {
                         this.zoomControls.updateZoomDisplay();
                     }
+                    this.updateFabricationUI();
 
                     this.updateUndoRedoUI();
                     console.log('Undo successful');
@@ -631,6 +1130,7 @@ export class Application {
                     if (this.zoomControls) {
                         this.zoomControls.updateZoomDisplay();
                     }
+                    this.updateFabricationUI();
 
                     this.updateUndoRedoUI();
                     console.log('Redo successful');
@@ -643,6 +1143,119 @@ export class Application {
         }
     }
     
+    /**
+     * Register the editing commands this application executes by name
+     */
+    registerCommands() {
+        this.commandRegistry.register('unionShapes', UnionShapesCommand, {
+            description: 'Combine the selected shapes into one',
+            category: 'Boolean'
+        });
+        this.commandRegistry.register('subtractShapes', SubtractShapesCommand, {
+            description: 'Cut the other selected shapes out of the first',
+            category: 'Boolean'
+        });
+        this.commandRegistry.register('intersectShapes', IntersectShapesCommand, {
+            description: 'Keep the area shared by all selected shapes',
+            category: 'Boolean'
+        });
+        this.commandRegistry.register('filletCorners', FilletCornersCommand, {
+            description: 'Round the selected corners',
+            category: 'Corners'
+        });
+        this.commandRegistry.register('chamferCorners', ChamferCornersCommand, {
+            description: 'Cut off the selected corners',
+            category: 'Corners'
+        });
+        this.commandRegistry.register('simplifyShapes', SimplifyShapesCommand, {
+            description: 'Replace dense outlines with a few lines and curves',
+            category: 'Paths'
+        });
+    }
+    
+    /**
+     * Replace the selected shapes with a compound path of their union,
+     * difference (first selected minus the rest) or intersection.
+     * The shape store events it raises make the step undoable with Ctrl+Z.
+     * @param {string} commandName - 'unionShapes', 'subtractShapes' or 'intersectShapes'
+     * @param {Object} options
+     * @param {boolean} options.live - Recompute the result when the inputs' parameters change
+     * @returns {Shape|null} The compound path, or null if nothing was combined
+     */
+    combineSelectedShapes(commandName, options = {}) {
+        if (!this.currentSceneState) return null;
+        const shapeStore = this.currentSceneState.shapeStore;
+        const selectedIds = Array.from(shapeStore.getSelectedIds());
+        if (selectedIds.length < 2) {
+            this.showNotification('Select at least two shapes to combine', 'error');
+            return null;
+        }
+
+        const result = this.commandRegistry.execute(commandName, shapeStore, ShapeRegistry, selectedIds, options);
+        if (!result) {
+            this.showNotification('The selected shapes leave nothing to keep', 'error');
+            return null;
+        }
+        this.showNotification(`Combined ${selectedIds.length} shapes into ${result.id}`, 'success');
+        return result;
+    }
+    
+    /**
+     * Fillet or chamfer the corners picked in edge mode.  Each shape owning a
+     * picked corner is replaced by a 'corners' shape whose radius can then be
+     * bound to a parameter in the properties panel.
+     * @param {string} commandName - 'filletCorners' or 'chamferCorners'
+     * @param {number} radius - Fillet radius or chamfer distance in mm
+     * @returns {Shape[]|null} The new shapes, or null if nothing changed
+     */
+    treatSelectedCorners(commandName, radius) {
+        if (!this.currentSceneState) return null;
+        const shapeStore = this.currentSceneState.shapeStore;
+        const corners = shapeStore.getSelectedCorners();
+        if (corners.length === 0) {
+            this.showNotification('Pick corners in edge mode first (click near an anchor)', 'error');
+            return null;
+        }
+        if (!(radius > 0)) {
+            this.showNotification('Enter a corner size greater than zero', 'error');
+            return null;
+        }
+
+        const results = this.commandRegistry.execute(commandName, shapeStore, ShapeRegistry, corners, radius);
+        if (!results) return null;
+        shapeStore.clearCornerSelection();
+        this.showNotification(`Treated ${corners.length} corner(s) on ${results.length} shape(s)`, 'success');
+        return results;
+    }
+    
+    /**
+     * Simplify the selected shapes' outlines into editable paths with a few
+     * lines and bezier curves.  Shapes that would not get simpler are kept.
+     * @param {number} tolerance - Max distance in mm from the original outline
+     * @returns {Shape[]|null} The new shapes, or null if nothing changed
+     */
+    simplifySelectedShapes(tolerance) {
+        if (!this.currentSceneState) return null;
+        const shapeStore = this.currentSceneState.shapeStore;
+        const selectedIds = Array.from(shapeStore.getSelectedIds());
+        if (selectedIds.length === 0) {
+            this.showNotification('Select the shapes to simplify first', 'error');
+            return null;
+        }
+        if (!(tolerance > 0)) {
+            this.showNotification('Enter a tolerance greater than zero', 'error');
+            return null;
+        }
+
+        const results = this.commandRegistry.execute('simplifyShapes', shapeStore, ShapeRegistry, selectedIds, { tolerance });
+        if (!results) {
+            this.showNotification('The selected shapes are already as simple as they get', 'error');
+            return null;
+        }
+        this.showNotification(`Simplified into ${results.length} path(s)`, 'success');
+        return results;
+    }
+    
     /**
      * Delete selected shape(s) - supports multi-selection
      */
@@ -668,6 +1281,25 @@ export class Application {
         }
     }
     
+    /**
+     * Sync the kerf input with the active scene's fabrication settings
+     */
+    updateFabricationUI() {
+        const inputKerf = document.getElementById('input-kerf');
+        if (inputKerf && this.currentSceneState) {
+            inputKerf.value = String(this.currentSceneState.fabrication?.kerfMm || 0);
+        }
+        const cornerRelief = this.currentSceneState?.fabrication?.cornerRelief;
+        const selectRelief = document.getElementById('select-corner-relief');
+        if (selectRelief && cornerRelief) {
+            selectRelief.value = cornerRelief.style;
+        }
+        const inputToolDiameter = document.getElementById('input-tool-diameter');
+        if (inputToolDiameter && cornerRelief) {
+            inputToolDiameter.value = String(cornerRelief.toolDiameter);
+        }
+    }
+    
     /**
      * Update undo/redo button UI states
      */
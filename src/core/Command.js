@@ -1,7 +1,7 @@
 /**
  * @fileoverview Command Pattern implementation for undoable batch operations on shapes.
  *
- * This module defines the abstract Command base class and two concrete command
+ * This module defines the abstract Command base class and the concrete command
  * implementations used by Otto's canvas editing system.  Every user-initiated
  * mutation that must be reversible (move, duplicate, etc.) is wrapped in a
  * Command object before it touches the ShapeStore.  The commands themselves are
@@ -13,6 +13,12 @@
  *   - Command          -- abstract interface (execute / undo)
  *   - MoveShapesCommand   -- concrete command for translating one or more shapes
  *   - DuplicateShapesCommand -- concrete command for cloning shapes with an offset
+ *   - BooleanShapesCommand -- concrete command replacing shapes with their
+ *     union, difference or intersection (one subclass per operation)
+ *   - CornerShapesCommand -- concrete command filleting or chamfering the
+ *     corners picked in edge mode (one subclass per style)
+ *   - SimplifyShapesCommand -- concrete command replacing dense outlines
+ *     with a few lines and bezier curves
  *
  * Architectural role
  *   Commands sit between the UI layer and the ShapeStore.  They receive a
@@ -24,6 +30,10 @@
  * @module core/Command
  */
 
+import { simplifyGeometry } from '../geometry/index.js';
+import { CompoundPathShape } from '../models/shapes/CompoundPathShape.js';
+import { sourceGeometry } from '../models/shapes/sourceShapes.js';
+
 /**
  * Abstract base class for all undoable commands in Otto.
  *
@@ -310,3 +320,389 @@ export class DuplicateShapesCommand extends Command {
         this.createdShapeIds = [];
     }
 }
+
+/**
+ * Concrete command that replaces two or more shapes with a single compound
+ * path holding their boolean combination (outer contours plus holes).
+ *
+ * WHY this command exists
+ *   Combining shapes removes the inputs and adds a new shape.  Wrapping both
+ *   steps lets undo() bring back the original shapes -- together with any
+ *   edge joinery that was attached to them -- and drop the result.
+ *
+ * Live results
+ *   With {@code live} set, the compound path keeps clones of the input
+ *   shapes, bindings included, and recombines them whenever it is resolved.
+ *   The result then follows every parameter that drives one of its inputs.
+ *   Without it the contours are baked from the inputs' current values.
+ *
+ * The result takes the fabrication operation and material of the first
+ * input, which is also the shape the others are cut from by a difference.
+ *
+ * @extends Command
+ */
+export class BooleanShapesCommand extends Command {
+    /**
+     * @param {ShapeStore}    shapeStore    The central shape repository.
+     * @param {ShapeRegistry} shapeRegistry Factory used to create the
+     *     'compoundpath' result with a fresh ID.
+     * @param {Array<string>} shapeIds      IDs of the shapes to combine, in
+     *     order; the first is the subject of a difference.  Shapes missing
+     *     from the store are silently skipped.
+     * @param {string}        booleanOp     'union', 'difference' or
+     *     'intersection'.
+     * @param {Object}  [options]
+     * @param {boolean} [options.live=false] Keep the inputs and recompute the
+     *     result when their parameters change.
+     */
+    constructor(shapeStore, shapeRegistry, shapeIds, booleanOp, options = {}) {
+        super();
+        this.shapeStore = shapeStore;
+        this.shapeRegistry = shapeRegistry;
+        this.shapeIds = shapeIds;
+        this.booleanOp = booleanOp;
+        this.live = Boolean(options.live);
+        /**
+         * ID of the compound path created by the most recent execute(), or
+         * null when nothing was combined.
+         * @type {string|null}
+         */
+        this.createdShapeId = null;
+        /**
+         * Input shapes removed by the most recent execute(), with the edge
+         * joinery entries that were keyed to them.
+         * @type {Array<{shape: Shape, joinery: Array<[string, Object]>}>}
+         */
+        this.removedShapes = [];
+    }
+
+    /**
+     * Combine the input shapes into a new compound path, then swap the inputs
+     * for it and select it.  Nothing changes when fewer than two inputs exist
+     * or the combination is empty (e.g. intersecting shapes that do not
+     * overlap).
+     *
+     * @returns {Shape|null} The compound path, or null if nothing was combined.
+     */
+    execute() {
+        this.createdShapeId = null;
+        this.removedShapes = [];
+
+        const inputs = this.shapeIds.map(id => this.shapeStore.get(id)).filter(Boolean);
+        if (inputs.length < 2) return null;
+
+        const result = this.shapeRegistry.create('compoundpath', { x: 0, y: 0 }, {
+            booleanOp: this.booleanOp,
+            live: this.live,
+            // A serialised copy keeps rotation and bindings, which clone() does not all carry
+            sources: inputs.map(shape => this.shapeRegistry.fromJSON(shape.toJSON()))
+        }, this.shapeStore);
+        result.recompute(this.shapeStore.bindingResolver);
+        if (result.contours.length === 0) return null;
+        if (!this.live) {
+            // A baked result no longer needs its inputs
+            result.sources = [];
+        }
+        result.operation = inputs[0].operation;
+        result.materialId = inputs[0].materialId;
+
+        inputs.forEach(shape => {
+            const prefix = `${shape.id}:`;
+            const joinery = Array.from(this.shapeStore.edgeJoinery.entries())
+                .filter(([key]) => key.startsWith(prefix));
+            this.removedShapes.push({ shape, joinery });
+            this.shapeStore.remove(shape.id);
+        });
+        this.shapeStore.add(result);
+        this.shapeStore.setSelectedIds([result.id]);
+        this.createdShapeId = result.id;
+        return result;
+    }
+
+    /**
+     * Remove the compound path and put the input shapes and their edge
+     * joinery back, selected as they were before execute().
+     */
+    undo() {
+        if (this.createdShapeId) {
+            this.shapeStore.remove(this.createdShapeId);
+        }
+        this.removedShapes.forEach(({ shape, joinery }) => {
+            joinery.forEach(([key, value]) => this.shapeStore.edgeJoinery.set(key, value));
+            this.shapeStore.add(shape);
+        });
+        if (this.removedShapes.length > 0) {
+            this.shapeStore.setSelectedIds(this.removedShapes.map(({ shape }) => shape.id));
+        }
+        this.createdShapeId = null;
+        this.removedShapes = [];
+    }
+}
+
+/**
+ * Replace the shapes with the area covered by any of them.
+ * @extends BooleanShapesCommand
+ */
+export class UnionShapesCommand extends BooleanShapesCommand {
+    constructor(shapeStore, shapeRegistry, shapeIds, options = {}) {
+        super(shapeStore, shapeRegistry, shapeIds, 'union', options);
+    }
+}
+
+/**
+ * Replace the shapes with the first one minus all the others.
+ * @extends BooleanShapesCommand
+ */
+export class SubtractShapesCommand extends BooleanShapesCommand {
+    constructor(shapeStore, shapeRegistry, shapeIds, options = {}) {
+        super(shapeStore, shapeRegistry, shapeIds, 'difference', options);
+    }
+}
+
+/**
+ * Replace the shapes with the area covered by all of them.
+ * @extends BooleanShapesCommand
+ */
+export class IntersectShapesCommand extends BooleanShapesCommand {
+    constructor(shapeStore, shapeRegistry, shapeIds, options = {}) {
+        super(shapeStore, shapeRegistry, shapeIds, 'intersection', options);
+    }
+}
+
+/**
+ * Concrete command that fillets or chamfers corners of shapes.
+ *
+ * Each shape owning one of the corners is replaced by a 'corners' shape
+ * (`CornerShape`) that wraps a serialised copy of it, so the radius can
+ * later be bound to a parameter.  Rotation moves into the wrapped copy;
+ * the edge joinery of the replaced shape is dropped because its edges are
+ * renumbered, and comes back on undo.
+ *
+ * @extends Command
+ */
+export class CornerShapesCommand extends Command {
+    /**
+     * @param {ShapeStore}    shapeStore    The central shape repository.
+     * @param {ShapeRegistry} shapeRegistry Factory used to create the
+     *     'corners' shapes with fresh IDs.
+     * @param {Array<{shapeId: string, pathIndex: number, index: number}>} corners
+     *     Corners to treat, as picked in edge mode.  Corners of shapes
+     *     missing from the store are silently skipped.
+     * @param {string}        style         'fillet' or 'chamfer'.
+     * @param {number}        radius        Fillet radius or chamfer distance
+     *     in mm.
+     */
+    constructor(shapeStore, shapeRegistry, corners, style, radius) {
+        super();
+        this.shapeStore = shapeStore;
+        this.shapeRegistry = shapeRegistry;
+        this.corners = corners;
+        this.style = style;
+        this.radius = radius;
+        /**
+         * IDs of the shapes created by the most recent execute().
+         * @type {Array<string>}
+         */
+        this.createdShapeIds = [];
+        /**
+         * Shapes replaced by the most recent execute(), with the edge
+         * joinery entries that were keyed to them.
+         * @type {Array<{shape: Shape, joinery: Array<[string, Object]>}>}
+         */
+        this.removedShapes = [];
+    }
+
+    /**
+     * Replace every shape owning a corner with its treated version and
+     * select the results.
+     *
+     * @returns {Array<Shape>|null} The new shapes, or null if no corner
+     *     belonged to a shape in the store.
+     */
+    execute() {
+        this.createdShapeIds = [];
+        this.removedShapes = [];
+
+        const cornersByShape = new Map();
+        this.corners.forEach(({ shapeId, pathIndex, index }) => {
+            if (!this.shapeStore.get(shapeId)) return;
+            if (!cornersByShape.has(shapeId)) cornersByShape.set(shapeId, []);
+            cornersByShape.get(shapeId).push({ pathIndex, index });
+        });
+        if (cornersByShape.size === 0) return null;
+
+        const results = [];
+        cornersByShape.forEach((corners, shapeId) => {
+            const shape = this.shapeStore.get(shapeId);
+            const result = this.shapeRegistry.create('corners', { x: 0, y: 0 }, {
+                // A serialised copy keeps rotation and bindings, which clone() does not all carry
+                source: this.shapeRegistry.fromJSON(shape.toJSON()),
+                corners,
+                style: this.style,
+                radius: this.radius
+            }, this.shapeStore);
+            result.operation = shape.operation;
+            result.materialId = shape.materialId;
+
+            const prefix = `${shape.id}:`;
+            const joinery = Array.from(this.shapeStore.edgeJoinery.entries())
+                .filter(([key]) => key.startsWith(prefix));
+            this.removedShapes.push({ shape, joinery });
+            this.shapeStore.remove(shape.id);
+            this.shapeStore.add(result);
+            results.push(result);
+        });
+        this.createdShapeIds = results.map(result => result.id);
+        this.shapeStore.setSelectedIds(this.createdShapeIds);
+        return results;
+    }
+
+    /**
+     * Remove the treated shapes and put the originals and their edge joinery
+     * back, selected.
+     */
+    undo() {
+        this.createdShapeIds.forEach(id => this.shapeStore.remove(id));
+        this.removedShapes.forEach(({ shape, joinery }) => {
+            joinery.forEach(([key, value]) => this.shapeStore.edgeJoinery.set(key, value));
+            this.shapeStore.add(shape);
+        });
+        if (this.removedShapes.length > 0) {
+            this.shapeStore.setSelectedIds(this.removedShapes.map(({ shape }) => shape.id));
+        }
+        this.createdShapeIds = [];
+        this.removedShapes = [];
+    }
+}
+
+/**
+ * Round the corners with tangent arcs of the given radius.
+ * @extends CornerShapesCommand
+ */
+export class FilletCornersCommand extends CornerShapesCommand {
+    constructor(shapeStore, shapeRegistry, corners, radius) {
+        super(shapeStore, shapeRegistry, corners, 'fillet', radius);
+    }
+}
+
+/**
+ * Cut the corners off the given distance back along each edge.
+ * @extends CornerShapesCommand
+ */
+export class ChamferCornersCommand extends CornerShapesCommand {
+    constructor(shapeStore, shapeRegistry, corners, radius) {
+        super(shapeStore, shapeRegistry, corners, 'chamfer', radius);
+    }
+}
+
+
+/**
+ * Concrete command that simplifies the outlines of shapes.
+ *
+ * Each shape is replaced by its geometry, rotated as drawn, thinned out
+ * with Douglas-Peucker and refitted with lines and bezier curves (see
+ * simplifyGeometry in geometry/simplify.js).  A single outline becomes an
+ * editable 'path' shape; several closed outlines become a 'compoundpath'
+ * so holes stay holes.  Shapes whose outline would not get fewer anchors
+ * are left as they are, so parametric shapes survive a simplify of a
+ * mixed selection.  Edge joinery of replaced shapes is dropped because
+ * their edges are renumbered, and comes back on undo.
+ *
+ * @extends Command
+ */
+export class SimplifyShapesCommand extends Command {
+    /**
+     * @param {ShapeStore}    shapeStore    The central shape repository.
+     * @param {ShapeRegistry} shapeRegistry Factory used to create the
+     *     simplified shapes with fresh IDs.
+     * @param {Array<string>} shapeIds      IDs of the shapes to simplify.
+     *     Shapes missing from the store are silently skipped.
+     * @param {import('../geometry/simplify.js').SimplifyOptions} [options]
+     *     Tolerance in mm, curve fitting and corner angle.
+     */
+    constructor(shapeStore, shapeRegistry, shapeIds, options = {}) {
+        super();
+        this.shapeStore = shapeStore;
+        this.shapeRegistry = shapeRegistry;
+        this.shapeIds = shapeIds;
+        this.options = options;
+        /**
+         * IDs of the shapes created by the most recent execute().
+         * @type {Array<string>}
+         */
+        this.createdShapeIds = [];
+        /**
+         * Shapes replaced by the most recent execute(), with the edge
+         * joinery entries that were keyed to them.
+         * @type {Array<{shape: Shape, joinery: Array<[string, Object]>}>}
+         */
+        this.removedShapes = [];
+    }
+
+    /**
+     * Replace every shape whose outline gets simpler with the simplified
+     * version and select the results.
+     *
+     * @returns {Array<Shape>|null} The new shapes, or null if no shape got
+     *     simpler.
+     */
+    execute() {
+        this.createdShapeIds = [];
+        this.removedShapes = [];
+
+        const results = [];
+        this.shapeIds.forEach(id => {
+            const shape = this.shapeStore.get(id);
+            const geometry = shape ? sourceGeometry(this.shapeStore.bindingResolver.resolveShape(shape)) : null;
+            if (!geometry) return;
+
+            const anchorCount = (paths) => paths.reduce((sum, path) => sum + path.anchors.length, 0);
+            const paths = simplifyGeometry(geometry, this.options).allPaths().filter(path => path.anchors.length >= 2);
+            if (paths.length === 0 || anchorCount(paths) >= anchorCount(geometry.allPaths())) return;
+
+            const strokeWidth = shape.strokeWidth || 1;
+            const contours = paths.map(path => CompoundPathShape.contourFromGeometryPath(path));
+            // Add each result before creating the next so its id is taken, and keep
+            // the original until all of them exist.
+            const addResult = (type, options) => {
+                const result = this.shapeRegistry.create(type, { x: 0, y: 0 }, options, this.shapeStore);
+                result.operation = shape.operation;
+                result.materialId = shape.materialId;
+                this.shapeStore.add(result);
+                results.push(result);
+            };
+            if (paths.length > 1 && paths.every(path => path.closed)) {
+                addResult('compoundpath', { contours, strokeWidth });
+            } else {
+                paths.forEach((path, i) => addResult('path', { ...contours[i], closed: path.closed, strokeWidth }));
+            }
+
+            const prefix = `${shape.id}:`;
+            const joinery = Array.from(this.shapeStore.edgeJoinery.entries())
+                .filter(([key]) => key.startsWith(prefix));
+            this.removedShapes.push({ shape, joinery });
+            this.shapeStore.remove(shape.id);
+        });
+        if (results.length === 0) return null;
+        this.createdShapeIds = results.map(result => result.id);
+        this.shapeStore.setSelectedIds(this.createdShapeIds);
+        return results;
+    }
+
+    /**
+     * Remove the simplified shapes and put the originals and their edge
+     * joinery back, selected.
+     */
+    undo() {
+        this.createdShapeIds.forEach(id => this.shapeStore.remove(id));
+        this.removedShapes.forEach(({ shape, joinery }) => {
+            joinery.forEach(([key, value]) => this.shapeStore.edgeJoinery.set(key, value));
+            this.shapeStore.add(shape);
+        });
+        if (this.removedShapes.length > 0) {
+            this.shapeStore.setSelectedIds(this.removedShapes.map(({ shape }) => shape.id));
+        }
+        this.createdShapeIds = [];
+        this.removedShapes = [];
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Manufacturability checks for a scene before it is sent to a machine.
+ *
+ * DesignChecker looks at every resolved shape's export geometry (edge joinery
+ * baked in, no kerf or tabs) and reports what would spoil the job:
+ *
+ *   - open contours on the cut layer, which never free a part;
+ *   - cut lines that run along each other, which the machine burns twice;
+ *   - outlines that cross themselves;
+ *   - bars and slots narrower than the cutter can make (the material's kerf,
+ *     or the tool diameter for routed stock);
+ *   - finger joints whose fingerCount makes fingers too narrow for the edge;
+ *   - parts larger than the usable area of the stock sheet.
+ *
+ * Each issue names the offending shape IDs, so the UI can select them.
+ *
+ * @module core/DesignChecker
+ */
+import {
+    Shape as GeoShape,
+    edgesFromItem,
+    joineryLayout,
+    offsetGeometry
+} from '../geometry/index.js';
+import { SceneSVGExporter } from '../rendering/SceneSVGExporter.js';
+import { DEFAULT_NESTING_OPTIONS } from './SheetNester.js';
+
+/**
+ * @typedef {Object} DesignIssue
+ * @property {'open-contour'|'overlap'|'self-intersection'|'narrow-feature'|'finger-fit'|'sheet-size'} type
+ * @property {'error'|'warning'} severity - Errors spoil parts; warnings waste time or material
+ * @property {Array<string>} shapeIds - Shapes the issue was found on
+ * @property {string} message - Human-readable description
+ */
+
+/** Cut lines closer than this (mm) lie on top of each other. */
+const OVERLAP_TOLERANCE = 0.01;
+
+/** Shortest shared stretch (mm) reported as a double burn; shorter runs are crossings. */
+const MIN_OVERLAP_LENGTH = 1;
+
+/** Sample spacing (mm) along cut lines for the overlap check, and the most samples per contour. */
+const SAMPLE_SPACING = 0.25;
+const MAX_SAMPLES = 2000;
+
+/** Issues are listed errors first, then in the order of the checks. */
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+
+/**
+ * Format a length in mm for messages.
+ * @param {number} value
+ * @returns {string}
+ */
+const mm = (value) => `${Number(value.toFixed(2))} mm`;
+
+/**
+ * Whether a path is open, ignoring open paths whose ends meet.
+ * @param {import('../geometry/Path.js').Path} path
+ * @returns {boolean}
+ */
+const isOpenContour = (path) => {
+    const { anchors } = path;
+    if (path.closed || anchors.length < 2) return false;
+    return !anchors[0].position.equalsWithinTolerance(anchors[anchors.length - 1].position, OVERLAP_TOLERANCE);
+};
+
+/**
+ * Points spread evenly along a path, in order. A closed path's end is its
+ * start, so it is not sampled twice.
+ * @param {import('../geometry/Path.js').Path} path
+ * @returns {{points: Array<import('../geometry/Vec.js').Vec>, step: number}}
+ */
+const samplePath = (path) => {
+    const length = path.length();
+    if (!(length > 0)) return { points: [], step: 0 };
+    const steps = Math.min(MAX_SAMPLES, Math.max(1, Math.ceil(length / SAMPLE_SPACING)));
+    const step = length / steps;
+    const points = [];
+    for (let i = 0; i < (path.closed ? steps : steps + 1); i++) {
+        points.push(path.positionAtTime(path.timeAtDistance(Math.min(i * step, length))));
+    }
+    return { points, step };
+};
+
+/**
+ * Length of the longest stretch of a sampled path lying on `other`.
+ * @param {{points: Array<import('../geometry/Vec.js').Vec>, step: number}} samples - See samplePath
+ * @param {boolean} closed - Whether the samples wrap around
+ * @param {import('../geometry/Path.js').Path} other
+ * @returns {number} Infinity when the whole path lies on `other`
+ */
+const longestSharedRun = ({ points, step }, closed, other) => {
+    const on = points.map((point) => other.closestPointWithinDistanceToPoint(OVERLAP_TOLERANCE, point).distance <= OVERLAP_TOLERANCE);
+    if (on.every(Boolean)) return Infinity;
+    // Start counting after a gap so a run across the start of a closed path is not cut in two.
+    const start = closed ? on.indexOf(false) : 0;
+    let longest = 0;
+    let run = 0;
+    for (let k = 0; k < on.length; k++) {
+        run = on[(start + k) % on.length] ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    }
+    return Math.max(longest - 1, 0) * step;
+};
+
+/**
+ * Whether two boxes overlap after growing both by a margin.
+ * @param {import('../geometry/BoundingBox.js').BoundingBox} a
+ * @param {import('../geometry/BoundingBox.js').BoundingBox} b
+ * @param {number} margin
+ * @returns {boolean}
+ */
+const boxesNear = (a, b, margin) =>
+    a.min.x - margin <= b.max.x && b.min.x - margin <= a.max.x &&
+    a.min.y - margin <= b.max.y && b.min.y - margin <= a.max.y;
+
+export class DesignChecker {
+    /**
+     * @param {Object} options
+     * @param {number} options.kerfMm - Project kerf in mm, for shapes without a material (default: 0)
+     * @param {{style: string, toolDiameter: number}} options.cornerRelief - Project corner relief;
+     *   when a shape is routed, slots narrower than the tool are reported (default: none)
+     * @param {number} options.sheetWidth - Stock sheet width in mm (see {@link DEFAULT_NESTING_OPTIONS})
+     * @param {number} options.sheetHeight - Stock sheet height in mm
+     * @param {number} options.margin - Unusable border along the sheet edges in mm
+     * @param {string} options.rotation - 'none' keeps parts upright; otherwise a part may be turned 90°
+     */
+    constructor(options = {}) {
+        const { sheetWidth, sheetHeight, margin, rotation } = { ...DEFAULT_NESTING_OPTIONS, ...options };
+        this.options = {
+            kerfMm: Math.max(Number(options.kerfMm) || 0, 0),
+            cornerRelief: options.cornerRelief ?? null,
+            sheetWidth,
+            sheetHeight,
+            margin,
+            rotation
+        };
+    }
+
+    /**
+     * Narrowest bar or slot a shape can be cut with: its material's kerf (or
+     * the project kerf), or the tool diameter when its inside corners get
+     * relief for a round cutter.
+     * @param {Shape} shape - Resolved model shape
+     * @param {MaterialStore|null} materials
+     * @returns {number} Width in mm, 0 when there is no limit
+     */
+    minimumFeatureWidth(shape, materials) {
+        const kerf = materials?.get(shape.materialId)?.kerfMm ?? this.options.kerfMm;
+        const relief = SceneSVGExporter.cornerReliefForShape(shape, materials, this.options.cornerRelief);
+        return Math.max(kerf || 0, relief?.toolDiameter || 0);
+    }
+
+    /**
+     * Check every shape in a store.
+     * @param {ShapeStore} shapeStore - Store of the scene to check
+     * @returns {Array<DesignIssue>} Errors first; empty when the design is ready to cut
+     */
+    check(shapeStore) {
+        const materials = shapeStore.materialStore ?? null;
+        const parts = [];
+        shapeStore.getResolved().forEach(shape => {
+            const geometry = SceneSVGExporter.shapeGeometry(shape, { joineryProvider: shapeStore });
+            if (!geometry) return;
+            parts.push({
+                shape,
+                geometry,
+                paths: geometry.allPaths().filter(path => path.anchors.length > 1),
+                cut: SceneSVGExporter.operationForShape(shape) === 'cut'
+            });
+        });
+
+        const issues = [];
+        parts.forEach(part => {
+            issues.push(...this.checkContours(part));
+            if (part.cut) {
+                issues.push(...this.checkFeatureWidth(part, this.minimumFeatureWidth(part.shape, materials)));
+            }
+            issues.push(...this.checkJoinery(part.shape, shapeStore, materials));
+            issues.push(...this.checkSheetSize(part));
+        });
+        issues.push(...this.checkOverlaps(parts.filter(part => part.cut)));
+
+        return issues
+            .map((issue, order) => ({ issue, order }))
+            .sort((a, b) => SEVERITY_ORDER[a.issue.severity] - SEVERITY_ORDER[b.issue.severity] || a.order - b.order)
+            .map(({ issue }) => issue);
+    }
+
+    /**
+     * Open contours on the cut layer, and outlines that cross themselves.
+     * @param {{shape: Shape, paths: Array, cut: boolean}} part
+     * @returns {Array<DesignIssue>}
+     */
+    checkContours({ shape, paths, cut }) {
+        const issues = [];
+        const open = cut ? paths.filter(isOpenContour).length : 0;
+        if (open > 0) {
+            issues.push({
+                type: 'open-contour',
+                severity: 'error',
+                shapeIds: [shape.id],
+                message: `${shape.id} has ${open} open contour(s) on the cut layer; close them or move the shape to score`
+            });
+        }
+
+        const crossings = paths
+            .filter(path => path.closed)
+            .reduce((sum, path) => sum + path.selfIntersections().length, 0);
+        if (crossings > 0) {
+            issues.push({
+                type: 'self-intersection',
+                severity: 'error',
+                shapeIds: [shape.id],
+                message: `${shape.id} has an outline that crosses or touches itself (${crossings} place(s))`
+            });
+        }
+        return issues;
+    }
+
+    /**
+     * Bars and slots narrower than the cutter. Shrinking the part's region
+     * by half the width makes narrow bars vanish or pinch off, and growing
+     * it closes narrow slots and gaps; either changes the contour count.
+     * @param {{shape: Shape, paths: Array}} part
+     * @param {number} width - Narrowest feature the cutter can make, in mm
+     * @returns {Array<DesignIssue>}
+     */
+    checkFeatureWidth({ shape, paths }, width) {
+        const closed = paths.filter(path => path.closed && path.anchors.length > 2);
+        if (!(width > 0) || closed.length === 0) return [];
+
+        // Short of half, so features exactly as wide as the cutter pass. A
+        // smaller margin leaves a sliver so thin that the offset drops it.
+        const distance = width / 2 - OVERLAP_TOLERANCE;
+        const region = new GeoShape(closed.map(path => path.clone()));
+        const contourCount = (item) => item.allPaths().filter(path => path.anchors.length > 2).length;
+        const narrowBars = contourCount(offsetGeometry(region, -distance)) !== closed.length;
+        const narrowSlots = contourCount(offsetGeometry(region, distance)) !== closed.length;
+        if (!narrowBars && !narrowSlots) return [];
+
+        const what = [narrowBars && 'material', narrowSlots && 'slots or gaps'].filter(Boolean).join(' and ');
+        return [{
+            type: 'narrow-feature',
+            severity: 'warning',
+            shapeIds: [shape.id],
+            message: `${shape.id} has ${what} narrower than ${mm(width)}, the narrowest the cutter can make`
+        }];
+    }
+
+    /**
+     * Finger joints whose fingers come out narrower than they are deep, or
+     * than the cutter can make. Suggests the most fingers that fit.
+     * @param {Shape} shape - Resolved model shape
+     * @param {ShapeStore} shapeStore - Joinery lookup
+     * @param {MaterialStore|null} materials
+     * @returns {Array<DesignIssue>}
+     */
+    checkJoinery(shape, shapeStore, materials) {
+        if (typeof shape.toGeometryPath !== 'function' || typeof shapeStore.getEdgeJoinery !== 'function') return [];
+        const geometry = shape.toGeometryPath();
+        if (!geometry) return [];
+
+        const cutterWidth = this.minimumFeatureWidth(shape, materials);
+        const issues = [];
+        edgesFromItem(geometry).forEach(edge => {
+            edge.shapeId = shape.id;
+            const joinery = shapeStore.getEdgeJoinery(edge);
+            const length = edge.length();
+            if (!joinery || !edge.isLinear() || length <= 0.001) return;
+
+            // Fingers are as wide as a layout step.
+            const { count, depth, step: width } = joineryLayout(length, joinery);
+            const minimum = Math.max(depth, cutterWidth);
+            if (width >= minimum - 1e-9) return;
+
+            let fits = count - 1;
+            while (fits >= 2 && joineryLayout(length, { ...joinery, fingerCount: fits }).step < minimum - 1e-9) fits--;
+            const advice = fits >= 2
+                ? `use at most ${fits} fingers`
+                : `the ${mm(length)} edge is too short for a joint in this material`;
+            issues.push({
+                type: 'finger-fit',
+                severity: 'error',
+                shapeIds: [shape.id],
+                message: `${shape.id} edge ${edge.index + 1}: ${count} fingers are ${mm(width)} wide, ` +
+                    `less than their ${mm(minimum)} minimum; ${advice}`
+            });
+        });
+        return issues;
+    }
+
+    /**
+     * Parts that do not fit the usable area of the stock sheet.
+     * @param {{shape: Shape, geometry: Object}} part
+     * @returns {Array<DesignIssue>}
+     */
+    checkSheetSize({ shape, geometry }) {
+        const { sheetWidth, sheetHeight, margin, rotation } = this.options;
+        const box = geometry.tightBoundingBox() || geometry.looseBoundingBox();
+        if (!box) return [];
+
+        const usableWidth = sheetWidth - margin * 2;
+        const usableHeight = sheetHeight - margin * 2;
+        const width = box.width();
+        const height = box.height();
+        const fits = (w, h) => w <= usableWidth + 1e-9 && h <= usableHeight + 1e-9;
+        if (fits(width, height) || (rotation !== 'none' && fits(height, width))) return [];
+
+        return [{
+            type: 'sheet-size',
+            severity: 'error',
+            shapeIds: [shape.id],
+            message: `${shape.id} is ${mm(width)} × ${mm(height)}, larger than the ` +
+                `${mm(usableWidth)} × ${mm(usableHeight)} usable area of the ${sheetWidth} × ${sheetHeight} mm sheet`
+        }];
+    }
+
+    /**
+     * Cut lines that run along each other, within one shape or across
+     * shapes. Lines that only cross or touch are not reported.
+     * @param {Array<{shape: Shape, paths: Array}>} parts - Parts on the cut layer
+     * @returns {Array<DesignIssue>}
+     */
+    checkOverlaps(parts) {
+        const contours = [];
+        parts.forEach(part => {
+            part.paths.forEach(path => {
+                const box = path.looseBoundingBox();
+                if (box) contours.push({ id: part.shape.id, path, box, samples: null });
+            });
+        });
+
+        const pairs = new Map();
+        for (let i = 0; i < contours.length; i++) {
+            for (let j = i + 1; j < contours.length; j++) {
+                const a = contours[i];
+                const b = contours[j];
+                if (!boxesNear(a.box, b.box, OVERLAP_TOLERANCE)) continue;
+                const key = a.id === b.id ? a.id : [a.id, b.id].sort().join('\n');
+                if (pairs.has(key)) continue;
+
+                // The shorter line decides: it lies wholly on the longer one when duplicated.
+                const [shorter, longer] = a.path.length() <= b.path.length() ? [a, b] : [b, a];
+                shorter.samples ??= samplePath(shorter.path);
+                const shared = longestSharedRun(shorter.samples, shorter.path.closed, longer.path);
+                if (shared >= MIN_OVERLAP_LENGTH) {
+                    pairs.set(key, { ids: a.id === b.id ? [a.id] : [a.id, b.id], shared });
+                }
+            }
+        }
+
+        return Array.from(pairs.values()).map(({ ids, shared }) => ({
+            type: 'overlap',
+            severity: 'warning',
+            shapeIds: ids,
+            message: ids.length === 1
+                ? `${ids[0]} has cut lines on top of each other`
+                : `${ids.join(' and ')} share ${Number.isFinite(shared) ? mm(shared) + ' of' : 'a duplicate'} cut line; it will be cut twice`
+        }));
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * MaterialStore using Repository Pattern
+ * Holds the scene's material library and emits events via EventBus.
+ *
+ * A new store starts with a small default library so that joinery and the
+ * assembly view have real stock to refer to before the user edits it.
+ */
+import EventBus, { EVENTS } from '../events/EventBus.js';
+import { Material } from '../models/Material.js';
+
+/**
+ * Materials every new scene starts with.
+ * @type {Array<{id: string, name: string, thicknessMm: number, kerfMm: number, color: string, fitToleranceMm: number}>}
+ */
+export const DEFAULT_MATERIALS = [
+    { id: 'birch-ply-3', name: '3mm birch ply', thicknessMm: 3, kerfMm: 0.15, color: '#d9b98c', fitToleranceMm: 0.1 },
+    { id: 'mdf-6', name: '6mm MDF', thicknessMm: 6, kerfMm: 0.2, color: '#b08a5a', fitToleranceMm: 0.15 },
+    { id: 'acrylic-5', name: '5mm acrylic', thicknessMm: 5, kerfMm: 0.2, color: '#9fd3e6', fitToleranceMm: 0.05 }
+];
+
+export class MaterialStore {
+    constructor() {
+        this.materials = new Map(); // Map<id, Material>
+        this.eventBus = EventBus;
+        DEFAULT_MATERIALS.forEach(json => {
+            this.materials.set(json.id, Material.fromJSON(json));
+        });
+    }
+
+    /**
+     * Add a material.  A unique id is generated when the material has none.
+     * @param {Material} material
+     * @returns {Material} The stored material
+     */
+    add(material) {
+        if (!material.id) {
+            material.id = this.createId();
+        }
+        if (this.materials.has(material.id)) {
+            throw new Error(`Material with id ${material.id} already exists`);
+        }
+        this.materials.set(material.id, material);
+        this.eventBus.emit(EVENTS.MATERIALS_CHANGED, { id: material.id, material });
+        return material;
+    }
+
+    /**
+     * Change fields of a material
+     * @param {string} id
+     * @param {Object} changes - Any of name, thicknessMm, kerfMm, color, fitToleranceMm,
+     *   reliefStyle, toolDiameterMm
+     */
+    update(id, changes) {
+        const material = this.materials.get(id);
+        if (!material) {
+            throw new Error(`Material with id ${id} not found`);
+        }
+        ['name', 'thicknessMm', 'kerfMm', 'color', 'fitToleranceMm', 'reliefStyle', 'toolDiameterMm'].forEach(key => {
+            if (changes[key] !== undefined) {
+                material[key] = changes[key];
+            }
+        });
+        this.eventBus.emit(EVENTS.MATERIALS_CHANGED, { id, material });
+    }
+
+    /**
+     * Remove a material by id.  Shapes and joinery that still refer to it
+     * fall back to their own values.
+     * @param {string} id
+     */
+    remove(id) {
+        if (this.materials.delete(id)) {
+            this.eventBus.emit(EVENTS.MATERIALS_CHANGED, { id, material: null });
+        }
+    }
+
+    /**
+     * Get a material by id
+     * @param {string|null} id
+     * @returns {Material|null}
+     */
+    get(id) {
+        return (id && this.materials.get(id)) || null;
+    }
+
+    /**
+     * Get all materials in library order
+     * @returns {Array<Material>}
+     */
+    getAll() {
+        return Array.from(this.materials.values());
+    }
+
+    /**
+     * Generate an id that is not used by any material yet
+     * @returns {string}
+     */
+    createId() {
+        let index = this.materials.size + 1;
+        while (this.materials.has(`material-${index}`)) {
+            index++;
+        }
+        return `material-${index}`;
+    }
+
+    /**
+     * Serialize to JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            materials: this.getAll().map(material => material.toJSON())
+        };
+    }
+
+    /**
+     * Deserialize from JSON, replacing the whole library
+     * @param {Object} json
+     */
+    fromJSON(json) {
+        if (!json || !Array.isArray(json.materials)) {
+            throw new Error('Invalid MaterialStore JSON');
+        }
+
+        this.materials.clear();
+        json.materials.forEach(materialJson => {
+            const material = Material.fromJSON(materialJson);
+            this.materials.set(material.id, material);
+        });
+    }
+}
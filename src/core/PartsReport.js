@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Bill of materials for a scene's parts.
+ *
+ * PartsReport measures every resolved shape by its export geometry (edge
+ * joinery baked in, no kerf), so the numbers describe the part as it comes
+ * off the machine: bounding-box size, enclosed area and cut length.  Parts
+ * are then totalled per material, and each material's sheet usage is
+ * estimated from the bounding-box area its parts need on a stock sheet.
+ *
+ * The report can be written as CSV for spreadsheets or as a self-contained,
+ * printable HTML page.
+ *
+ * @module core/PartsReport
+ */
+import { SceneSVGExporter } from '../rendering/SceneSVGExporter.js';
+import { DEFAULT_NESTING_OPTIONS } from './SheetNester.js';
+
+/**
+ * @typedef {Object} PartRow
+ * @property {string} id - Shape ID
+ * @property {string} type - Shape type
+ * @property {string|null} materialId - Material ID, or null when the shape has none
+ * @property {string} material - Material name ('' when the shape has none)
+ * @property {number} width - Bounding-box width in mm
+ * @property {number} height - Bounding-box height in mm
+ * @property {number} area - Enclosed area in mm² (holes subtracted)
+ * @property {number} cutLength - Total length of all contours in mm
+ */
+
+/**
+ * @typedef {Object} MaterialTotals
+ * @property {string|null} materialId
+ * @property {string} material - Material name ('' for parts without one)
+ * @property {number} count - Number of parts
+ * @property {number} area - Summed part area in mm²
+ * @property {number} cutLength - Summed cut length in mm
+ * @property {number} sheetUsage - Estimated sheets of stock, as a fraction
+ * @property {number} sheets - Estimated whole sheets to order
+ */
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break.
+ * @param {string|number} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escape text for HTML content.
+ * @param {string|number} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Format a number with fixed decimals
+ * @param {number} value
+ * @param {number} [decimals=2]
+ * @returns {string}
+ */
+const fixed = (value, decimals = 2) => value.toFixed(decimals);
+
+export class PartsReport {
+    /**
+     * @param {Object} options - Stock sheet used for the usage estimate (see {@link DEFAULT_NESTING_OPTIONS})
+     * @param {number} options.sheetWidth - Stock sheet width in mm
+     * @param {number} options.sheetHeight - Stock sheet height in mm
+     * @param {number} options.margin - Unusable border along the sheet edges in mm
+     * @param {number} options.spacing - Gap kept between parts in mm
+     */
+    constructor(options = {}) {
+        const { sheetWidth, sheetHeight, margin, spacing } = { ...DEFAULT_NESTING_OPTIONS, ...options };
+        this.options = { sheetWidth, sheetHeight, margin, spacing };
+    }
+
+    /**
+     * Measure every part in a store and total them per material.
+     *
+     * Sheet usage is the parts' bounding-box area, each grown by the part
+     * spacing, divided by the usable sheet area.  It is a lower bound: a
+     * real nest rarely packs boxes without waste.
+     *
+     * @param {ShapeStore} shapeStore - Store of the scene to report on
+     * @returns {{parts: Array<PartRow>, materials: Array<MaterialTotals>, totals: {count: number, area: number, cutLength: number}, sheet: Object}}
+     */
+    build(shapeStore) {
+        const { sheetWidth, sheetHeight, margin, spacing } = this.options;
+        const usableArea = Math.max(sheetWidth - margin * 2, 0) * Math.max(sheetHeight - margin * 2, 0);
+
+        const parts = [];
+        const byMaterial = new Map();
+        shapeStore.getResolved().forEach(shape => {
+            const geometry = SceneSVGExporter.shapeGeometry(shape, { joineryProvider: shapeStore });
+            const box = geometry ? (geometry.tightBoundingBox() || geometry.looseBoundingBox()) : null;
+            if (!box) return;
+
+            const paths = geometry.allPaths();
+            const material = shapeStore.getMaterialForShape?.(shape) || null;
+            const part = {
+                id: shape.id,
+                type: shape.type,
+                materialId: material ? material.id : null,
+                material: material ? material.name : '',
+                width: box.width(),
+                height: box.height(),
+                area: geometry.area(),
+                cutLength: paths.reduce((sum, path) => sum + path.length(), 0)
+            };
+            parts.push(part);
+
+            const key = part.materialId || '';
+            if (!byMaterial.has(key)) {
+                byMaterial.set(key, {
+                    materialId: part.materialId,
+                    material: part.material,
+                    count: 0,
+                    area: 0,
+                    cutLength: 0,
+                    footprint: 0
+                });
+            }
+            const totals = byMaterial.get(key);
+            totals.count++;
+            totals.area += part.area;
+            totals.cutLength += part.cutLength;
+            totals.footprint += (part.width + spacing) * (part.height + spacing);
+        });
+
+        const materials = Array.from(byMaterial.values()).map(({ footprint, ...totals }) => {
+            const sheetUsage = usableArea > 0 ? footprint / usableArea : 0;
+            return { ...totals, sheetUsage, sheets: Math.ceil(sheetUsage - 1e-9) };
+        });
+
+        return {
+            parts,
+            materials,
+            totals: {
+                count: parts.length,
+                area: parts.reduce((sum, part) => sum + part.area, 0),
+                cutLength: parts.reduce((sum, part) => sum + part.cutLength, 0)
+            },
+            sheet: { ...this.options }
+        };
+    }
+
+    /**
+     * Write a report as CSV: one row per part, a blank line, then one row
+     * per material with its totals.
+     * @param {ReturnType<PartsReport['build']>} report
+     * @returns {string}
+     */
+    toCSV(report) {
+        const lines = [];
+        const row = (fields) => lines.push(fields.map(csvField).join(','));
+
+        row(['id', 'type', 'material', 'width_mm', 'height_mm', 'area_mm2', 'cut_length_mm']);
+        report.parts.forEach(part => {
+            row([part.id, part.type, part.material, fixed(part.width), fixed(part.height), fixed(part.area), fixed(part.cutLength)]);
+        });
+
+        lines.push('');
+        row(['material', 'parts', 'area_mm2', 'cut_length_mm', 'sheet_usage', 'sheets']);
+        report.materials.forEach(totals => {
+            row([totals.material || 'None', totals.count, fixed(totals.area), fixed(totals.cutLength), fixed(totals.sheetUsage), totals.sheets]);
+        });
+        row(['Total', report.totals.count, fixed(report.totals.area), fixed(report.totals.cutLength), '', '']);
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Write a report as a standalone HTML page that prints cleanly.
+     * @param {ReturnType<PartsReport['build']>} report
+     * @param {string} [title='Parts list']
+     * @returns {string}
+     */
+    toHTML(report, title = 'Parts list') {
+        // Columns from firstNumber on hold numbers and are right-aligned.
+        const cells = (tag, values, firstNumber = Infinity) => values
+            .map((value, i) => `<${tag}${i >= firstNumber ? ' class="num"' : ''}>${escapeHtml(value)}</${tag}>`)
+            .join('');
+        const partRows = report.parts.map(part => `<tr>${cells('td', [
+            part.id, part.type, part.material || '—',
+            fixed(part.width), fixed(part.height), fixed(part.area), fixed(part.cutLength)
+        ], 3)}</tr>`);
+        const materialRows = report.materials.map(totals => `<tr>${cells('td', [
+            totals.material || 'None', totals.count, fixed(totals.area), fixed(totals.cutLength),
+            fixed(totals.sheetUsage), totals.sheets
+        ], 1)}</tr>`);
+        const { sheetWidth, sheetHeight, margin } = report.sheet;
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${escapeHtml(title)}</title>`,
+            '<style>',
+            'body { font-family: sans-serif; font-size: 12px; margin: 16px; color: #0f172a; }',
+            'h1 { font-size: 18px; } h2 { font-size: 14px; margin-top: 20px; }',
+            'table { border-collapse: collapse; width: 100%; }',
+            'th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: left; }',
+            '.num { text-align: right; font-variant-numeric: tabular-nums; }',
+            'th { background: #f1f5f9; }',
+            'tfoot td { font-weight: 600; }',
+            '@media print { body { margin: 0; } tr { page-break-inside: avoid; } }',
+            '</style>',
+            '</head>',
+            '<body>',
+            `<h1>${escapeHtml(title)}</h1>`,
+            '<h2>Parts</h2>',
+            '<table>',
+            `<thead><tr>${cells('th', ['ID', 'Type', 'Material', 'Width (mm)', 'Height (mm)', 'Area (mm²)', 'Cut length (mm)'], 3)}</tr></thead>`,
+            `<tbody>${partRows.join('')}</tbody>`,
+            '</table>',
+            '<h2>Materials</h2>',
+            '<table>',
+            `<thead><tr>${cells('th', ['Material', 'Parts', 'Area (mm²)', 'Cut length (mm)', 'Sheet usage', 'Sheets'], 1)}</tr></thead>`,
+            `<tbody>${materialRows.join('')}</tbody>`,
+            `<tfoot><tr>${cells('td', ['Total', report.totals.count, fixed(report.totals.area), fixed(report.totals.cutLength), '', ''], 1)}</tr></tfoot>`,
+            '</table>',
+            `<p>Sheet usage is estimated from part bounding boxes on ${sheetWidth} × ${sheetHeight} mm stock with a ${margin} mm margin.</p>`,
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+}
@@ -23,7 +23,11 @@
  *   BindingResolver combines both to turn a Binding object into a number.
  *   ShapeStore receives the resolver so it can produce fully-resolved
  *   shapes on demand.  Constructing them in any other order would result
- *   in null references.
+ *   in null references.  The scene's {@link MaterialStore} sits beside
+ *   this chain; ShapeStore receives it so that joinery which refers to a
+ *   material resolves to that material's current thickness.  The chain
+ *   closes once ShapeStore exists: the ExpressionParser is handed a shape
+ *   measurer so that expressions can use a shape's area or perimeter.
  *
  * Async fromJSON / restoreMemento
  *   Both methods are async because the underlying store fromJSON methods
@@ -34,6 +38,7 @@
  */
 import { ParameterStore } from './ParameterStore.js';
 import { ShapeStore } from './ShapeStore.js';
+import { MaterialStore } from './MaterialStore.js';
 import { BindingResolver } from './BindingResolver.js';
 import { ExpressionParser } from '../models/ExpressionParser.js';
 
@@ -71,13 +76,26 @@ export class SceneState {
          * @type {BindingResolver}
          */
         this.bindingResolver = new BindingResolver(this.parameterStore, this.expressionParser);
+        /**
+         * Library of stock materials (thickness, kerf, colour, fit
+         * tolerance) that shapes and edge joinery refer to by id.
+         * @type {MaterialStore}
+         */
+        this.materialStore = new MaterialStore();
         /**
          * Central repository for all shapes in this scene.  Receives the
          * binding resolver so that {@link ShapeStore#getResolved} can
-         * produce fully-evaluated shape clones.
+         * produce fully-evaluated shape clones, and the material store so
+         * that joinery resolves against the material library.
          * @type {ShapeStore}
          */
-        this.shapeStore = new ShapeStore(this.parameterStore, this.bindingResolver);
+        this.shapeStore = new ShapeStore(this.parameterStore, this.bindingResolver, this.materialStore);
+        // Expressions such as area(Plate1) measure shapes in this scene.
+        this.expressionParser.shapeMeasurer = (reference) => {
+            const shape = this.shapeStore.getAll()
+                .find((candidate) => ExpressionParser.shapeReference(candidate.id).toLowerCase() === reference);
+            return shape ? this.shapeStore.measureShapes([shape.id]) : null;
+        };
         /**
          * The current pan and zoom state of the canvas viewport.  {@code x}
          * and {@code y} are the world-space coordinates of the top-left
@@ -90,13 +108,54 @@ export class SceneState {
             y: 0,
             zoom: 1
         };
+        /**
+         * Project-wide fabrication settings applied at export time.
+         * {@code kerfMm} is the width of material the cutter removes;
+         * exported cut contours are offset by half of it so parts come
+         * out at their drawn size.  Zero disables compensation.  Shapes
+         * assigned a material use that material's kerf instead.
+         * {@code gcode} holds the G-code machine type, lead-in length and
+         * feed rate (mm/min), power (S) and pass count per operation layer.
+         * {@code tabs} is the number of holding tabs spread along each cut
+         * contour, their width and the height a knife leaves them at (mm);
+         * tabs placed by hand on a shape replace the spread ones.
+         * {@code cornerRelief} overcuts inside corners of cut contours for a
+         * round cutter: style {@code 'none'}, {@code 'dogbone'} or
+         * {@code 'tbone'} and the tool diameter (mm).  A material's own
+         * relief settings take precedence.
+         * {@code lightburn} holds the speed (mm/s), power (%) and pass
+         * count per operation layer written to LightBurn cut settings.
+         * @type {{kerfMm: number, gcode: {machine: string, leadIn: number, layers: Object<string, {feedRate: number, power: number, passes: number}>}, tabs: {count: number, width: number, height: number}, cornerRelief: {style: string, toolDiameter: number}, lightburn: {layers: Object<string, {speed: number, power: number, passes: number}>}}}
+         */
+        this.fabrication = {
+            kerfMm: 0,
+            gcode: {
+                machine: 'laser',
+                leadIn: 0,
+                layers: {
+                    cut: { feedRate: 600, power: 1000, passes: 1 },
+                    score: { feedRate: 1500, power: 300, passes: 1 },
+                    engrave: { feedRate: 3000, power: 200, passes: 1 }
+                }
+            },
+            tabs: { count: 0, width: 3, height: 1 },
+            cornerRelief: { style: 'none', toolDiameter: 3 },
+            lightburn: {
+                layers: {
+                    cut: { speed: 10, power: 60, passes: 1 },
+                    score: { speed: 100, power: 20, passes: 1 },
+                    engrave: { speed: 200, power: 30, passes: 1 }
+                }
+            }
+        };
     }
 
     /**
      * Capture a deep snapshot of the current scene and wrap it in a
      * {@link SceneMemento}.  The snapshot includes the serialised
      * ParameterStore, the serialised ShapeStore (which includes shapes,
-     * selection, and joinery), and a copy of the viewport state.
+     * selection, and joinery), the material library, and a copy of the
+     * viewport state.
      *
      * The returned memento can be stored by {@link SceneHistory} and later
      * passed back to {@link #restoreMemento} to revert the scene.
@@ -107,7 +166,9 @@ export class SceneState {
         return new SceneMemento({
             parameterStore: this.parameterStore.toJSON(),
             shapeStore: this.shapeStore.toJSON(),
-            viewport: { ...this.viewport }
+            materialStore: this.materialStore.toJSON(),
+            viewport: { ...this.viewport },
+            fabrication: { ...this.fabrication }
         });
     }
 
@@ -135,9 +196,17 @@ export class SceneState {
             await this.shapeStore.fromJSON(state.shapeStore);
         }
 
+        if (state.materialStore) {
+            this.materialStore.fromJSON(state.materialStore);
+        }
+
         if (state.viewport) {
             this.viewport = { ...state.viewport };
         }
+
+        if (state.fabrication) {
+            this.fabrication = { ...this.fabrication, ...state.fabrication };
+        }
     }
 
     /**
@@ -147,14 +216,16 @@ export class SceneState {
      * the same JSON can serve both as a persistence payload and as a
      * memento state.
      *
-     * @returns {{parameterStore: Object, shapeStore: Object, viewport: {x: number, y: number, zoom: number}}}
+     * @returns {{parameterStore: Object, shapeStore: Object, materialStore: Object, viewport: {x: number, y: number, zoom: number}, fabrication: {kerfMm: number, gcode: Object}}}
      *     The serialised scene.
      */
     toJSON() {
         return {
             parameterStore: this.parameterStore.toJSON(),
             shapeStore: this.shapeStore.toJSON(),
-            viewport: { ...this.viewport }
+            materialStore: this.materialStore.toJSON(),
+            viewport: { ...this.viewport },
+            fabrication: { ...this.fabrication }
         };
     }
 
@@ -182,9 +253,17 @@ export class SceneState {
             await this.shapeStore.fromJSON(json.shapeStore);
         }
 
+        if (json.materialStore) {
+            this.materialStore.fromJSON(json.materialStore);
+        }
+
         if (json.viewport) {
             this.viewport = { ...json.viewport };
         }
+
+        if (json.fabrication) {
+            this.fabrication = { ...this.fabrication, ...json.fabrication };
+        }
     }
 }
 
@@ -44,6 +44,16 @@
  */
 import EventBus, { EVENTS } from '../events/EventBus.js';
 import { EdgeSelection, edgesFromItem } from '../geometry/edge/index.js';
+import { Group } from '../geometry/index.js';
+import { SceneSVGExporter } from '../rendering/SceneSVGExporter.js';
+
+/**
+ * @typedef {Object} ShapeMeasurements
+ * @property {number} area - Enclosed area in mm² (holes subtracted)
+ * @property {number} perimeter - Total length of all contours in mm
+ * @property {import('../geometry/Vec.js').Vec|null} centroid - Centre of the area (of the outline when there is none)
+ * @property {import('../geometry/measure.js').SecondMoments} secondMoments - Second moments of area about the centroid in mm⁴
+ */
 
 export class ShapeStore {
     /**
@@ -57,8 +67,11 @@ export class ShapeStore {
      * @param {BindingResolver} bindingResolver  The facade that knows how to
      *     turn a Binding object into a concrete number.  Used by
      *     {@link ShapeStore#getResolved} and {@link ShapeStore#getEdgesForShape}.
+     * @param {MaterialStore|null} [materialStore=null]  The scene's material
+     *     library.  Joinery and shapes that carry a {@code materialId} are
+     *     resolved against it (see {@link ShapeStore#getEdgeJoinery}).
      */
-    constructor(parameterStore, bindingResolver) {
+    constructor(parameterStore, bindingResolver, materialStore = null) {
         /**
          * The canonical shape map for this scene.  Keys are shape IDs
          * (opaque strings); values are Shape objects in their raw,
@@ -69,6 +82,7 @@ export class ShapeStore {
         this.shapes = new Map(); // Map<id, Shape>
         this.parameterStore = parameterStore;
         this.bindingResolver = bindingResolver;
+        this.materialStore = materialStore;
 
         /**
          * The ID of the "primary" selected shape.  Maintained in parallel
@@ -111,13 +125,21 @@ export class ShapeStore {
          * @type {{edge: Edge, position: Vec}|null}
          */
         this.hoveredEdge = null;
+        /**
+         * Corners (path anchors) picked in edge mode for fillets and
+         * chamfers, keyed like edges ({@code shapeId:pathIndex:index}).  A
+         * corner's index is the index of the edge that starts at it.
+         * @type {Map<string, {shapeId: string, pathIndex: number, index: number}>}
+         */
+        this.selectedCorners = new Map();
         /**
          * Persistent map of joinery metadata keyed by a canonical edge key
          * string (produced by {@link EdgeSelection.keyFor}).  Each value
-         * records the joinery type (e.g. "fingerJoint"), the material
-         * thickness in millimetres, the finger count, and the alignment
-         * direction.  Survives save/load via {@link #toJSON} / {@link #fromJSON}.
-         * @type {Map<string, {type: string, thicknessMm: number, fingerCount: number, align: string}>}
+         * records the joinery type (e.g. "fingerJoint"), the material it is
+         * cut for (or null), the material thickness in millimetres, the
+         * finger count, and the alignment direction.  Survives save/load via
+         * {@link #toJSON} / {@link #fromJSON}.
+         * @type {Map<string, {type: string, materialId: string|null, thicknessMm: number, fingerCount: number, align: string}>}
          */
         this.edgeJoinery = new Map(); // Map<edgeKey, { type, thicknessMm }>
 
@@ -129,6 +151,14 @@ export class ShapeStore {
          * @type {string|null}
          */
         this.hoveredShapeId = null;
+
+        /**
+         * IDs of the shapes {@link #measureShapes} is measuring right now.
+         * A shape whose bindings measure itself (directly or through other
+         * shapes) is skipped on the second visit instead of recursing.
+         * @type {Set<string>}
+         */
+        this.measuringShapeIds = new Set();
     }
     
     /**
@@ -181,6 +211,11 @@ export class ShapeStore {
                     this.edgeJoinery.delete(key);
                 }
             }
+            for (const key of this.selectedCorners.keys()) {
+                if (key.startsWith(prefix)) {
+                    this.selectedCorners.delete(key);
+                }
+            }
             this.eventBus.emit(EVENTS.SHAPE_REMOVED, { id });
         }
     }
@@ -226,6 +261,46 @@ export class ShapeStore {
         return this.bindingResolver.resolveAll(this.getAll());
     }
 
+    /**
+     * Measure shapes together by their export geometry (edge joinery and
+     * rotation baked in, no kerf), the same geometry the parts report
+     * uses.  Several shapes measure as one: areas and lengths add up and
+     * the centroid and second moments are those of the combined area.
+     *
+     * Shapes that do not exist, have no geometry, or are already being
+     * measured further up the call stack (a binding that measures its own
+     * shape) are left out.
+     *
+     * @param {Iterable<string>} ids  IDs of the shapes to measure.
+     * @returns {ShapeMeasurements|null} The measurements, or null if none
+     *     of the shapes could be measured.
+     */
+    measureShapes(ids) {
+        const geometries = [];
+        for (const id of ids) {
+            const shape = this.shapes.get(id);
+            if (!shape || this.measuringShapeIds.has(id)) continue;
+
+            this.measuringShapeIds.add(id);
+            try {
+                const resolved = this.bindingResolver.resolveShape(shape);
+                const geometry = SceneSVGExporter.shapeGeometry(resolved, { joineryProvider: this });
+                if (geometry) geometries.push(geometry);
+            } finally {
+                this.measuringShapeIds.delete(id);
+            }
+        }
+        if (geometries.length === 0) return null;
+
+        const geometry = new Group(geometries);
+        return {
+            area: geometry.area(),
+            perimeter: geometry.perimeter(),
+            centroid: geometry.centroid() ?? null,
+            secondMoments: geometry.secondMoments()
+        };
+    }
+
     /**
      * Overwrite a shape's position and notify listeners.
      *
@@ -292,6 +367,140 @@ export class ShapeStore {
             property
         });
     }
+
+    /**
+     * Set the fabrication operation ('cut', 'score' or 'engrave') of a
+     * shape.  The operation decides which layer the shape is written to
+     * when the scene is exported as a cut file.
+     *
+     * @param {string} shapeId    The ID of the target shape.
+     * @param {string} operation  The new operation name.
+     * @throws {Error} If no shape with the given ID exists.
+     */
+    setShapeOperation(shapeId, operation) {
+        const shape = this.shapes.get(shapeId);
+        if (!shape) {
+            throw new Error(`Shape with id ${shapeId} not found`);
+        }
+
+        shape.operation = operation;
+
+        this.eventBus.emit(EVENTS.SHAPE_UPDATED, {
+            id: shapeId,
+            shape,
+            property: 'operation'
+        });
+    }
+
+    /**
+     * Assign a material from the material library to a shape.  The
+     * material's kerf then applies to the shape on export and its
+     * thickness and colour to the shape's piece in the 3D assembly.
+     *
+     * @param {string}      shapeId     The ID of the target shape.
+     * @param {string|null} materialId  A material ID, or null to clear.
+     * @throws {Error} If no shape with the given ID exists.
+     */
+    setShapeMaterial(shapeId, materialId) {
+        const shape = this.shapes.get(shapeId);
+        if (!shape) {
+            throw new Error(`Shape with id ${shapeId} not found`);
+        }
+
+        shape.materialId = materialId || null;
+
+        this.eventBus.emit(EVENTS.SHAPE_UPDATED, {
+            id: shapeId,
+            shape,
+            property: 'materialId'
+        });
+    }
+
+    /**
+     * Change a text shape's alignment or font.  Fonts that are not loaded
+     * are kept by ID and drawn with the bundled font until they are.
+     *
+     * @param {string} shapeId  The ID of the target text shape.
+     * @param {{align?: string, fontId?: string}} style  The values to change.
+     * @throws {Error} If no shape with the given ID exists.
+     */
+    setTextStyle(shapeId, style) {
+        const shape = this.shapes.get(shapeId);
+        if (!shape) {
+            throw new Error(`Shape with id ${shapeId} not found`);
+        }
+
+        ['align', 'fontId'].forEach(property => {
+            if (style[property] === undefined) return;
+            shape[property] = style[property];
+            this.eventBus.emit(EVENTS.SHAPE_UPDATED, {
+                id: shapeId,
+                shape,
+                property
+            });
+        });
+    }
+
+    /**
+     * Look up the material a shape is cut from.
+     *
+     * @param {Shape} shape  A raw or resolved shape.
+     * @returns {Material|null} The shape's material, or null if it has none
+     *     or the material no longer exists in the library.
+     */
+    getMaterialForShape(shape) {
+        return this.materialStore?.get(shape?.materialId) || null;
+    }
+
+    /**
+     * Place a holding tab by hand on an edge of a shape.  Shapes with
+     * hand-placed tabs on a contour get tabs only there; other contours
+     * keep the project's evenly spread tabs.
+     *
+     * @param {import('../geometry/edge/index.js').Edge} edge  The edge to
+     *     place the tab on; its {@code shapeId} names the shape.
+     * @param {number} time  Position along the edge, 0 at its start and 1
+     *     at its end.
+     * @throws {Error} If the edge's shape does not exist.
+     */
+    addHoldingTab(edge, time) {
+        const shape = this.shapes.get(edge?.shapeId);
+        if (!shape) {
+            throw new Error(`Shape with id ${edge?.shapeId} not found`);
+        }
+
+        shape.holdingTabs = [
+            ...shape.holdingTabs,
+            { pathIndex: edge.pathIndex, index: edge.index, time: Math.min(Math.max(time, 0), 1) }
+        ];
+
+        this.eventBus.emit(EVENTS.SHAPE_UPDATED, {
+            id: shape.id,
+            shape,
+            property: 'holdingTabs'
+        });
+    }
+
+    /**
+     * Remove every hand-placed holding tab from a shape.
+     *
+     * @param {string} shapeId  The ID of the target shape.
+     * @throws {Error} If no shape with the given ID exists.
+     */
+    clearHoldingTabs(shapeId) {
+        const shape = this.shapes.get(shapeId);
+        if (!shape) {
+            throw new Error(`Shape with id ${shapeId} not found`);
+        }
+
+        shape.holdingTabs = [];
+
+        this.eventBus.emit(EVENTS.SHAPE_UPDATED, {
+            id: shapeId,
+            shape,
+            property: 'holdingTabs'
+        });
+    }
     
     // ─────────────────────────────────────────────────────────────────────────
     // Shape Selection
@@ -491,9 +700,10 @@ export class ShapeStore {
     setSelectionMode(mode) {
         if (this.selectionMode !== mode) {
             this.selectionMode = mode;
-            // Clear edge selection when switching to shape mode
+            // Clear edge and corner selection when switching to shape mode
             if (mode === 'shape') {
                 this.edgeSelection.clear();
+                this.selectedCorners.clear();
                 this.hoveredEdge = null;
             }
             this.eventBus.emit(EVENTS.SELECTION_MODE_CHANGED, { mode });
@@ -680,6 +890,71 @@ export class ShapeStore {
         return this.edgeSelection.all();
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Corner Selection
+    //
+    // In edge mode a click close to an anchor picks the corner there instead
+    // of the edge, for the fillet and chamfer commands.  Like edges, corners
+    // are identified by key only and re-derived from the resolved geometry
+    // whenever they are drawn.
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Replace the corner selection with one corner (plain click on an
+     * anchor in edge mode).
+     *
+     * @param {{shapeId: string, pathIndex: number, index: number}} corner
+     */
+    selectCorner(corner) {
+        this.selectedCorners.clear();
+        this.selectedCorners.set(EdgeSelection.keyFor(corner), { ...corner });
+        this.eventBus.emit(EVENTS.CORNER_SELECTED, {
+            corner,
+            corners: this.getSelectedCorners()
+        });
+    }
+
+    /**
+     * Add a corner to the selection, or remove it if it is already
+     * selected (Shift+click on an anchor in edge mode).
+     *
+     * @param {{shapeId: string, pathIndex: number, index: number}} corner
+     */
+    toggleCornerSelection(corner) {
+        const key = EdgeSelection.keyFor(corner);
+        const isNowSelected = !this.selectedCorners.has(key);
+        if (isNowSelected) {
+            this.selectedCorners.set(key, { ...corner });
+        } else {
+            this.selectedCorners.delete(key);
+        }
+        this.eventBus.emit(EVENTS.CORNER_SELECTED, {
+            corner: isNowSelected ? corner : null,
+            corners: this.getSelectedCorners()
+        });
+    }
+
+    /**
+     * Deselect every corner.
+     */
+    clearCornerSelection() {
+        this.selectedCorners.clear();
+        this.eventBus.emit(EVENTS.CORNER_SELECTED, {
+            corner: null,
+            corners: []
+        });
+    }
+
+    /**
+     * Return the currently-selected corners, in the order they were picked.
+     *
+     * @returns {Array<{shapeId: string, pathIndex: number, index: number}>}
+     *     Copies of the selected corners.
+     */
+    getSelectedCorners() {
+        return Array.from(this.selectedCorners.values(), corner => ({ ...corner }));
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Edge Joinery
     //
@@ -695,16 +970,19 @@ export class ShapeStore {
      *
      * The metadata object is shallow-copied before storage so that the
      * caller cannot mutate it after the fact.  The {@code align} field
-     * defaults to {@code 'left'} when not supplied.
+     * defaults to {@code 'left'} when not supplied.  When a
+     * {@code materialId} is given, {@code thicknessMm} is kept only as a
+     * fallback for when the material is removed from the library.
      *
      * Emits {@link EVENTS.EDGE_JOINERY_CHANGED} so that the joinery
      * preview in the CanvasRenderer re-draws with the new settings.
      *
      * @param {import('../geometry/edge/index.js').Edge} edge  The target
      *     edge.  Must not be null.
-     * @param {{type: string, thicknessMm: number, fingerCount: number, align?: string}} joinery
+     * @param {{type: string, materialId?: string|null, thicknessMm: number, fingerCount: number, align?: string}} joinery
      *     The joinery descriptor.  {@code type} identifies the joint kind
-     *     (e.g. "fingerJoint").  {@code thicknessMm} is the material
+     *     (e.g. "fingerJoint").  {@code materialId} names the material the
+     *     joint is cut for.  {@code thicknessMm} is the material
      *     thickness in millimetres.  {@code fingerCount} is the number of
      *     interlocking fingers.  {@code align} controls which side the
      *     first finger starts on.
@@ -714,6 +992,7 @@ export class ShapeStore {
         const key = EdgeSelection.keyFor(edge);
         this.edgeJoinery.set(key, {
             type: joinery.type,
+            materialId: joinery.materialId || null,
             thicknessMm: joinery.thicknessMm,
             fingerCount: joinery.fingerCount,
             align: joinery.align || 'left'
@@ -727,6 +1006,13 @@ export class ShapeStore {
     /**
      * Retrieve the joinery metadata previously stored for an edge.
      *
+     * Material resolution
+     *   When the entry refers to a material that exists in
+     *   {@link #materialStore}, the returned copy carries that material's
+     *   current {@code thicknessMm} and {@code fitToleranceMm}, so editing
+     *   the material updates every joint cut for it.  Otherwise the stored
+     *   thickness is returned unchanged.
+     *
      * Key-format fallback
      *   The canonical key is produced by {@link EdgeSelection.keyFor}, which
      *   incorporates the owning shape's ID.  Older saved files may have been
@@ -737,23 +1023,41 @@ export class ShapeStore {
      *
      * @param {import('../geometry/edge/index.js').Edge} edge  The edge to
      *     look up.
-     * @returns {{type: string, thicknessMm: number, fingerCount: number, align: string}|null}
-     *     The stored joinery object, or null if none has been assigned.
+     * @returns {{type: string, materialId: string|null, thicknessMm: number, fitToleranceMm?: number, fingerCount: number, align: string}|null}
+     *     The resolved joinery object, or null if none has been assigned.
      */
     getEdgeJoinery(edge) {
         if (!edge) return null;
         const key = EdgeSelection.keyFor(edge);
         if (this.edgeJoinery.has(key)) {
-            return this.edgeJoinery.get(key) || null;
+            return this.resolveJoineryMaterial(this.edgeJoinery.get(key));
         }
         // Legacy key fallback for files saved before shapeId was part of the key
         if (edge?.shapeId) {
             const legacyKey = `${edge.pathIndex}:${edge.index}`;
-            return this.edgeJoinery.get(legacyKey) || null;
+            return this.resolveJoineryMaterial(this.edgeJoinery.get(legacyKey));
         }
         return null;
     }
 
+    /**
+     * Fill a stored joinery entry in with its material's current values.
+     *
+     * @param {Object|undefined} joinery  A stored joinery entry.
+     * @returns {Object|null} A resolved copy, the entry itself when it has
+     *     no known material, or null.
+     */
+    resolveJoineryMaterial(joinery) {
+        if (!joinery) return null;
+        const material = this.materialStore?.get(joinery.materialId);
+        if (!material) return joinery;
+        return {
+            ...joinery,
+            thicknessMm: material.thicknessMm,
+            fitToleranceMm: material.fitToleranceMm
+        };
+    }
+
     /**
      * Query whether a given edge is in the current edge selection.
      *
@@ -869,6 +1173,7 @@ export class ShapeStore {
             edgeJoinery: Array.from(this.edgeJoinery.entries()).map(([key, value]) => ({
                 key,
                 type: value.type,
+                materialId: value.materialId || null,
                 thicknessMm: value.thicknessMm,
                 fingerCount: value.fingerCount,
                 align: value.align || 'center'
@@ -924,6 +1229,9 @@ export class ShapeStore {
             });
         }
 
+        // Picked corners belonged to the shapes that were just replaced.
+        this.selectedCorners.clear();
+
         // Restore edge-joinery metadata.  Each entry is keyed by its
         // canonical edge-key string and carries the full joinery descriptor.
         this.edgeJoinery.clear();
@@ -932,6 +1240,7 @@ export class ShapeStore {
                 if (entry && entry.key && entry.type) {
                     this.edgeJoinery.set(entry.key, {
                         type: entry.type,
+                        materialId: entry.materialId || null,
                         thicknessMm: entry.thicknessMm,
                         fingerCount: entry.fingerCount,
                         align: entry.align || 'center'
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Packs a scene's parts onto stock sheets.
+ *
+ * SheetNester adapts the geometry-level {@link nestGeometry} packer to model
+ * shapes.  Each resolved shape is measured by its export geometry (so baked
+ * joinery teeth and the shape's own rotation count towards its footprint),
+ * packed, and then moved and rotated so that the result is still made of
+ * ordinary, editable shapes rather than frozen outlines.
+ *
+ * Placed shapes keep their IDs, which lets the edge joinery of the source
+ * scene be carried over unchanged (joinery keys are prefixed with the shape
+ * ID).  Parameter bindings are dropped: a sheet is a snapshot of the design
+ * at nesting time, and a bound position would otherwise pull the part back
+ * off the sheet.
+ *
+ * @module core/SheetNester
+ */
+import { nestGeometry, Vec as GeoVec } from '../geometry/index.js';
+import { SceneSVGExporter } from '../rendering/SceneSVGExporter.js';
+
+/**
+ * Default stock sheet and packing settings, in mm.
+ * @type {{sheetWidth: number, sheetHeight: number, margin: number, spacing: number, rotation: string}}
+ */
+export const DEFAULT_NESTING_OPTIONS = {
+    sheetWidth: 600,
+    sheetHeight: 400,
+    margin: 5,
+    spacing: 3,
+    rotation: '90'
+};
+
+/**
+ * Move a model shape by (dx, dy), whatever properties define its position.
+ * Mirrors the position kinds the canvas drag handles.
+ * @param {Shape} shape
+ * @param {number} dx
+ * @param {number} dy
+ */
+const translateShape = (shape, dx, dy) => {
+    if (Array.isArray(shape.points)) {
+        shape.points = shape.points.map((p) => ({ ...p, x: p.x + dx, y: p.y + dy }));
+    } else if (Number.isFinite(shape.centerX) && Number.isFinite(shape.centerY)) {
+        shape.centerX += dx;
+        shape.centerY += dy;
+    } else if (Number.isFinite(shape.x) && Number.isFinite(shape.y)) {
+        shape.x += dx;
+        shape.y += dy;
+    } else if (Number.isFinite(shape.x1) && Number.isFinite(shape.y1)) {
+        shape.x1 += dx;
+        shape.y1 += dy;
+        shape.x2 += dx;
+        shape.y2 += dy;
+    } else if (shape.position) {
+        shape.position = { x: shape.position.x + dx, y: shape.position.y + dy };
+    }
+};
+
+export class SheetNester {
+    /**
+     * @param {Object} options - Sheet and packing settings (see {@link DEFAULT_NESTING_OPTIONS})
+     * @param {number} options.sheetWidth - Stock sheet width in mm
+     * @param {number} options.sheetHeight - Stock sheet height in mm
+     * @param {number} options.margin - Empty border along the sheet edges in mm
+     * @param {number} options.spacing - Minimum gap between parts in mm
+     * @param {'none'|'90'|'free'} options.rotation - Allowed part rotations
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_NESTING_OPTIONS, ...options };
+    }
+
+    /**
+     * Pack every shape in a store onto as few sheets as possible.
+     *
+     * Each returned sheet holds placed shape clones plus the joinery entries
+     * that belong to them, in the format {@link ShapeStore#fromJSON} accepts.
+     *
+     * @param {ShapeStore} shapeStore - Store of the scene to nest
+     * @returns {{sheets: Array<{width: number, height: number, shapes: Array<Shape>, edgeJoinery: Array<Object>}>, unplaced: Array<string>}}
+     *     The packed sheets and the IDs of shapes too large for a sheet
+     */
+    nest(shapeStore) {
+        const parts = shapeStore.getResolved()
+            .map((shape) => ({
+                shape,
+                geometry: SceneSVGExporter.shapeGeometry(shape, { joineryProvider: shapeStore })
+            }))
+            .filter((part) => part.geometry);
+
+        const result = nestGeometry(parts.map((part) => part.geometry), this.options);
+        const joinery = shapeStore.toJSON().edgeJoinery;
+
+        const sheets = result.sheets.map((sheet) => {
+            const shapes = sheet.placements.map((placement) => this.placeShape(parts[placement.index].shape, placement));
+            const ids = new Set(shapes.map((shape) => shape.id));
+            return {
+                width: sheet.width,
+                height: sheet.height,
+                shapes,
+                edgeJoinery: joinery.filter((entry) => ids.has(entry.key.slice(0, entry.key.indexOf(':'))))
+            };
+        });
+
+        return {
+            sheets,
+            unplaced: result.unplaced.map((index) => parts[index].shape.id)
+        };
+    }
+
+    /**
+     * Clone a resolved shape into its nested position.
+     *
+     * The packer rotates the export geometry about the centre of its bounding
+     * box, while a model shape rotates about the centre of its own bounds;
+     * the translation is corrected for the difference between the two pivots.
+     *
+     * @param {Shape} shape - Resolved source shape
+     * @param {import('../geometry/nesting.js').NestPlacement} placement
+     * @returns {Shape} Unbound clone moved onto the sheet
+     */
+    placeShape(shape, placement) {
+        const placed = shape.clone();
+        placed.bindings = {};
+        placed.operation = shape.operation;
+        placed.materialId = shape.materialId;
+        placed.holdingTabs = shape.holdingTabs.map(tab => ({ ...tab }));
+
+        const { position, rotation, origin } = placement.transform;
+        const bounds = shape.getBounds();
+        const pivot = new GeoVec(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+        const pivotOffset = origin.clone().sub(pivot).rotate(rotation);
+        const delta = position.clone().sub(pivot).sub(pivotOffset);
+        translateShape(placed, delta.x, delta.y);
+
+        const totalRotation = (Number(shape.rotation || 0) + rotation) % 360;
+        if (totalRotation !== 0 || typeof shape.rotation === 'number') {
+            placed.rotation = totalRotation;
+        }
+        return placed;
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * DesignChecker tests
+ */
+
+import { DesignChecker } from '../DesignChecker.js';
+import { SceneState } from '../SceneState.js';
+import { Rectangle } from '../../models/shapes/Rectangle.js';
+import { PathShape } from '../../models/shapes/PathShape.js';
+import { Path, edgesFromItem } from '../../geometry/index.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+/**
+ * A scene holding the given shapes
+ * @param {Array<import('../../models/shapes/Shape.js').Shape>} shapes
+ * @returns {import('../ShapeStore.js').ShapeStore}
+ */
+const storeWith = (...shapes) => {
+    const { shapeStore } = new SceneState();
+    shapes.forEach(shape => shapeStore.add(shape));
+    return shapeStore;
+};
+
+const rect = (id, x, y, width, height) => new Rectangle(id, { x: 0, y: 0 }, x, y, width, height);
+
+const path = (id, points, closed, operation = 'cut') => {
+    const shape = new PathShape(id, { x: 0, y: 0 }, points, 1, closed);
+    shape.operation = operation;
+    return shape;
+};
+
+/**
+ * Issues of one type found in a store
+ * @returns {Array<import('../DesignChecker.js').DesignIssue>}
+ */
+const issuesOf = (type, shapeStore, options = {}) =>
+    new DesignChecker(options).check(shapeStore).filter(issue => issue.type === type);
+
+console.log('DesignChecker tests:\n');
+
+// Open contours
+
+test('reports an open path on the cut layer', (() => {
+    const issues = issuesOf('open-contour', storeWith(path('Path 1', [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 20 }], false)));
+    return issues.length === 1 && issues[0].severity === 'error' && issues[0].shapeIds[0] === 'Path 1';
+})());
+
+test('ignores open paths that are scored, or whose ends meet', (() => {
+    const scored = path('Path 1', [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 20 }], false, 'score');
+    const meeting = path('Path 2', [{ x: 50, y: 0 }, { x: 70, y: 0 }, { x: 70, y: 20 }, { x: 50, y: 0 }], false);
+    return issuesOf('open-contour', storeWith(scored, meeting)).length === 0;
+})());
+
+// Self-intersection
+
+test('reports a closed outline that crosses itself', (() => {
+    const bowtie = path('Path 1', [{ x: 0, y: 0 }, { x: 20, y: 20 }, { x: 20, y: 0 }, { x: 0, y: 20 }], true);
+    const issues = issuesOf('self-intersection', storeWith(bowtie));
+    return issues.length === 1 && issues[0].shapeIds[0] === 'Path 1';
+})());
+
+test('does not report a simple outline as crossing itself', (() => {
+    return issuesOf('self-intersection', storeWith(rect('Rectangle 1', 0, 0, 40, 20))).length === 0;
+})());
+
+// Double cuts
+
+test('reports two parts sharing a cut line', (() => {
+    const issues = issuesOf('overlap', storeWith(rect('Rectangle 1', 0, 0, 40, 40), rect('Rectangle 2', 40, 0, 40, 40)));
+    return issues.length === 1 && issues[0].severity === 'warning' &&
+        issues[0].shapeIds.join() === 'Rectangle 1,Rectangle 2';
+})());
+
+test('reports a duplicated outline', (() => {
+    const issues = issuesOf('overlap', storeWith(rect('Rectangle 1', 0, 0, 40, 40), rect('Rectangle 2', 0, 0, 40, 40)));
+    return issues.length === 1 && issues[0].message.includes('duplicate');
+})());
+
+test('does not report parts that touch at a corner or share less than 1 mm', (() => {
+    const corner = storeWith(rect('Rectangle 1', 0, 0, 40, 40), rect('Rectangle 2', 40, 40, 40, 40));
+    const short = storeWith(rect('Rectangle 1', 0, 0, 40, 40), rect('Rectangle 2', 40, 39.5, 40, 40));
+    return issuesOf('overlap', corner).length === 0 && issuesOf('overlap', short).length === 0;
+})());
+
+test('does not report cut lines further apart than the tolerance', (() => {
+    const store = storeWith(rect('Rectangle 1', 0, 0, 40, 40), rect('Rectangle 2', 40.05, 0, 40, 40));
+    return issuesOf('overlap', store).length === 0;
+})());
+
+test('does not report scored lines on top of cut lines', (() => {
+    const score = path('Path 1', [{ x: 0, y: 0 }, { x: 40, y: 0 }], false, 'score');
+    return issuesOf('overlap', storeWith(rect('Rectangle 1', 0, 0, 40, 40), score)).length === 0;
+})());
+
+// Narrow features
+
+test('reports a bar narrower than the kerf', (() => {
+    const issues = issuesOf('narrow-feature', storeWith(rect('Rectangle 1', 0, 0, 40, 1.5)), { kerfMm: 2 });
+    return issues.length === 1 && issues[0].message.includes('material');
+})());
+
+test('passes a bar exactly as wide as the kerf', (() => {
+    return issuesOf('narrow-feature', storeWith(rect('Rectangle 1', 0, 0, 40, 2)), { kerfMm: 2 }).length === 0;
+})());
+
+// A 40 mm plate with a slot cut through it
+const slottedPlate = (slotWidth) => ({
+    shape: { id: 'Plate' },
+    paths: [Path.rect(0, 0, 40, 40), Path.rect(20 - slotWidth / 2, 10, slotWidth, 20)]
+});
+
+test('reports a slot narrower than the cutter', (() => {
+    const issues = new DesignChecker().checkFeatureWidth(slottedPlate(2), 3);
+    return issues.length === 1 && issues[0].shapeIds[0] === 'Plate' && issues[0].message.includes('slots or gaps');
+})());
+
+test('passes a slot as wide as the cutter', (() => {
+    return new DesignChecker().checkFeatureWidth(slottedPlate(3), 3).length === 0;
+})());
+
+test('skips the width check without a kerf', (() => {
+    return issuesOf('narrow-feature', storeWith(rect('Rectangle 1', 0, 0, 40, 0.5))).length === 0;
+})());
+
+// Finger fit
+
+/**
+ * A 40 mm square with finger joinery on its first edge
+ * @returns {import('../ShapeStore.js').ShapeStore}
+ */
+const jointedSquare = (fingerCount) => {
+    const square = rect('Rectangle 1', 0, 0, 40, 40);
+    const store = storeWith(square);
+    const [edge] = edgesFromItem(square.toGeometryPath());
+    edge.shapeId = square.id;
+    store.setEdgeJoinery(edge, { type: 'finger', thicknessMm: 3, fingerCount });
+    return store;
+};
+
+test('reports fingers narrower than the stock is thick', (() => {
+    const issues = issuesOf('finger-fit', jointedSquare(20));
+    return issues.length === 1 && issues[0].severity === 'error' && /use at most \d+ fingers/.test(issues[0].message);
+})());
+
+test('suggests a finger count that fits', (() => {
+    const issues = issuesOf('finger-fit', jointedSquare(20));
+    const fits = Number(issues[0]?.message.match(/at most (\d+)/)?.[1]);
+    return fits >= 2 && fits < 20 && issuesOf('finger-fit', jointedSquare(fits)).length === 0;
+})());
+
+test('passes fingers wider than the stock is thick', (() => {
+    return issuesOf('finger-fit', jointedSquare(4)).length === 0;
+})());
+
+// Sheet size
+
+const smallSheet = { sheetWidth: 100, sheetHeight: 50, margin: 5 };
+
+test('reports a part larger than the usable sheet area', (() => {
+    const issues = issuesOf('sheet-size', storeWith(rect('Rectangle 1', 0, 0, 95, 30)), smallSheet);
+    return issues.length === 1 && issues[0].shapeIds[0] === 'Rectangle 1' && issues[0].message.includes('90 mm × 40 mm');
+})());
+
+test('passes a part that fits inside the margins', (() => {
+    return issuesOf('sheet-size', storeWith(rect('Rectangle 1', 0, 0, 90, 40)), smallSheet).length === 0;
+})());
+
+test('passes a part that fits when turned, unless rotation is off', (() => {
+    const store = storeWith(rect('Rectangle 1', 0, 0, 30, 80));
+    return issuesOf('sheet-size', store, smallSheet).length === 0 &&
+        issuesOf('sheet-size', store, { ...smallSheet, rotation: 'none' }).length === 1;
+})());
+
+// Ordering
+
+test('lists errors before warnings', (() => {
+    const store = storeWith(rect('Rectangle 1', 0, 0, 40, 40), rect('Rectangle 2', 40, 0, 40, 40),
+        path('Path 1', [{ x: 100, y: 0 }, { x: 120, y: 0 }], false));
+    const issues = new DesignChecker().check(store);
+    return issues.length === 2 && issues[0].type === 'open-contour' && issues[1].type === 'overlap';
+})());
+
+console.log(`\nDesignChecker: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`DesignChecker: ${testCount - passCount} tests failed`);
+}
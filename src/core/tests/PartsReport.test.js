@@ -0,0 +1,135 @@
+/**
+ * PartsReport tests
+ */
+
+import { PartsReport } from '../PartsReport.js';
+import { SceneState } from '../SceneState.js';
+import { Circle } from '../../models/shapes/Circle.js';
+import { CompoundPathShape } from '../../models/shapes/CompoundPathShape.js';
+import { Rectangle } from '../../models/shapes/Rectangle.js';
+import { SceneSVGExporter } from '../../rendering/SceneSVGExporter.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+
+/**
+ * A scene holding the given shapes
+ * @param {Array<import('../../models/shapes/Shape.js').Shape>} shapes
+ * @returns {import('../ShapeStore.js').ShapeStore}
+ */
+const storeWith = (...shapes) => {
+    const { shapeStore } = new SceneState();
+    shapes.forEach(shape => shapeStore.add(shape));
+    return shapeStore;
+};
+
+const rect = (id, width, height, materialId = null) => {
+    const shape = new Rectangle(id, { x: 0, y: 0 }, 0, 0, width, height);
+    shape.materialId = materialId;
+    return shape;
+};
+
+const square = (x, y, side) => ({
+    points: [{ x, y }, { x: x + side, y }, { x: x + side, y: y + side }, { x, y: y + side }],
+    handles: null
+});
+
+// A 40 mm square with a 20 mm square hole
+const frame = (id) => new CompoundPathShape(id, { x: 0, y: 0 }, [square(0, 0, 40), square(10, 10, 20)]);
+
+console.log('PartsReport tests:\n');
+
+// Measurements
+
+test('subtracts holes from the part area', (() => {
+    const [part] = new PartsReport().build(storeWith(frame('Frame'))).parts;
+    return approx(part.area, 40 * 40 - 20 * 20) && approx(part.width, 40) && approx(part.height, 40);
+})());
+
+test('measures cut length as the sum of the path lengths', (() => {
+    const circle = new Circle('Circle 1', { x: 0, y: 0 }, 0, 0, 15);
+    const store = storeWith(frame('Frame'), circle);
+    const [framePart, circlePart] = new PartsReport().build(store).parts;
+    const pathLengths = SceneSVGExporter.shapeGeometry(circle, { joineryProvider: store })
+        .allPaths()
+        .reduce((sum, path) => sum + path.length(), 0);
+    return approx(framePart.cutLength, 4 * 40 + 4 * 20) && approx(circlePart.cutLength, pathLengths);
+})());
+
+test('totals the parts', (() => {
+    const { totals } = new PartsReport().build(storeWith(frame('Frame'), rect('Rectangle 1', 10, 20)));
+    return totals.count === 2 && approx(totals.area, 1200 + 200) && approx(totals.cutLength, 240 + 60);
+})());
+
+// Materials
+
+test('groups parts by material', (() => {
+    const store = storeWith(
+        rect('Rectangle 1', 10, 10, 'birch-ply-3'),
+        rect('Rectangle 2', 20, 10, 'mdf-6'),
+        rect('Rectangle 3', 10, 30, 'birch-ply-3'),
+        rect('Rectangle 4', 5, 5)
+    );
+    const { parts, materials } = new PartsReport().build(store);
+    const [birch, mdf, none] = materials;
+    return parts[1].material === '6mm MDF' && materials.length === 3 &&
+        birch.materialId === 'birch-ply-3' && birch.count === 2 && approx(birch.area, 100 + 300) &&
+        mdf.materialId === 'mdf-6' && mdf.count === 1 && approx(mdf.area, 200) &&
+        none.materialId === null && none.material === '' && none.count === 1;
+})());
+
+test('rounds sheet usage up to whole sheets', (() => {
+    // 100 × 100 mm usable: four 50 mm squares fill one sheet exactly, a fifth needs another.
+    const report = new PartsReport({ sheetWidth: 110, sheetHeight: 110, margin: 5, spacing: 0 });
+    const squares = (count) => Array.from({ length: count }, (_, i) => rect(`Rectangle ${i + 1}`, 50, 50));
+    const [full] = report.build(storeWith(...squares(4))).materials;
+    const [over] = report.build(storeWith(...squares(5))).materials;
+    return approx(full.sheetUsage, 1) && full.sheets === 1 && approx(over.sheetUsage, 1.25) && over.sheets === 2;
+})());
+
+test('counts the part spacing in the sheet usage', (() => {
+    const report = new PartsReport({ sheetWidth: 110, sheetHeight: 110, margin: 5, spacing: 10 });
+    const [totals] = report.build(storeWith(rect('Rectangle 1', 40, 40))).materials;
+    return approx(totals.sheetUsage, 0.25);
+})());
+
+// Output
+
+test('quotes CSV fields holding commas or quotes', (() => {
+    const reporter = new PartsReport();
+    const csv = reporter.toCSV(reporter.build(storeWith(rect('Side, "left"', 10, 20), rect('Plain', 10, 10))));
+    const lines = csv.split('\r\n');
+    return lines[0] === 'id,type,material,width_mm,height_mm,area_mm2,cut_length_mm' &&
+        lines[1] === '"Side, ""left""",rectangle,,10.00,20.00,200.00,60.00' &&
+        lines[2].startsWith('Plain,') &&
+        lines.includes('None,2,300.00,100.00,0.00,1') && lines.includes('Total,2,300.00,100.00,,') &&
+        csv.endsWith('\r\n');
+})());
+
+test('escapes HTML in ids, material names and the title', (() => {
+    const reporter = new PartsReport();
+    const store = storeWith(rect('<b>Top & "bottom"</b>', 10, 10, 'birch-ply-3'));
+    store.materialStore.update('birch-ply-3', { name: 'Ply <3mm>' });
+    const html = reporter.toHTML(reporter.build(store), 'Box <v2>');
+    return html.includes('<td>&lt;b&gt;Top &amp; &quot;bottom&quot;&lt;/b&gt;</td>') &&
+        html.includes('Ply &lt;3mm&gt;') && html.includes('<title>Box &lt;v2&gt;</title>') &&
+        !html.includes('<b>Top');
+})());
+
+console.log(`\nPartsReport: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`PartsReport: ${testCount - passCount} tests failed`);
+}
@@ -82,6 +82,11 @@ class EventBus {
      *     restored from a saved file.  Payload: the restored data object.
      * @property {string} SCENE_SAVED         The scene was serialised and
      *     written to persistent storage.  Payload: the saved data object.
+     * @property {string} FABRICATION_CHANGED The scene's fabrication
+     *     settings (e.g. export kerf) changed.  Payload: {@code {fabrication}}.
+     * @property {string} MATERIALS_CHANGED   A material was added to,
+     *     edited in, or removed from the scene's material library.
+     *     Payload: {@code {id, material}} ({@code material} is null on removal).
      *
      * ── Viewport events ──────────────────────────────────────────────────
      * @property {string} VIEWPORT_CHANGED    The user panned or zoomed the
@@ -105,6 +110,9 @@ class EventBus {
      *     changed.  Payload: {@code {edge, position}}.
      * @property {string} EDGE_JOINERY_CHANGED    Joinery metadata was set or
      *     updated for an edge.  Payload: {@code {edge, joinery}}.
+     * @property {string} CORNER_SELECTED         The set of selected corners
+     *     (anchors picked in edge mode for fillets and chamfers) changed.
+     *     Payload: {@code {corner, corners}}.
      * @property {string} SELECTION_MODE_CHANGED  The global selection mode
      *     toggled between 'shape' and 'edge'.  Payload: {@code {mode}}.
      *
@@ -134,6 +142,8 @@ class EventBus {
         TAB_CLOSED: 'TAB_CLOSED',
         SCENE_LOADED: 'SCENE_LOADED',
         SCENE_SAVED: 'SCENE_SAVED',
+        FABRICATION_CHANGED: 'FABRICATION_CHANGED',
+        MATERIALS_CHANGED: 'MATERIALS_CHANGED',
         VIEWPORT_CHANGED: 'VIEWPORT_CHANGED',
         // Node Graph events
         NODE_LINK_CREATED: 'NODE_LINK_CREATED',
@@ -145,6 +155,7 @@ class EventBus {
         EDGE_SELECTED: 'EDGE_SELECTED',
         EDGE_HOVERED: 'EDGE_HOVERED',
         EDGE_JOINERY_CHANGED: 'EDGE_JOINERY_CHANGED',
+        CORNER_SELECTED: 'CORNER_SELECTED',
         SELECTION_MODE_CHANGED: 'SELECTION_MODE_CHANGED',
         // Shape hover events
         SHAPE_HOVERED: 'SHAPE_HOVERED',
@@ -7,6 +7,7 @@
 import { BoundingBox } from './BoundingBox.js';
 import { DEFAULT_TOLERANCE } from './constants.js';
 import { Geometry } from './Geometry.js';
+import { areaOfGeometry, centroidOfGeometry, perimeterOfGeometry, secondMomentsOfGeometry } from './measure.js';
 import { Path } from './Path.js';
 import { Shape } from './Shape.js';
 import { Fill, Stroke } from './Style.js';
@@ -334,6 +335,56 @@ export class Group extends Geometry {
         return this;
     }
 
+    // =========================================================================
+    // Offset
+    // =========================================================================
+
+    /**
+     * Offset each item on its own (see Path.offset and Shape.offset).
+     * @param {number} distance
+     * @param {import('./offset.js').OffsetOptions} [options]
+     * @returns {Group}
+     */
+    offset(distance, options) {
+        return new Group(this.items.map((item) => item.offset?.(distance, options) ?? item.clone()));
+    }
+
+    // =========================================================================
+    // Measurement
+    // =========================================================================
+
+    /**
+     * Sum of the items' areas. Items that overlap are counted twice.
+     * @returns {number}
+     */
+    area() {
+        return areaOfGeometry(this);
+    }
+
+    /**
+     * Total length of every path in the group.
+     * @returns {number}
+     */
+    perimeter() {
+        return perimeterOfGeometry(this);
+    }
+
+    /**
+     * Centre of the items' combined area.
+     * @returns {Vec|undefined}
+     */
+    centroid() {
+        return centroidOfGeometry(this);
+    }
+
+    /**
+     * Second moments of the items' combined area about its centroid.
+     * @returns {import('./measure.js').SecondMoments}
+     */
+    secondMoments() {
+        return secondMomentsOfGeometry(this);
+    }
+
     // =========================================================================
     // Static Methods
     // =========================================================================
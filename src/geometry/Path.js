@@ -26,6 +26,9 @@ import { pairs, rotateArray } from './util.js';
 import { Vec } from './Vec.js';
 import { pathOrShapeToSVGString } from './svg.js';
 import { computeTightBoundingBox, getPathKit } from './pathkit.js';
+import { offsetGeometry, offsetPath } from './offset.js';
+import { pathIntersections, pathSelfIntersections } from './intersections.js';
+import { areaOfGeometry, centroidOfGeometry, perimeterOfGeometry, secondMomentsOfGeometry } from './measure.js';
 
 /**
  * Path class representing a series of anchors with optional curves.
@@ -496,6 +499,44 @@ export class Path extends Geometry {
         return length;
     }
 
+    // =========================================================================
+    // Measurement
+    // =========================================================================
+
+    /**
+     * Area enclosed by the path, positive whichever way it runs.
+     * Open paths enclose no area.
+     * @returns {number}
+     */
+    area() {
+        return areaOfGeometry(this);
+    }
+
+    /**
+     * Length of the path, with curves measured by quadrature (see
+     * perimeterOfGeometry). More accurate than length() on curves.
+     * @returns {number}
+     */
+    perimeter() {
+        return perimeterOfGeometry(this);
+    }
+
+    /**
+     * Centre of the enclosed area, or of the path's length if it encloses none.
+     * @returns {Vec|undefined}
+     */
+    centroid() {
+        return centroidOfGeometry(this);
+    }
+
+    /**
+     * Second moments of the enclosed area about its centroid.
+     * @returns {import('./measure.js').SecondMoments}
+     */
+    secondMoments() {
+        return secondMomentsOfGeometry(this);
+    }
+
     // =========================================================================
     // Time-based Operations
     // =========================================================================
@@ -768,6 +809,9 @@ export class Path extends Geometry {
                 newAnchors.push(new Anchor(point));
             }
         }
+        if (!this.closed && this.anchors.length > 0) {
+            newAnchors.push(new Anchor(this.anchors[this.anchors.length - 1].position.clone()));
+        }
         this.anchors = newAnchors;
         return this;
     }
@@ -826,6 +870,46 @@ export class Path extends Geometry {
         return closestResult;
     }
 
+    // =========================================================================
+    // Intersections
+    // =========================================================================
+
+    /**
+     * Find where this path crosses or touches another (see pathIntersections).
+     * Times are path times: segment index plus the time along that segment.
+     * @param {Path} other
+     * @returns {import('./intersections.js').PathIntersection[]} Sorted by time on this path
+     */
+    intersections(other) {
+        return pathIntersections(this, other);
+    }
+
+    /**
+     * Find where this path crosses or touches itself, including loops
+     * within a single curved segment (see pathSelfIntersections).
+     * @returns {import('./intersections.js').PathIntersection[]} Each crossing once, time1 < time2
+     */
+    selfIntersections() {
+        return pathSelfIntersections(this);
+    }
+
+    // =========================================================================
+    // Offset
+    // =========================================================================
+
+    /**
+     * Offset by a fixed distance. Closed paths grow for positive distances
+     * and shrink for negative ones, with self-intersections removed, so an
+     * inset that pinches the path in two comes back as a Shape. Open paths
+     * move to one side (see offsetPath).
+     * @param {number} distance
+     * @param {import('./offset.js').OffsetOptions} [options]
+     * @returns {Path|import('./Shape.js').Shape}
+     */
+    offset(distance, options) {
+        return this.closed ? offsetGeometry(this, distance, options) : offsetPath(this, distance, options);
+    }
+
     // =========================================================================
     // Static Methods
     // =========================================================================
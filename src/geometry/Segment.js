@@ -489,13 +489,35 @@ export const cubicCubicIntersections = (cubic1, cubic2) => {
 };
 
 /**
- * Find self-intersections in a cubic bezier.
+ * Find the self-intersection of a cubic bezier, where it loops over itself.
+ *
+ * Written in power form, B(t) = a·t³ + b·t² + c·t + d, two times s and t
+ * meet where a·(s² + st + t²) + b·(s + t) + c = 0. In terms of the sum
+ * u = s + t and product v = st that is a·(u² - v) + b·u + c = 0; crossing
+ * with a eliminates u² - v and gives u, dotting with a then gives v, and
+ * s and t are the roots of z² - u·z + v.
  * @param {Cubic} cubic
- * @returns {PrimitiveIntersectionResult[]}
+ * @returns {PrimitiveIntersectionResult[]} At most one crossing, time1 < time2
  */
 export const cubicSelfIntersections = ([a1, a2, a3, a4]) => {
-    // TODO: Implement cubic self-intersection detection
-    return [];
+    const a = a4.clone().sub(a1).add(a2.clone().sub(a3).mulScalar(3));
+    const b = a1.clone().sub(a2.clone().mulScalar(2)).add(a3).mulScalar(3);
+    const c = a2.clone().sub(a1).mulScalar(3);
+
+    const aCrossB = a.cross(b);
+    const aLengthSquared = a.dot(a);
+    if (Math.abs(aCrossB) < 1e-12 || aLengthSquared < 1e-12) return [];
+
+    const u = -a.cross(c) / aCrossB;
+    const v = u * u + (a.dot(b) * u + a.dot(c)) / aLengthSquared;
+    const discriminant = u * u - 4 * v;
+    if (discriminant <= 0) return [];
+
+    const root = Math.sqrt(discriminant);
+    const time1 = (u - root) / 2;
+    const time2 = (u + root) / 2;
+    if (time1 < 0 || time2 > 1) return [];
+    return [{ time1, time2 }];
 };
 
 // =============================================================================
@@ -2,16 +2,19 @@
  * Geometry Library - Shape
  *
  * Multi-path shape with boolean operations support.
- * Note: Boolean operations require PathKit (not yet implemented).
+ * Boolean operations use PathKit when it is loaded and boolean.js otherwise.
  */
 
 import { Anchor } from './Anchor.js';
+import { difference, intersection, union } from './boolean.js';
 import { BoundingBox } from './BoundingBox.js';
 import { Geometry } from './Geometry.js';
 import { Group } from './Group.js';
 import { Path } from './Path.js';
 import { Fill, Stroke } from './Style.js';
 import { Vec } from './Vec.js';
+import { areaOfGeometry, centroidOfGeometry, perimeterOfGeometry, secondMomentsOfGeometry } from './measure.js';
+import { offsetGeometry } from './offset.js';
 import { pathOrShapeToSVGString } from './svg.js';
 import {
     computeTightBoundingBox,
@@ -353,6 +356,58 @@ export class Shape extends Geometry {
         return this;
     }
 
+    // =========================================================================
+    // Offset
+    // =========================================================================
+
+    /**
+     * Offset the shape's region: outlines move outward for positive
+     * distances and holes inward. Contours that collapse are dropped and
+     * contours that run into each other merge. Open paths are kept as is.
+     * @param {number} distance
+     * @param {import('./offset.js').OffsetOptions} [options]
+     * @returns {Shape}
+     */
+    offset(distance, options) {
+        return offsetGeometry(this, distance, options);
+    }
+
+    // =========================================================================
+    // Measurement
+    // =========================================================================
+
+    /**
+     * Area of the shape's region: outlines minus the holes inside them.
+     * @returns {number}
+     */
+    area() {
+        return areaOfGeometry(this);
+    }
+
+    /**
+     * Total length of all the shape's paths, holes included.
+     * @returns {number}
+     */
+    perimeter() {
+        return perimeterOfGeometry(this);
+    }
+
+    /**
+     * Centre of the shape's region, holes taken into account.
+     * @returns {Vec|undefined}
+     */
+    centroid() {
+        return centroidOfGeometry(this);
+    }
+
+    /**
+     * Second moments of the shape's region about its centroid.
+     * @returns {import('./measure.js').SecondMoments}
+     */
+    secondMoments() {
+        return secondMomentsOfGeometry(this);
+    }
+
     // =========================================================================
     // Static Methods
     // =========================================================================
@@ -368,7 +423,8 @@ export class Shape extends Geometry {
 
     /**
      * Create shape from SVG path string.
-     * Note: Requires PathKit for full support. Basic implementation.
+     * Without PathKit the path data is parsed directly: all commands are
+     * supported, and quadratics and arcs are converted to cubics.
      * @param {string} svgPathString
      * @returns {Shape}
      */
@@ -378,63 +434,14 @@ export class Shape extends Geometry {
             const pkPath = pkPathFromSVGPathString(svgPathString);
             return fromPkPath(pkPath, true);
         }
-        // Fallback: basic SVG path parsing (limited)
-        const paths = [];
-        const commands = svgPathString.match(/[MLCQAHVZS][^MLCQAHVZS]*/gi) || [];
-
-        let currentPath = null;
-        let currentX = 0;
-        let currentY = 0;
-        let startX = 0;
-        let startY = 0;
-
-        for (const cmd of commands) {
-            const type = cmd[0].toUpperCase();
-            const isRelative = cmd[0] === cmd[0].toLowerCase();
-            const args = cmd.slice(1).trim().split(/[\s,]+/).map(Number).filter(n => !isNaN(n));
-
-            switch (type) {
-                case 'M':
-                    if (currentPath && currentPath.anchors.length > 0) {
-                        paths.push(currentPath);
-                    }
-                    currentPath = new Path([]);
-                    currentX = isRelative ? currentX + args[0] : args[0];
-                    currentY = isRelative ? currentY + args[1] : args[1];
-                    startX = currentX;
-                    startY = currentY;
-                    currentPath.anchors.push(new Anchor(new Vec(currentX, currentY)));
-                    break;
-                case 'L':
-                    currentX = isRelative ? currentX + args[0] : args[0];
-                    currentY = isRelative ? currentY + args[1] : args[1];
-                    if (currentPath) {
-                        currentPath.anchors.push(new Anchor(new Vec(currentX, currentY)));
-                    }
-                    break;
-                case 'Z':
-                    if (currentPath) {
-                        currentPath.closed = true;
-                        paths.push(currentPath);
-                        currentPath = null;
-                    }
-                    currentX = startX;
-                    currentY = startY;
-                    break;
-                // TODO: Add C, Q, A, H, V, S support (requires PathKit for full support)
-            }
-        }
-
-        if (currentPath && currentPath.anchors.length > 0) {
-            paths.push(currentPath);
-        }
-
-        return new Shape(paths);
+        // Fallback: parse path data directly (no boolean cleanup)
+        return new Shape(pathsFromSVGPathData(svgPathString));
     }
 
     /**
      * Boolean union of geometries.
-     * Note: Requires PathKit. Stub implementation.
+     * Uses PathKit when it is loaded, otherwise the native `union`
+     * (boolean.js), which only supports the even-odd fill rule.
      * @param {Geometry[]} items
      * @param {'evenodd'|'winding'} [fillRule='evenodd']
      * @returns {Shape}
@@ -442,9 +449,7 @@ export class Shape extends Geometry {
     static booleanUnion(items, fillRule = 'evenodd') {
         const pk = getPathKit();
         if (!pk) {
-            console.warn('Shape.booleanUnion requires PathKit - returning combined paths');
-            const paths = items.flatMap((item) => item.allPaths().map(p => p.clone()));
-            return new Shape(paths);
+            return union(items);
         }
         const unionItems = items.flatMap((item) => item.allShapesAndOrphanedPaths());
         const fillType = fillRule === 'winding' ? pk.FillType.WINDING : pk.FillType.EVENODD;
@@ -459,15 +464,14 @@ export class Shape extends Geometry {
 
     /**
      * Boolean intersection of geometries.
-     * Note: Requires PathKit. Stub implementation.
+     * Uses PathKit when it is loaded, otherwise the native `intersection`.
      * @param {Geometry[]} items
      * @returns {Shape}
      */
     static booleanIntersect(items) {
         const pk = getPathKit();
         if (!pk) {
-            console.warn('Shape.booleanIntersect requires PathKit - not implemented');
-            return new Shape();
+            return intersection(items);
         }
         const pkPaths = preUnion(items);
         let resultPkPath = null;
@@ -485,15 +489,14 @@ export class Shape extends Geometry {
 
     /**
      * Boolean difference of geometries.
-     * Note: Requires PathKit. Stub implementation.
+     * Uses PathKit when it is loaded, otherwise the native `difference`.
      * @param {Geometry[]} items
      * @returns {Shape}
      */
     static booleanDifference(items) {
         const pk = getPathKit();
         if (!pk) {
-            console.warn('Shape.booleanDifference requires PathKit - not implemented');
-            return new Shape();
+            return difference(items);
         }
         const pkPaths = preUnion(items);
         let resultPkPath = null;
@@ -539,6 +542,254 @@ export class Shape extends Geometry {
     }
 }
 
+/**
+ * Parse SVG path data into paths. Quadratic curves and elliptical arcs are
+ * converted to cubic bezier handles.
+ * @param {string} d - SVG path data
+ * @returns {Path[]}
+ */
+const pathsFromSVGPathData = (d) => {
+    const paths = [];
+    const tokens = d.match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/gi) || [];
+
+    let index = 0;
+    let command = null;
+    let currentPath = null;
+    let current = new Vec();
+    let start = new Vec();
+    let lastControl = null; // Reflection point for S/T
+    let lastCommand = null;
+
+    const isCommand = (token) => /^[a-df-z]$/i.test(token);
+    const nextNumber = () => parseFloat(tokens[index++]);
+    // Arc flags may be written without separators ("a5 5 0 0110 10").
+    const nextFlag = () => {
+        const token = tokens[index];
+        if (token.length > 1 && (token[0] === '0' || token[0] === '1')) {
+            tokens[index] = token.slice(1);
+            return token[0] === '1';
+        }
+        index++;
+        return parseFloat(token) !== 0;
+    };
+
+    const ensurePath = () => {
+        if (!currentPath) {
+            currentPath = new Path([new Anchor(start.clone())]);
+            paths.push(currentPath);
+        }
+    };
+    const lineTo = (point) => {
+        ensurePath();
+        currentPath.anchors.push(new Anchor(point.clone()));
+        current = point;
+    };
+    const cubicTo = (c1, c2, point) => {
+        ensurePath();
+        const last = currentPath.anchors[currentPath.anchors.length - 1];
+        last.handleOut = c1.clone().sub(last.position);
+        currentPath.anchors.push(new Anchor(point.clone(), c2.clone().sub(point)));
+        current = point;
+    };
+    const closePath = () => {
+        if (currentPath) {
+            const anchors = currentPath.anchors;
+            const first = anchors[0];
+            const last = anchors[anchors.length - 1];
+            if (anchors.length > 1 && last.position.equalsWithinTolerance(first.position, 1e-9)) {
+                first.handleIn = last.handleIn;
+                anchors.pop();
+            }
+            currentPath.closed = true;
+            currentPath = null;
+        }
+        current = start.clone();
+    };
+
+    while (index < tokens.length) {
+        if (isCommand(tokens[index])) {
+            command = tokens[index++];
+        } else if (command === null) {
+            break;
+        }
+
+        const type = command.toUpperCase();
+        const relative = command !== type;
+        const ox = relative ? current.x : 0;
+        const oy = relative ? current.y : 0;
+
+        if (type === 'Z') {
+            closePath();
+            command = null;
+            lastControl = null;
+            lastCommand = type;
+            continue;
+        }
+
+        if (index >= tokens.length || isCommand(tokens[index])) {
+            continue;
+        }
+
+        switch (type) {
+            case 'M': {
+                const point = new Vec(ox + nextNumber(), oy + nextNumber());
+                currentPath = new Path([new Anchor(point.clone())]);
+                paths.push(currentPath);
+                current = point;
+                start = point.clone();
+                // Subsequent coordinate pairs are implicit line-tos.
+                command = relative ? 'l' : 'L';
+                break;
+            }
+            case 'L':
+                lineTo(new Vec(ox + nextNumber(), oy + nextNumber()));
+                break;
+            case 'H':
+                lineTo(new Vec(ox + nextNumber(), current.y));
+                break;
+            case 'V':
+                lineTo(new Vec(current.x, oy + nextNumber()));
+                break;
+            case 'C': {
+                const c1 = new Vec(ox + nextNumber(), oy + nextNumber());
+                const c2 = new Vec(ox + nextNumber(), oy + nextNumber());
+                const point = new Vec(ox + nextNumber(), oy + nextNumber());
+                cubicTo(c1, c2, point);
+                lastControl = c2;
+                break;
+            }
+            case 'S': {
+                const c1 = lastControl && (lastCommand === 'C' || lastCommand === 'S')
+                    ? current.clone().mulScalar(2).sub(lastControl)
+                    : current.clone();
+                const c2 = new Vec(ox + nextNumber(), oy + nextNumber());
+                const point = new Vec(ox + nextNumber(), oy + nextNumber());
+                cubicTo(c1, c2, point);
+                lastControl = c2;
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const q = type === 'Q'
+                    ? new Vec(ox + nextNumber(), oy + nextNumber())
+                    : (lastControl && (lastCommand === 'Q' || lastCommand === 'T')
+                        ? current.clone().mulScalar(2).sub(lastControl)
+                        : current.clone());
+                const point = new Vec(ox + nextNumber(), oy + nextNumber());
+                const c1 = Vec.mix(current, q, 2 / 3);
+                const c2 = Vec.mix(point, q, 2 / 3);
+                cubicTo(c1, c2, point);
+                lastControl = q;
+                break;
+            }
+            case 'A': {
+                const rx = Math.abs(nextNumber());
+                const ry = Math.abs(nextNumber());
+                const rotation = nextNumber();
+                const largeArc = nextFlag();
+                const sweep = nextFlag();
+                const point = new Vec(ox + nextNumber(), oy + nextNumber());
+                const cubics = cubicsFromSVGArc(current, rx, ry, rotation, largeArc, sweep, point);
+                if (cubics.length === 0) {
+                    lineTo(point);
+                } else {
+                    cubics.forEach(([c1, c2, p]) => cubicTo(c1, c2, p));
+                }
+                lastControl = null;
+                break;
+            }
+            default:
+                index++;
+        }
+        lastCommand = type;
+        if (type !== 'C' && type !== 'S' && type !== 'Q' && type !== 'T') {
+            lastControl = null;
+        }
+    }
+
+    return paths.filter((path) => path.anchors.length > 0);
+};
+
+/**
+ * Convert an SVG elliptical arc (endpoint parameterization) into cubics of
+ * at most 90 degrees each.
+ * @param {Vec} from
+ * @param {number} rx
+ * @param {number} ry
+ * @param {number} rotation - x-axis rotation in degrees
+ * @param {boolean} largeArc
+ * @param {boolean} sweep
+ * @param {Vec} to
+ * @returns {Array<[Vec, Vec, Vec]>} Control point 1, control point 2, end point
+ */
+const cubicsFromSVGArc = (from, rx, ry, rotation, largeArc, sweep, to) => {
+    if (rx === 0 || ry === 0 || from.equals(to)) return [];
+
+    const phi = (rotation * Math.PI) / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+
+    // Step 1: transform to the ellipse's local frame.
+    const dx = (from.x - to.x) / 2;
+    const dy = (from.y - to.y) / 2;
+    const x1 = cosPhi * dx + sinPhi * dy;
+    const y1 = -sinPhi * dx + cosPhi * dy;
+
+    // Step 2: scale radii up if they cannot span the endpoints.
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    // Step 3: center in the local frame.
+    const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let coef = Math.sqrt(Math.max(0, num / den));
+    if (largeArc === sweep) coef = -coef;
+    const cx1 = (coef * rx * y1) / ry;
+    const cy1 = (-coef * ry * x1) / rx;
+
+    const cx = cosPhi * cx1 - sinPhi * cy1 + (from.x + to.x) / 2;
+    const cy = sinPhi * cx1 + cosPhi * cy1 + (from.y + to.y) / 2;
+
+    // Step 4: start angle and sweep.
+    const angle = (ux, uy, vx, vy) => {
+        const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+        const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+        return sign * Math.acos(Math.max(-1, Math.min(1, dot)));
+    };
+    const theta1 = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    // Step 5: split into segments and approximate each with a cubic.
+    const count = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9);
+    const step = delta / count;
+    const k = (4 / 3) * Math.tan(step / 4);
+    const pointAt = (theta) => new Vec(
+        cx + rx * Math.cos(theta) * cosPhi - ry * Math.sin(theta) * sinPhi,
+        cy + rx * Math.cos(theta) * sinPhi + ry * Math.sin(theta) * cosPhi
+    );
+    const derivativeAt = (theta) => new Vec(
+        -rx * Math.sin(theta) * cosPhi - ry * Math.cos(theta) * sinPhi,
+        -rx * Math.sin(theta) * sinPhi + ry * Math.cos(theta) * cosPhi
+    );
+
+    const cubics = [];
+    for (let i = 0; i < count; i++) {
+        const t1 = theta1 + step * i;
+        const t2 = t1 + step;
+        const p1 = pointAt(t1);
+        const p2 = i === count - 1 ? to.clone() : pointAt(t2);
+        const c1 = p1.clone().add(derivativeAt(t1).mulScalar(k));
+        const c2 = p2.clone().sub(derivativeAt(t2).mulScalar(k));
+        cubics.push([c1, c2, p2]);
+    }
+    return cubics;
+};
+
 /**
  * Pre-union helper for boolean operations.
  * @param {Geometry[]} items
@@ -0,0 +1,401 @@
+/**
+ * Geometry Library - Boolean Operations
+ *
+ * Union, difference, intersection and xor of regions without PathKit.
+ * Each operand is the area its closed paths enclose under the even-odd
+ * rule (open paths have no inside and are ignored); a Group covers the
+ * area of any of its items.
+ *
+ * The operands' contours are split wherever they cross themselves or each
+ * other, and every piece is tested just beside its midpoint on both sides:
+ * it bounds the result when the result lies on exactly one side. Kept
+ * pieces are chained into closed contours. Pieces are trimmed from the
+ * original lines and cubics, so curves stay curves.
+ *
+ * Results are Shapes whose outlines have positive area (see
+ * signedAreaOfPath) and whose holes have negative area.
+ */
+
+import { Anchor } from './Anchor.js';
+import { pointOnCubicAtTime } from './bezier.js';
+import { DEFAULT_TOLERANCE } from './constants.js';
+import { signedAreaOfPath } from './contour.js';
+import { Path } from './Path.js';
+import { cubicByTrimmingCubic, cubicFromSegment, isSegmentLinear, primitivePrimitiveIntersections } from './Segment.js';
+import { Shape } from './Shape.js';
+import { pairs } from './util.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} BooleanOptions
+ * @property {number} [tolerance=DEFAULT_TOLERANCE] Distance beside a piece at
+ *   which the region is tested, and gap up to which pieces are joined.
+ *   Features thinner than this may be lost.
+ */
+
+/** Curve parameters this close to an end are not split at. */
+const SPLIT_TIME_EPSILON = 1e-6;
+
+/** Bisection steps when solving for a ray crossing on a cubic. */
+const CROSSING_ITERATIONS = 40;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Control point bounds of a line or cubic.
+ * @param {Vec[]} curve
+ * @returns {{min: Vec, max: Vec}}
+ */
+const curveBounds = (curve) => ({
+    min: curve.reduce((min, p) => min.min(p), curve[0].clone()),
+    max: curve.reduce((max, p) => max.max(p), curve[0].clone())
+});
+
+/**
+ * Lines and cubics of a path's segments, skipping zero-length lines.
+ * @param {Path} path
+ * @returns {Vec[][]}
+ */
+const curvesOfPath = (path) => pairs(path.anchors, path.closed).flatMap((segment) => {
+    const cubic = cubicFromSegment(segment);
+    if (!isSegmentLinear(segment)) return [cubic];
+    return cubic[0].distance(cubic[3]) < 1e-12 ? [] : [[cubic[0], cubic[3]]];
+});
+
+/**
+ * Closed paths of an item, the ones that enclose area.
+ * @param {import('./Geometry.js').Geometry} item
+ * @returns {Path[]}
+ */
+const closedPathsOf = (item) => item.allPaths().filter((path) => path.closed && path.anchors.length > 1);
+
+/**
+ * Reverse a line or cubic.
+ * @param {Vec[]} curve
+ * @returns {Vec[]}
+ */
+const reverseCurve = (curve) => [...curve].reverse();
+
+/**
+ * Point beside the middle of a line or cubic, `distance` along its tangent
+ * rotated 90°.
+ * @param {Vec[]} curve
+ * @param {number} distance
+ * @returns {Vec}
+ */
+const pointBesideCurve = (curve, distance) => {
+    if (curve.length === 2) {
+        const tangent = Vec.sub(curve[1], curve[0]).normalize();
+        return Vec.mix(curve[0], curve[1], 0.5).add(tangent.rotate90().mulScalar(distance));
+    }
+    const [p0, p1, p2, p3] = curve;
+    let tangent = Vec.add(p3, p2).sub(p1).sub(p0);
+    if (tangent.length() < 1e-12) tangent = Vec.sub(p3, p0);
+    return pointOnCubicAtTime(new Vec(), curve, 0.5).add(tangent.normalize().rotate90().mulScalar(distance));
+};
+
+/**
+ * Parameters in (0, 1) where a cubic's y coordinate turns.
+ * @param {Vec[]} cubic
+ * @returns {number[]}
+ */
+const cubicYExtremaTimes = ([p0, p1, p2, p3]) => {
+    const a = p3.y - 3 * p2.y + 3 * p1.y - p0.y;
+    const b = 2 * (p2.y - 2 * p1.y + p0.y);
+    const c = p1.y - p0.y;
+    let roots;
+    if (Math.abs(a) < 1e-12) {
+        roots = Math.abs(b) < 1e-12 ? [] : [-c / b];
+    } else {
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return [];
+        const root = Math.sqrt(discriminant);
+        roots = [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+    }
+    return roots.filter((t) => t > 0 && t < 1).sort((x, y) => x - y);
+};
+
+/**
+ * Parameters where two lines overlap along the same line, so that shared
+ * stretches become identical pieces.
+ * @param {Vec[]} line1
+ * @param {Vec[]} line2
+ * @param {number} tolerance
+ * @returns {{times1: number[], times2: number[]}}
+ */
+const collinearOverlapTimes = ([a0, a1], [b0, b1], tolerance) => {
+    const da = Vec.sub(a1, a0);
+    const db = Vec.sub(b1, b0);
+    const none = { times1: [], times2: [] };
+    if (Math.abs(da.cross(db)) > 1e-9 * da.length() * db.length()) return none;
+    if (Math.abs(Vec.sub(b0, a0).cross(da)) / da.length() > tolerance) return none;
+    const project = (p, origin, direction) => Vec.sub(p, origin).dot(direction) / direction.lengthSquared();
+    return {
+        times1: [project(b0, a0, da), project(b1, a0, da)],
+        times2: [project(a0, b0, db), project(a1, b0, db)]
+    };
+};
+
+/**
+ * Build a closed path from lines and cubics that follow on from each other.
+ * Consecutive lines along the same straight edge are merged.
+ * @param {Vec[][]} curves
+ * @returns {Path}
+ */
+const pathFromCurves = (curves) => {
+    const anchors = [];
+    curves.forEach((curve) => {
+        const start = curve[0];
+        const last = anchors[anchors.length - 1];
+        if (!last || last.position.distance(start) > 1e-9) anchors.push(new Anchor(start.clone()));
+        const end = curve[curve.length - 1];
+        if (curve.length === 4) {
+            anchors[anchors.length - 1].handleOut = Vec.sub(curve[1], start);
+            anchors.push(new Anchor(end.clone(), Vec.sub(curve[2], end)));
+        } else {
+            anchors.push(new Anchor(end.clone()));
+        }
+    });
+    if (anchors.length > 1 && anchors[0].position.distance(anchors[anchors.length - 1].position) < 1e-9) {
+        anchors[0].handleIn = anchors.pop().handleIn;
+    }
+
+    const isStraightThrough = (previous, anchor, next) => anchor.handleIn.isZero() && anchor.handleOut.isZero() &&
+        previous.handleOut.isZero() && next.handleIn.isZero() &&
+        Math.abs(Vec.sub(anchor.position, previous.position).cross(Vec.sub(next.position, anchor.position))) < 1e-9 &&
+        Vec.sub(anchor.position, previous.position).dot(Vec.sub(next.position, anchor.position)) > 0;
+    for (let i = anchors.length - 1; i >= 0 && anchors.length > 3; i--) {
+        const previous = anchors[(i - 1 + anchors.length) % anchors.length];
+        const next = anchors[(i + 1) % anchors.length];
+        if (isStraightThrough(previous, anchors[i], next)) anchors.splice(i, 1);
+    }
+    return new Path(anchors, true);
+};
+
+// =============================================================================
+// Regions
+// =============================================================================
+
+/**
+ * Winding number of closed paths, counted exactly on lines and cubics.
+ * Positive inside paths with positive area.
+ *
+ * ```javascript
+ * const winding = windingNumberOfPaths(shape.paths);
+ * const inside = winding(point) % 2 !== 0; // even-odd rule
+ * ```
+ *
+ * @param {Path[]} paths
+ * @returns {(point: Vec) => number}
+ */
+export const windingNumberOfPaths = (paths) => {
+    // Split every curve where its y turns, so each piece crosses a
+    // horizontal ray at most once.
+    const monotonic = [];
+    paths.forEach((path) => curvesOfPath(path).forEach((curve) => {
+        if (curve.length === 2) {
+            if (curve[0].y !== curve[1].y) monotonic.push({ curve, from: 0, to: 1 });
+            return;
+        }
+        const times = [0, ...cubicYExtremaTimes(curve), 1];
+        for (let i = 0; i < times.length - 1; i++) {
+            monotonic.push({ curve, from: times[i], to: times[i + 1] });
+        }
+    }));
+    const pointAt = (curve, t) => (curve.length === 2 ? Vec.mix(curve[0], curve[1], t) : pointOnCubicAtTime(new Vec(), curve, t));
+    const pieces = monotonic.map(({ curve, from, to }) => {
+        const start = pointAt(curve, from);
+        const end = pointAt(curve, to);
+        const bounds = curveBounds(curve.length === 2 ? curve : cubicByTrimmingCubic(curve, from, to));
+        return { curve, from, to, start, end, bounds };
+    }).filter(({ start, end }) => start.y !== end.y);
+
+    return (point) => {
+        let winding = 0;
+        for (const { curve, from, to, start, end, bounds } of pieces) {
+            const upward = start.y < end.y;
+            const [low, high] = upward ? [start.y, end.y] : [end.y, start.y];
+            // Half-open in y, so a ray through a vertex counts once.
+            if (point.y < low || point.y >= high || point.x >= bounds.max.x) continue;
+
+            let crossingX;
+            if (curve.length === 2) {
+                crossingX = start.x + ((point.y - start.y) / (end.y - start.y)) * (end.x - start.x);
+            } else if (point.x < bounds.min.x) {
+                crossingX = Infinity;
+            } else {
+                let a = from;
+                let b = to;
+                for (let i = 0; i < CROSSING_ITERATIONS; i++) {
+                    const t = (a + b) / 2;
+                    const below = pointAt(curve, t).y < point.y;
+                    if (below === upward) a = t;
+                    else b = t;
+                }
+                crossingX = pointAt(curve, (a + b) / 2).x;
+            }
+            if (crossingX > point.x) winding += upward ? 1 : -1;
+        }
+        return winding;
+    };
+};
+
+/**
+ * Trace the boundary of a region out of closed contours that contain it:
+ * split the contours where they cross, keep the pieces with the region on
+ * exactly one side (turned so the region is on the side of Vec.rotate90)
+ * and chain them into closed contours. Stretches shared by several
+ * contours are kept once.
+ * @param {Path[]} contours - Closed paths the region's boundary runs along
+ * @param {(point: Vec) => boolean} isInside - Whether a point is in the region
+ * @param {number} [tolerance=DEFAULT_TOLERANCE] - See BooleanOptions
+ * @returns {Path[]} Outlines with positive area, holes with negative area
+ */
+export const contoursOfRegion = (contours, isInside, tolerance = DEFAULT_TOLERANCE) => {
+    const primitives = contours.flatMap((path) => curvesOfPath(path))
+        .map((curve) => ({ curve, bounds: curveBounds(curve), times: [] }));
+
+    const addTime = (primitive, t) => {
+        if (t > SPLIT_TIME_EPSILON && t < 1 - SPLIT_TIME_EPSILON) primitive.times.push(t);
+    };
+    for (let i = 0; i < primitives.length; i++) {
+        const a = primitives[i];
+        for (let j = i + 1; j < primitives.length; j++) {
+            const b = primitives[j];
+            if (a.bounds.max.x + tolerance < b.bounds.min.x || b.bounds.max.x + tolerance < a.bounds.min.x ||
+                a.bounds.max.y + tolerance < b.bounds.min.y || b.bounds.max.y + tolerance < a.bounds.min.y) continue;
+            for (const { time1, time2 } of primitivePrimitiveIntersections(a.curve, b.curve)) {
+                addTime(a, time1);
+                addTime(b, time2);
+            }
+            if (a.curve.length === 2 && b.curve.length === 2) {
+                const { times1, times2 } = collinearOverlapTimes(a.curve, b.curve, tolerance);
+                times1.forEach((t) => addTime(a, t));
+                times2.forEach((t) => addTime(b, t));
+            }
+        }
+    }
+
+    // Split into pieces and keep the ones on the region's edge, region to the left.
+    const pieces = [];
+    primitives.forEach(({ curve, times }) => {
+        const cuts = [0, ...times.sort((x, y) => x - y), 1];
+        for (let k = 0; k < cuts.length - 1; k++) {
+            if (cuts[k + 1] - cuts[k] < SPLIT_TIME_EPSILON) continue;
+            let piece = curve.length === 4
+                ? cubicByTrimmingCubic(curve, cuts[k], cuts[k + 1]).map((p) => p.clone())
+                : [Vec.mix(curve[0], curve[1], cuts[k]), Vec.mix(curve[0], curve[1], cuts[k + 1])];
+            if (piece[0].distance(piece[piece.length - 1]) < 1e-12 && piece.length === 2) continue;
+            const left = isInside(pointBesideCurve(piece, tolerance));
+            const right = isInside(pointBesideCurve(piece, -tolerance));
+            if (left === right) continue;
+            if (right) piece = reverseCurve(piece);
+            const duplicate = pieces.some((other) => other.length === piece.length &&
+                other.every((p, n) => p.distance(piece[n]) <= tolerance));
+            if (!duplicate) pieces.push(piece);
+        }
+    });
+
+    // Chain pieces end to start into closed contours.
+    const used = new Uint8Array(pieces.length);
+    const nearestStart = (point) => {
+        let best = -1;
+        let bestDistance = Infinity;
+        pieces.forEach((piece, i) => {
+            if (used[i]) return;
+            const d = piece[0].distance(point);
+            if (d < bestDistance) {
+                best = i;
+                bestDistance = d;
+            }
+        });
+        return { index: best, distance: bestDistance };
+    };
+    const result = [];
+    for (let first = 0; first < pieces.length; first++) {
+        if (used[first]) continue;
+        used[first] = 1;
+        const chain = [pieces[first]];
+        for (;;) {
+            const end = chain[chain.length - 1][chain[chain.length - 1].length - 1];
+            const next = nearestStart(end);
+            if (next.index < 0 || next.distance > tolerance || next.distance >= end.distance(chain[0][0])) break;
+            used[next.index] = 1;
+            pieces[next.index][0] = end.clone();
+            chain.push(pieces[next.index]);
+        }
+        const last = chain[chain.length - 1];
+        if (last[last.length - 1].distance(chain[0][0]) <= tolerance) {
+            last[last.length - 1] = chain[0][0].clone();
+        }
+        const path = pathFromCurves(chain);
+        if (path.anchors.length > 1 && Math.abs(signedAreaOfPath(path)) > tolerance * tolerance) {
+            result.push(path);
+        }
+    }
+    return result;
+};
+
+// =============================================================================
+// Boolean Operations
+// =============================================================================
+
+/**
+ * Combine the regions of several items.
+ * @param {import('./Geometry.js').Geometry[]} items
+ * @param {(inside: boolean[]) => boolean} combine - Whether a point is in the result, given whether it is in each item
+ * @param {BooleanOptions} options
+ * @returns {Shape}
+ */
+const combineRegions = (items, combine, options) => {
+    const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+    const operands = items.map((item) => item.allShapesAndOrphanedPaths()
+        .map((region) => windingNumberOfPaths(closedPathsOf(region))));
+    const isInside = (point) => combine(operands.map((regions) => regions.some((winding) => winding(point) % 2 !== 0)));
+
+    const shape = new Shape(contoursOfRegion(items.flatMap(closedPathsOf), isInside, tolerance));
+    if (items.length > 0) shape.copyStyle(items[0]);
+    return shape;
+};
+
+/**
+ * Area covered by any of the items.
+ *
+ * ```javascript
+ * const plate = union([Path.rect(0, 0, 40, 20), Path.circle(new Vec(40, 10), 10)]);
+ * ```
+ *
+ * @param {import('./Geometry.js').Geometry[]} items - Paths, Shapes or Groups
+ * @param {BooleanOptions} [options]
+ * @returns {Shape}
+ */
+export const union = (items, options = {}) => combineRegions(items, (inside) => inside.some(Boolean), options);
+
+/**
+ * Area covered by the first item and none of the others.
+ * @param {import('./Geometry.js').Geometry[]} items - Subject first, then the items cut away from it
+ * @param {BooleanOptions} [options]
+ * @returns {Shape}
+ */
+export const difference = (items, options = {}) =>
+    combineRegions(items, ([subject, ...clips]) => subject && !clips.some(Boolean), options);
+
+/**
+ * Area covered by all of the items.
+ * @param {import('./Geometry.js').Geometry[]} items
+ * @param {BooleanOptions} [options]
+ * @returns {Shape}
+ */
+export const intersection = (items, options = {}) =>
+    combineRegions(items, (inside) => inside.length > 0 && inside.every(Boolean), options);
+
+/**
+ * Area covered by an odd number of the items.
+ * @param {import('./Geometry.js').Geometry[]} items
+ * @param {BooleanOptions} [options]
+ * @returns {Shape}
+ */
+export const xor = (items, options = {}) =>
+    combineRegions(items, (inside) => inside.filter(Boolean).length % 2 === 1, options);
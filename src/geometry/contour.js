@@ -0,0 +1,29 @@
+/**
+ * Geometry Library - Contours
+ *
+ * Orientation of closed paths. Kept apart from offset.js and boolean.js,
+ * which both need it, so neither has to import the other for it.
+ */
+
+import { cubicFromSegment } from './Segment.js';
+import { pairs } from './util.js';
+
+/**
+ * Signed area of a closed path, counting bezier bulges.
+ * Positive when the path turns the same way as Vec.rotate90.
+ * @param {Path} path
+ * @returns {number}
+ */
+export const signedAreaOfPath = (path) => {
+    let area = 0;
+    for (const segment of pairs(path.anchors, path.closed)) {
+        const [p0, p1, p2, p3] = cubicFromSegment(segment);
+        // Green's theorem applied to the cubic bezier.
+        area += (3 * (
+            (p3.y - p0.y) * (p1.x + p2.x) - (p3.x - p0.x) * (p1.y + p2.y) +
+            p1.y * (p0.x - p2.x) - p1.x * (p0.y - p2.y) +
+            p3.y * (p2.x + p0.x / 3) - p3.x * (p2.y + p0.y / 3)
+        )) / 20;
+    }
+    return area;
+};
@@ -0,0 +1,184 @@
+/**
+ * Geometry Library - Corner Relief
+ *
+ * A round end mill cannot cut a sharp inside corner: it leaves a fillet the
+ * size of its radius, and a square tab no longer fits its slot. Corner
+ * relief overcuts those corners so the cutter reaches them.
+ *
+ * A dog-bone centres the overcut on the corner's bisector; a T-bone centres
+ * it on one of the corner's edges, so the overcut only runs into that edge
+ * (the shorter one) and the other stays straight. Either way the overcut
+ * circle has the tool's diameter and passes through the sharp corner.
+ *
+ * Only corners between two straight segments are relieved, and only those
+ * that are concave for the material: inside corners of outer contours and
+ * every corner of a hole (even-odd nesting decides which is which).
+ */
+
+import { signedAreaOfPath } from './contour.js';
+import { Group } from './Group.js';
+import { modulo } from './math.js';
+import { pathContainsPoint } from './offset.js';
+import { Path } from './Path.js';
+import { isSegmentLinear } from './Segment.js';
+import { Shape } from './Shape.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} CornerReliefOptions
+ * @property {'dogbone'|'tbone'|'none'} [style='dogbone'] Shape of the overcut
+ * @property {number} [toolDiameter=0] Cutter diameter in mm; 0 disables relief
+ */
+
+/** Corners whose edges turn by less than this (sine of the angle) are straight. */
+const STRAIGHT_EPSILON = 1e-6;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Anchors of a circular arc from `from` to `to` around `center` that passes
+ * through `via`. The first anchor has no incoming handle and the last no
+ * outgoing one.
+ * @param {Vec} center
+ * @param {number} radius
+ * @param {Vec} from
+ * @param {Vec} to
+ * @param {Vec} via
+ * @returns {import('./Anchor.js').Anchor[]}
+ */
+const arcAnchorsThrough = (center, radius, from, to, via) => {
+    const start = Vec.sub(from, center).angle();
+    const sweep = modulo(Vec.sub(to, center).angle() - start, 360);
+    const viaSweep = modulo(Vec.sub(via, center).angle() - start, 360);
+    const end = viaSweep <= sweep ? start + sweep : start + sweep - 360;
+    const anchors = Path.fromArc(center, radius, start, end).anchors;
+    anchors[0].position = from.clone();
+    anchors[anchors.length - 1].position = to.clone();
+    return anchors;
+};
+
+/**
+ * Replace the sharp corner at `index` with an overcut, if it needs one.
+ * @param {Path} path
+ * @param {number} index
+ * @param {number} materialSide +1 when the material is on the side the path
+ *     turns towards at convex corners, -1 for holes
+ * @param {number} radius
+ * @param {'dogbone'|'tbone'} style
+ * @returns {import('./Anchor.js').Anchor[]|null} Anchors replacing the corner,
+ *     or null to keep it
+ */
+const reliefAnchors = (path, index, materialSide, radius, style) => {
+    const { anchors } = path;
+    const n = anchors.length;
+    const previous = anchors[(index - 1 + n) % n];
+    const corner = anchors[index];
+    const next = anchors[(index + 1) % n];
+    if (!isSegmentLinear([previous, corner]) || !isSegmentLinear([corner, next])) return null;
+
+    const c = corner.position;
+    const inLength = c.distance(previous.position);
+    const outLength = next.position.distance(c);
+    if (inLength === 0 || outLength === 0) return null;
+
+    const a = Vec.sub(c, previous.position).divScalar(inLength);
+    const b = Vec.sub(next.position, c).divScalar(outLength);
+    const turn = a.cross(b);
+    if (Math.abs(turn) < STRAIGHT_EPSILON || Math.sign(turn) === materialSide) return null;
+
+    // The corner opens into the waste between the edges, along the bisector.
+    const waste = Vec.sub(b, a).normalize();
+
+    if (style === 'tbone') {
+        // Centre the overcut on the shorter edge, one radius from the corner.
+        const alongIn = inLength <= outLength;
+        const edge = alongIn ? a.clone().negate() : b;
+        if (2 * radius > (alongIn ? inLength : outLength)) return null;
+        const center = Vec.add(c, edge.clone().mulScalar(radius));
+        const far = Vec.add(c, edge.clone().mulScalar(2 * radius));
+        const normal = edge.clone().rotate90();
+        if (normal.dot(waste) > 0) normal.negate();
+        const via = Vec.add(center, normal.mulScalar(radius));
+        return alongIn
+            ? arcAnchorsThrough(center, radius, far, c, via)
+            : arcAnchorsThrough(center, radius, c, far, via);
+    }
+
+    // Dog-bone: circle through the corner, centred on the bisector.
+    const chord = 2 * radius * waste.dot(b);
+    if (chord > inLength || chord > outLength) return null;
+    const center = Vec.add(c, waste.clone().mulScalar(radius));
+    const from = Vec.sub(c, a.clone().mulScalar(chord));
+    const to = Vec.add(c, b.clone().mulScalar(chord));
+    return arcAnchorsThrough(center, radius, from, to, c);
+};
+
+// =============================================================================
+// Corner Relief
+// =============================================================================
+
+/**
+ * Overcut the concave corners of one closed path.
+ *
+ * @param {Path} path
+ * @param {boolean} isHole True when the material lies outside the path
+ * @param {CornerReliefOptions} [options]
+ * @returns {Path} A new path; open paths and paths without such corners are
+ *     returned as unchanged copies
+ */
+export const reliefPathCorners = (path, isHole, options = {}) => {
+    const { style = 'dogbone', toolDiameter = 0 } = options;
+    const result = path.clone();
+    if (!path.closed || path.anchors.length < 3 || toolDiameter <= 0 || style === 'none') return result;
+
+    const orientation = Math.sign(signedAreaOfPath(path));
+    if (orientation === 0) return result;
+    const materialSide = isHole ? -orientation : orientation;
+
+    const anchors = [];
+    result.anchors.forEach((anchor, i) => {
+        const relief = reliefAnchors(result, i, materialSide, toolDiameter / 2, style);
+        if (relief) {
+            anchors.push(...relief);
+        } else {
+            anchors.push(anchor);
+        }
+    });
+    result.anchors = anchors;
+    return result;
+};
+
+/**
+ * Overcut the concave corners of every closed contour of a region so a
+ * round cutter of the given diameter clears them.
+ *
+ * ```javascript
+ * const routed = applyCornerRelief(outline, { style: 'dogbone', toolDiameter: 3 });
+ * ```
+ *
+ * @param {Path|Shape|Group} item Geometry (not modified)
+ * @param {CornerReliefOptions} [options]
+ * @returns {Path|Shape|Group} New geometry of the same kind
+ */
+export const applyCornerRelief = (item, options = {}) => {
+    if (item instanceof Group) {
+        return new Group(item.items.map((child) => applyCornerRelief(child, options)));
+    }
+
+    const paths = item.allPaths();
+    const relieved = paths.map((path) => {
+        if (!path.closed) return path.clone();
+        const sample = path.positionAtTime(0.5);
+        const depth = paths.filter((other) => other !== path && other.closed && pathContainsPoint(other, sample)).length;
+        return reliefPathCorners(path, depth % 2 === 1, options);
+    });
+
+    if (item instanceof Path) {
+        return relieved[0];
+    }
+    const shape = new Shape(relieved);
+    shape.copyStyle(item);
+    return shape;
+};
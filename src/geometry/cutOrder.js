@@ -0,0 +1,229 @@
+/**
+ * Geometry Library - Cut Order
+ *
+ * Orders contours for cutting. A contour that lies inside a closed contour
+ * is cut first, so a part never drops out of the sheet before its holes and
+ * inner details are done. Within that constraint, contours are chained by
+ * nearest neighbour and the chain is shortened with 2-opt.
+ *
+ * Each closed contour is entered at the anchor that shortens travel; open
+ * contours may be cut from either end. Layers are ordered one after the
+ * other, each starting where the previous one ended.
+ */
+
+import { Group } from './Group.js';
+import { pathContainsPoint } from './offset.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} CutOrderOptions
+ * @property {Vec} [start] Head position before the first contour (default: origin)
+ * @property {boolean} [innerFirst=true] Cut contours inside a closed contour before it
+ * @property {boolean} [reverseOpen=true] Allow cutting open contours from their last anchor
+ * @property {number} [maxPasses=50] Max 2-opt improvement passes (0 disables 2-opt)
+ */
+
+/** Min travel saved for a 2-opt move to count as an improvement. */
+const IMPROVEMENT_EPSILON = 1e-9;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Indices of the contours each contour must follow: every contour that lies
+ * inside it. A contour is inside a closed one when its bounding box fits and
+ * its first anchor is enclosed.
+ * @param {Array<{path: import('./Path.js').Path, box: import('./BoundingBox.js').BoundingBox}>} items
+ * @returns {Array<number[]>}
+ */
+const containedContours = (items) => {
+    return items.map((outer, i) => {
+        if (!outer.path.closed || !outer.box) return [];
+        const inside = [];
+        items.forEach((inner, j) => {
+            if (i === j || !inner.box || !outer.box.containsBoundingBox(inner.box)) return;
+            // Identical boxes: only the later contour of the pair counts as inside.
+            if (inner.box.containsBoundingBox(outer.box) && j < i) return;
+            if (pathContainsPoint(outer.path, inner.path.anchors[0].position)) inside.push(j);
+        });
+        return inside;
+    });
+};
+
+/**
+ * Where the head enters a contour for a chosen start.
+ * @param {{path: import('./Path.js').Path}} item
+ * @param {number} start Anchor index for closed contours, 0 or 1 (reversed) for open ones
+ * @returns {Vec}
+ */
+const entryPoint = (item, start) => {
+    const { anchors, closed } = item.path;
+    if (closed) return anchors[start].position;
+    return start ? anchors[anchors.length - 1].position : anchors[0].position;
+};
+
+/**
+ * Where the head leaves a contour for a chosen start.
+ * @param {{path: import('./Path.js').Path}} item
+ * @param {number} start
+ * @returns {Vec}
+ */
+const exitPoint = (item, start) => {
+    const { anchors, closed } = item.path;
+    if (closed) return anchors[start].position;
+    return start ? anchors[0].position : anchors[anchors.length - 1].position;
+};
+
+/**
+ * Start choices available for a contour.
+ * @param {{path: import('./Path.js').Path}} item
+ * @param {boolean} reverseOpen
+ * @returns {number[]}
+ */
+const startChoices = (item, reverseOpen) => {
+    if (item.path.closed) return item.path.anchors.map((_, index) => index);
+    return reverseOpen ? [0, 1] : [0];
+};
+
+/**
+ * Copy of a path cut from the chosen start.
+ * @param {import('./Path.js').Path} path
+ * @param {number} start
+ * @returns {import('./Path.js').Path}
+ */
+const pathFromStart = (path, start) => {
+    const result = path.clone();
+    if (path.closed) {
+        result.anchors = [...result.anchors.slice(start), ...result.anchors.slice(0, start)];
+    } else if (start) {
+        result.reverse();
+    }
+    return result;
+};
+
+// =============================================================================
+// Cut Order
+// =============================================================================
+
+/**
+ * Order paths to cut inner contours first and keep travel short.
+ *
+ * ```javascript
+ * const ordered = optimizeCutOrder(layer.allPaths(), { start: new Vec(0, 0) });
+ * ```
+ *
+ * @param {Array<import('./Path.js').Path>} paths Paths to order (not modified)
+ * @param {CutOrderOptions} [options]
+ * @returns {Array<import('./Path.js').Path>} Copies of the paths in cutting order,
+ *     closed paths rotated to start at their entry anchor and open paths
+ *     reversed where they are cut from the other end
+ */
+export const optimizeCutOrder = (paths, options = {}) => {
+    const {
+        start = new Vec(0, 0),
+        innerFirst = true,
+        reverseOpen = true,
+        maxPasses = 50
+    } = options;
+
+    const items = paths
+        .filter((path) => path.anchors.length > 0)
+        .map((path) => ({ path, box: path.looseBoundingBox() }));
+    if (items.length === 0) return [];
+
+    // mustFollow[i]: contours that have to be cut before contour i.
+    const mustFollow = innerFirst ? containedContours(items) : items.map(() => []);
+
+    // Nearest neighbour over the contours whose inner contours are all cut.
+    const done = new Array(items.length).fill(false);
+    const sequence = [];
+    let head = start;
+    while (sequence.length < items.length) {
+        let best = null;
+        items.forEach((item, index) => {
+            if (done[index] || mustFollow[index].some((j) => !done[j])) return;
+            for (const choice of startChoices(item, reverseOpen)) {
+                const distance = head.distance(entryPoint(item, choice));
+                if (!best || distance < best.distance - IMPROVEMENT_EPSILON) {
+                    best = { index, start: choice, distance };
+                }
+            }
+        });
+        done[best.index] = true;
+        sequence.push({ index: best.index, start: best.start });
+        head = exitPoint(items[best.index], best.start);
+    }
+
+    // 2-opt: reverse runs of the sequence while that shortens travel. A run
+    // can only be reversed if it holds no contour that must follow another
+    // contour of the same run.
+    const entry = (k) => entryPoint(items[sequence[k].index], sequence[k].start);
+    const exit = (k) => exitPoint(items[sequence[k].index], sequence[k].start);
+    const reversedStart = (step) => (items[step.index].path.closed ? step.start : 1 - step.start);
+    const canReverse = (i, j) => {
+        const run = new Set();
+        for (let k = i; k <= j; k++) run.add(sequence[k].index);
+        for (let k = i; k <= j; k++) {
+            if (mustFollow[sequence[k].index].some((other) => run.has(other))) return false;
+        }
+        return true;
+    };
+    const canFlip = (step) => items[step.index].path.closed || reverseOpen;
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+        let improved = false;
+        for (let i = 0; i < sequence.length - 1; i++) {
+            const before = i === 0 ? start : exit(i - 1);
+            for (let j = i + 1; j < sequence.length; j++) {
+                const after = j + 1 < sequence.length ? entry(j + 1) : null;
+                const current = before.distance(entry(i)) + (after ? exit(j).distance(after) : 0);
+                const reversed = before.distance(exit(j)) + (after ? entry(i).distance(after) : 0);
+                if (reversed >= current - IMPROVEMENT_EPSILON) continue;
+                const run = sequence.slice(i, j + 1);
+                if (!run.every(canFlip) || !canReverse(i, j)) continue;
+                const flipped = run.reverse().map((step) => ({ index: step.index, start: reversedStart(step) }));
+                sequence.splice(i, flipped.length, ...flipped);
+                improved = true;
+            }
+        }
+        if (!improved) break;
+    }
+
+    // Re-pick each closed contour's start for the neighbours it ended up with.
+    sequence.forEach((step, k) => {
+        const item = items[step.index];
+        if (!item.path.closed) return;
+        const before = k === 0 ? start : exit(k - 1);
+        const after = k + 1 < sequence.length ? entry(k + 1) : null;
+        let bestCost = Infinity;
+        item.path.anchors.forEach(({ position }, choice) => {
+            const cost = before.distance(position) + (after ? position.distance(after) : 0);
+            if (cost < bestCost - IMPROVEMENT_EPSILON) {
+                bestCost = cost;
+                step.start = choice;
+            }
+        });
+    });
+
+    return sequence.map((step) => pathFromStart(items[step.index].path, step.start));
+};
+
+/**
+ * Order the contours of consecutive layers, carrying the head position from
+ * the end of each layer into the next.
+ *
+ * @template {{geometry: import('./Geometry.js').Geometry}} T
+ * @param {T[]} layers Layers to order (not modified)
+ * @param {CutOrderOptions} [options] Options for every layer; `start` applies to the first
+ * @returns {T[]} Copies of the layers, each geometry replaced by a Group of ordered paths
+ */
+export const optimizeLayerCutOrder = (layers, options = {}) => {
+    let head = options.start ?? new Vec(0, 0);
+    return layers.map((layer) => {
+        const paths = optimizeCutOrder(layer.geometry.allPaths(), { ...options, start: head });
+        const last = paths[paths.length - 1];
+        if (last) head = (last.closed ? last.firstAnchor() : last.lastAnchor()).position;
+        return { ...layer, geometry: new Group(paths) };
+    });
+};
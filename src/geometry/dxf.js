@@ -0,0 +1,767 @@
+/**
+ * Geometry Library - DXF Import/Export
+ *
+ * Writes ASCII DXF files for laser and CNC software. Coordinates are written
+ * in millimetres with the Y axis flipped, since DXF is Y-up while geometry is
+ * Y-down.
+ *
+ * Entity mapping:
+ *   - Fully straight paths become LINE entities (or one LWPOLYLINE).
+ *   - Bezier segments become ARC/LINE entities fitted within a tolerance, or
+ *     SPLINE entities.
+ *
+ * By default only LINE and ARC are written and the file is stamped R12
+ * (AC1009), which has no $INSUNITS, so the header marks the drawing metric
+ * with $MEASUREMENT. LWPOLYLINE and SPLINE postdate R12: a file that uses
+ * them (`polylines: true` or `curves: 'splines'`) is stamped R2000 (AC1015)
+ * and also declares $INSUNITS.
+ *
+ * Import reads LINE, ARC, CIRCLE, ELLIPSE, LWPOLYLINE (with bulges),
+ * POLYLINE/VERTEX and SPLINE entities and chains loose pieces that share
+ * endpoints into contours. Blocks and INSERT references are not expanded.
+ */
+
+import { Anchor } from './Anchor.js';
+import { pointOnCubicAtTime } from './bezier.js';
+import { Group } from './Group.js';
+import { Path } from './Path.js';
+import { cubicFromSegment, isSegmentLinear } from './Segment.js';
+import { scaleFactorForUnitConversion } from './units.js';
+import { pairs } from './util.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} ExportDXFOptions
+ * @property {'arcs'|'splines'} [curves='arcs'] How bezier segments are written
+ * @property {number} [tolerance=0.01] Max deviation in mm when fitting arcs
+ * @property {boolean} [polylines=false] Write straight paths as LWPOLYLINE instead of LINEs
+ * @property {import('./units.js').Unit} [units='mm'] Units of the input geometry
+ * @property {number} [precision=6] Max decimal places written
+ */
+
+/**
+ * @typedef {Object} ImportDXFOptions
+ * @property {import('./units.js').Unit} units - Units of the returned geometry
+ * @property {number} [tolerance=0.001] Max gap (in file units) between chained endpoints
+ */
+
+/**
+ * @typedef {Object} DXFLayer
+ * @property {string} name - Layer name
+ * @property {import('./Geometry.js').Geometry} geometry - Geometry placed on the layer
+ * @property {number} [color=7] AutoCAD Color Index (1 red, 5 blue, 7 black/white)
+ */
+
+/**
+ * @typedef {Object} FittedLine
+ * @property {'line'} type
+ * @property {Vec} start
+ * @property {Vec} end
+ */
+
+/**
+ * @typedef {Object} FittedArc
+ * @property {'arc'} type
+ * @property {Vec} start
+ * @property {Vec} end
+ * @property {Vec} center
+ * @property {number} radius
+ * @property {boolean} clockwise - Sweep direction in the cubic's coordinate space (Y-up)
+ */
+
+const MAX_FIT_DEPTH = 12;
+const FIT_SAMPLES = [0.125, 0.25, 0.375, 0.625, 0.75, 0.875];
+
+/**
+ * Circle through three points, or undefined if they are collinear.
+ * @param {Vec} a
+ * @param {Vec} b
+ * @param {Vec} c
+ * @returns {{center: Vec, radius: number}|undefined}
+ */
+const circleThroughPoints = (a, b, c) => {
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-12) return undefined;
+    const a2 = a.x * a.x + a.y * a.y;
+    const b2 = b.x * b.x + b.y * b.y;
+    const c2 = c.x * c.x + c.y * c.y;
+    const center = new Vec(
+        (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+        (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d
+    );
+    return { center, radius: center.distance(a) };
+};
+
+/**
+ * Distance from a point to the line segment a-b.
+ * @param {Vec} p
+ * @param {Vec} a
+ * @param {Vec} b
+ * @returns {number}
+ */
+const distanceToLine = (p, a, b) => {
+    const ab = Vec.sub(b, a);
+    const lengthSq = ab.dot(ab);
+    if (lengthSq === 0) return p.distance(a);
+    const t = Math.max(0, Math.min(1, Vec.sub(p, a).dot(ab) / lengthSq));
+    return p.distance(new Vec(a.x + ab.x * t, a.y + ab.y * t));
+};
+
+/**
+ * Approximate a cubic bezier with lines and circular arcs.
+ * Each piece deviates from the curve by at most `tolerance`.
+ * @param {import('./Segment.js').Cubic} cubic
+ * @param {number} [tolerance=0.01]
+ * @returns {Array<FittedLine|FittedArc>}
+ */
+export const fitArcsToCubic = (cubic, tolerance = 0.01) => {
+    const result = [];
+    const pointAt = (t) => pointOnCubicAtTime(new Vec(), cubic, t);
+
+    const fit = (t0, t1, depth) => {
+        const start = pointAt(t0);
+        const end = pointAt(t1);
+        const mid = pointAt((t0 + t1) / 2);
+        const samples = FIT_SAMPLES.map((s) => pointAt(t0 + (t1 - t0) * s));
+
+        const isStraight = [mid, ...samples].every((p) => distanceToLine(p, start, end) <= tolerance);
+        if (isStraight) {
+            result.push({ type: 'line', start, end });
+            return;
+        }
+
+        const circle = circleThroughPoints(start, mid, end);
+        if (circle) {
+            const { center, radius } = circle;
+            const fits = samples.every((p) => Math.abs(p.distance(center) - radius) <= tolerance);
+            if (fits) {
+                const clockwise = Vec.sub(mid, start).cross(Vec.sub(end, mid)) < 0;
+                result.push({ type: 'arc', start, end, center, radius, clockwise });
+                return;
+            }
+        }
+
+        if (depth >= MAX_FIT_DEPTH) {
+            result.push({ type: 'line', start, end });
+            return;
+        }
+
+        const tm = (t0 + t1) / 2;
+        fit(t0, tm, depth + 1);
+        fit(tm, t1, depth + 1);
+    };
+
+    fit(0, 1, 0);
+    return result;
+};
+
+/**
+ * Build a DXF string for geometry placed on a single layer.
+ * @param {import('./Geometry.js').Geometry} geometry - Path, Shape or Group
+ * @param {ExportDXFOptions & {layer?: string}} [options]
+ * @returns {string}
+ */
+export const dxfStringFromGeometry = (geometry, options = {}) => {
+    return dxfStringFromLayers([{ name: options.layer ?? '0', geometry }], options);
+};
+
+/**
+ * Build a DXF string with one layer per entry.
+ * @param {DXFLayer[]} layers
+ * @param {ExportDXFOptions} [options]
+ * @returns {string}
+ */
+export const dxfStringFromLayers = (layers, options = {}) => {
+    const curves = options.curves ?? 'arcs';
+    const tolerance = options.tolerance ?? 0.01;
+    const polylines = options.polylines ?? false;
+    const precision = options.precision ?? 6;
+    const scale = scaleFactorForUnitConversion(options.units ?? 'mm', 'mm');
+
+    const num = (value) => {
+        const rounded = Number(value.toFixed(precision));
+        return String(Object.is(rounded, -0) ? 0 : rounded);
+    };
+
+    const entities = [];
+    // Set once an entity that R12 lacks is written.
+    let r2000 = false;
+    const extents = { min: new Vec(Infinity, Infinity), max: new Vec(-Infinity, -Infinity) };
+    const pair = (code, value) => entities.push(String(code).padStart(3, ' '), String(value));
+    const point = (code, p) => {
+        pair(code, num(p.x));
+        pair(code + 10, num(p.y));
+        pair(code + 20, 0);
+        extents.min.min(p);
+        extents.max.max(p);
+    };
+
+    const writeLine = (layer, start, end) => {
+        pair(0, 'LINE');
+        pair(8, layer);
+        point(10, start);
+        point(11, end);
+    };
+
+    const writeArc = (layer, arc) => {
+        const startAngle = Vec.sub(arc.start, arc.center).angle();
+        const endAngle = Vec.sub(arc.end, arc.center).angle();
+        pair(0, 'ARC');
+        pair(8, layer);
+        pair(10, num(arc.center.x));
+        pair(20, num(arc.center.y));
+        pair(30, 0);
+        pair(40, num(arc.radius));
+        // ARC always sweeps counter-clockwise from 50 to 51.
+        pair(50, num(arc.clockwise ? endAngle : startAngle));
+        pair(51, num(arc.clockwise ? startAngle : endAngle));
+        extents.min.min(arc.start).min(arc.end);
+        extents.max.max(arc.start).max(arc.end);
+    };
+
+    const writePolyline = (layer, positions, closed) => {
+        r2000 = true;
+        pair(0, 'LWPOLYLINE');
+        pair(8, layer);
+        pair(90, positions.length);
+        pair(70, closed ? 1 : 0);
+        positions.forEach((p) => {
+            pair(10, num(p.x));
+            pair(20, num(p.y));
+            extents.min.min(p);
+            extents.max.max(p);
+        });
+    };
+
+    // A path becomes one clamped B-spline: each bezier is a span joined by
+    // triple knots, and straight segments are written as degenerate cubics.
+    const writeSpline = (layer, cubics) => {
+        const controlPoints = [cubics[0][0]];
+        cubics.forEach(([, c1, c2, p]) => controlPoints.push(c1, c2, p));
+        const knots = [0, 0, 0, 0];
+        for (let i = 1; i < cubics.length; i++) knots.push(i, i, i);
+        knots.push(cubics.length, cubics.length, cubics.length, cubics.length);
+
+        r2000 = true;
+        pair(0, 'SPLINE');
+        pair(8, layer);
+        pair(70, 8);
+        pair(71, 3);
+        pair(72, knots.length);
+        pair(73, controlPoints.length);
+        pair(74, 0);
+        knots.forEach((k) => pair(40, k));
+        controlPoints.forEach((p) => point(10, p));
+    };
+
+    const writePath = (layer, path) => {
+        // Drop zero-length straight segments, e.g. a closing anchor that
+        // duplicates the first one.
+        const segments = pairs(path.anchors, path.closed).filter(
+            (segment) => !(isSegmentLinear(segment) && segment[0].position.equalsWithinTolerance(segment[1].position))
+        );
+        if (segments.length === 0) return;
+
+        if (segments.every(isSegmentLinear)) {
+            const positions = path.anchors.map((anchor) => anchor.position);
+            if (polylines) {
+                writePolyline(layer, positions, path.closed);
+            } else {
+                segments.forEach(([a1, a2]) => writeLine(layer, a1.position, a2.position));
+            }
+            return;
+        }
+
+        const cubics = segments.map(cubicFromSegment);
+        if (curves === 'splines') {
+            writeSpline(layer, cubics);
+            return;
+        }
+
+        segments.forEach((segment, i) => {
+            if (isSegmentLinear(segment)) {
+                writeLine(layer, segment[0].position, segment[1].position);
+                return;
+            }
+            fitArcsToCubic(cubics[i], tolerance).forEach((piece) => {
+                if (piece.type === 'arc') {
+                    writeArc(layer, piece);
+                } else {
+                    writeLine(layer, piece.start, piece.end);
+                }
+            });
+        });
+    };
+
+    for (const layer of layers) {
+        const geometry = layer.geometry.clone();
+        geometry.transform({ scale: new Vec(scale, -scale) });
+        for (const path of geometry.allPaths()) {
+            writePath(layer.name, path);
+        }
+    }
+
+    if (!Number.isFinite(extents.min.x)) {
+        extents.min.set(0, 0);
+        extents.max.set(0, 0);
+    }
+
+    const lines = [];
+    const out = (code, value) => lines.push(String(code).padStart(3, ' '), String(value));
+
+    out(0, 'SECTION');
+    out(2, 'HEADER');
+    out(9, '$ACADVER');
+    out(1, r2000 ? 'AC1015' : 'AC1009');
+    if (r2000) {
+        out(9, '$INSUNITS');
+        out(70, 4);
+    }
+    out(9, '$MEASUREMENT');
+    out(70, 1);
+    out(9, '$EXTMIN');
+    out(10, num(extents.min.x));
+    out(20, num(extents.min.y));
+    out(30, 0);
+    out(9, '$EXTMAX');
+    out(10, num(extents.max.x));
+    out(20, num(extents.max.y));
+    out(30, 0);
+    out(0, 'ENDSEC');
+
+    out(0, 'SECTION');
+    out(2, 'TABLES');
+    out(0, 'TABLE');
+    out(2, 'LTYPE');
+    out(70, 1);
+    out(0, 'LTYPE');
+    out(2, 'CONTINUOUS');
+    out(70, 0);
+    out(3, 'Solid line');
+    out(72, 65);
+    out(73, 0);
+    out(40, 0);
+    out(0, 'ENDTAB');
+    out(0, 'TABLE');
+    out(2, 'LAYER');
+    out(70, layers.length);
+    for (const layer of layers) {
+        out(0, 'LAYER');
+        out(2, layer.name);
+        out(70, 0);
+        out(62, layer.color ?? 7);
+        out(6, 'CONTINUOUS');
+    }
+    out(0, 'ENDTAB');
+    out(0, 'ENDSEC');
+
+    out(0, 'SECTION');
+    out(2, 'ENTITIES');
+    lines.push(...entities);
+    out(0, 'ENDSEC');
+    out(0, 'EOF');
+
+    return lines.join('\n') + '\n';
+};
+
+// =============================================================================
+// Import
+// =============================================================================
+
+/** $INSUNITS codes that map onto supported units. */
+const DXF_UNIT_CODES = { 1: 'in', 2: 'ft', 4: 'mm', 5: 'cm', 6: 'm' };
+
+/**
+ * Append a circular arc to a path as cubics of at most 90 degrees.
+ * Angles are in radians, counter-clockwise positive.
+ * @param {Path} path - Path whose last anchor is the arc start
+ * @param {Vec} center
+ * @param {number} radius
+ * @param {number} startAngle
+ * @param {number} sweep
+ */
+const appendArc = (path, center, radius, startAngle, sweep) => {
+    const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+    const step = sweep / count;
+    const k = (4 / 3) * Math.tan(step / 4) * radius;
+    for (let i = 1; i <= count; i++) {
+        const a0 = startAngle + step * (i - 1);
+        const a1 = startAngle + step * i;
+        const last = path.anchors[path.anchors.length - 1];
+        last.handleOut = new Vec(-Math.sin(a0) * k, Math.cos(a0) * k);
+        const position = new Vec(center.x + Math.cos(a1) * radius, center.y + Math.sin(a1) * radius);
+        path.anchors.push(new Anchor(position, new Vec(Math.sin(a1) * k, -Math.cos(a1) * k)));
+    }
+};
+
+/**
+ * Build a path through vertices with optional bulges (LWPOLYLINE/POLYLINE).
+ * @param {Array<{position: Vec, bulge: number}>} vertices
+ * @param {boolean} closed
+ * @returns {Path}
+ */
+const pathFromBulgeVertices = (vertices, closed) => {
+    const path = new Path([new Anchor(vertices[0].position.clone())]);
+    const count = closed ? vertices.length : vertices.length - 1;
+    for (let i = 0; i < count; i++) {
+        const from = vertices[i];
+        const to = vertices[(i + 1) % vertices.length];
+        if (!from.bulge || from.position.equals(to.position)) {
+            path.anchors.push(new Anchor(to.position.clone()));
+            continue;
+        }
+        // Bulge is tan(angle / 4); positive sweeps counter-clockwise.
+        const sweep = 4 * Math.atan(from.bulge);
+        const chord = Vec.sub(to.position, from.position);
+        const radius = chord.length() / (2 * Math.abs(Math.sin(sweep / 2)));
+        const mid = Vec.mix(from.position, to.position, 0.5);
+        const offset = radius * Math.cos(sweep / 2) * Math.sign(from.bulge);
+        const normal = new Vec(-chord.y, chord.x).normalize();
+        const center = mid.add(normal.mulScalar(offset));
+        const startAngle = Vec.sub(from.position, center).angleRadians();
+        appendArc(path, center, radius, startAngle, sweep);
+        path.anchors[path.anchors.length - 1].position = to.position.clone();
+    }
+    if (closed) {
+        // The closing segment landed back on the first vertex.
+        const last = path.anchors.pop();
+        path.anchors[0].handleIn = last.handleIn;
+        path.closed = true;
+    }
+    return path;
+};
+
+/**
+ * Split a clamped B-spline into bezier spans by knot insertion, or sample it
+ * when it is not clamped.
+ * @param {number} degree
+ * @param {number[]} knots
+ * @param {Vec[]} controls
+ * @returns {Path}
+ */
+const pathFromBSpline = (degree, knots, controls) => {
+    const p = degree;
+    const n = controls.length - 1;
+    if (p < 1 || knots.length !== n + p + 2) {
+        return Path.fromPoints(controls.map((c) => c.clone()));
+    }
+    if (p === 1) {
+        return Path.fromPoints(controls.map((c) => c.clone()));
+    }
+
+    const clamped =
+        knots.slice(0, p + 1).every((k) => k === knots[0]) &&
+        knots.slice(knots.length - p - 1).every((k) => k === knots[knots.length - 1]);
+
+    if (!clamped || p > 3) {
+        // Evaluate with de Boor and keep a dense polyline.
+        const deBoor = (u) => {
+            let k = p;
+            while (k < n && u >= knots[k + 1]) k++;
+            const d = [];
+            for (let j = 0; j <= p; j++) d.push(controls[j + k - p].clone());
+            for (let r = 1; r <= p; r++) {
+                for (let j = p; j >= r; j--) {
+                    const i = j + k - p;
+                    const denom = knots[i + p - r + 1] - knots[i];
+                    const alpha = denom === 0 ? 0 : (u - knots[i]) / denom;
+                    d[j] = Vec.mix(d[j - 1], d[j], alpha);
+                }
+            }
+            return d[p];
+        };
+        const u0 = knots[p];
+        const u1 = knots[n + 1];
+        const samples = Math.max(8, (n - p + 1) * 16);
+        const points = [];
+        for (let i = 0; i <= samples; i++) points.push(deBoor(u0 + ((u1 - u0) * i) / samples));
+        return Path.fromPoints(points);
+    }
+
+    // Boehm knot insertion until every interior knot has multiplicity p.
+    let U = knots.slice();
+    let P = controls.map((c) => c.clone());
+    const interior = [...new Set(U.slice(p + 1, U.length - p - 1))];
+    for (const u of interior) {
+        let multiplicity = U.filter((k) => k === u).length;
+        while (multiplicity < p) {
+            let k = U.length - 1;
+            while (k > 0 && U[k] > u) k--;
+            const Q = [];
+            for (let i = 0; i <= P.length; i++) {
+                if (i <= k - p) {
+                    Q.push(P[i]);
+                } else if (i <= k) {
+                    const denom = U[i + p] - U[i];
+                    const alpha = denom === 0 ? 0 : (u - U[i]) / denom;
+                    Q.push(Vec.mix(P[i - 1], P[i], alpha));
+                } else {
+                    Q.push(P[i - 1]);
+                }
+            }
+            U.splice(k + 1, 0, u);
+            P = Q;
+            multiplicity++;
+        }
+    }
+
+    // Every p control points now describe one bezier span.
+    const path = new Path([new Anchor(P[0].clone())]);
+    for (let i = 0; i + p < P.length; i += p) {
+        const last = path.anchors[path.anchors.length - 1];
+        let c1;
+        let c2;
+        const end = P[i + p];
+        if (p === 2) {
+            c1 = Vec.mix(P[i], P[i + 1], 2 / 3);
+            c2 = Vec.mix(end, P[i + 1], 2 / 3);
+        } else {
+            c1 = P[i + 1];
+            c2 = P[i + 2];
+        }
+        last.handleOut = Vec.sub(c1, last.position);
+        path.anchors.push(new Anchor(end.clone(), Vec.sub(c2, end)));
+    }
+    return path;
+};
+
+/**
+ * Join open paths whose endpoints coincide, closing loops.
+ * @param {Path[]} paths
+ * @param {number} tolerance
+ * @returns {Path[]}
+ */
+const chainPaths = (paths, tolerance) => {
+    const result = [];
+    const open = [];
+    for (const path of paths) {
+        if (path.closed) {
+            result.push(path);
+        } else {
+            open.push(path);
+        }
+    }
+
+    const near = (a, b) => a.equalsWithinTolerance(b, tolerance);
+    const join = (head, tail) => {
+        const last = head.anchors[head.anchors.length - 1];
+        const [first, ...rest] = tail.anchors;
+        last.handleOut = first.handleOut;
+        head.anchors.push(...rest);
+    };
+
+    while (open.length > 0) {
+        const chain = open.shift();
+        let extended = true;
+        while (extended) {
+            extended = false;
+            for (let i = 0; i < open.length; i++) {
+                const candidate = open[i];
+                const chainStart = chain.anchors[0].position;
+                const chainEnd = chain.anchors[chain.anchors.length - 1].position;
+                const start = candidate.anchors[0].position;
+                const end = candidate.anchors[candidate.anchors.length - 1].position;
+                if (near(chainEnd, start)) {
+                    join(chain, candidate);
+                } else if (near(chainEnd, end)) {
+                    join(chain, candidate.reverse());
+                } else if (near(chainStart, end)) {
+                    join(candidate, chain);
+                    chain.anchors = candidate.anchors;
+                } else if (near(chainStart, start)) {
+                    join(candidate.reverse(), chain);
+                    chain.anchors = candidate.anchors;
+                } else {
+                    continue;
+                }
+                open.splice(i, 1);
+                extended = true;
+                break;
+            }
+        }
+
+        const anchors = chain.anchors;
+        if (anchors.length > 2 && near(anchors[0].position, anchors[anchors.length - 1].position)) {
+            const last = anchors.pop();
+            anchors[0].handleIn = last.handleIn;
+            chain.closed = true;
+        }
+        result.push(chain);
+    }
+    return result;
+};
+
+/**
+ * Parse a DXF string into Geometry.
+ * Units are read from $INSUNITS (millimetres when absent) and converted to
+ * `options.units`. The Y axis is flipped to match geometry's Y-down space.
+ * @param {string} dxfString
+ * @param {ImportDXFOptions} options
+ * @returns {Group}
+ */
+export const geometryFromDXFString = (dxfString, options = {}) => {
+    const lines = dxfString.split(/\r?\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        pairs.push([parseInt(lines[i].trim(), 10), lines[i + 1].trim()]);
+    }
+
+    let sourceUnits = 'mm';
+    let section = null;
+    const entities = [];
+    let entity = null;
+
+    for (let i = 0; i < pairs.length; i++) {
+        const [code, value] = pairs[i];
+        if (code === 0) {
+            if (value === 'SECTION') {
+                section = pairs[i + 1]?.[1];
+                i++;
+                continue;
+            }
+            if (value === 'ENDSEC') {
+                section = null;
+                entity = null;
+                continue;
+            }
+            if (section === 'ENTITIES') {
+                entity = { type: value, codes: [] };
+                entities.push(entity);
+            }
+            continue;
+        }
+        if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+            const unitCode = parseInt(pairs[i + 1]?.[1], 10);
+            if (DXF_UNIT_CODES[unitCode]) sourceUnits = DXF_UNIT_CODES[unitCode];
+            continue;
+        }
+        if (entity) entity.codes.push([code, value]);
+    }
+
+    const first = (e, code, fallback = 0) => {
+        const found = e.codes.find(([c]) => c === code);
+        return found ? parseFloat(found[1]) : fallback;
+    };
+    const all = (e, code) => e.codes.filter(([c]) => c === code).map(([, v]) => parseFloat(v));
+
+    const paths = [];
+    let polyline = null;
+
+    for (const e of entities) {
+        switch (e.type) {
+            case 'LINE': {
+                const a = new Vec(first(e, 10), first(e, 20));
+                const b = new Vec(first(e, 11), first(e, 21));
+                if (!a.equals(b)) paths.push(Path.fromPoints([a, b]));
+                break;
+            }
+            case 'CIRCLE':
+            case 'ARC': {
+                const center = new Vec(first(e, 10), first(e, 20));
+                const radius = first(e, 40);
+                if (radius <= 0) break;
+                const start = e.type === 'ARC' ? (first(e, 50) * Math.PI) / 180 : 0;
+                let sweep = Math.PI * 2;
+                if (e.type === 'ARC') {
+                    sweep = (first(e, 51) * Math.PI) / 180 - start;
+                    while (sweep <= 0) sweep += Math.PI * 2;
+                }
+                const path = new Path([
+                    new Anchor(new Vec(center.x + Math.cos(start) * radius, center.y + Math.sin(start) * radius))
+                ]);
+                appendArc(path, center, radius, start, sweep);
+                if (e.type === 'CIRCLE') {
+                    const last = path.anchors.pop();
+                    path.anchors[0].handleIn = last.handleIn;
+                    path.closed = true;
+                }
+                paths.push(path);
+                break;
+            }
+            case 'ELLIPSE': {
+                const center = new Vec(first(e, 10), first(e, 20));
+                const major = new Vec(first(e, 11), first(e, 21));
+                const ratio = first(e, 40, 1);
+                const startParam = first(e, 41, 0);
+                let endParam = first(e, 42, Math.PI * 2);
+                while (endParam <= startParam) endParam += Math.PI * 2;
+                const full = Math.abs(endParam - startParam - Math.PI * 2) < 1e-9;
+                // Unit-circle arc mapped onto the ellipse's axes.
+                const unit = new Path([new Anchor(new Vec(Math.cos(startParam), Math.sin(startParam)))]);
+                appendArc(unit, new Vec(), 1, startParam, endParam - startParam);
+                const minor = new Vec(-major.y, major.x).mulScalar(ratio);
+                const map = (v) => new Vec(major.x * v.x + minor.x * v.y, major.y * v.x + minor.y * v.y);
+                const anchors = unit.anchors.map((a) => new Anchor(
+                    map(a.position).add(center),
+                    map(a.handleIn),
+                    map(a.handleOut)
+                ));
+                const path = new Path(anchors);
+                if (full) {
+                    const last = path.anchors.pop();
+                    path.anchors[0].handleIn = last.handleIn;
+                    path.closed = true;
+                }
+                paths.push(path);
+                break;
+            }
+            case 'LWPOLYLINE': {
+                const vertices = [];
+                for (const [code, value] of e.codes) {
+                    if (code === 10) vertices.push({ position: new Vec(parseFloat(value), 0), bulge: 0 });
+                    else if (code === 20 && vertices.length) vertices[vertices.length - 1].position.y = parseFloat(value);
+                    else if (code === 42 && vertices.length) vertices[vertices.length - 1].bulge = parseFloat(value);
+                }
+                if (vertices.length >= 2) {
+                    paths.push(pathFromBulgeVertices(vertices, (first(e, 70) & 1) === 1));
+                }
+                break;
+            }
+            case 'POLYLINE':
+                polyline = { closed: (first(e, 70) & 1) === 1, vertices: [] };
+                break;
+            case 'VERTEX':
+                if (polyline) {
+                    polyline.vertices.push({ position: new Vec(first(e, 10), first(e, 20)), bulge: first(e, 42) });
+                }
+                break;
+            case 'SEQEND':
+                if (polyline && polyline.vertices.length >= 2) {
+                    paths.push(pathFromBulgeVertices(polyline.vertices, polyline.closed));
+                }
+                polyline = null;
+                break;
+            case 'SPLINE': {
+                const xs = all(e, 10);
+                const ys = all(e, 20);
+                const controls = xs.map((x, i) => new Vec(x, ys[i] ?? 0));
+                let path;
+                if (controls.length >= 2) {
+                    path = pathFromBSpline(first(e, 71, 3), all(e, 40), controls);
+                } else {
+                    const fx = all(e, 11);
+                    const fy = all(e, 21);
+                    if (fx.length >= 2) path = Path.fromPoints(fx.map((x, i) => new Vec(x, fy[i] ?? 0)));
+                }
+                if (path) {
+                    if ((first(e, 70) & 1) === 1) {
+                        const anchors = path.anchors;
+                        if (anchors.length > 2 && anchors[0].position.equalsWithinTolerance(anchors[anchors.length - 1].position, 1e-9)) {
+                            const last = anchors.pop();
+                            anchors[0].handleIn = last.handleIn;
+                        }
+                        path.closed = true;
+                    }
+                    paths.push(path);
+                }
+                break;
+            }
+        }
+    }
+
+    const chained = chainPaths(paths, options.tolerance ?? 0.001);
+    const group = new Group(chained);
+    const scale = scaleFactorForUnitConversion(sourceUnits, options.units ?? 'mm');
+    group.transform({ scale: new Vec(scale, -scale) });
+    return group;
+};
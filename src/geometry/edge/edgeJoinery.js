@@ -0,0 +1,285 @@
+/**
+ * Geometry Library - Edge joinery
+ *
+ * Bakes edge joinery metadata (see ShapeStore.setEdgeJoinery) into real cut
+ * geometry. Male edges grow teeth away from the shape's centre; female edges
+ * get matching notches cut into the outline, or rectangular holes set one
+ * stock thickness in from the edge for tabs that pass through the face. Teeth,
+ * notches and holes all follow joineryLayout, so mating edges line up.
+ */
+
+import { Anchor } from '../Anchor.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+import { Edge } from './Edge.js';
+
+/**
+ * @typedef {Object} EdgeJoinery
+ * @property {string} type - e.g. 'finger_joint', 'dovetail', 'finger_female'
+ * @property {number} thicknessMm - Material thickness, used as tooth depth
+ * @property {number} fingerCount - Number of fingers along the edge
+ * @property {'left'|'right'} [align='left'] - Which end the first tooth starts at
+ * @property {number} [fitToleranceMm=0] - Clearance added to female notches and holes
+ */
+
+/**
+ * @typedef {Object} BakeJoineryOptions
+ * @property {string} [shapeId] - Stamped on edges before they are passed to the lookup
+ * @property {'holes'|'notches'} [femaleStyle='notches'] - How female edges are cut
+ */
+
+const MALE_TYPES = ['finger_joint', 'finger_male', 'male', 'dovetail', 'dovetail_male'];
+const FEMALE_TYPES = ['finger_female', 'female', 'dovetail_female'];
+
+/**
+ * Check whether a joinery type grows teeth out of the edge.
+ * @param {string} type
+ * @returns {boolean}
+ */
+export const isMaleJoineryType = (type) => MALE_TYPES.includes(String(type || '').toLowerCase());
+
+/**
+ * Check whether a joinery type receives teeth from a mating edge.
+ * @param {string} type
+ * @returns {boolean}
+ */
+export const isFemaleJoineryType = (type) => FEMALE_TYPES.includes(String(type || '').toLowerCase());
+
+/**
+ * Tooth depth, count and spacing for a joint along an edge of the given length.
+ * Teeth are inset by half a step from both corners.
+ * @param {number} length - Edge length
+ * @param {EdgeJoinery} joinery
+ * @returns {{depth: number, count: number, step: number, edgeInset: number, startIndex: number}}
+ */
+export const joineryLayout = (length, joinery) => {
+    const thicknessMm = Number(joinery.thicknessMm);
+    const depth = Math.min(Math.max(thicknessMm || 0, 0.5), length * 0.45);
+    const requestedCount = Number(joinery.fingerCount);
+    const count = Number.isFinite(requestedCount) && requestedCount >= 2
+        ? Math.floor(requestedCount)
+        : Math.max(2, Math.floor(length / Math.max(depth * 2, 4)));
+
+    let step = length / count;
+    let edgeInset = step * 0.5;
+    let usableLength = length - edgeInset * 2;
+    if (usableLength <= 0) {
+        edgeInset = 0;
+        usableLength = length;
+    }
+    step = usableLength / count;
+
+    const startIndex = joinery.align === 'right' ? 1 : 0;
+    return { depth, count, step, edgeInset, startIndex };
+};
+
+/**
+ * Clearance each female notch or hole gets on both sides along the edge.
+ * @param {EdgeJoinery} joinery
+ * @returns {number}
+ */
+const femaleClearance = (joinery) => {
+    if (!isFemaleJoineryType(joinery.type)) return 0;
+    return Math.max(Number(joinery.fitToleranceMm) || 0, 0) / 2;
+};
+
+/**
+ * Points that replace a straight edge with teeth (direction = outward normal)
+ * or notches (direction = inward normal). Female notches are widened by the
+ * fit tolerance. The start point is not included.
+ * @param {Vec} start
+ * @param {Vec} end
+ * @param {Vec} direction - Unit normal the profile is pushed along
+ * @param {EdgeJoinery} joinery
+ * @returns {Vec[]}
+ */
+export const jointProfile = (start, end, direction, joinery) => {
+    const length = start.distance(end);
+    if (length < 0.001) return [end.clone()];
+
+    const along = Vec.sub(end, start).mulScalar(1 / length);
+    const { depth, count, step, edgeInset, startIndex } = joineryLayout(length, joinery);
+    const type = String(joinery.type || '').toLowerCase();
+    const taper = type === 'dovetail' || type === 'dovetail_male'
+        ? Math.min(depth * 0.2, step * 0.2)
+        : 0;
+    const clearance = femaleClearance(joinery);
+    const offset = direction.clone().mulScalar(depth);
+    const pointAt = (distance) => start.clone().add(along.clone().mulScalar(Math.min(Math.max(distance, 0), length)));
+
+    const points = [];
+    if (edgeInset > 0) points.push(pointAt(edgeInset - (startIndex === 0 ? clearance : 0)));
+
+    for (let i = 0; i < count; i++) {
+        const isTooth = (i + startIndex) % 2 === 0;
+        const segStart = pointAt(edgeInset + step * i - (isTooth ? clearance : 0));
+        const segEnd = pointAt(edgeInset + step * (i + 1) + (isTooth ? clearance : -clearance));
+        if (!isTooth) {
+            // The next notch starts early by the clearance; the last gap runs to the corner.
+            points.push(i + 1 < count ? segEnd : pointAt(edgeInset + step * (i + 1)));
+            continue;
+        }
+        points.push(
+            segStart,
+            segStart.clone().add(offset).sub(along.clone().mulScalar(taper)),
+            segEnd.clone().add(offset).add(along.clone().mulScalar(taper)),
+            segEnd
+        );
+    }
+    points.push(end.clone());
+
+    return points.filter((point, i) => i === 0 || !point.equalsWithinTolerance(points[i - 1], 1e-9));
+};
+
+/**
+ * Rectangular holes for the teeth of a mating edge, in the places jointProfile
+ * puts them. Holes are set one tooth depth in from the edge, so they do not
+ * share a cut line with the outline, and grow by the fit tolerance all round.
+ * @param {Vec} start
+ * @param {Vec} end
+ * @param {Vec} inward - Unit normal pointing into the shape
+ * @param {EdgeJoinery} joinery
+ * @returns {Path[]}
+ */
+export const jointHoles = (start, end, inward, joinery) => {
+    const length = start.distance(end);
+    if (length < 0.001) return [];
+
+    const along = Vec.sub(end, start).mulScalar(1 / length);
+    const { depth, count, step, edgeInset, startIndex } = joineryLayout(length, joinery);
+    const clearance = femaleClearance(joinery);
+    const near = inward.clone().mulScalar(depth - clearance);
+    const far = inward.clone().mulScalar(depth * 2 + clearance);
+    const pointAt = (distance) => start.clone().add(along.clone().mulScalar(Math.min(Math.max(distance, 0), length)));
+
+    const holes = [];
+    for (let i = 0; i < count; i++) {
+        if ((i + startIndex) % 2 !== 0) continue;
+        const from = pointAt(edgeInset + step * i - clearance);
+        const to = pointAt(edgeInset + step * (i + 1) + clearance);
+        holes.push(Path.fromPoints([
+            from.clone().add(near),
+            to.clone().add(near),
+            to.clone().add(far),
+            from.clone().add(far)
+        ], true));
+    }
+    return holes;
+};
+
+/**
+ * Unit normal of an edge pointing away from a centre point.
+ * @param {Vec} start
+ * @param {Vec} end
+ * @param {Vec} center
+ * @returns {Vec}
+ */
+const outwardNormal = (start, end, center) => {
+    const normal = Vec.sub(end, start).rotate90().normalize();
+    const mid = Vec.mix(start, end, 0.5);
+    if (normal.dot(Vec.sub(mid, center)) < 0) normal.mulScalar(-1);
+    return normal;
+};
+
+/**
+ * Bake the joinery of one path. Holes for female edges are appended to `holes`.
+ * @param {Path} path
+ * @param {number} pathIndex
+ * @param {(edge: Edge) => EdgeJoinery|null} getJoinery
+ * @param {Vec} center
+ * @param {BakeJoineryOptions} options
+ * @param {Path[]} holes
+ * @returns {Path}
+ */
+const bakePath = (path, pathIndex, getJoinery, center, options, holes) => {
+    const anchors = path.anchors;
+    if (anchors.length < 2) return path.clone();
+
+    const result = [anchors[0].clone()];
+    const segmentCount = path.closed ? anchors.length : anchors.length - 1;
+    const pushPoint = (position) => {
+        result.push(new Anchor(position));
+    };
+
+    for (let i = 0; i < segmentCount; i++) {
+        const a1 = anchors[i];
+        const a2 = anchors[(i + 1) % anchors.length];
+        const edge = new Edge(a1, a2, { index: i, pathIndex, closed: path.closed });
+        if (options.shapeId) edge.shapeId = options.shapeId;
+
+        const joinery = edge.isLinear() && edge.length() > 0.001 ? getJoinery(edge) : null;
+        const start = a1.position;
+        const end = a2.position;
+
+        if (joinery && isMaleJoineryType(joinery.type)) {
+            jointProfile(start, end, outwardNormal(start, end, center), joinery).forEach(pushPoint);
+            continue;
+        }
+        if (joinery && isFemaleJoineryType(joinery.type) && options.femaleStyle !== 'holes') {
+            const inward = outwardNormal(start, end, center).mulScalar(-1);
+            jointProfile(start, end, inward, joinery).forEach(pushPoint);
+            continue;
+        }
+        if (joinery && isFemaleJoineryType(joinery.type)) {
+            const inward = outwardNormal(start, end, center).mulScalar(-1);
+            holes.push(...jointHoles(start, end, inward, joinery));
+        }
+
+        result[result.length - 1].handleOut = a1.handleOut.clone();
+        result.push(new Anchor(end.clone(), a2.handleIn.clone()));
+    }
+
+    if (path.closed) {
+        // The last segment ended back on the first anchor.
+        const last = result.pop();
+        result[0].handleIn = last.handleIn;
+    } else {
+        result[result.length - 1].handleOut = anchors[anchors.length - 1].handleOut.clone();
+    }
+
+    const baked = new Path(result, path.closed);
+    baked.copyStyle(path);
+    return baked;
+};
+
+/**
+ * Produce the cut outline of a Path or Shape with its edge joinery applied.
+ * Edges are numbered like edgesFromItem, so the lookup can be
+ * ShapeStore.getEdgeJoinery. Only straight, non-degenerate edges take joinery.
+ *
+ * ```javascript
+ * const cut = bakeEdgeJoinery(shape.toGeometryPath(), (edge) => shapeStore.getEdgeJoinery(edge), {
+ *     shapeId: shape.id
+ * });
+ * ```
+ *
+ * @param {Path|Shape} item
+ * @param {(edge: Edge) => EdgeJoinery|null} getJoinery
+ * @param {BakeJoineryOptions} [options]
+ * @returns {Path|Shape} A copy of the item, or a Shape when joinery was applied
+ */
+export const bakeEdgeJoinery = (item, getJoinery, options = {}) => {
+    const paths = item.allPaths();
+    const box = item.tightBoundingBox() || item.looseBoundingBox();
+    if (!box || typeof getJoinery !== 'function') return item.clone();
+
+    const center = box.center();
+    const holes = [];
+    let changed = false;
+    const lookup = (edge) => {
+        const joinery = getJoinery(edge);
+        if (joinery && (isMaleJoineryType(joinery.type) || isFemaleJoineryType(joinery.type))) {
+            changed = true;
+            return joinery;
+        }
+        return null;
+    };
+
+    const baked = paths.map((path, pathIndex) => bakePath(path, pathIndex, lookup, center, options, holes));
+    if (!changed) return item.clone();
+
+    const shape = new Shape([...baked, ...holes]);
+    shape.copyStyle(item);
+    return shape;
+};
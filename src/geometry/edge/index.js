@@ -16,6 +16,16 @@ export {
     closestEdgeToPoint,
 } from './edgeHelpers.js';
 
+// Joinery
+export {
+    isMaleJoineryType,
+    isFemaleJoineryType,
+    joineryLayout,
+    jointProfile,
+    jointHoles,
+    bakeEdgeJoinery,
+} from './edgeJoinery.js';
+
 // Selection
 export { EdgeSelection } from './EdgeSelection.js';
 
@@ -0,0 +1,164 @@
+/**
+ * Edge joinery unit tests
+ */
+
+import { Path } from '../../Path.js';
+import { Shape } from '../../Shape.js';
+import { Vec } from '../../Vec.js';
+import { bakeEdgeJoinery, joineryLayout, jointHoles, jointProfile } from '../index.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, tolerance = 0.001) => Math.abs(a - b) < tolerance;
+
+const finger = { type: 'finger_joint', thicknessMm: 3, fingerCount: 4, align: 'left' };
+
+// Joinery lookup for a single edge index of path 0.
+const onEdge = (index, joinery) => (edge) => (edge.pathIndex === 0 && edge.index === index ? joinery : null);
+
+console.log('Edge joinery tests:\n');
+
+console.log('  Layout:');
+
+test('joineryLayout() insets teeth by half a step', (() => {
+    const layout = joineryLayout(100, finger);
+    return layout.count === 4 && approx(layout.edgeInset, 12.5) && approx(layout.step, 18.75) && layout.depth === 3;
+})());
+
+test('joineryLayout() clamps depth to the edge length', (() => {
+    return approx(joineryLayout(4, { ...finger, thicknessMm: 10 }).depth, 1.8);
+})());
+
+test('jointProfile() raises alternate fingers along the normal', (() => {
+    const points = jointProfile(new Vec(0, 0), new Vec(100, 0), new Vec(0, -1), finger);
+    const raised = points.filter((p) => approx(p.y, -3));
+    return raised.length === 4 && points[points.length - 1].equals(new Vec(100, 0)) &&
+        approx(raised[0].x, 12.5) && approx(raised[1].x, 31.25);
+})());
+
+test('jointProfile() honours right alignment', (() => {
+    const points = jointProfile(new Vec(0, 0), new Vec(100, 0), new Vec(0, -1), { ...finger, align: 'right' });
+    const raised = points.filter((p) => approx(p.y, -3));
+    return approx(raised[0].x, 31.25);
+})());
+
+console.log('\n  Baking:');
+
+test('bakeEdgeJoinery() without joinery returns a copy', (() => {
+    const rect = Path.rect(0, 0, 100, 50);
+    const baked = bakeEdgeJoinery(rect, () => null);
+    return baked instanceof Path && baked !== rect && baked.anchors.length === 4;
+})());
+
+test('bakeEdgeJoinery() grows male teeth outward', (() => {
+    // Edge 0 of Path.rect runs along the top (y = 0), so teeth go to y < 0.
+    const baked = bakeEdgeJoinery(Path.rect(0, 0, 100, 50), onEdge(0, finger));
+    const box = baked.tightBoundingBox();
+    return baked instanceof Shape && baked.paths.length === 1 && baked.paths[0].closed &&
+        approx(box.min.y, -3) && approx(box.max.y, 50) && baked.paths[0].anchors.length === 13;
+})());
+
+test('bakeEdgeJoinery() bakes the closing edge of a closed path', (() => {
+    const baked = bakeEdgeJoinery(Path.rect(0, 0, 100, 50), onEdge(3, finger));
+    const box = baked.tightBoundingBox();
+    return approx(box.min.x, -3) && baked.paths[0].anchors[0].position.equals(new Vec(0, 0));
+})());
+
+test('bakeEdgeJoinery() tapers dovetails', (() => {
+    const baked = bakeEdgeJoinery(Path.rect(0, 0, 100, 50), onEdge(0, { ...finger, type: 'dovetail' }));
+    const tips = baked.paths[0].anchors.map((a) => a.position).filter((p) => approx(p.y, -3));
+    return tips.length === 4 && approx(tips[1].x - tips[0].x, 18.75 + 2 * 0.6);
+})());
+
+// x-ranges of the teeth jointProfile raises along the top edge of a 100 mm rect.
+const toothRanges = (joinery) => {
+    const raised = jointProfile(new Vec(0, 0), new Vec(100, 0), new Vec(0, -1), joinery).filter((p) => approx(p.y, -3));
+    return raised.filter((p, i) => i % 2 === 0).map((p, i) => [p.x, raised[i * 2 + 1].x]);
+};
+
+test('bakeEdgeJoinery() cuts female holes where the mating teeth are', (() => {
+    const female = { ...finger, type: 'finger_female' };
+    const baked = bakeEdgeJoinery(Path.rect(0, 0, 100, 50), onEdge(0, female), { femaleStyle: 'holes' });
+    const holes = baked.paths.slice(1).map((hole) => hole.tightBoundingBox());
+    const teeth = toothRanges(finger);
+    return baked.paths[0].anchors.length === 4 && holes.length === 2 && teeth.length === 2 &&
+        holes.every((box, i) => approx(box.min.x, teeth[i][0]) && approx(box.max.x, teeth[i][1]));
+})());
+
+test('jointHoles() follows right alignment', (() => {
+    const joinery = { ...finger, type: 'finger_female', align: 'right' };
+    const holes = jointHoles(new Vec(0, 0), new Vec(100, 0), new Vec(0, 1), joinery).map((hole) => hole.tightBoundingBox());
+    const teeth = toothRanges({ ...finger, align: 'right' });
+    return holes.length === 2 && holes.every((box, i) => approx(box.min.x, teeth[i][0]) && approx(box.max.x, teeth[i][1]));
+})());
+
+test('bakeEdgeJoinery() keeps female holes off the outline', (() => {
+    const female = { ...finger, type: 'finger_female' };
+    const baked = bakeEdgeJoinery(Path.rect(0, 0, 100, 50), onEdge(0, female), { femaleStyle: 'holes' });
+    const outline = baked.paths[0];
+    return baked.paths.slice(1).every((hole) => hole.anchors.every((anchor) =>
+        outline.closestPointWithinDistanceToPoint(1, anchor.position).distance > 1));
+})());
+
+test('bakeEdgeJoinery() cuts female notches by default', (() => {
+    const baked = bakeEdgeJoinery(Path.rect(0, 0, 100, 50), onEdge(0, { ...finger, type: 'finger_female' }));
+    const notched = baked.paths[0].anchors.filter((a) => approx(a.position.y, 3));
+    return baked.paths.length === 1 && notched.length === 4 && approx(baked.tightBoundingBox().min.y, 0);
+})());
+
+test('bakeEdgeJoinery() widens female notches by the fit tolerance', (() => {
+    const joinery = { ...finger, type: 'finger_female', fitToleranceMm: 0.2 };
+    const baked = bakeEdgeJoinery(Path.rect(0, 0, 100, 50), onEdge(0, joinery), { femaleStyle: 'notches' });
+    const floor = baked.paths[0].anchors.map((a) => a.position).filter((p) => approx(p.y, 3));
+    const xs = floor.map((p) => p.x).sort((a, b) => a - b);
+    return floor.length === 4 && approx(xs[1] - xs[0], 18.75 + 0.2) && approx(xs[0], 12.5 - 0.1);
+})());
+
+test('bakeEdgeJoinery() grows female holes by the fit tolerance', (() => {
+    const joinery = { ...finger, type: 'finger_female', fitToleranceMm: 0.2 };
+    const holes = bakeEdgeJoinery(Path.rect(0, 0, 100, 50), onEdge(0, joinery), { femaleStyle: 'holes' }).paths.slice(1);
+    return holes.length === 2 && holes.every((hole) => {
+        const box = hole.tightBoundingBox();
+        return approx(box.width(), 18.75 + 0.2) && approx(box.min.y, 3 - 0.1) && approx(box.max.y, 6.1);
+    });
+})());
+
+test('bakeEdgeJoinery() stamps shapeId and ignores curved edges', (() => {
+    const seen = [];
+    const circle = Path.circle(new Vec(0, 0), 10);
+    const baked = bakeEdgeJoinery(circle, (edge) => {
+        seen.push(edge.shapeId);
+        return finger;
+    }, { shapeId: 'Circle 1' });
+    return seen.length === 0 && baked instanceof Path && bakeEdgeJoinery(Path.rect(0, 0, 10, 10), (edge) => {
+        seen.push(edge.shapeId);
+        return null;
+    }, { shapeId: 'Rect 1' }) && seen.every((id) => id === 'Rect 1') && seen.length === 4;
+})());
+
+test('bakeEdgeJoinery() keeps curves on other edges', (() => {
+    const path = Path.fromPoints([new Vec(0, 0), new Vec(100, 0), new Vec(100, 50)], true);
+    path.anchors[1].handleOut = new Vec(20, 0);
+    path.anchors[2].handleIn = new Vec(0, -20);
+    const baked = bakeEdgeJoinery(path, onEdge(0, finger)).paths[0];
+    const corner = baked.anchors.find((a) => a.position.equals(new Vec(100, 0)));
+    const next = baked.anchors.find((a) => a.position.equals(new Vec(100, 50)));
+    return corner.handleOut.equals(new Vec(20, 0)) && next.handleIn.equals(new Vec(0, -20));
+})());
+
+console.log(`\nEdge joinery: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`Edge joinery: ${testCount - passCount} tests failed`);
+}
@@ -0,0 +1,341 @@
+/**
+ * Geometry Library - Fillet and Chamfer
+ *
+ * Round or bevel chosen corners of a path. A fillet replaces the corner with
+ * an arc tangent to both of its edges; a chamfer cuts it off with a straight
+ * line the same distance back along each edge.
+ *
+ * Corners are picked by anchor index, so they line up with the edges the
+ * canvas reports: edge `i` of a path runs from anchor `i` to anchor `i + 1`.
+ * Either edge may be curved. Between two straight edges the fillet is an
+ * exact circular arc; next to a curve it is a cubic blend that meets both
+ * trimmed edges tangentially.
+ *
+ * A corner never eats more than its edges can give: the setback is capped at
+ * the length of each edge, or half of it when the corner at the edge's other
+ * end is treated too, and the fillet radius shrinks to match. Straight
+ * corners, cusps and the two ends of an open path are left alone.
+ */
+
+import { Anchor } from './Anchor.js';
+import { cubicByTrimmingCubic, pointOnCubicAtTime } from './bezier.js';
+import { Path } from './Path.js';
+import { cubicFromSegment, isSegmentLinear } from './Segment.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} CornerRef
+ * @property {number} pathIndex Index into the item's `allPaths()`
+ * @property {number} index Anchor index within that path
+ */
+
+/** Corners whose edges turn by less than this (sine of the angle) are straight. */
+const STRAIGHT_EPSILON = 1e-6;
+
+/** Bisection steps used to find where a curved edge is trimmed. */
+const TRIM_ITERATIONS = 40;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Unit direction of a cubic where it leaves its first point.
+ * @param {import('./bezier.js').Cubic} cubic
+ * @returns {Vec}
+ */
+const startTangent = ([p0, p1, p2, p3]) => {
+    const direction = [p1, p2, p3].map((p) => Vec.sub(p, p0)).find((v) => v.length() > 1e-9);
+    return direction ? direction.normalize() : new Vec();
+};
+
+/**
+ * Unit direction of a cubic where it arrives at its last point.
+ * @param {import('./bezier.js').Cubic} cubic
+ * @returns {Vec}
+ */
+const endTangent = ([p0, p1, p2, p3]) => startTangent([p3, p2, p1, p0]).negate();
+
+/**
+ * Parameter on a cubic at the given straight-line distance from one of its
+ * ends.
+ * @param {import('./bezier.js').Cubic} cubic
+ * @param {number} distance
+ * @param {boolean} fromEnd Measure from the last point instead of the first
+ * @returns {number}
+ */
+const timeAtChordDistance = (cubic, distance, fromEnd) => {
+    const origin = fromEnd ? cubic[3] : cubic[0];
+    const point = new Vec();
+    let near = fromEnd ? 1 : 0;
+    let far = fromEnd ? 0 : 1;
+    for (let i = 0; i < TRIM_ITERATIONS; i++) {
+        const mid = (near + far) / 2;
+        pointOnCubicAtTime(point, cubic, mid);
+        if (point.distance(origin) < distance) {
+            near = mid;
+        } else {
+            far = mid;
+        }
+    }
+    return (near + far) / 2;
+};
+
+/**
+ * Part of a segment between two parameters, as a cubic. Straight segments
+ * are cut by interpolation so their control points stay on the line.
+ * @param {import('./Segment.js').Segment} segment
+ * @param {number} start
+ * @param {number} end
+ * @returns {{cubic: import('./bezier.js').Cubic, linear: boolean}}
+ */
+const trimSegment = (segment, start, end) => {
+    if (isSegmentLinear(segment)) {
+        const from = Vec.mix(segment[0].position, segment[1].position, start);
+        const to = Vec.mix(segment[0].position, segment[1].position, end);
+        return { cubic: [from, from.clone(), to.clone(), to], linear: true };
+    }
+    const cubic = cubicByTrimmingCubic(cubicFromSegment(segment), start, end).map((p) => p.clone());
+    return { cubic, linear: false };
+};
+
+/**
+ * How far back along its edges a corner is cut, before capping.
+ * @param {Path} path
+ * @param {number} index
+ * @param {'fillet'|'chamfer'} style
+ * @param {number} size Fillet radius or chamfer distance
+ * @returns {{setback: number, turn: number, angle: number}|null} Null for
+ *     corners that cannot be treated
+ */
+const cornerSetback = (path, index, style, size) => {
+    const { anchors } = path;
+    const n = anchors.length;
+    const incoming = cubicFromSegment([anchors[(index - 1 + n) % n], anchors[index]]);
+    const outgoing = cubicFromSegment([anchors[index], anchors[(index + 1) % n]]);
+    const a = endTangent(incoming);
+    const b = startTangent(outgoing);
+    if (a.isZero() || b.isZero()) return null;
+
+    const turn = a.cross(b);
+    const angle = Math.atan2(Math.abs(turn), a.dot(b));
+    if (Math.abs(turn) < STRAIGHT_EPSILON) return null;
+
+    const setback = style === 'fillet' ? size * Math.tan(angle / 2) : size;
+    return { setback, turn: Math.sign(turn), angle };
+};
+
+/**
+ * Anchors of a circular arc tangent to two straight edges, from `from` to
+ * `to`. The first anchor has no incoming handle and the last no outgoing one.
+ * @param {Vec} corner The sharp corner being rounded
+ * @param {Vec} from Where the arc leaves the incoming edge
+ * @param {Vec} to Where the arc joins the outgoing edge
+ * @param {{turn: number, angle: number}} info
+ * @returns {Anchor[]}
+ */
+const arcAnchors = (corner, from, to, { turn, angle }) => {
+    const setback = corner.distance(from);
+    const radius = setback / Math.tan(angle / 2);
+    const bisector = Vec.sub(from, corner).add(Vec.sub(to, corner)).normalize();
+    const center = Vec.add(corner, bisector.mulScalar(radius / Math.cos(angle / 2)));
+    const start = Vec.sub(from, center).angle();
+    const sweep = (turn * angle * 180) / Math.PI;
+    const anchors = Path.fromArc(center, radius, start, start + sweep).anchors;
+    anchors[0].position = from.clone();
+    anchors[anchors.length - 1].position = to.clone();
+    return anchors;
+};
+
+/**
+ * Merge anchors that landed on the same spot, which happens when a corner
+ * uses up a whole edge.
+ * @param {Anchor[]} anchors
+ * @param {boolean} closed
+ * @returns {Anchor[]}
+ */
+const mergeCoincidentAnchors = (anchors, closed) => {
+    const merged = [];
+    anchors.forEach((anchor) => {
+        const last = merged[merged.length - 1];
+        if (last && last.position.distance(anchor.position) < 1e-9) {
+            last.handleOut = anchor.handleOut;
+        } else {
+            merged.push(anchor);
+        }
+    });
+    if (closed && merged.length > 1) {
+        const first = merged[0];
+        const last = merged[merged.length - 1];
+        if (last.position.distance(first.position) < 1e-9) {
+            first.handleIn = last.handleIn;
+            merged.pop();
+        }
+    }
+    return merged;
+};
+
+/**
+ * Replace the chosen corners of one path.
+ * @param {Path} path
+ * @param {number[]} indices
+ * @param {'fillet'|'chamfer'} style
+ * @param {number} size
+ * @returns {Path}
+ */
+const treatPathCorners = (path, indices, style, size) => {
+    const result = path.clone();
+    const { anchors, closed } = path;
+    const n = anchors.length;
+    if (n < (closed ? 2 : 3) || !(size > 0)) return result;
+
+    const segmentCount = closed ? n : n - 1;
+    const chosen = new Set(indices.filter((i) => Number.isInteger(i) && i >= 0 && i < n &&
+        (closed || (i > 0 && i < n - 1))));
+
+    const corners = new Map();
+    chosen.forEach((index) => {
+        const info = cornerSetback(path, index, style, size);
+        if (info && info.setback > 0) corners.set(index, info);
+    });
+    if (corners.size === 0) return result;
+
+    // Cap each setback by what its two edges can give.
+    const chord = (k) => anchors[k].position.distance(anchors[(k + 1) % n].position);
+    corners.forEach((info, index) => {
+        const before = (index - 1 + n) % n;
+        const after = (index + 1) % n;
+        const inLimit = chord(before) * (corners.has(before) ? 0.5 : 1);
+        const outLimit = chord(index) * (corners.has(after) ? 0.5 : 1);
+        info.setback = Math.min(info.setback, inLimit, outLimit);
+    });
+
+    // Trim each edge back from the treated corners at its ends.
+    const segments = [];
+    for (let k = 0; k < segmentCount; k++) {
+        const segment = [anchors[k], anchors[(k + 1) % n]];
+        const cubic = cubicFromSegment(segment);
+        const linear = isSegmentLinear(segment);
+        const length = chord(k);
+        const startCorner = corners.get(k);
+        const endCorner = corners.get((k + 1) % n);
+        const start = !startCorner ? 0
+            : linear ? startCorner.setback / length : timeAtChordDistance(cubic, startCorner.setback, false);
+        const end = !endCorner ? 1
+            : linear ? 1 - endCorner.setback / length : timeAtChordDistance(cubic, endCorner.setback, true);
+        segments.push(trimSegment(segment, start, Math.max(start, end)));
+    }
+
+    const output = [];
+    for (let i = 0; i < n; i++) {
+        const incoming = closed || i > 0 ? segments[(i - 1 + n) % n] : null;
+        const outgoing = closed || i < n - 1 ? segments[i] : null;
+        const handleIn = incoming ? Vec.sub(incoming.cubic[2], incoming.cubic[3]) : anchors[i].handleIn.clone();
+        const handleOut = outgoing ? Vec.sub(outgoing.cubic[1], outgoing.cubic[0]) : anchors[i].handleOut.clone();
+        const info = corners.get(i);
+        if (!info) {
+            output.push(new Anchor(anchors[i].position.clone(), handleIn, handleOut));
+            continue;
+        }
+
+        const from = incoming.cubic[3].clone();
+        const to = outgoing.cubic[0].clone();
+        if (style === 'fillet' && incoming.linear && outgoing.linear) {
+            const arc = arcAnchors(anchors[i].position, from, to, info);
+            arc[0].handleIn = handleIn;
+            arc[arc.length - 1].handleOut = handleOut;
+            output.push(...arc);
+            continue;
+        }
+
+        const first = new Anchor(from, handleIn, new Vec());
+        const last = new Anchor(to, new Vec(), handleOut);
+        if (style === 'fillet') {
+            // Cubic blend with the handle length of a circular arc through both ends.
+            const a = endTangent(incoming.cubic);
+            const b = startTangent(outgoing.cubic);
+            const sweep = Math.atan2(Math.abs(a.cross(b)), a.dot(b));
+            if (sweep > STRAIGHT_EPSILON) {
+                const radius = from.distance(to) / (2 * Math.sin(sweep / 2));
+                const handle = (4 / 3) * Math.tan(sweep / 4) * radius;
+                first.handleOut = a.mulScalar(handle);
+                last.handleIn = b.mulScalar(-handle);
+            }
+        }
+        output.push(first, last);
+    }
+
+    result.anchors = mergeCoincidentAnchors(output, closed);
+    return result;
+};
+
+/**
+ * Replace the chosen corners of every path of an item.
+ * @param {Path|Shape|Group} item
+ * @param {CornerRef[]} corners
+ * @param {'fillet'|'chamfer'} style
+ * @param {number} size
+ * @returns {Path|Shape|Group}
+ */
+const treatCorners = (item, corners, style, size) => {
+    const result = item.clone();
+    result.allPaths().forEach((path, pathIndex) => {
+        const indices = corners.filter((corner) => (corner.pathIndex ?? 0) === pathIndex)
+            .map((corner) => corner.index);
+        if (indices.length > 0) {
+            path.anchors = treatPathCorners(path, indices, style, size).anchors;
+        }
+    });
+    return result;
+};
+
+// =============================================================================
+// Fillet and Chamfer
+// =============================================================================
+
+/**
+ * Round the corners at the given anchor indices with arcs of `radius`.
+ *
+ * @param {Path} path Path (not modified)
+ * @param {number[]} indices Anchor indices of the corners to round
+ * @param {number} radius Fillet radius in mm
+ * @returns {Path} A new path; corners that cannot be rounded are kept
+ */
+export const filletPathCorners = (path, indices, radius) =>
+    treatPathCorners(path, indices, 'fillet', radius);
+
+/**
+ * Cut off the corners at the given anchor indices, `distance` back along
+ * each edge.
+ *
+ * @param {Path} path Path (not modified)
+ * @param {number[]} indices Anchor indices of the corners to cut
+ * @param {number} distance Setback along each edge in mm
+ * @returns {Path} A new path; corners that cannot be cut are kept
+ */
+export const chamferPathCorners = (path, indices, distance) =>
+    treatPathCorners(path, indices, 'chamfer', distance);
+
+/**
+ * Round corners anywhere in a geometry item.
+ *
+ * ```javascript
+ * const rounded = filletCorners(outline, [{ pathIndex: 0, index: 2 }], 5);
+ * ```
+ *
+ * @param {Path|Shape|Group} item Geometry (not modified)
+ * @param {CornerRef[]} corners Corners to round, indexed like `allPaths()`
+ * @param {number} radius Fillet radius in mm
+ * @returns {Path|Shape|Group} New geometry of the same kind
+ */
+export const filletCorners = (item, corners, radius) => treatCorners(item, corners, 'fillet', radius);
+
+/**
+ * Cut off corners anywhere in a geometry item.
+ *
+ * @param {Path|Shape|Group} item Geometry (not modified)
+ * @param {CornerRef[]} corners Corners to cut, indexed like `allPaths()`
+ * @param {number} distance Setback along each edge in mm
+ * @returns {Path|Shape|Group} New geometry of the same kind
+ */
+export const chamferCorners = (item, corners, distance) => treatCorners(item, corners, 'chamfer', distance);
@@ -0,0 +1,1049 @@
+/**
+ * Geometry Library - Fonts
+ *
+ * Reads TrueType and OpenType font files and turns text into glyph
+ * outlines that can be cut, engraved and used in booleans.
+ *
+ * Supported files:
+ *   - TrueType outlines (glyf/loca), simple and composite glyphs. Quadratic
+ *     curves are converted to cubics exactly.
+ *   - OpenType CFF outlines (Type 2 charstrings), including CID-keyed fonts.
+ *   - TrueType collections (.ttc), of which the first font is read.
+ *
+ * WOFF, WOFF2 and CFF2 (variable OpenType) files are rejected with an error.
+ *
+ * Characters are mapped through the Unicode cmap subtable (formats 4 and
+ * 12) and spaced by the hmtx advances. Pair kerning is read from the GPOS
+ * 'kern' feature (lookup type 2), falling back to the legacy kern table.
+ * Ligatures and other GSUB substitutions are not applied.
+ *
+ * Glyphs are drawn Y-up in font units; textGeometry scales them to the
+ * requested size and flips them into the Y-down geometry space. Contours
+ * that overlap inside a glyph (common in fonts exported from variable
+ * sources) are merged with the nonzero rule, so the outlines never cross
+ * and the even-odd fill the renderer uses draws them correctly.
+ */
+
+import { Anchor } from './Anchor.js';
+import { contoursOfRegion, windingNumberOfPaths } from './boolean.js';
+import { signedAreaOfPath } from './contour.js';
+import { pathIntersections, pathSelfIntersections } from './intersections.js';
+import { AffineMatrix } from './Matrix.js';
+import { Path } from './Path.js';
+import { Shape } from './Shape.js';
+import { Vec } from './Vec.js';
+
+/**
+ * A parsed font. Glyph outlines are decoded on first use and cached.
+ * @typedef {Object} Font
+ * @property {string} family - Family name from the name table
+ * @property {string} fullName - Full name (family and style) from the name table
+ * @property {number} unitsPerEm - Font units per em
+ * @property {number} ascender - Height above the baseline, in font units
+ * @property {number} descender - Depth below the baseline, in font units (negative)
+ * @property {number} lineGap - Extra space between lines, in font units
+ * @property {number} glyphCount
+ * @property {Map<number, number>} characterMap - Unicode code point to glyph index
+ * @property {number[]} advanceWidths - Advance of each glyph, in font units
+ * @property {(left: number, right: number) => number} kerning - Kerning between two glyph indices, in font units
+ * @property {(glyphIndex: number) => Path[]} outline - Closed contours of a glyph in font units, Y up
+ */
+
+/**
+ * @typedef {Object} TextLayoutOptions
+ * @property {number} [size=10] Em size (roughly the height of the font's caps and descenders) in output units
+ * @property {number} [letterSpacing=0] Extra space after every character, in output units
+ * @property {number} [lineHeight=1] Line spacing as a multiple of the font's own line spacing
+ * @property {'left'|'center'|'right'} [align='left'] Where each line sits relative to x = 0
+ * @property {boolean} [kerning=true] Apply the font's pair kerning
+ */
+
+/** Glyph flags of simple TrueType glyphs. */
+const ON_CURVE = 0x01;
+const X_SHORT = 0x02;
+const Y_SHORT = 0x04;
+const REPEAT = 0x08;
+const X_SAME_OR_POSITIVE = 0x10;
+const Y_SAME_OR_POSITIVE = 0x20;
+
+/** Component flags of composite TrueType glyphs. */
+const ARGS_ARE_WORDS = 0x0001;
+const ARGS_ARE_XY_VALUES = 0x0002;
+const HAS_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const HAS_X_AND_Y_SCALE = 0x0040;
+const HAS_TWO_BY_TWO = 0x0080;
+
+/** Deepest nesting of composite glyphs and charstring subroutines. */
+const MAX_NESTING = 10;
+
+// =============================================================================
+// Binary Reading
+// =============================================================================
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {string}
+ */
+const tagAt = (view, offset) => String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+);
+
+/**
+ * Table offsets and lengths of the font's table directory.
+ * @param {DataView} view
+ * @param {number} offset - Start of the offset table
+ * @returns {Map<string, {offset: number, length: number}>}
+ */
+const readTableDirectory = (view, offset) => {
+    const tables = new Map();
+    const count = view.getUint16(offset + 4);
+    for (let i = 0; i < count; i++) {
+        const record = offset + 12 + i * 16;
+        tables.set(tagAt(view, record), { offset: view.getUint32(record + 8), length: view.getUint32(record + 12) });
+    }
+    return tables;
+};
+
+/**
+ * Decode a name table string.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length
+ * @param {boolean} utf16 - UTF-16BE (Windows and Unicode platforms) rather than one byte per character
+ * @returns {string}
+ */
+const nameString = (view, offset, length, utf16) => {
+    let result = '';
+    if (utf16) {
+        for (let i = 0; i + 1 < length; i += 2) result += String.fromCharCode(view.getUint16(offset + i));
+    } else {
+        for (let i = 0; i < length; i++) result += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return result;
+};
+
+/**
+ * Names by name ID, preferring English Windows names.
+ * @param {DataView} view
+ * @param {{offset: number}} [table]
+ * @returns {Map<number, string>}
+ */
+const readNames = (view, table) => {
+    const names = new Map();
+    if (!table) return names;
+    const count = view.getUint16(table.offset + 2);
+    const storage = table.offset + view.getUint16(table.offset + 4);
+    const ranked = new Map();
+    for (let i = 0; i < count; i++) {
+        const record = table.offset + 6 + i * 12;
+        const platform = view.getUint16(record);
+        const language = view.getUint16(record + 4);
+        const nameId = view.getUint16(record + 6);
+        const rank = platform === 3 ? (language === 0x409 ? 3 : 2) : platform === 0 ? 1 : platform === 1 && language === 0 ? 0 : -1;
+        if (rank < 0 || rank <= (ranked.get(nameId) ?? -1)) continue;
+        ranked.set(nameId, rank);
+        names.set(nameId, nameString(view, storage + view.getUint16(record + 10), view.getUint16(record + 8), platform !== 1));
+    }
+    return names;
+};
+
+// =============================================================================
+// Character Map
+// =============================================================================
+
+/**
+ * Unicode code points of the best cmap subtable.
+ * @param {DataView} view
+ * @param {{offset: number}} table
+ * @returns {Map<number, number>}
+ */
+const readCharacterMap = (view, table) => {
+    const characterMap = new Map();
+    if (!table) return characterMap;
+
+    // Prefer full-repertoire (format 12) Unicode subtables over BMP-only ones.
+    let best = null;
+    let bestRank = -1;
+    const count = view.getUint16(table.offset + 2);
+    for (let i = 0; i < count; i++) {
+        const record = table.offset + 4 + i * 8;
+        const platform = view.getUint16(record);
+        const encoding = view.getUint16(record + 2);
+        const offset = table.offset + view.getUint32(record + 4);
+        const format = view.getUint16(offset);
+        const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+        if (!unicode || (format !== 4 && format !== 12)) continue;
+        const rank = (format === 12 ? 2 : 0) + (platform === 3 ? 1 : 0);
+        if (rank > bestRank) {
+            best = offset;
+            bestRank = rank;
+        }
+    }
+    if (best === null) return characterMap;
+
+    if (view.getUint16(best) === 12) {
+        const groups = view.getUint32(best + 12);
+        for (let i = 0; i < groups; i++) {
+            const group = best + 16 + i * 12;
+            const start = view.getUint32(group);
+            const end = view.getUint32(group + 4);
+            const glyph = view.getUint32(group + 8);
+            for (let code = start; code <= end; code++) characterMap.set(code, glyph + code - start);
+        }
+        return characterMap;
+    }
+
+    const segments = view.getUint16(best + 6) / 2;
+    const ends = best + 14;
+    const starts = ends + segments * 2 + 2;
+    const deltas = starts + segments * 2;
+    const rangeOffsets = deltas + segments * 2;
+    for (let i = 0; i < segments; i++) {
+        const start = view.getUint16(starts + i * 2);
+        const end = view.getUint16(ends + i * 2);
+        const delta = view.getInt16(deltas + i * 2);
+        const rangeOffset = view.getUint16(rangeOffsets + i * 2);
+        for (let code = start; code <= end && code !== 0xffff; code++) {
+            let glyph;
+            if (rangeOffset === 0) {
+                glyph = (code + delta) & 0xffff;
+            } else {
+                glyph = view.getUint16(rangeOffsets + i * 2 + rangeOffset + (code - start) * 2);
+                if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+            }
+            if (glyph !== 0) characterMap.set(code, glyph);
+        }
+    }
+    return characterMap;
+};
+
+// =============================================================================
+// Kerning
+// =============================================================================
+
+/**
+ * Coverage index of each glyph in an OpenType coverage table.
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {Map<number, number>}
+ */
+const readCoverage = (view, offset) => {
+    const coverage = new Map();
+    const count = view.getUint16(offset + 2);
+    if (view.getUint16(offset) === 1) {
+        for (let i = 0; i < count; i++) coverage.set(view.getUint16(offset + 4 + i * 2), i);
+    } else {
+        for (let i = 0; i < count; i++) {
+            const range = offset + 4 + i * 6;
+            const start = view.getUint16(range);
+            const end = view.getUint16(range + 2);
+            const index = view.getUint16(range + 4);
+            for (let glyph = start; glyph <= end; glyph++) coverage.set(glyph, index + glyph - start);
+        }
+    }
+    return coverage;
+};
+
+/**
+ * Class of each glyph in an OpenType class definition table. Glyphs not
+ * listed are class 0.
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {Map<number, number>}
+ */
+const readClassDefinition = (view, offset) => {
+    const classes = new Map();
+    if (view.getUint16(offset) === 1) {
+        const start = view.getUint16(offset + 2);
+        const count = view.getUint16(offset + 4);
+        for (let i = 0; i < count; i++) classes.set(start + i, view.getUint16(offset + 6 + i * 2));
+    } else {
+        const count = view.getUint16(offset + 2);
+        for (let i = 0; i < count; i++) {
+            const range = offset + 4 + i * 6;
+            const value = view.getUint16(range + 4);
+            for (let glyph = view.getUint16(range); glyph <= view.getUint16(range + 2); glyph++) classes.set(glyph, value);
+        }
+    }
+    return classes;
+};
+
+/**
+ * Size in bytes of a GPOS value record, and where its XAdvance is.
+ * @param {number} valueFormat
+ * @returns {{size: number, advance: number}} advance is -1 when the record has none
+ */
+const valueRecordLayout = (valueFormat) => {
+    let size = 0;
+    for (let bits = valueFormat; bits; bits >>= 1) size += (bits & 1) * 2;
+    const advance = valueFormat & 0x4 ? ((valueFormat & 0x1 ? 2 : 0) + (valueFormat & 0x2 ? 2 : 0)) : -1;
+    return { size, advance };
+};
+
+/**
+ * Pair adjustment lookups of the GPOS 'kern' feature, each a function
+ * from a glyph pair to its kerning, or undefined when the subtable does
+ * not cover the pair.
+ * @param {DataView} view
+ * @param {{offset: number}} table
+ * @returns {Array<(left: number, right: number) => number|undefined>}
+ */
+const readGPOSKerning = (view, table) => {
+    const gpos = table.offset;
+    const featureList = gpos + view.getUint16(gpos + 6);
+    const lookupList = gpos + view.getUint16(gpos + 8);
+
+    const lookupIndices = new Set();
+    const featureCount = view.getUint16(featureList);
+    for (let i = 0; i < featureCount; i++) {
+        const record = featureList + 2 + i * 6;
+        if (tagAt(view, record) !== 'kern') continue;
+        const feature = featureList + view.getUint16(record + 4);
+        const count = view.getUint16(feature + 2);
+        for (let j = 0; j < count; j++) lookupIndices.add(view.getUint16(feature + 4 + j * 2));
+    }
+
+    const subtables = [];
+    [...lookupIndices].sort((a, b) => a - b).forEach((lookupIndex) => {
+        const lookup = lookupList + view.getUint16(lookupList + 2 + lookupIndex * 2);
+        const type = view.getUint16(lookup);
+        const count = view.getUint16(lookup + 4);
+        for (let i = 0; i < count; i++) {
+            let subtable = lookup + view.getUint16(lookup + 6 + i * 2);
+            // Extension lookups point at a subtable of another type.
+            if (type === 9) {
+                if (view.getUint16(subtable + 2) !== 2) continue;
+                subtable += view.getUint32(subtable + 4);
+            } else if (type !== 2) {
+                continue;
+            }
+            subtables.push(subtable);
+        }
+    });
+
+    return subtables.map((subtable) => {
+        const format = view.getUint16(subtable);
+        const coverage = readCoverage(view, subtable + view.getUint16(subtable + 2));
+        const first = valueRecordLayout(view.getUint16(subtable + 4));
+        const second = valueRecordLayout(view.getUint16(subtable + 6));
+        const pairSize = first.size + second.size;
+
+        if (format === 1) {
+            return (left, right) => {
+                const index = coverage.get(left);
+                if (index === undefined) return undefined;
+                const pairSet = subtable + view.getUint16(subtable + 10 + index * 2);
+                const count = view.getUint16(pairSet);
+                // Pairs are sorted by their second glyph.
+                let low = 0;
+                let high = count - 1;
+                while (low <= high) {
+                    const middle = (low + high) >> 1;
+                    const record = pairSet + 2 + middle * (2 + pairSize);
+                    const glyph = view.getUint16(record);
+                    if (glyph === right) return first.advance < 0 ? 0 : view.getInt16(record + 2 + first.advance);
+                    if (glyph < right) low = middle + 1;
+                    else high = middle - 1;
+                }
+                return undefined;
+            };
+        }
+        if (format === 2) {
+            const classes1 = readClassDefinition(view, subtable + view.getUint16(subtable + 8));
+            const classes2 = readClassDefinition(view, subtable + view.getUint16(subtable + 10));
+            const class2Count = view.getUint16(subtable + 14);
+            return (left, right) => {
+                if (!coverage.has(left) || first.advance < 0) return undefined;
+                const class1 = classes1.get(left) ?? 0;
+                const class2 = classes2.get(right) ?? 0;
+                return view.getInt16(subtable + 16 + (class1 * class2Count + class2) * pairSize + first.advance);
+            };
+        }
+        return () => undefined;
+    });
+};
+
+/**
+ * Horizontal pairs of the legacy kern table (format 0 subtables).
+ * @param {DataView} view
+ * @param {{offset: number}} table
+ * @returns {Map<number, number>} Keyed by left * 65536 + right
+ */
+const readKernTable = (view, table) => {
+    const pairs = new Map();
+    const count = view.getUint16(table.offset + 2);
+    let subtable = table.offset + 4;
+    for (let i = 0; i < count; i++) {
+        const length = view.getUint16(subtable + 2);
+        const coverage = view.getUint16(subtable + 4);
+        if ((coverage >> 8) === 0 && (coverage & 0x1)) {
+            const pairCount = view.getUint16(subtable + 6);
+            for (let j = 0; j < pairCount; j++) {
+                const record = subtable + 14 + j * 6;
+                pairs.set(view.getUint16(record) * 65536 + view.getUint16(record + 2), view.getInt16(record + 4));
+            }
+        }
+        subtable += length;
+    }
+    return pairs;
+};
+
+// =============================================================================
+// Outlines
+// =============================================================================
+
+/**
+ * Collects move, line and curve commands into closed paths.
+ * @returns {{moveTo: Function, lineTo: Function, curveTo: Function, close: Function, paths: Path[]}}
+ */
+const outlineBuilder = () => {
+    const paths = [];
+    let anchors = null;
+
+    const close = () => {
+        if (!anchors) return;
+        const first = anchors[0];
+        const last = anchors[anchors.length - 1];
+        if (anchors.length > 1 && last.position.equals(first.position)) {
+            first.handleIn = last.handleIn;
+            anchors.pop();
+        }
+        if (anchors.length > 1) paths.push(new Path(anchors, true));
+        anchors = null;
+    };
+    return {
+        paths,
+        close,
+        moveTo: (x, y) => {
+            close();
+            anchors = [new Anchor(new Vec(x, y))];
+        },
+        lineTo: (x, y) => {
+            anchors.push(new Anchor(new Vec(x, y)));
+        },
+        curveTo: (x1, y1, x2, y2, x, y) => {
+            const last = anchors[anchors.length - 1];
+            last.handleOut = new Vec(x1 - last.position.x, y1 - last.position.y);
+            anchors.push(new Anchor(new Vec(x, y), new Vec(x2 - x, y2 - y)));
+        }
+    };
+};
+
+/**
+ * Contours of a simple TrueType glyph, or of a composite glyph's components.
+ * @param {DataView} view
+ * @param {Function} glyphLocation - Glyph index to {offset, length}
+ * @param {number} glyphIndex
+ * @param {AffineMatrix} matrix - Placement of the glyph
+ * @param {ReturnType<typeof outlineBuilder>} builder
+ * @param {number} depth
+ */
+const drawTrueTypeGlyph = (view, glyphLocation, glyphIndex, matrix, builder, depth) => {
+    const { offset, length } = glyphLocation(glyphIndex);
+    if (length === 0 || depth > MAX_NESTING) return;
+    const contourCount = view.getInt16(offset);
+
+    if (contourCount < 0) {
+        let component = offset + 10;
+        let flags;
+        do {
+            flags = view.getUint16(component);
+            const index = view.getUint16(component + 2);
+            component += 4;
+            let dx;
+            let dy;
+            if (flags & ARGS_ARE_WORDS) {
+                [dx, dy] = flags & ARGS_ARE_XY_VALUES
+                    ? [view.getInt16(component), view.getInt16(component + 2)]
+                    : [0, 0];
+                component += 4;
+            } else {
+                [dx, dy] = flags & ARGS_ARE_XY_VALUES
+                    ? [view.getInt8(component), view.getInt8(component + 1)]
+                    : [0, 0];
+                component += 2;
+            }
+            // Point-matched components (no XY values) are placed at the origin.
+            const f2dot14 = (at) => view.getInt16(at) / 16384;
+            let [a, b, c, d] = [1, 0, 0, 1];
+            if (flags & HAS_SCALE) {
+                a = d = f2dot14(component);
+                component += 2;
+            } else if (flags & HAS_X_AND_Y_SCALE) {
+                [a, d] = [f2dot14(component), f2dot14(component + 2)];
+                component += 4;
+            } else if (flags & HAS_TWO_BY_TWO) {
+                [a, b, c, d] = [f2dot14(component), f2dot14(component + 2), f2dot14(component + 4), f2dot14(component + 6)];
+                component += 8;
+            }
+            const placement = new AffineMatrix(a, b, c, d, dx, dy).preMul(matrix);
+            drawTrueTypeGlyph(view, glyphLocation, index, placement, builder, depth + 1);
+        } while (flags & MORE_COMPONENTS);
+        return;
+    }
+
+    const endPoints = [];
+    for (let i = 0; i < contourCount; i++) endPoints.push(view.getUint16(offset + 10 + i * 2));
+    const pointCount = contourCount > 0 ? endPoints[contourCount - 1] + 1 : 0;
+    let cursor = offset + 10 + contourCount * 2;
+    cursor += 2 + view.getUint16(cursor);
+
+    const flags = new Uint8Array(pointCount);
+    for (let i = 0; i < pointCount;) {
+        const flag = view.getUint8(cursor++);
+        flags[i++] = flag;
+        if (flag & REPEAT) {
+            for (let repeat = view.getUint8(cursor++); repeat > 0 && i < pointCount; repeat--) flags[i++] = flag;
+        }
+    }
+    const readCoordinates = (short, sameOrPositive) => {
+        const values = new Array(pointCount);
+        let value = 0;
+        for (let i = 0; i < pointCount; i++) {
+            if (flags[i] & short) {
+                const delta = view.getUint8(cursor++);
+                value += flags[i] & sameOrPositive ? delta : -delta;
+            } else if (!(flags[i] & sameOrPositive)) {
+                value += view.getInt16(cursor);
+                cursor += 2;
+            }
+            values[i] = value;
+        }
+        return values;
+    };
+    const xs = readCoordinates(X_SHORT, X_SAME_OR_POSITIVE);
+    const ys = readCoordinates(Y_SHORT, Y_SAME_OR_POSITIVE);
+
+    let start = 0;
+    endPoints.forEach((end) => {
+        const points = [];
+        for (let i = start; i <= end; i++) {
+            points.push({ position: new Vec(xs[i], ys[i]).affineTransform(matrix), onCurve: (flags[i] & ON_CURVE) !== 0 });
+        }
+        start = end + 1;
+        if (points.length < 2) return;
+
+        // Start on an on-curve point; two off-curve points imply one between them.
+        let first = points.findIndex((point) => point.onCurve);
+        if (first < 0) {
+            points.unshift({ position: Vec.mix(points[0].position, points[points.length - 1].position, 0.5), onCurve: true });
+            first = 0;
+        }
+        const ordered = [...points.slice(first), ...points.slice(0, first)];
+        const origin = ordered[0].position;
+        builder.moveTo(origin.x, origin.y);
+        let from = origin;
+        let control = null;
+        const quadTo = (to) => {
+            builder.curveTo(
+                from.x + (control.x - from.x) * 2 / 3, from.y + (control.y - from.y) * 2 / 3,
+                to.x + (control.x - to.x) * 2 / 3, to.y + (control.y - to.y) * 2 / 3,
+                to.x, to.y
+            );
+        };
+        for (let i = 1; i <= ordered.length; i++) {
+            const { position, onCurve } = i < ordered.length ? ordered[i] : ordered[0];
+            if (onCurve) {
+                if (control) quadTo(position);
+                else builder.lineTo(position.x, position.y);
+                from = position;
+                control = null;
+            } else if (control) {
+                const implied = Vec.mix(control, position, 0.5);
+                quadTo(implied);
+                from = implied;
+                control = position;
+            } else {
+                control = position;
+            }
+        }
+        builder.close();
+    });
+};
+
+/**
+ * Subroutine index bias of a Type 2 charstring INDEX.
+ * @param {number} count
+ * @returns {number}
+ */
+const subroutineBias = (count) => (count < 1240 ? 107 : count < 33900 ? 1131 : 32768);
+
+/**
+ * Offsets of the items of a CFF INDEX.
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {{items: Array<{offset: number, length: number}>, end: number}}
+ */
+const readCFFIndex = (view, offset) => {
+    const count = view.getUint16(offset);
+    if (count === 0) return { items: [], end: offset + 2 };
+    const offsetSize = view.getUint8(offset + 2);
+    const readOffset = (i) => {
+        let value = 0;
+        for (let k = 0; k < offsetSize; k++) value = value * 256 + view.getUint8(offset + 3 + i * offsetSize + k);
+        return value;
+    };
+    const data = offset + 3 + (count + 1) * offsetSize - 1;
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        items.push({ offset: data + readOffset(i), length: readOffset(i + 1) - readOffset(i) });
+    }
+    return { items, end: data + readOffset(count) };
+};
+
+/**
+ * Operands of each operator of a CFF DICT. Two-byte operators are keyed
+ * 1200 + their second byte.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length
+ * @returns {Map<number, number[]>}
+ */
+const readCFFDict = (view, offset, length) => {
+    const dict = new Map();
+    let operands = [];
+    for (let i = offset; i < offset + length;) {
+        const b0 = view.getUint8(i++);
+        if (b0 <= 21) {
+            const operator = b0 === 12 ? 1200 + view.getUint8(i++) : b0;
+            dict.set(operator, operands);
+            operands = [];
+        } else if (b0 === 28) {
+            operands.push(view.getInt16(i));
+            i += 2;
+        } else if (b0 === 29) {
+            operands.push(view.getInt32(i));
+            i += 4;
+        } else if (b0 === 30) {
+            // Real number: nibbles of digits, point, exponent and sign.
+            let text = '';
+            for (let done = false; !done;) {
+                const byte = view.getUint8(i++);
+                for (const nibble of [byte >> 4, byte & 0xf]) {
+                    if (nibble === 0xf) {
+                        done = true;
+                        break;
+                    }
+                    text += ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'E', 'E-', '', '-'][nibble];
+                }
+            }
+            operands.push(parseFloat(text));
+        } else if (b0 >= 32 && b0 <= 246) {
+            operands.push(b0 - 139);
+        } else if (b0 >= 247 && b0 <= 250) {
+            operands.push((b0 - 247) * 256 + view.getUint8(i++) + 108);
+        } else if (b0 >= 251 && b0 <= 254) {
+            operands.push(-(b0 - 251) * 256 - view.getUint8(i++) - 108);
+        }
+    }
+    return dict;
+};
+
+/**
+ * Local subroutines of a Private DICT.
+ * @param {DataView} view
+ * @param {number} start - Start of the CFF table
+ * @param {number[]} [privateOperands] - Size and offset of the Private DICT
+ * @returns {Array<{offset: number, length: number}>}
+ */
+const readPrivateSubroutines = (view, start, privateOperands) => {
+    if (!privateOperands || privateOperands.length < 2) return [];
+    const [size, offset] = privateOperands;
+    const subrs = readCFFDict(view, start + offset, size).get(19);
+    return subrs ? readCFFIndex(view, start + offset + subrs[0]).items : [];
+};
+
+/**
+ * Reader of the CFF table: a function drawing a glyph's charstring.
+ * @param {DataView} view
+ * @param {{offset: number}} table
+ * @returns {(glyphIndex: number, builder: ReturnType<typeof outlineBuilder>) => void}
+ */
+const readCFF = (view, table) => {
+    const start = table.offset;
+    const nameIndex = readCFFIndex(view, start + view.getUint8(start + 2));
+    const topIndex = readCFFIndex(view, nameIndex.end);
+    const stringIndex = readCFFIndex(view, topIndex.end);
+    const globalSubrs = readCFFIndex(view, stringIndex.end).items;
+    const top = readCFFDict(view, topIndex.items[0].offset, topIndex.items[0].length);
+    const charStrings = readCFFIndex(view, start + top.get(17)[0]).items;
+
+    // CID-keyed fonts pick a Private DICT, and so local subroutines, per glyph.
+    let localSubrsOfGlyph;
+    if (top.has(1236) && top.has(1237)) {
+        const fontDicts = readCFFIndex(view, start + top.get(1236)[0]).items
+            .map(({ offset, length }) => readPrivateSubroutines(view, start, readCFFDict(view, offset, length).get(18)));
+        const select = start + top.get(1237)[0];
+        const fdOfGlyph = (glyph) => {
+            if (view.getUint8(select) === 0) return view.getUint8(select + 1 + glyph);
+            const ranges = view.getUint16(select + 1);
+            for (let i = ranges - 1; i >= 0; i--) {
+                const range = select + 3 + i * 3;
+                if (view.getUint16(range) <= glyph) return view.getUint8(range + 2);
+            }
+            return 0;
+        };
+        localSubrsOfGlyph = (glyph) => fontDicts[fdOfGlyph(glyph)] || [];
+    } else {
+        const localSubrs = readPrivateSubroutines(view, start, top.get(18));
+        localSubrsOfGlyph = () => localSubrs;
+    }
+
+    return (glyphIndex, builder) => {
+        const charString = charStrings[glyphIndex];
+        if (!charString) return;
+        const localSubrs = localSubrsOfGlyph(glyphIndex);
+        const localBias = subroutineBias(localSubrs.length);
+        const globalBias = subroutineBias(globalSubrs.length);
+
+        const stack = [];
+        let x = 0;
+        let y = 0;
+        let stems = 0;
+        let haveWidth = false;
+        let open = false;
+        let ended = false;
+
+        // The first stack-clearing operator may carry the advance width.
+        const dropWidth = (evenArguments) => {
+            if (!haveWidth && stack.length % 2 !== (evenArguments ? 0 : 1)) stack.shift();
+            haveWidth = true;
+        };
+        const moveTo = (dx, dy) => {
+            if (open) builder.close();
+            x += dx;
+            y += dy;
+            builder.moveTo(x, y);
+            open = true;
+        };
+        const lineTo = (dx, dy) => {
+            x += dx;
+            y += dy;
+            builder.lineTo(x, y);
+        };
+        const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+            const x1 = x + dx1;
+            const y1 = y + dy1;
+            const x2 = x1 + dx2;
+            const y2 = y1 + dy2;
+            x = x2 + dx3;
+            y = y2 + dy3;
+            builder.curveTo(x1, y1, x2, y2, x, y);
+        };
+
+        const run = (offset, length, depth) => {
+            const end = offset + length;
+            for (let i = offset; i < end && !ended;) {
+                const b0 = view.getUint8(i++);
+                if (b0 === 28) {
+                    stack.push(view.getInt16(i));
+                    i += 2;
+                } else if (b0 >= 32 && b0 <= 246) {
+                    stack.push(b0 - 139);
+                } else if (b0 >= 247 && b0 <= 250) {
+                    stack.push((b0 - 247) * 256 + view.getUint8(i++) + 108);
+                } else if (b0 >= 251 && b0 <= 254) {
+                    stack.push(-(b0 - 251) * 256 - view.getUint8(i++) - 108);
+                } else if (b0 === 255) {
+                    stack.push(view.getInt32(i) / 65536);
+                    i += 4;
+                } else if (b0 === 1 || b0 === 3 || b0 === 18 || b0 === 23) {
+                    dropWidth(true);
+                    stems += stack.length >> 1;
+                    stack.length = 0;
+                } else if (b0 === 19 || b0 === 20) {
+                    // hintmask/cntrmask: pending arguments are vstem hints.
+                    dropWidth(true);
+                    stems += stack.length >> 1;
+                    stack.length = 0;
+                    i += (stems + 7) >> 3;
+                } else if (b0 === 21) {
+                    dropWidth(true);
+                    moveTo(stack[stack.length - 2], stack[stack.length - 1]);
+                    stack.length = 0;
+                } else if (b0 === 22 || b0 === 4) {
+                    dropWidth(false);
+                    const d = stack[stack.length - 1];
+                    if (b0 === 22) moveTo(d, 0);
+                    else moveTo(0, d);
+                    stack.length = 0;
+                } else if (b0 === 5) {
+                    for (let k = 0; k + 1 < stack.length; k += 2) lineTo(stack[k], stack[k + 1]);
+                    stack.length = 0;
+                } else if (b0 === 6 || b0 === 7) {
+                    let horizontal = b0 === 6;
+                    for (const d of stack) {
+                        if (horizontal) lineTo(d, 0);
+                        else lineTo(0, d);
+                        horizontal = !horizontal;
+                    }
+                    stack.length = 0;
+                } else if (b0 === 8) {
+                    for (let k = 0; k + 5 < stack.length; k += 6) curveTo(...stack.slice(k, k + 6));
+                    stack.length = 0;
+                } else if (b0 === 24) {
+                    let k = 0;
+                    for (; k + 7 < stack.length; k += 6) curveTo(...stack.slice(k, k + 6));
+                    lineTo(stack[k], stack[k + 1]);
+                    stack.length = 0;
+                } else if (b0 === 25) {
+                    let k = 0;
+                    for (; k + 7 < stack.length; k += 2) lineTo(stack[k], stack[k + 1]);
+                    curveTo(...stack.slice(k, k + 6));
+                    stack.length = 0;
+                } else if (b0 === 26 || b0 === 27) {
+                    // vvcurveto/hhcurveto: an odd count starts with the off-axis delta.
+                    let k = 0;
+                    let extra = 0;
+                    if (stack.length % 2) extra = stack[k++];
+                    for (; k + 3 < stack.length; k += 4) {
+                        const [a, b, c, d] = stack.slice(k, k + 4);
+                        if (b0 === 26) curveTo(extra, a, b, c, 0, d);
+                        else curveTo(a, extra, b, c, d, 0);
+                        extra = 0;
+                    }
+                    stack.length = 0;
+                } else if (b0 === 30 || b0 === 31) {
+                    // vhcurveto/hvcurveto: curves alternate starting direction.
+                    let horizontal = b0 === 31;
+                    for (let k = 0; k + 3 < stack.length; k += 4) {
+                        const [a, b, c, d] = stack.slice(k, k + 4);
+                        const last = k + 5 === stack.length ? stack[k + 4] : 0;
+                        if (horizontal) curveTo(a, 0, b, c, last, d);
+                        else curveTo(0, a, b, c, d, last);
+                        horizontal = !horizontal;
+                    }
+                    stack.length = 0;
+                } else if (b0 === 10 || b0 === 29) {
+                    const subrs = b0 === 10 ? localSubrs : globalSubrs;
+                    const subr = subrs[stack.pop() + (b0 === 10 ? localBias : globalBias)];
+                    if (subr && depth < MAX_NESTING) run(subr.offset, subr.length, depth + 1);
+                } else if (b0 === 11) {
+                    return;
+                } else if (b0 === 14) {
+                    dropWidth(true);
+                    ended = true;
+                } else if (b0 === 12) {
+                    const b1 = view.getUint8(i++);
+                    const s = stack;
+                    if (b1 === 35) {
+                        curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                        curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                    } else if (b1 === 34) {
+                        const startY = y;
+                        curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                        curveTo(s[4], 0, s[5], startY - y, s[6], 0);
+                    } else if (b1 === 36) {
+                        const startY = y;
+                        curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                        curveTo(s[5], 0, s[6], s[7], s[8], startY - y - s[7]);
+                    } else if (b1 === 37) {
+                        const [startX, startY] = [x, y];
+                        const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+                        const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+                        curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                        const horizontal = Math.abs(dx) > Math.abs(dy);
+                        curveTo(s[6], s[7], s[8], s[9],
+                            horizontal ? s[10] : startX - x - s[6] - s[8],
+                            horizontal ? startY - y - s[7] - s[9] : s[10]);
+                    }
+                    stack.length = 0;
+                } else {
+                    stack.length = 0;
+                }
+            }
+        };
+        run(charString.offset, charString.length, 0);
+        if (open) builder.close();
+    };
+};
+
+/**
+ * Merge a glyph's contours with the nonzero rule when the even-odd fill
+ * would draw them differently: contours that cross, or a contour nested
+ * in others that wind the same way.
+ * @param {Path[]} contours
+ * @returns {Path[]}
+ */
+const mergeOverlappingContours = (contours) => {
+    if (contours.length === 0) return contours;
+    const crossing = contours.some((path, i) => pathSelfIntersections(path).length > 0 ||
+        contours.slice(i + 1).some((other) => pathIntersections(path, other).length > 0));
+    const nested = !crossing && contours.length > 1 && contours.some((path) => {
+        const winding = windingNumberOfPaths(contours.filter((other) => other !== path))(path.anchors[0].position);
+        return winding !== 0 && Math.sign(winding) === Math.sign(signedAreaOfPath(path));
+    });
+    if (!crossing && !nested) return contours;
+    const winding = windingNumberOfPaths(contours);
+    return contoursOfRegion(contours, (point) => winding(point) !== 0);
+};
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse a TrueType (.ttf), OpenType (.otf) or TrueType collection (.ttc)
+ * file. Nothing is fetched: the bytes come from a bundled font or a file
+ * the user picked.
+ *
+ * ```javascript
+ * const font = fontFromArrayBuffer(await (await fetch('fonts/Lato-Regular.ttf')).arrayBuffer());
+ * const text = textGeometry(font, 'Hello', { size: 12 });
+ * ```
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Font}
+ * @throws {Error} If the file is not a font this module can read
+ */
+export const fontFromArrayBuffer = (buffer) => {
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) throw new Error('Not a font file: too short');
+
+    let signature = tagAt(view, 0);
+    let directory = 0;
+    if (signature === 'ttcf') {
+        directory = view.getUint32(12);
+        signature = tagAt(view, directory);
+    }
+    if (signature === 'wOFF' || signature === 'wOF2') {
+        throw new Error('WOFF fonts are not supported, use the TTF or OTF file instead');
+    }
+    if (signature !== '\x00\x01\x00\x00' && signature !== 'true' && signature !== 'OTTO') {
+        throw new Error('Not a TrueType or OpenType font file');
+    }
+
+    const tables = readTableDirectory(view, directory);
+    for (const tag of ['head', 'hhea', 'hmtx', 'maxp', 'cmap']) {
+        if (!tables.has(tag)) throw new Error(`Font is missing its '${tag}' table`);
+    }
+    if (!tables.has('glyf') && !tables.has('CFF ')) {
+        throw new Error(tables.has('CFF2') ? 'CFF2 (variable OpenType) fonts are not supported' : 'Font has no glyph outlines');
+    }
+
+    const head = tables.get('head').offset;
+    const hhea = tables.get('hhea').offset;
+    const hmtx = tables.get('hmtx').offset;
+    const glyphCount = view.getUint16(tables.get('maxp').offset + 4);
+
+    const metricCount = view.getUint16(hhea + 34);
+    const advanceWidths = [];
+    for (let i = 0; i < glyphCount; i++) {
+        advanceWidths.push(view.getUint16(hmtx + Math.min(i, metricCount - 1) * 4));
+    }
+
+    let drawGlyph;
+    if (tables.has('glyf')) {
+        const glyf = tables.get('glyf').offset;
+        const loca = tables.get('loca').offset;
+        const longOffsets = view.getInt16(head + 50) === 1;
+        const locationAt = (i) => (longOffsets ? view.getUint32(loca + i * 4) : view.getUint16(loca + i * 2) * 2);
+        const glyphLocation = (i) => {
+            if (i >= glyphCount) return { offset: glyf, length: 0 };
+            const offset = locationAt(i);
+            return { offset: glyf + offset, length: locationAt(i + 1) - offset };
+        };
+        drawGlyph = (glyphIndex, builder) => drawTrueTypeGlyph(view, glyphLocation, glyphIndex, new AffineMatrix(), builder, 0);
+    } else {
+        drawGlyph = readCFF(view, tables.get('CFF '));
+    }
+
+    const gposKerning = tables.has('GPOS') ? readGPOSKerning(view, tables.get('GPOS')) : [];
+    const kernPairs = gposKerning.length === 0 && tables.has('kern') ? readKernTable(view, tables.get('kern')) : new Map();
+    const kerning = (left, right) => {
+        for (const subtable of gposKerning) {
+            const value = subtable(left, right);
+            if (value !== undefined) return value;
+        }
+        return kernPairs.get(left * 65536 + right) ?? 0;
+    };
+
+    const outlines = new Map();
+    const outline = (glyphIndex) => {
+        if (!outlines.has(glyphIndex)) {
+            const builder = outlineBuilder();
+            if (glyphIndex >= 0 && glyphIndex < glyphCount) drawGlyph(glyphIndex, builder);
+            outlines.set(glyphIndex, mergeOverlappingContours(builder.paths));
+        }
+        return outlines.get(glyphIndex);
+    };
+
+    const names = readNames(view, tables.get('name'));
+    const family = names.get(16) || names.get(1) || 'Untitled';
+    return {
+        family,
+        fullName: names.get(4) || family,
+        unitsPerEm: view.getUint16(head + 18),
+        ascender: view.getInt16(hhea + 4),
+        descender: view.getInt16(hhea + 6),
+        lineGap: view.getInt16(hhea + 8),
+        glyphCount,
+        characterMap: readCharacterMap(view, tables.get('cmap')),
+        advanceWidths,
+        kerning,
+        outline
+    };
+};
+
+// =============================================================================
+// Layout
+// =============================================================================
+
+/**
+ * Closed contours of a glyph in font units, Y up. The paths are copies and
+ * may be modified.
+ * @param {Font} font
+ * @param {number} glyphIndex
+ * @returns {Path[]}
+ */
+export const glyphOutline = (font, glyphIndex) => font.outline(glyphIndex).map((path) => path.clone());
+
+/**
+ * Lay out text and return its glyph outlines as one compound shape, Y down.
+ * The origin is on the first line's baseline; lines are split on newlines
+ * and stacked downwards. Characters the font lacks are drawn with its
+ * missing-glyph box.
+ *
+ * ```javascript
+ * const label = textGeometry(font, 'Lid\nTop', { size: 8, align: 'center' });
+ * const engraving = label.clone().assignStroke(...);
+ * ```
+ *
+ * @param {Font} font
+ * @param {string} text
+ * @param {TextLayoutOptions} [options]
+ * @returns {Shape}
+ */
+export const textGeometry = (font, text, options = {}) => {
+    const size = options.size ?? 10;
+    const letterSpacing = options.letterSpacing ?? 0;
+    const align = options.align ?? 'left';
+    const kerning = options.kerning ?? true;
+    const scale = size / font.unitsPerEm;
+    const lineSpacing = (font.ascender - font.descender + font.lineGap) * scale * (options.lineHeight ?? 1);
+
+    const paths = [];
+    String(text).replace(/\r\n?/g, '\n').split('\n').forEach((line, lineIndex) => {
+        const placed = [];
+        let x = 0;
+        let previous = -1;
+        for (const character of line) {
+            const glyph = font.characterMap.get(character.codePointAt(0)) ?? 0;
+            if (kerning && previous >= 0) x += font.kerning(previous, glyph) * scale;
+            placed.push({ glyph, x });
+            x += (font.advanceWidths[glyph] ?? 0) * scale + letterSpacing;
+            previous = glyph;
+        }
+        // Trailing letter spacing is not part of the line's width.
+        const width = placed.length > 0 ? x - letterSpacing : 0;
+        const shift = align === 'center' ? -width / 2 : align === 'right' ? -width : 0;
+        const baseline = lineIndex * lineSpacing;
+        placed.forEach(({ glyph, x: glyphX }) => {
+            const matrix = new AffineMatrix(scale, 0, 0, -scale, glyphX + shift, baseline);
+            font.outline(glyph).forEach((path) => paths.push(path.clone().affineTransform(matrix)));
+        });
+    });
+    return new Shape(paths);
+};
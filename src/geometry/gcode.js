@@ -0,0 +1,243 @@
+/**
+ * Geometry Library - G-code Export
+ *
+ * Writes GRBL-compatible G-code for laser cutters and drag-knife plotters.
+ * Coordinates are millimetres with the Y axis flipped (machines are Y-up
+ * while geometry is Y-down), shifted so the design's lower-left corner sits
+ * at the work origin.
+ *
+ * Straight segments become G1 moves. Bezier segments become G2/G3 arcs fitted
+ * within a tolerance, or short G1 moves produced by Path.polygonize.
+ *
+ * Layers are written in the given order and each contour is cut `passes`
+ * times. With `optimizeOrder`, contours within each layer are reordered by
+ * optimizeCutOrder, starting from the work origin. A laser is switched on with M4 (or M3) and off with M5 around every
+ * contour; a knife is raised to a safe height for travel and plunged to the
+ * cut height. The output contains no timestamps, so the same input always
+ * produces the same file.
+ */
+
+import { signedAreaOfPath } from './contour.js';
+import { optimizeLayerCutOrder } from './cutOrder.js';
+import { fitArcsToCubic } from './dxf.js';
+import { pathContainsPoint } from './offset.js';
+import { Path } from './Path.js';
+import { cubicFromSegment, isSegmentLinear } from './Segment.js';
+import { scaleFactorForUnitConversion } from './units.js';
+import { pairs } from './util.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} GCodeLayer
+ * @property {string} name - Layer name, written as a comment
+ * @property {import('./Geometry.js').Geometry} geometry - Geometry cut on this layer
+ * @property {number} [feedRate=1000] - Cutting feed in mm/min
+ * @property {number} [power=1000] - Laser power (S word); ignored by knives
+ * @property {number} [passes=1] - Times each contour is cut
+ * @property {number} [cutZ] - Knife cutting height on this layer, e.g. raised
+ *     for holding tabs (default: the cutZ option)
+ */
+
+/**
+ * @typedef {Object} ExportGCodeOptions
+ * @property {'laser'|'knife'} [machine='laser'] - Laser (M3/M4 + S) or drag knife (Z moves)
+ * @property {'arcs'|'lines'} [curves='arcs'] - Write curves as G2/G3 arcs or G1 segments
+ * @property {number} [tolerance=0.01] - Max deviation in mm when fitting arcs
+ * @property {number} [segmentLength=0.5] - Max G1 length in mm for curves written as lines
+ * @property {number} [leadIn=0] - Length in mm of a lead-in move onto closed contours
+ * @property {boolean} [optimizeOrder=false] - Cut inner contours first and shorten travel
+ * @property {boolean} [dynamicPower=true] - Use M4 (power follows speed) rather than M3
+ * @property {number} [safeZ=5] - Knife travel height
+ * @property {number} [cutZ=0] - Knife cutting height
+ * @property {number} [plungeRate=300] - Knife plunge feed in mm/min
+ * @property {import('./units.js').Unit} [units='mm'] - Units of the input geometry
+ * @property {number} [precision=3] - Max decimal places written
+ */
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Unit tangent at the start of a path's first non-degenerate segment.
+ * @param {Path} path
+ * @returns {Vec|null}
+ */
+const startTangent = (path) => {
+    for (const segment of pairs(path.anchors, path.closed)) {
+        const [p0, p1, p2, p3] = cubicFromSegment(segment);
+        for (const p of [p1, p2, p3]) {
+            if (p.distance(p0) > 1e-9) return Vec.sub(p, p0).normalize();
+        }
+    }
+    return null;
+};
+
+/**
+ * Start point of a lead-in onto a closed contour. The lead-in runs square
+ * to the first segment, from outside an outer contour or from inside a hole,
+ * so the pierce mark lands on scrap.
+ * @param {Path} path
+ * @param {Path[]} closedPaths - Every closed path on the layer
+ * @param {number} length
+ * @returns {Vec|null}
+ */
+const leadInPoint = (path, closedPaths, length) => {
+    const tangent = startTangent(path);
+    if (!tangent) return null;
+
+    const start = path.anchors[0].position;
+    const inward = tangent.rotate90().mulScalar(Math.sign(signedAreaOfPath(path)) || 1);
+    const depth = closedPaths.filter((other) => other !== path && pathContainsPoint(other, start)).length;
+    const isHole = depth % 2 === 1;
+    return start.clone().add(inward.mulScalar(isHole ? length : -length));
+};
+
+// =============================================================================
+// Export
+// =============================================================================
+
+/**
+ * Build a G-code program for geometry on a single layer.
+ * @param {import('./Geometry.js').Geometry} geometry - Path, Shape or Group
+ * @param {ExportGCodeOptions & {feedRate?: number, power?: number, passes?: number}} [options]
+ * @returns {string}
+ */
+export const gcodeStringFromGeometry = (geometry, options = {}) => {
+    const { feedRate, power, passes } = options;
+    return gcodeStringFromLayers([{ name: 'default', geometry, feedRate, power, passes }], options);
+};
+
+/**
+ * Build a G-code program that cuts each layer in turn.
+ *
+ * ```javascript
+ * const gcode = gcodeStringFromLayers([
+ *     { name: 'score', geometry: scoreLines, feedRate: 1500, power: 300 },
+ *     { name: 'cut', geometry: outlines, feedRate: 600, power: 1000, passes: 2 }
+ * ], { leadIn: 1 });
+ * ```
+ *
+ * @param {GCodeLayer[]} layers
+ * @param {ExportGCodeOptions} [options]
+ * @returns {string}
+ */
+export const gcodeStringFromLayers = (layers, options = {}) => {
+    const machine = options.machine ?? 'laser';
+    const curves = options.curves ?? 'arcs';
+    const tolerance = options.tolerance ?? 0.01;
+    const segmentLength = options.segmentLength ?? 0.5;
+    const leadIn = options.leadIn ?? 0;
+    const laserOn = (options.dynamicPower ?? true) ? 'M4' : 'M3';
+    const safeZ = options.safeZ ?? 5;
+    const cutZ = options.cutZ ?? 0;
+    const plungeRate = options.plungeRate ?? 300;
+    const precision = options.precision ?? 3;
+    const scale = scaleFactorForUnitConversion(options.units ?? 'mm', 'mm');
+
+    const num = (value) => {
+        const rounded = Number(value.toFixed(precision));
+        return String(Object.is(rounded, -0) ? 0 : rounded);
+    };
+    const xy = (p) => `X${num(p.x)} Y${num(p.y)}`;
+
+    // Flip to Y-up and move the design's lower-left corner to the origin.
+    let prepared = layers.map((layer) => {
+        const geometry = layer.geometry.clone();
+        geometry.transform({ scale: new Vec(scale, -scale) });
+        return { layer, geometry };
+    });
+    let origin = null;
+    prepared.forEach(({ geometry }) => {
+        const box = geometry.tightBoundingBox() || geometry.looseBoundingBox();
+        if (!box) return;
+        origin = origin ? origin.min(box.min) : box.min.clone();
+    });
+    if (origin) {
+        prepared.forEach(({ geometry }) => geometry.transform({ position: origin.clone().negate() }));
+    }
+    if (options.optimizeOrder) {
+        prepared = optimizeLayerCutOrder(prepared, { start: new Vec(0, 0) });
+    }
+
+    const lines = [];
+    const out = (line) => lines.push(line);
+
+    // Moves that trace a path from its first anchor. The feed rate is modal,
+    // so it is written once, on the first move, unless a lead-in set it.
+    const pathMoves = (path, feedRate, feedSet) => {
+        const moves = [];
+        let first = !feedSet;
+        const feed = () => {
+            if (!first) return '';
+            first = false;
+            return ` F${num(feedRate)}`;
+        };
+        for (const segment of pairs(path.anchors, path.closed)) {
+            const [a1, a2] = segment;
+            if (isSegmentLinear(segment)) {
+                if (a1.position.equalsWithinTolerance(a2.position)) continue;
+                moves.push(`G1 ${xy(a2.position)}${feed()}`);
+                continue;
+            }
+            if (curves === 'lines') {
+                const piece = new Path([a1.clone(), a2.clone()], false).polygonize(segmentLength);
+                piece.anchors.slice(1).forEach((anchor) => moves.push(`G1 ${xy(anchor.position)}${feed()}`));
+                continue;
+            }
+            fitArcsToCubic(cubicFromSegment(segment), tolerance).forEach((piece) => {
+                if (piece.type === 'arc') {
+                    const offset = Vec.sub(piece.center, piece.start);
+                    const command = piece.clockwise ? 'G2' : 'G3';
+                    moves.push(`${command} ${xy(piece.end)} I${num(offset.x)} J${num(offset.y)}${feed()}`);
+                } else {
+                    moves.push(`G1 ${xy(piece.end)}${feed()}`);
+                }
+            });
+        }
+        return moves;
+    };
+
+    out('; G-code for GRBL');
+    out(`; machine: ${machine}`);
+    out('G21');
+    out('G90');
+    out('G17');
+    out(machine === 'knife' ? `G0 Z${num(safeZ)}` : 'M5');
+
+    for (const { layer, geometry } of prepared) {
+        const feedRate = layer.feedRate ?? 1000;
+        const power = layer.power ?? 1000;
+        const passes = Math.max(1, Math.floor(layer.passes ?? 1));
+        const layerZ = layer.cutZ ?? cutZ;
+        const paths = geometry.allPaths().filter((path) => path.anchors.length > 1);
+        if (paths.length === 0) continue;
+        const closedPaths = paths.filter((path) => path.closed);
+
+        out(`; layer: ${layer.name} (feed ${num(feedRate)}, ` +
+            `${machine === 'knife' ? '' : `power ${num(power)}, `}passes ${passes})`);
+
+        for (const path of paths) {
+            const start = path.anchors[0].position;
+            const pierce = path.closed && leadIn > 0 ? leadInPoint(path, closedPaths, leadIn) : null;
+            const moves = pathMoves(path, feedRate, Boolean(pierce));
+            if (moves.length === 0) continue;
+
+            for (let pass = 0; pass < passes; pass++) {
+                out(`G0 ${xy(pierce || start)}`);
+                if (machine === 'knife') {
+                    out(`G1 Z${num(layerZ)} F${num(plungeRate)}`);
+                } else {
+                    out(`${laserOn} S${num(power)}`);
+                }
+                if (pierce) out(`G1 ${xy(start)} F${num(feedRate)}`);
+                moves.forEach(out);
+                out(machine === 'knife' ? `G0 Z${num(safeZ)}` : 'M5');
+            }
+        }
+    }
+
+    out('G0 X0 Y0');
+    out('M2');
+    return lines.join('\n') + '\n';
+};
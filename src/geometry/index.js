@@ -2,19 +2,35 @@ import { _initPathKit } from './pathkit.js';
 
 export * from './Anchor.js';
 export * from './Axis.js';
+export * from './boolean.js';
 export * from './BoundingBox.js';
 export * from './Color.js';
 export * from './constants.js';
+export * from './contour.js';
+export * from './cornerRelief.js';
+export * from './cutOrder.js';
+export * from './dxf.js';
+export * from './fillet.js';
+export * from './font.js';
+export * from './gcode.js';
 export * from './Geometry.js';
 export * from './Group.js';
+export * from './intersections.js';
+export * from './lightburn.js';
 export * from './math.js';
 export * from './Matrix.js';
+export * from './measure.js';
+export * from './nesting.js';
+export * from './offset.js';
 export * from './Path.js';
 export * from './random.js';
 export * from './Segment.js';
 export * from './Shape.js';
+export * from './simplify.js';
 export * from './Style.js';
 export * from './svg.js';
+export * from './tabs.js';
+export * from './trace.js';
 export * from './units.js';
 export * from './util.js';
 export * from './Vec.js';
@@ -0,0 +1,216 @@
+/**
+ * Geometry Library - Intersections
+ *
+ * Where paths cross each other or themselves. Every pair of segments whose
+ * bounding boxes overlap is intersected with the primitives in Segment.js:
+ * line/line in closed form, line/cubic by solving the cubic, and
+ * cubic/cubic by subdividing both curves (bezier.js) until the pieces are
+ * flat. A single cubic crosses itself where it loops, found in closed form.
+ *
+ * Results are in path time, like positionAtTime(): the integer part is the
+ * segment (the anchor it starts at) and the fraction is the time along it.
+ * A crossing that lands on an anchor is reported once, not once for each
+ * segment meeting there, and two neighbouring segments of the same path
+ * meeting at their shared anchor do not count as crossing. Stretches where
+ * two paths overlap along a line are not reported.
+ */
+
+import { BoundingBox } from './BoundingBox.js';
+import { DEFAULT_TOLERANCE, MINIMUM_TOLERANCE } from './constants.js';
+import {
+    cubicFromSegment,
+    cubicSelfIntersections,
+    isSegmentLinear,
+    lineFromSegment,
+    pointOnCubicAtTime,
+    primitivePrimitiveIntersections
+} from './Segment.js';
+import { pairs } from './util.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} PathIntersection
+ * @property {Vec} position Where the paths meet
+ * @property {number} time1 Path time on the first path (segment index + segment time)
+ * @property {number} time2 Path time on the second path (segment index + segment time)
+ */
+
+/** Path times closer than this are the same crossing. */
+const TIME_EPSILON = 1e-4;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * The segments of a path as lines or cubics, with loose bounds.
+ * Zero-length straight segments are left out.
+ * @param {import('./Path.js').Path} path
+ * @returns {Array<{index: number, curve: Vec[], bounds: BoundingBox}>}
+ */
+const primitivesOfPath = (path) => {
+    const primitives = [];
+    let index = 0;
+    for (const segment of pairs(path.anchors, path.closed)) {
+        const curve = isSegmentLinear(segment) ? lineFromSegment(segment) : cubicFromSegment(segment);
+        if (curve.length === 4 || !curve[0].equalsWithinTolerance(curve[1], MINIMUM_TOLERANCE)) {
+            primitives.push({ index, curve, bounds: BoundingBox.fromPoints(curve) });
+        }
+        index++;
+    }
+    return primitives;
+};
+
+/**
+ * Point on a line or cubic.
+ * @param {Vec[]} curve
+ * @param {number} t
+ * @returns {Vec}
+ */
+const pointOnCurve = (curve, t) => (curve.length === 2
+    ? Vec.mix(curve[0], curve[1], t)
+    : pointOnCubicAtTime(new Vec(), curve, t));
+
+/**
+ * How path times run along a path: its segment count, whether it wraps, and
+ * which segments were left out as zero-length.
+ * @param {import('./Path.js').Path} path
+ * @param {Array<{index: number}>} primitives
+ * @returns {{count: number, closed: boolean, skipped: Set<number>}}
+ */
+const timelineOfPath = (path, primitives) => {
+    const count = path.closed ? path.anchors.length : Math.max(0, path.anchors.length - 1);
+    const skipped = new Set(Array.from({ length: count }, (_, i) => i));
+    primitives.forEach(({ index }) => skipped.delete(index));
+    return { count, closed: path.closed, skipped };
+};
+
+/**
+ * Path time for a segment time. A time on an anchor is moved past any
+ * zero-length segments that start there, and the end of a closed path wraps
+ * to 0, so each anchor has a single time.
+ * @param {number} index
+ * @param {number} t
+ * @param {{count: number, closed: boolean, skipped: Set<number>}} timeline
+ * @returns {number}
+ */
+const pathTime = (index, t, timeline) => {
+    const time = index + t;
+    let anchor = Math.round(time);
+    if (Math.abs(time - anchor) >= TIME_EPSILON) return time;
+    for (let steps = 0; steps <= timeline.count; steps++) {
+        if (timeline.closed && anchor >= timeline.count) anchor -= timeline.count;
+        if (!timeline.skipped.has(anchor)) break;
+        anchor++;
+    }
+    return anchor;
+};
+
+/**
+ * Add a crossing unless it repeats one already found.
+ * @param {PathIntersection[]} results
+ * @param {PathIntersection} hit
+ */
+const addIntersection = (results, hit) => {
+    const duplicate = results.some((other) =>
+        other.position.distance(hit.position) <= DEFAULT_TOLERANCE &&
+        Math.abs(other.time1 - hit.time1) < TIME_EPSILON &&
+        Math.abs(other.time2 - hit.time2) < TIME_EPSILON);
+    if (!duplicate) results.push(hit);
+};
+
+/**
+ * Whether two primitives' bounds overlap.
+ * @param {{bounds: BoundingBox}} a
+ * @param {{bounds: BoundingBox}} b
+ * @returns {boolean}
+ */
+const boundsOverlap = (a, b) =>
+    !(a.bounds.max.x + DEFAULT_TOLERANCE < b.bounds.min.x || b.bounds.max.x + DEFAULT_TOLERANCE < a.bounds.min.x ||
+        a.bounds.max.y + DEFAULT_TOLERANCE < b.bounds.min.y || b.bounds.max.y + DEFAULT_TOLERANCE < a.bounds.min.y);
+
+const byTime = (a, b) => a.time1 - b.time1 || a.time2 - b.time2;
+
+// =============================================================================
+// Intersections
+// =============================================================================
+
+/**
+ * Find where two paths cross or touch.
+ *
+ * ```javascript
+ * const hits = pathIntersections(cutLine, outline);
+ * hits.forEach(({ position, time1 }) => console.log(position, time1));
+ * ```
+ *
+ * @param {import('./Path.js').Path} path1
+ * @param {import('./Path.js').Path} path2
+ * @returns {PathIntersection[]} Sorted by time on the first path
+ */
+export const pathIntersections = (path1, path2) => {
+    const primitives1 = primitivesOfPath(path1);
+    const primitives2 = primitivesOfPath(path2);
+    const timeline1 = timelineOfPath(path1, primitives1);
+    const timeline2 = timelineOfPath(path2, primitives2);
+
+    const results = [];
+    for (const a of primitives1) {
+        for (const b of primitives2) {
+            if (!boundsOverlap(a, b)) continue;
+            for (const { time1, time2 } of primitivePrimitiveIntersections(a.curve, b.curve)) {
+                addIntersection(results, {
+                    position: pointOnCurve(a.curve, time1),
+                    time1: pathTime(a.index, time1, timeline1),
+                    time2: pathTime(b.index, time2, timeline2)
+                });
+            }
+        }
+    }
+    return results.sort(byTime);
+};
+
+/**
+ * Find where a path crosses or touches itself, including loops within a
+ * single cubic segment. Each crossing is reported once, with time1 < time2.
+ *
+ * @param {import('./Path.js').Path} path
+ * @returns {PathIntersection[]} Sorted by time1
+ */
+export const pathSelfIntersections = (path) => {
+    const primitives = primitivesOfPath(path);
+    const timeline = timelineOfPath(path, primitives);
+
+    // Anchors shared by primitives i < j that follow each other along the path.
+    const sharedAnchors = (i, j) => {
+        const shared = [];
+        if (j === i + 1) shared.push(primitives[i].curve[primitives[i].curve.length - 1]);
+        if (path.closed && i === 0 && j === primitives.length - 1) shared.push(primitives[i].curve[0]);
+        return shared;
+    };
+
+    const results = [];
+    const add = (position, t1, t2) => {
+        const [time1, time2] = [t1, t2].sort((x, y) => x - y);
+        if (Math.abs(time1 - time2) < TIME_EPSILON) return;
+        addIntersection(results, { position, time1, time2 });
+    };
+
+    primitives.forEach((a, i) => {
+        if (a.curve.length === 4) {
+            for (const { time1, time2 } of cubicSelfIntersections(a.curve)) {
+                add(pointOnCurve(a.curve, time1), a.index + time1, a.index + time2);
+            }
+        }
+        for (let j = i + 1; j < primitives.length; j++) {
+            const b = primitives[j];
+            if (!boundsOverlap(a, b)) continue;
+            const shared = sharedAnchors(i, j);
+            for (const { time1, time2 } of primitivePrimitiveIntersections(a.curve, b.curve)) {
+                const position = pointOnCurve(a.curve, time1);
+                if (shared.some((anchor) => position.distance(anchor) <= DEFAULT_TOLERANCE)) continue;
+                add(position, pathTime(a.index, time1, timeline), pathTime(b.index, time2, timeline));
+            }
+        }
+    });
+    return results.sort(byTime);
+};
@@ -0,0 +1,173 @@
+/**
+ * Geometry Library - LightBurn Project Export
+ *
+ * Writes LightBurn project files (.lbrn2): XML with one CutSetting per layer
+ * and one Shape of type Path per contour. Coordinates are millimetres with
+ * the Y axis flipped (LightBurn is Y-up while geometry is Y-down), shifted
+ * so the design's lower-left corner sits at the workspace origin.
+ *
+ * Each Path shape lists its anchors in a VertList and the segments between
+ * them in a PrimList: `L a b` for straight segments and `B a b` for cubic
+ * beziers, which take their control points from vertex a's `c0` and vertex
+ * b's `c1`.
+ *
+ * Layers map onto LightBurn's numbered colour layers (0 black, 1 blue,
+ * 2 red, ...). Vector layers are written as "Cut" settings that follow the
+ * lines; filled layers as "Scan" settings that raster the enclosed area.
+ * The output contains no timestamps, so the same input always produces the
+ * same file.
+ */
+
+import { isSegmentLinear } from './Segment.js';
+import { scaleFactorForUnitConversion } from './units.js';
+import { pairs } from './util.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} LightBurnLayer
+ * @property {string} name - Layer name shown in LightBurn's cuts list
+ * @property {import('./Geometry.js').Geometry} geometry - Geometry on this layer
+ * @property {number} index - LightBurn colour layer, 0-29 (0 black, 1 blue, 2 red)
+ * @property {'Cut'|'Scan'} [type='Cut'] - Follow the lines, or fill the enclosed area
+ * @property {number} [speed=100] - Speed in mm/s
+ * @property {number} [power=20] - Maximum power in percent
+ * @property {number} [minPower] - Minimum power in percent, used on corners (default: power)
+ * @property {number} [passes=1] - Times the layer is run
+ * @property {number} [interval=0.1] - Scan line interval in mm, for Scan layers
+ */
+
+/**
+ * @typedef {Object} ExportLightBurnOptions
+ * @property {import('./units.js').Unit} [units='mm'] - Units of the input geometry
+ * @property {number} [precision=4] - Max decimal places written
+ */
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Escape a string for an XML attribute value.
+ * @param {string} value
+ * @returns {string}
+ */
+const xmlAttribute = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// =============================================================================
+// Export
+// =============================================================================
+
+/**
+ * Build a LightBurn project for geometry on a single layer.
+ * @param {import('./Geometry.js').Geometry} geometry - Path, Shape or Group
+ * @param {ExportLightBurnOptions & Partial<LightBurnLayer>} [options]
+ * @returns {string}
+ */
+export const lightburnStringFromGeometry = (geometry, options = {}) => {
+    const { name = 'C00', index = 0, type, speed, power, minPower, passes, interval } = options;
+    return lightburnStringFromLayers([{ name, geometry, index, type, speed, power, minPower, passes, interval }], options);
+};
+
+/**
+ * Build a LightBurn project with one cut setting per layer. Layers are
+ * given priorities in the given order, so LightBurn runs them in turn.
+ *
+ * ```javascript
+ * const lbrn2 = lightburnStringFromLayers([
+ *     { name: 'Score', geometry: scoreLines, index: 1, speed: 100, power: 20 },
+ *     { name: 'Cut', geometry: outlines, index: 2, speed: 10, power: 60, passes: 2 }
+ * ]);
+ * ```
+ *
+ * @param {LightBurnLayer[]} layers
+ * @param {ExportLightBurnOptions} [options]
+ * @returns {string}
+ */
+export const lightburnStringFromLayers = (layers, options = {}) => {
+    const precision = options.precision ?? 4;
+    const scale = scaleFactorForUnitConversion(options.units ?? 'mm', 'mm');
+
+    const num = (value) => {
+        const rounded = Number(value.toFixed(precision));
+        return String(Object.is(rounded, -0) ? 0 : rounded);
+    };
+    const xy = (p) => `${num(p.x)} ${num(p.y)}`;
+
+    // Flip to Y-up and move the design's lower-left corner to the origin.
+    const prepared = layers.map((layer) => {
+        const geometry = layer.geometry.clone();
+        geometry.transform({ scale: new Vec(scale, -scale) });
+        return { layer, geometry };
+    });
+    let origin = null;
+    prepared.forEach(({ geometry }) => {
+        const box = geometry.tightBoundingBox() || geometry.looseBoundingBox();
+        if (!box) return;
+        origin = origin ? origin.min(box.min) : box.min.clone();
+    });
+    if (origin) {
+        prepared.forEach(({ geometry }) => geometry.transform({ position: origin.clone().negate() }));
+    }
+
+    const lines = [];
+    const out = (line) => lines.push(line);
+
+    out('<?xml version="1.0" encoding="UTF-8"?>');
+    out('<LightBurnProject AppVersion="1.4.00" FormatVersion="1" MaterialHeight="0" MirrorX="False" MirrorY="False">');
+
+    prepared.forEach(({ layer }, priority) => {
+        const type = layer.type ?? 'Cut';
+        const power = layer.power ?? 20;
+        out(`    <CutSetting type="${type}">`);
+        out(`        <index Value="${layer.index}"/>`);
+        out(`        <name Value="${xmlAttribute(layer.name)}"/>`);
+        out(`        <minPower Value="${num(layer.minPower ?? power)}"/>`);
+        out(`        <maxPower Value="${num(power)}"/>`);
+        out(`        <speed Value="${num(layer.speed ?? 100)}"/>`);
+        out(`        <numPasses Value="${Math.max(1, Math.round(layer.passes ?? 1))}"/>`);
+        if (type === 'Scan') {
+            out(`        <interval Value="${num(layer.interval ?? 0.1)}"/>`);
+        }
+        out(`        <priority Value="${priority}"/>`);
+        out('    </CutSetting>');
+    });
+
+    prepared.forEach(({ layer, geometry }) => {
+        geometry.allPaths().forEach((path) => {
+            const segments = pairs(path.anchors, path.closed);
+            if (segments.length === 0) return;
+
+            // Vertices carry control points only when a curve touches them.
+            const curved = new Set();
+            const prims = segments.map((segment, i) => {
+                const j = (i + 1) % path.anchors.length;
+                if (isSegmentLinear(segment)) {
+                    return segment[0].position.equalsWithinTolerance(segment[1].position) ? '' : `L${i} ${j}`;
+                }
+                curved.add(i);
+                curved.add(j);
+                return `B${i} ${j}`;
+            });
+            const verts = path.anchors.map((anchor, i) => {
+                const vertex = `V${xy(anchor.position)}`;
+                if (!curved.has(i)) return vertex;
+                const c0 = Vec.add(anchor.position, anchor.handleOut);
+                const c1 = Vec.add(anchor.position, anchor.handleIn);
+                return `${vertex}c0x${num(c0.x)}c0y${num(c0.y)}c1x${num(c1.x)}c1y${num(c1.y)}`;
+            });
+
+            out(`    <Shape Type="Path" CutIndex="${layer.index}">`);
+            out('        <XForm>1 0 0 1 0 0</XForm>');
+            out(`        <VertList>${verts.join('')}</VertList>`);
+            out(`        <PrimList>${prims.join('')}</PrimList>`);
+            out('    </Shape>');
+        });
+    });
+
+    out('</LightBurnProject>');
+    return lines.join('\n') + '\n';
+};
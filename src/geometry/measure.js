@@ -0,0 +1,265 @@
+/**
+ * Geometry Library - Measure
+ *
+ * Area, perimeter, centroid and second moments of paths, shapes and groups.
+ * Bezier segments are measured exactly: each cubic is written as polynomials
+ * x(t), y(t), and Green's theorem turns every area integral into a contour
+ * integral of a polynomial, which is integrated in closed form. Perimeters
+ * use Gauss-Legendre quadrature of the cubic's speed.
+ *
+ * Only closed paths enclose area, and a Shape's contours combine with the
+ * even-odd rule the renderer fills them with, so a contour inside another
+ * one is a hole and its area is subtracted. Paths are measured regardless
+ * of direction. A Group adds up its items, so items that overlap are
+ * counted twice.
+ */
+
+import { Group } from './Group.js';
+import { pathContainsPoint } from './offset.js';
+import { Path } from './Path.js';
+import { cubicFromSegment, isSegmentLinear } from './Segment.js';
+import { pairs } from './util.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} SecondMoments
+ * @property {number} xx Integral of (x - cx)² over the area
+ * @property {number} yy Integral of (y - cy)² over the area
+ * @property {number} xy Integral of (x - cx)(y - cy) over the area
+ */
+
+/**
+ * Area integrals about the origin: the area, its first moments (x, y) and
+ * its second moments (xx, yy, xy).
+ * @typedef {{area: number, x: number, y: number, xx: number, yy: number, xy: number}} AreaIntegrals
+ */
+
+/** Gauss-Legendre nodes and weights on [0, 1] (8 points). */
+const GAUSS_NODES = [
+    [0.0198550717512319, 0.0506142681451881],
+    [0.1016667612931866, 0.1111905172266872],
+    [0.2372337950418355, 0.1568533229389436],
+    [0.4082826787521751, 0.1813418916891810],
+    [0.5917173212478249, 0.1813418916891810],
+    [0.7627662049581645, 0.1568533229389436],
+    [0.8983332387068134, 0.1111905172266872],
+    [0.9801449282487681, 0.0506142681451881]
+];
+
+// =============================================================================
+// Polynomials
+// =============================================================================
+
+/**
+ * Power-basis coefficients [c0, c1, c2, c3] of one coordinate of a cubic.
+ * @param {number} p0
+ * @param {number} p1
+ * @param {number} p2
+ * @param {number} p3
+ * @returns {number[]}
+ */
+const cubicPolynomial = (p0, p1, p2, p3) => [
+    p0,
+    3 * (p1 - p0),
+    3 * (p0 - 2 * p1 + p2),
+    p3 - p0 + 3 * (p1 - p2)
+];
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+const multiply = (a, b) => {
+    const result = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((ai, i) => b.forEach((bj, j) => {
+        result[i + j] += ai * bj;
+    }));
+    return result;
+};
+
+/**
+ * @param {number[]} p
+ * @returns {number[]}
+ */
+const derivative = (p) => p.slice(1).map((c, i) => c * (i + 1));
+
+/**
+ * Integral of a polynomial over [0, 1].
+ * @param {number[]} p
+ * @returns {number}
+ */
+const integrate = (p) => p.reduce((sum, c, i) => sum + c / (i + 1), 0);
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const zeroIntegrals = () => ({ area: 0, x: 0, y: 0, xx: 0, yy: 0, xy: 0 });
+
+/**
+ * @param {AreaIntegrals} total
+ * @param {AreaIntegrals} integrals
+ * @param {number} sign
+ */
+const addIntegrals = (total, integrals, sign) => {
+    for (const key of Object.keys(total)) total[key] += sign * integrals[key];
+};
+
+/**
+ * Area integrals of the region a closed path encloses, positive whichever
+ * way the path runs. Open paths enclose nothing.
+ * @param {Path} path
+ * @returns {AreaIntegrals}
+ */
+const integralsOfPath = (path) => {
+    const integrals = zeroIntegrals();
+    if (!path.closed || path.anchors.length < 2) return integrals;
+
+    for (const segment of pairs(path.anchors, path.closed)) {
+        const [p0, p1, p2, p3] = cubicFromSegment(segment);
+        const x = cubicPolynomial(p0.x, p1.x, p2.x, p3.x);
+        const y = cubicPolynomial(p0.y, p1.y, p2.y, p3.y);
+        const dx = derivative(x);
+        const dy = derivative(y);
+        const xx = multiply(x, x);
+        const yy = multiply(y, y);
+        // Green's theorem: each area integral as a contour integral.
+        integrals.area += (integrate(multiply(x, dy)) - integrate(multiply(y, dx))) / 2;
+        integrals.x += integrate(multiply(xx, dy)) / 2;
+        integrals.y -= integrate(multiply(yy, dx)) / 2;
+        integrals.xx += integrate(multiply(multiply(xx, x), dy)) / 3;
+        integrals.yy -= integrate(multiply(multiply(yy, y), dx)) / 3;
+        integrals.xy += integrate(multiply(multiply(xx, y), dy)) / 2;
+    }
+
+    if (integrals.area < 0) {
+        for (const key of Object.keys(integrals)) integrals[key] = -integrals[key];
+    }
+    return integrals;
+};
+
+/**
+ * Area integrals of a path, shape or group, with holes subtracted.
+ * @param {Path|import('./Shape.js').Shape|Group} item
+ * @returns {AreaIntegrals}
+ */
+const integralsOfGeometry = (item) => {
+    if (item instanceof Group) {
+        const total = zeroIntegrals();
+        item.items.forEach((child) => addIntegrals(total, integralsOfGeometry(child), 1));
+        return total;
+    }
+    if (item instanceof Path) return integralsOfPath(item);
+
+    const closed = item.allPaths().filter((path) => path.closed && path.anchors.length > 1);
+    const total = zeroIntegrals();
+    closed.forEach((path) => {
+        const sample = path.positionAtTime(0.5);
+        const depth = closed.filter((other) => other !== path && pathContainsPoint(other, sample)).length;
+        addIntegrals(total, integralsOfPath(path), depth % 2 === 0 ? 1 : -1);
+    });
+    return total;
+};
+
+/**
+ * Length of a segment and the integrals of x and y along it.
+ * @param {import('./Segment.js').Segment} segment
+ * @returns {{length: number, x: number, y: number}}
+ */
+const lineIntegralsOfSegment = (segment) => {
+    if (isSegmentLinear(segment)) {
+        const [a, b] = [segment[0].position, segment[1].position];
+        const length = a.distance(b);
+        return { length, x: length * (a.x + b.x) / 2, y: length * (a.y + b.y) / 2 };
+    }
+    const [p0, p1, p2, p3] = cubicFromSegment(segment);
+    const x = cubicPolynomial(p0.x, p1.x, p2.x, p3.x);
+    const y = cubicPolynomial(p0.y, p1.y, p2.y, p3.y);
+    const dx = derivative(x);
+    const dy = derivative(y);
+    const at = (p, t) => p.reduceRight((sum, c) => sum * t + c, 0);
+
+    const result = { length: 0, x: 0, y: 0 };
+    for (const [t, weight] of GAUSS_NODES) {
+        const speed = Math.hypot(at(dx, t), at(dy, t)) * weight;
+        result.length += speed;
+        result.x += at(x, t) * speed;
+        result.y += at(y, t) * speed;
+    }
+    return result;
+};
+
+/**
+ * Length of every path in an item and the integrals of x and y along them.
+ * @param {Path|import('./Shape.js').Shape|Group} item
+ * @returns {{length: number, x: number, y: number}}
+ */
+const lineIntegralsOfGeometry = (item) => {
+    const total = { length: 0, x: 0, y: 0 };
+    for (const path of item.allPaths()) {
+        for (const segment of pairs(path.anchors, path.closed)) {
+            const { length, x, y } = lineIntegralsOfSegment(segment);
+            total.length += length;
+            total.x += x;
+            total.y += y;
+        }
+    }
+    return total;
+};
+
+// =============================================================================
+// Measurements
+// =============================================================================
+
+/**
+ * Area enclosed by the closed paths of an item, with holes subtracted.
+ * @param {Path|import('./Shape.js').Shape|Group} item
+ * @returns {number} Square units, never negative for a Path or Shape
+ */
+export const areaOfGeometry = (item) => integralsOfGeometry(item).area;
+
+/**
+ * Total length of every path in an item, open or closed, holes included.
+ * Curved segments are measured by quadrature rather than flattened.
+ * @param {Path|import('./Shape.js').Shape|Group} item
+ * @returns {number}
+ */
+export const perimeterOfGeometry = (item) => lineIntegralsOfGeometry(item).length;
+
+/**
+ * Centre of mass of the item's area. Items that enclose no area (open
+ * paths, lines) fall back to the centre of their length.
+ *
+ * ```javascript
+ * const { x, y } = centroidOfGeometry(Shape.fromSVGPathString(d));
+ * ```
+ *
+ * @param {Path|import('./Shape.js').Shape|Group} item
+ * @returns {Vec|undefined} Undefined for an item with no area and no length
+ */
+export const centroidOfGeometry = (item) => {
+    const integrals = integralsOfGeometry(item);
+    if (Math.abs(integrals.area) > 0) {
+        return new Vec(integrals.x / integrals.area, integrals.y / integrals.area);
+    }
+    const { length, x, y } = lineIntegralsOfGeometry(item);
+    return length > 0 ? new Vec(x / length, y / length) : undefined;
+};
+
+/**
+ * Second moments of area about the centroid. Divide by the area for the
+ * squared radii of gyration; xx + yy is the polar moment.
+ * @param {Path|import('./Shape.js').Shape|Group} item
+ * @returns {SecondMoments} All zero for an item that encloses no area
+ */
+export const secondMomentsOfGeometry = (item) => {
+    const { area, x, y, xx, yy, xy } = integralsOfGeometry(item);
+    if (!(Math.abs(area) > 0)) return { xx: 0, yy: 0, xy: 0 };
+    // Parallel axis theorem: move the moments from the origin to the centroid.
+    return {
+        xx: xx - (x * x) / area,
+        yy: yy - (y * y) / area,
+        xy: xy - (x * y) / area
+    };
+};
@@ -0,0 +1,252 @@
+/**
+ * Geometry Library - Nesting
+ *
+ * Packs parts onto rectangular stock sheets. Each part is reduced to the
+ * bounding box of its rotated outline and placed with a MaxRects packer
+ * (best short side fit), largest parts first. Parts that do not fit on an
+ * open sheet start a new one; parts larger than an empty sheet are reported
+ * as unplaced.
+ *
+ * Sheets use canvas coordinates: the sheet's top-left corner is the origin.
+ */
+
+import { BoundingBox } from './BoundingBox.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} NestOptions
+ * @property {number} sheetWidth Sheet width
+ * @property {number} sheetHeight Sheet height
+ * @property {number} [margin=5] Empty border kept along every sheet edge
+ * @property {number} [spacing=3] Minimum gap between neighbouring parts
+ * @property {'none'|'90'|'free'} [rotation='90'] Allowed part rotations
+ * @property {number} [angleStep=15] Step in degrees between tried angles when rotation is 'free'
+ */
+
+/**
+ * @typedef {Object} NestPlacement
+ * @property {number} index Index of the part in the input array
+ * @property {number} rotation Rotation in degrees applied around the part's bounding box centre
+ * @property {{position: Vec, rotation: number, origin: Vec}} transform Moves the part onto the
+ *     sheet; pass to Geometry.transform
+ * @property {BoundingBox} boundingBox Bounds of the placed part on the sheet
+ */
+
+/**
+ * @typedef {Object} NestSheet
+ * @property {number} width
+ * @property {number} height
+ * @property {NestPlacement[]} placements
+ */
+
+/**
+ * @typedef {Object} NestResult
+ * @property {NestSheet[]} sheets
+ * @property {number[]} unplaced Indices of parts that fit no sheet
+ */
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Angles tried for each part.
+ * @param {NestOptions['rotation']} rotation
+ * @param {number} angleStep
+ * @returns {number[]}
+ */
+const candidateAngles = (rotation, angleStep) => {
+    if (rotation === 'none') return [0];
+    if (rotation !== 'free') return [0, 90];
+    const step = Math.max(1, Math.abs(angleStep) || 15);
+    const angles = [];
+    // A box rotated by 180° has the same size, so half a turn covers every case.
+    for (let angle = 0; angle < 180; angle += step) angles.push(angle);
+    if (!angles.includes(90)) angles.push(90);
+    return angles;
+};
+
+/**
+ * Bounding box of an item rotated around a point.
+ * @param {import('./Geometry.js').Geometry} item
+ * @param {number} angle
+ * @param {Vec} origin
+ * @returns {BoundingBox|null}
+ */
+const rotatedBoundingBox = (item, angle, origin) => {
+    if (angle === 0) return item.tightBoundingBox() || item.looseBoundingBox();
+    const rotated = item.clone().transform({ position: origin, rotation: angle, origin });
+    return rotated.tightBoundingBox() || rotated.looseBoundingBox();
+};
+
+/**
+ * Find the free rectangle that fits a w × h box with the least leftover on
+ * its shorter side.
+ * @param {Array<{x: number, y: number, width: number, height: number}>} freeRects
+ * @param {number} width
+ * @param {number} height
+ * @returns {{x: number, y: number, shortSide: number, longSide: number}|null}
+ */
+const findPosition = (freeRects, width, height) => {
+    let best = null;
+    for (const rect of freeRects) {
+        if (width > rect.width + 1e-9 || height > rect.height + 1e-9) continue;
+        const leftoverX = rect.width - width;
+        const leftoverY = rect.height - height;
+        const shortSide = Math.min(leftoverX, leftoverY);
+        const longSide = Math.max(leftoverX, leftoverY);
+        if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && longSide < best.longSide)) {
+            best = { x: rect.x, y: rect.y, shortSide, longSide };
+        }
+    }
+    return best;
+};
+
+/**
+ * Remove a used box from the free list, splitting every free rectangle it
+ * overlaps into up to four maximal pieces, then drop contained rectangles.
+ * @param {Array<{x: number, y: number, width: number, height: number}>} freeRects
+ * @param {{x: number, y: number, width: number, height: number}} used
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+const splitFreeRects = (freeRects, used) => {
+    const result = [];
+    for (const rect of freeRects) {
+        const overlaps = used.x < rect.x + rect.width && used.x + used.width > rect.x &&
+            used.y < rect.y + rect.height && used.y + used.height > rect.y;
+        if (!overlaps) {
+            result.push(rect);
+            continue;
+        }
+        if (used.x > rect.x) {
+            result.push({ x: rect.x, y: rect.y, width: used.x - rect.x, height: rect.height });
+        }
+        if (used.x + used.width < rect.x + rect.width) {
+            const x = used.x + used.width;
+            result.push({ x, y: rect.y, width: rect.x + rect.width - x, height: rect.height });
+        }
+        if (used.y > rect.y) {
+            result.push({ x: rect.x, y: rect.y, width: rect.width, height: used.y - rect.y });
+        }
+        if (used.y + used.height < rect.y + rect.height) {
+            const y = used.y + used.height;
+            result.push({ x: rect.x, y, width: rect.width, height: rect.y + rect.height - y });
+        }
+    }
+
+    const contains = (a, b) => b.x >= a.x && b.y >= a.y &&
+        b.x + b.width <= a.x + a.width && b.y + b.height <= a.y + a.height;
+    return result.filter((rect, i) => !result.some((other, j) => {
+        if (i === j || !contains(other, rect)) return false;
+        // Keep the first of two identical rectangles.
+        return !contains(rect, other) || j < i;
+    }));
+};
+
+// =============================================================================
+// Nesting
+// =============================================================================
+
+/**
+ * Pack items onto as few sheets as possible.
+ *
+ * ```javascript
+ * const { sheets } = nestGeometry(parts, { sheetWidth: 600, sheetHeight: 400, margin: 5, spacing: 3 });
+ * const firstSheet = sheets[0].placements.map(({ index, transform }) => parts[index].clone().transform(transform));
+ * ```
+ *
+ * @param {Array<import('./Geometry.js').Geometry>} items Parts to place (not modified)
+ * @param {NestOptions} options
+ * @returns {NestResult}
+ */
+export const nestGeometry = (items, options) => {
+    const {
+        sheetWidth,
+        sheetHeight,
+        margin = 5,
+        spacing = 3,
+        rotation = '90',
+        angleStep = 15
+    } = options;
+    const angles = candidateAngles(rotation, angleStep);
+
+    // Each part reserves its box plus one spacing on the right and bottom, so
+    // the usable area grows by one spacing to let parts reach the far margin.
+    const binWidth = sheetWidth - margin * 2 + spacing;
+    const binHeight = sheetHeight - margin * 2 + spacing;
+
+    const parts = [];
+    const unplaced = [];
+    items.forEach((item, index) => {
+        const box = item.tightBoundingBox() || item.looseBoundingBox();
+        if (!box || !box.isFinite()) {
+            unplaced.push(index);
+            return;
+        }
+        const origin = box.center();
+        const orientations = angles
+            .map((angle) => ({ angle, box: rotatedBoundingBox(item, angle, origin) }))
+            .filter((orientation) => orientation.box);
+        parts.push({ index, origin, orientations, area: box.width() * box.height() });
+    });
+
+    parts.sort((a, b) => b.area - a.area || a.index - b.index);
+
+    const sheets = [];
+    const bestFit = (freeRects, part) => {
+        let best = null;
+        for (const orientation of part.orientations) {
+            const width = orientation.box.width() + spacing;
+            const height = orientation.box.height() + spacing;
+            const position = findPosition(freeRects, width, height);
+            if (position && (!best || position.shortSide < best.position.shortSide ||
+                (position.shortSide === best.position.shortSide && position.longSide < best.position.longSide))) {
+                best = { orientation, position, width, height };
+            }
+        }
+        return best;
+    };
+
+    for (const part of parts) {
+        let sheet = null;
+        let fit = null;
+        for (const candidate of sheets) {
+            fit = bestFit(candidate.freeRects, part);
+            if (fit) {
+                sheet = candidate;
+                break;
+            }
+        }
+        if (!sheet) {
+            const freeRects = [{ x: 0, y: 0, width: binWidth, height: binHeight }];
+            fit = bestFit(freeRects, part);
+            if (!fit) {
+                unplaced.push(part.index);
+                continue;
+            }
+            sheet = { width: sheetWidth, height: sheetHeight, placements: [], freeRects };
+            sheets.push(sheet);
+        }
+
+        const { orientation, position, width, height } = fit;
+        sheet.freeRects = splitFreeRects(sheet.freeRects, { x: position.x, y: position.y, width, height });
+
+        const target = new Vec(margin + position.x, margin + position.y);
+        const shift = Vec.sub(target, orientation.box.min);
+        sheet.placements.push({
+            index: part.index,
+            rotation: orientation.angle,
+            transform: {
+                position: part.origin.clone().add(shift),
+                rotation: orientation.angle,
+                origin: part.origin.clone()
+            },
+            boundingBox: new BoundingBox(orientation.box.min.clone().add(shift), orientation.box.max.clone().add(shift))
+        });
+    }
+
+    return {
+        sheets: sheets.map(({ width, height, placements }) => ({ width, height, placements })),
+        unplaced: unplaced.sort((a, b) => a - b)
+    };
+};
@@ -0,0 +1,444 @@
+/**
+ * Geometry Library - Offset
+ *
+ * Offsets (outsets/insets) paths by a fixed distance without PathKit.
+ * Lines are offset exactly. Cubic segments are replaced by cubics that stay
+ * within a tolerance of the true offset curve, subdividing where needed.
+ * At corners where the offset pieces separate, a miter, round or bevel join
+ * fills the gap. Where they overlap, both pieces are trimmed to their
+ * crossing point.
+ *
+ * For closed paths a positive distance grows the enclosed area. offsetGeometry
+ * works on regions: outer contours move outward and holes move inward.
+ * Where the offset contours cross themselves or each other (insets wider
+ * than a feature, outsets that grow into a neighbouring contour), the
+ * result is cleaned up by keeping only the area the raw offset covers with
+ * positive winding (contoursOfRegion in boolean.js), so swallowtail loops
+ * disappear, overlapping outlines merge, and a contour that pinches off
+ * splits in two.
+ */
+
+import { Anchor } from './Anchor.js';
+import { positionAndTimeAtClosestPointOnCubic } from './bezier.js';
+import { contoursOfRegion, windingNumberOfPaths } from './boolean.js';
+import { signedAreaOfPath } from './contour.js';
+import { Group } from './Group.js';
+import { Path } from './Path.js';
+import { cubicFromSegment, isSegmentLinear } from './Segment.js';
+import { Shape } from './Shape.js';
+import { pairs } from './util.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} OffsetOptions
+ * @property {'miter'|'round'|'bevel'} [join='miter'] Join used where offset pieces separate
+ * @property {number} [miterLimit=4] Max miter length, as a multiple of the distance, before beveling
+ * @property {number} [tolerance=0.01] Max deviation of offset curves from the true offset
+ */
+
+/** Max subdivision depth when approximating the offset of a cubic. */
+const MAX_OFFSET_DEPTH = 8;
+
+/** Curve parameters where a candidate offset cubic is checked. */
+const CHECK_TIMES = [0.2, 0.4, 0.6, 0.8];
+
+/** Samples per cubic when flattening for containment tests. */
+const FLATTEN_STEPS = 16;
+
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Unit tangent at the start of a cubic, skipping coincident control points.
+ * @param {Vec[]} cubic
+ * @returns {Vec|null}
+ */
+const startTangent = ([p0, p1, p2, p3]) => {
+    for (const p of [p1, p2, p3]) {
+        if (p.distance(p0) > 1e-9) return Vec.sub(p, p0).normalize();
+    }
+    return null;
+};
+
+/**
+ * Unit tangent at the end of a cubic, skipping coincident control points.
+ * @param {Vec[]} cubic
+ * @returns {Vec|null}
+ */
+const endTangent = ([p0, p1, p2, p3]) => {
+    for (const p of [p2, p1, p0]) {
+        if (p.distance(p3) > 1e-9) return Vec.sub(p3, p).normalize();
+    }
+    return null;
+};
+
+/**
+ * Point at `t` on the true offset of a cubic (normal = tangent rotated 90°).
+ * @param {Vec[]} cubic
+ * @param {number} t
+ * @param {number} distance
+ * @returns {Vec}
+ */
+const offsetPointOnCubic = ([p0, p1, p2, p3], t, distance) => {
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+    const point = new Vec(
+        a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+        a * p0.y + b * p1.y + c * p2.y + d * p3.y
+    );
+    let tangent = new Vec(
+        3 * mt * mt * (p1.x - p0.x) + 6 * mt * t * (p2.x - p1.x) + 3 * t * t * (p3.x - p2.x),
+        3 * mt * mt * (p1.y - p0.y) + 6 * mt * t * (p2.y - p1.y) + 3 * t * t * (p3.y - p2.y)
+    );
+    if (tangent.length() < 1e-12) {
+        tangent = (t < 0.5 ? startTangent([p0, p1, p2, p3]) : endTangent([p0, p1, p2, p3])) ?? new Vec(1, 0);
+    }
+    return point.add(tangent.normalize().rotate90().mulScalar(distance));
+};
+
+/**
+ * Approximate the offset of a cubic with one or more cubics.
+ * End points and end tangents are exact; handle lengths are solved so the
+ * midpoint is exact, then the fit is checked and subdivided if needed.
+ * @param {Vec[]} cubic
+ * @param {number} distance - Offset along the tangent rotated 90°
+ * @param {number} tolerance
+ * @param {number} [depth=0]
+ * @returns {Vec[][]} Cubics
+ */
+const offsetCubic = (cubic, distance, tolerance, depth = 0) => {
+    const [p0, p1, p2, p3] = cubic;
+    const t0 = startTangent(cubic);
+    const t1 = endTangent(cubic);
+    if (!t0 || !t1) return [];
+
+    const q0 = p0.clone().add(t0.clone().rotate90().mulScalar(distance));
+    const q3 = p3.clone().add(t1.clone().rotate90().mulScalar(distance));
+
+    // Solve 3α·t0 - 3β·t1 = 8·mid - 4·q0 - 4·q3 for the handle lengths.
+    const mid = offsetPointOnCubic(cubic, 0.5, distance);
+    const r = mid.mulScalar(8).sub(q0.clone().mulScalar(4)).sub(q3.clone().mulScalar(4)).mulScalar(1 / 3);
+    const b = t1.clone().mulScalar(-1);
+    const det = t0.cross(b);
+
+    let candidate;
+    const alpha = Math.abs(det) > 1e-6 ? r.cross(b) / det : -1;
+    const beta = Math.abs(det) > 1e-6 ? t0.cross(r) / det : -1;
+    if (alpha >= 0 && beta >= 0) {
+        candidate = [q0, q0.clone().add(t0.clone().mulScalar(alpha)), q3.clone().sub(t1.clone().mulScalar(beta)), q3];
+    } else {
+        // Parallel end tangents: translate the handles with their end points.
+        candidate = [q0, p1.clone().add(Vec.sub(q0, p0)), p2.clone().add(Vec.sub(q3, p3)), q3];
+    }
+
+    if (depth >= MAX_OFFSET_DEPTH) return [candidate];
+
+    const fits = CHECK_TIMES.every((t) => {
+        const target = offsetPointOnCubic(cubic, t, distance);
+        const { position } = positionAndTimeAtClosestPointOnCubic(target, candidate);
+        return position.distance(target) <= tolerance;
+    });
+    if (fits) return [candidate];
+
+    const [left, right] = splitCubic(cubic);
+    return [
+        ...offsetCubic(left, distance, tolerance, depth + 1),
+        ...offsetCubic(right, distance, tolerance, depth + 1)
+    ];
+};
+
+/**
+ * Split a cubic in half.
+ * @param {Vec[]} cubic
+ * @returns {[Vec[], Vec[]]}
+ */
+const splitCubic = ([p0, p1, p2, p3]) => {
+    const a = Vec.mix(p0, p1, 0.5);
+    const m = Vec.mix(p1, p2, 0.5);
+    const c = Vec.mix(p2, p3, 0.5);
+    const ab = Vec.mix(a, m, 0.5);
+    const bc = Vec.mix(m, c, 0.5);
+    const mid = Vec.mix(ab, bc, 0.5);
+    return [[p0.clone(), a, ab, mid], [mid.clone(), bc, c, p3.clone()]];
+};
+
+/**
+ * Cubics for a circular arc around `center` starting at `from`.
+ * @param {Vec} center
+ * @param {Vec} from
+ * @param {number} sweep - Radians, positive rotates like Vec.rotate90
+ * @returns {Vec[][]}
+ */
+const arcCubics = (center, from, sweep) => {
+    const radius = from.distance(center);
+    const start = Vec.sub(from, center).angleRadians();
+    const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+    const step = sweep / count;
+    const k = (4 / 3) * Math.tan(step / 4) * radius;
+    const cubics = [];
+    for (let i = 0; i < count; i++) {
+        const a0 = start + step * i;
+        const a1 = a0 + step;
+        const p0 = new Vec(center.x + Math.cos(a0) * radius, center.y + Math.sin(a0) * radius);
+        const p3 = new Vec(center.x + Math.cos(a1) * radius, center.y + Math.sin(a1) * radius);
+        cubics.push([
+            p0,
+            p0.clone().add(new Vec(-Math.sin(a0) * k, Math.cos(a0) * k)),
+            p3.clone().sub(new Vec(-Math.sin(a1) * k, Math.cos(a1) * k)),
+            p3
+        ]);
+    }
+    return cubics;
+};
+
+/**
+ * Parameter along `dirA` where the lines (a + s·dirA) and (b + u·dirB) cross.
+ * @returns {{s: number, u: number}|null} null when the lines are parallel
+ */
+const lineCrossing = (a, dirA, b, dirB) => {
+    const denom = dirA.cross(dirB);
+    if (Math.abs(denom) < 1e-9) return null;
+    const ab = Vec.sub(b, a);
+    return { s: ab.cross(dirB) / denom, u: ab.cross(dirA) / denom };
+};
+
+/**
+ * Flatten a path into polygon points.
+ * @param {Path} path
+ * @returns {Vec[]}
+ */
+const flattenPath = (path) => {
+    const points = [];
+    for (const segment of pairs(path.anchors, path.closed)) {
+        if (isSegmentLinear(segment)) {
+            points.push(segment[0].position.clone());
+            continue;
+        }
+        const cubic = cubicFromSegment(segment);
+        for (let i = 0; i < FLATTEN_STEPS; i++) {
+            points.push(offsetPointOnCubic(cubic, i / FLATTEN_STEPS, 0));
+        }
+    }
+    return points;
+};
+
+/**
+ * Even-odd containment of a point in a closed path, with curves flattened.
+ * @param {Path} path
+ * @param {Vec} point
+ * @returns {boolean}
+ */
+export const pathContainsPoint = (path, point) => {
+    const polygon = flattenPath(path);
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// =============================================================================
+// Path Offset
+// =============================================================================
+
+/**
+ * Offset a single path.
+ * Closed paths grow for positive distances and shrink for negative ones.
+ * Open paths move to the side opposite Path.normalAtTime for positive
+ * distances; their ends are left square.
+ * The result is not cleaned of self-intersections, so insets larger than
+ * a feature can fold over; offsetGeometry (and Path.offset) clean it up.
+ * @param {Path} path
+ * @param {number} distance
+ * @param {OffsetOptions} [options]
+ * @returns {Path}
+ */
+export const offsetPath = (path, distance, options = {}) => {
+    const join = options.join ?? 'miter';
+    const miterLimit = options.miterLimit ?? 4;
+    const tolerance = options.tolerance ?? 0.01;
+
+    if (!distance || path.anchors.length < 2) return path.clone();
+
+    // Offset along the tangent rotated 90°, which points inward on
+    // positive-area paths.
+    const normalDistance = path.closed && signedAreaOfPath(path) < 0 ? distance : -distance;
+
+    const pieces = [];
+    for (const segment of pairs(path.anchors, path.closed)) {
+        const cubic = cubicFromSegment(segment);
+        const tangentStart = startTangent(cubic);
+        if (!tangentStart) continue;
+        const tangentEnd = endTangent(cubic);
+        let curves;
+        if (isSegmentLinear(segment)) {
+            const shift = tangentStart.clone().rotate90().mulScalar(normalDistance);
+            curves = [[cubic[0].clone().add(shift), cubic[3].clone().add(shift)]];
+        } else {
+            curves = offsetCubic(cubic, normalDistance, tolerance);
+        }
+        pieces.push({ curves, vertex: cubic[3], tangentStart, tangentEnd });
+    }
+    if (pieces.length === 0) return path.clone();
+
+    // Resolve each corner into a trim or a join.
+    const joins = [];
+    const cornerCount = path.closed ? pieces.length : pieces.length - 1;
+    for (let i = 0; i < cornerCount; i++) {
+        const prev = pieces[i];
+        const next = pieces[(i + 1) % pieces.length];
+        const lastCurve = prev.curves[prev.curves.length - 1];
+        const firstCurve = next.curves[0];
+        const a = lastCurve[lastCurve.length - 1];
+        const b = firstCurve[0];
+        const vertex = prev.vertex;
+        joins[i] = [];
+
+        if (a.distance(b) < 1e-9) continue;
+
+        const outer = Vec.sub(a, vertex).dot(next.tangentStart) < 0;
+        const crossing = lineCrossing(a, prev.tangentEnd, b, next.tangentStart);
+
+        if (!outer) {
+            // Overlapping pieces: trim both back to where they cross.
+            const spanIn = lastCurve[0].distance(a);
+            const spanOut = b.distance(firstCurve[firstCurve.length - 1]);
+            if (crossing && crossing.s <= 0 && -crossing.s <= spanIn && crossing.u >= 0 && crossing.u <= spanOut) {
+                const point = a.clone().add(prev.tangentEnd.clone().mulScalar(crossing.s));
+                const deltaIn = Vec.sub(point, a);
+                const deltaOut = Vec.sub(point, b);
+                if (lastCurve.length === 4) lastCurve[2].add(deltaIn);
+                if (firstCurve.length === 4) firstCurve[1].add(deltaOut);
+                a.copy(point);
+                b.copy(point);
+            } else {
+                joins[i] = [[vertex.clone()]];
+            }
+            continue;
+        }
+
+        if (join === 'round') {
+            const from = Vec.sub(a, vertex);
+            const to = Vec.sub(b, vertex);
+            const sweep = Math.atan2(from.cross(to), from.dot(to));
+            joins[i] = arcCubics(vertex, a, sweep);
+        } else if (join === 'miter' && crossing) {
+            const point = a.clone().add(prev.tangentEnd.clone().mulScalar(crossing.s));
+            if (point.distance(vertex) <= miterLimit * Math.abs(distance)) {
+                // Straight pieces are extended to the miter point directly.
+                if (lastCurve.length === 2) a.copy(point);
+                if (firstCurve.length === 2) b.copy(point);
+                joins[i] = [[point]];
+            }
+        }
+    }
+
+    // Assemble anchors from the offset curves and joins.
+    const anchors = [];
+    const lineTo = (point) => {
+        const last = anchors[anchors.length - 1];
+        if (!last || last.position.distance(point) > 1e-9) anchors.push(new Anchor(point.clone()));
+    };
+    const curveTo = ([p0, p1, p2, p3]) => {
+        lineTo(p0);
+        anchors[anchors.length - 1].handleOut = Vec.sub(p1, p0);
+        anchors.push(new Anchor(p3.clone(), Vec.sub(p2, p3)));
+    };
+    const append = (curve) => {
+        if (curve.length === 4) {
+            curveTo(curve);
+        } else {
+            curve.forEach(lineTo);
+        }
+    };
+
+    pieces.forEach((piece, i) => {
+        piece.curves.forEach(append);
+        if (joins[i]) joins[i].forEach(append);
+    });
+
+    const result = new Path(anchors, path.closed);
+    result.copyStyle(path);
+    if (path.closed && anchors.length > 1) {
+        const first = anchors[0];
+        const last = anchors[anchors.length - 1];
+        if (first.position.distance(last.position) < 1e-9) {
+            first.handleIn = last.handleIn;
+            anchors.pop();
+        }
+    }
+    return result;
+};
+
+// =============================================================================
+// Region Offset
+// =============================================================================
+
+/**
+ * Offset the region covered by closed paths: outer contours move outward
+ * by `distance` and holes move inward (even-odd nesting decides which is
+ * which). Negative distances shrink the region. Contours that collapse are
+ * dropped, contours that grow into each other merge, and contours that
+ * pinch off split. Outlines keep the direction of the source's largest
+ * outline and holes run the other way. Open paths have no inside and are
+ * returned unchanged.
+ * @param {Path|Shape|Group} item
+ * @param {number} distance
+ * @param {OffsetOptions} [options]
+ * @returns {Path|Shape|Group} New geometry of the same kind, except that a
+ *   Path whose offset splits into several contours comes back as a Shape
+ */
+export const offsetGeometry = (item, distance, options = {}) => {
+    if (item instanceof Group) {
+        return new Group(item.items.map((child) => offsetGeometry(child, distance, options)));
+    }
+    if (item instanceof Path && (!item.closed || item.anchors.length < 2)) {
+        return item.clone();
+    }
+
+    const paths = item.allPaths();
+    const closed = paths.filter((path) => path.closed && path.anchors.length > 1);
+    const open = paths.filter((path) => !closed.includes(path)).map((path) => path.clone());
+    let contours = closed.map((path) => path.clone());
+
+    if (distance && closed.length > 0) {
+        // Offset each contour with the covered area to its left (the
+        // Vec.rotate90 side), so the cleanup can tell inside from outside.
+        let outlineArea = 0;
+        const oriented = closed.map((path) => {
+            const sample = path.positionAtTime(0.5);
+            const isHole = closed.filter((other) => other !== path && pathContainsPoint(other, sample)).length % 2 === 1;
+            const area = signedAreaOfPath(path);
+            if (!isHole && Math.abs(area) > Math.abs(outlineArea)) outlineArea = area;
+            const result = offsetPath(path, isHole ? -distance : distance, options);
+            return (area < 0) !== isHole ? result.reverse() : result;
+        });
+        const tolerance = Math.min(options.tolerance ?? 0.01, Math.abs(distance) / 2);
+        // A contour that stays closer than `distance` to the source all the
+        // way round is what is left of a feature the offset collapsed.
+        const reach = Math.abs(distance) - tolerance;
+        const winding = windingNumberOfPaths(oriented);
+        contours = contoursOfRegion(oriented, (point) => winding(point) > 0, tolerance).filter((path) =>
+            path.anchors.some((_, i) => closed.every((source) =>
+                source.closestPointWithinDistanceToPoint(reach, path.positionAtTime(i + 0.5)).distance >= reach)));
+        if (outlineArea < 0) contours.forEach((path) => path.reverse());
+    }
+
+    if (item instanceof Path) {
+        if (contours.length === 1) return contours[0].copyStyle(item);
+        if (contours.length === 0) return new Path([], true);
+    }
+    const shape = new Shape([...contours, ...open]);
+    shape.copyStyle(item);
+    return shape;
+};
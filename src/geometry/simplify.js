@@ -0,0 +1,476 @@
+/**
+ * Geometry Library - Simplify
+ *
+ * Thins out dense polylines (traced outlines, imported drawings, boolean
+ * results) and turns them back into a few smooth curves:
+ *
+ *   1. Flatten: curved segments are sampled, so a path that already has
+ *      beziers is refitted like any polyline.
+ *   2. Douglas-Peucker: the polyline is reduced to the fewest of its points
+ *      that keep every dropped point within the tolerance. With
+ *      `curves: false` this reduced polyline is the result.
+ *   3. Corners: a point where the outline turns by more than `cornerAngle`,
+ *      measured a couple of tolerances to either side so noise and cut-off
+ *      corners count as one turn, stays a sharp corner. The polyline is cut
+ *      into runs between corners.
+ *   4. Curves: a run Douglas-Peucker reduces to its two ends stays a line.
+ *      Other runs are fitted with cubic beziers by least squares (Schneider,
+ *      "An Algorithm for Automatically Fitting Digitized Curves", Graphics
+ *      Gems, 1990), splitting at the worst point until every point is within
+ *      the tolerance. Curves meeting at a split join tangentially.
+ */
+
+import { Anchor } from './Anchor.js';
+import { pointOnCubicAtTime } from './bezier.js';
+import { Path } from './Path.js';
+import { cubicFromSegment, isSegmentLinear } from './Segment.js';
+import { pairs } from './util.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} SimplifyOptions
+ * @property {number} [tolerance=0.1] Max distance in mm of the result from the original outline
+ * @property {boolean} [curves=true] Fit bezier curves; false keeps a reduced polyline
+ * @property {number} [cornerAngle=45] Turns sharper than this, in degrees, stay corners
+ */
+
+/** Samples per cubic when flattening a path before fitting. */
+const FLATTEN_STEPS = 16;
+
+/** Newton-Raphson passes before a run that nearly fits is split instead. */
+const MAX_REPARAMETERIZE = 4;
+
+/** Points closer than this are merged before fitting. */
+const MERGE_DISTANCE = 1e-9;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Points of a path with its curves sampled. A closed path does not repeat
+ * its first point at the end.
+ * @param {Path} path
+ * @returns {Vec[]}
+ */
+const flattenPath = (path) => {
+    const points = [];
+    const push = (point) => {
+        if (points.length === 0 || points[points.length - 1].distance(point) > MERGE_DISTANCE) {
+            points.push(point);
+        }
+    };
+    for (const segment of pairs(path.anchors, path.closed)) {
+        if (isSegmentLinear(segment)) {
+            push(segment[0].position.clone());
+            continue;
+        }
+        const cubic = cubicFromSegment(segment);
+        for (let i = 0; i < FLATTEN_STEPS; i++) {
+            push(pointOnCubicAtTime(new Vec(), cubic, i / FLATTEN_STEPS));
+        }
+    }
+    const { anchors } = path;
+    if (!path.closed && anchors.length > 0) {
+        push(anchors[anchors.length - 1].position.clone());
+    }
+    if (path.closed && points.length > 1 && points[0].distance(points[points.length - 1]) <= MERGE_DISTANCE) {
+        points.pop();
+    }
+    return points;
+};
+
+/**
+ * Index of the first point at least `reach` away from point `i`, walking
+ * forward (`step` 1) or backward (-1). Closed polylines wrap; open ones stop
+ * at their ends.
+ * @param {Vec[]} points
+ * @param {boolean} closed
+ * @param {number} i
+ * @param {number} step
+ * @param {number} reach
+ * @returns {number}
+ */
+const pointAtReach = (points, closed, i, step, reach) => {
+    const n = points.length;
+    let j = i;
+    for (let k = 1; k < n; k++) {
+        const next = j + step;
+        if (!closed && (next < 0 || next >= n)) break;
+        j = (next + n) % n;
+        if (points[j].distance(points[i]) >= reach) break;
+    }
+    return j;
+};
+
+/**
+ * Unit tangent leaving point `i` of a run in the direction of `step`.
+ * @param {Vec[]} points
+ * @param {number} i
+ * @param {number} step
+ * @param {number} reach
+ * @returns {Vec}
+ */
+const runTangent = (points, i, step, reach) => {
+    const j = pointAtReach(points, false, i, step, reach);
+    return Vec.sub(points[j], points[i]).normalize();
+};
+
+/**
+ * Indices of the corners of a polyline: points where it turns by more than
+ * the corner angle, keeping only the sharpest turn within `reach`.
+ * @param {Vec[]} points
+ * @param {boolean} closed
+ * @param {number} reach
+ * @param {number} cornerAngle - Degrees
+ * @returns {number[]} Ascending indices
+ */
+const findCorners = (points, closed, reach, cornerAngle) => {
+    const n = points.length;
+    const threshold = Math.cos(cornerAngle * Math.PI / 180);
+    const candidates = [];
+    for (let i = closed ? 0 : 1; i < (closed ? n : n - 1); i++) {
+        const before = points[pointAtReach(points, closed, i, -1, reach)];
+        const after = points[pointAtReach(points, closed, i, 1, reach)];
+        const incoming = Vec.sub(points[i], before).normalize();
+        const outgoing = Vec.sub(after, points[i]).normalize();
+        const cosine = incoming.dot(outgoing);
+        if (cosine < threshold) candidates.push({ index: i, cosine });
+    }
+    candidates.sort((a, b) => a.cosine - b.cosine);
+
+    const corners = [];
+    candidates.forEach(({ index }) => {
+        if (corners.every((corner) => points[corner].distance(points[index]) >= reach)) {
+            corners.push(index);
+        }
+    });
+    return corners.sort((a, b) => a - b);
+};
+
+// =============================================================================
+// Least-squares fitting
+// =============================================================================
+
+/**
+ * First and second derivative of a cubic at time t.
+ * @param {Vec[]} cubic
+ * @param {number} t
+ * @returns {{d1: Vec, d2: Vec}}
+ */
+const cubicDerivatives = ([p0, p1, p2, p3], t) => {
+    const s = 1 - t;
+    const d1 = Vec.sub(p1, p0).mulScalar(3 * s * s)
+        .add(Vec.sub(p2, p1).mulScalar(6 * s * t))
+        .add(Vec.sub(p3, p2).mulScalar(3 * t * t));
+    const d2 = Vec.sub(p2, p1).sub(Vec.sub(p1, p0)).mulScalar(6 * s)
+        .add(Vec.sub(p3, p2).sub(Vec.sub(p2, p1)).mulScalar(6 * t));
+    return { d1, d2 };
+};
+
+/**
+ * Times of the points along a run, proportional to distance travelled.
+ * @param {Vec[]} points
+ * @returns {number[]}
+ */
+const chordLengthTimes = (points) => {
+    const times = [0];
+    for (let i = 1; i < points.length; i++) {
+        times.push(times[i - 1] + points[i].distance(points[i - 1]));
+    }
+    const total = times[times.length - 1];
+    return times.map((time) => (total > 0 ? time / total : 0));
+};
+
+/**
+ * Least-squares cubic through the ends of a run, leaving and entering along
+ * the given tangents, at the given point times.
+ * @param {Vec[]} points
+ * @param {number[]} times
+ * @param {Vec} tangentStart - Unit tangent leaving the first point
+ * @param {Vec} tangentEnd - Unit tangent leaving the last point, back into the run
+ * @returns {Vec[]} Cubic control points
+ */
+const leastSquaresCubic = (points, times, tangentStart, tangentEnd) => {
+    const first = points[0];
+    const last = points[points.length - 1];
+    let c00 = 0;
+    let c01 = 0;
+    let c11 = 0;
+    let x0 = 0;
+    let x1 = 0;
+    points.forEach((point, i) => {
+        const t = times[i];
+        const s = 1 - t;
+        const a0 = tangentStart.clone().mulScalar(3 * s * s * t);
+        const a1 = tangentEnd.clone().mulScalar(3 * s * t * t);
+        const ends = first.clone().mulScalar(s * s * s + 3 * s * s * t).add(last.clone().mulScalar(3 * s * t * t + t * t * t));
+        const rest = Vec.sub(point, ends);
+        c00 += a0.dot(a0);
+        c01 += a0.dot(a1);
+        c11 += a1.dot(a1);
+        x0 += a0.dot(rest);
+        x1 += a1.dot(rest);
+    });
+
+    const chord = first.distance(last);
+    const determinant = c00 * c11 - c01 * c01;
+    let alphaStart = Math.abs(determinant) > 1e-12 ? (x0 * c11 - x1 * c01) / determinant : 0;
+    let alphaEnd = Math.abs(determinant) > 1e-12 ? (c00 * x1 - c01 * x0) / determinant : 0;
+    // Handles pointing backwards or collapsing mean the fit failed; fall back to thirds.
+    if (alphaStart < 1e-6 * chord || alphaEnd < 1e-6 * chord) {
+        alphaStart = chord / 3;
+        alphaEnd = chord / 3;
+    }
+    return [
+        first,
+        Vec.add(first, tangentStart.clone().mulScalar(alphaStart)),
+        Vec.add(last, tangentEnd.clone().mulScalar(alphaEnd)),
+        last
+    ];
+};
+
+/**
+ * Largest distance of a run's points from the cubic at their times.
+ * @param {Vec[]} points
+ * @param {Vec[]} cubic
+ * @param {number[]} times
+ * @returns {{error: number, index: number}} Index of the worst inner point
+ */
+const fitError = (points, cubic, times) => {
+    let error = 0;
+    let index = Math.floor(points.length / 2);
+    for (let i = 1; i < points.length - 1; i++) {
+        const distance = pointOnCubicAtTime(new Vec(), cubic, times[i]).distance(points[i]);
+        if (distance > error) {
+            error = distance;
+            index = i;
+        }
+    }
+    return { error, index };
+};
+
+/**
+ * One Newton-Raphson step moving each time towards the closest point of
+ * the cubic to its point.
+ * @param {Vec[]} points
+ * @param {Vec[]} cubic
+ * @param {number[]} times
+ * @returns {number[]}
+ */
+const reparameterize = (points, cubic, times) => times.map((t, i) => {
+    const offset = Vec.sub(pointOnCubicAtTime(new Vec(), cubic, t), points[i]);
+    const { d1, d2 } = cubicDerivatives(cubic, t);
+    const denominator = d1.dot(d1) + offset.dot(d2);
+    if (Math.abs(denominator) < 1e-12) return t;
+    return Math.min(1, Math.max(0, t - offset.dot(d1) / denominator));
+});
+
+/**
+ * Fit cubics to a run of points, splitting at the worst point until the
+ * tolerance is met.
+ * @param {Vec[]} points - At least two points
+ * @param {Vec} tangentStart - Unit tangent leaving the first point
+ * @param {Vec} tangentEnd - Unit tangent leaving the last point, back into the run
+ * @param {number} tolerance
+ * @returns {Vec[][]} Cubics, end to end
+ */
+const fitCubics = (points, tangentStart, tangentEnd, tolerance) => {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length === 2) {
+        const third = first.distance(last) / 3;
+        return [[
+            first,
+            Vec.add(first, tangentStart.clone().mulScalar(third)),
+            Vec.add(last, tangentEnd.clone().mulScalar(third)),
+            last
+        ]];
+    }
+
+    let times = chordLengthTimes(points);
+    let cubic = leastSquaresCubic(points, times, tangentStart, tangentEnd);
+    let { error, index } = fitError(points, cubic, times);
+    if (error <= tolerance) return [cubic];
+
+    // Close misses are often fixed by better times rather than a split.
+    if (error <= tolerance * 4) {
+        for (let i = 0; i < MAX_REPARAMETERIZE; i++) {
+            times = reparameterize(points, cubic, times);
+            cubic = leastSquaresCubic(points, times, tangentStart, tangentEnd);
+            ({ error, index } = fitError(points, cubic, times));
+            if (error <= tolerance) return [cubic];
+        }
+    }
+
+    let tangentSplit = Vec.sub(points[index - 1], points[index + 1]);
+    if (tangentSplit.isZero()) {
+        tangentSplit = Vec.sub(points[index - 1], points[index]);
+    }
+    tangentSplit.normalize();
+    return [
+        ...fitCubics(points.slice(0, index + 1), tangentStart, tangentSplit, tolerance),
+        ...fitCubics(points.slice(index), tangentSplit.clone().negate(), tangentEnd, tolerance)
+    ];
+};
+
+/**
+ * Build a path from cubics laid end to end. Linear cubics (controls on their
+ * ends) become straight segments.
+ * @param {Vec[][]} cubics
+ * @param {boolean} closed - The last cubic ends where the first starts
+ * @returns {Path}
+ */
+const pathFromCubics = (cubics, closed) => {
+    const anchors = cubics.map(([p0, p1]) => new Anchor(p0.clone(), new Vec(), Vec.sub(p1, p0)));
+    cubics.forEach(([, , p2, p3], i) => {
+        const handleIn = Vec.sub(p2, p3);
+        if (i + 1 < cubics.length) {
+            anchors[i + 1].handleIn = handleIn;
+        } else if (closed) {
+            anchors[0].handleIn = handleIn;
+        } else {
+            anchors.push(new Anchor(p3.clone(), handleIn, new Vec()));
+        }
+    });
+    return new Path(anchors, closed);
+};
+
+// =============================================================================
+// Simplify
+// =============================================================================
+
+/**
+ * Douglas-Peucker reduction of a polyline to the fewest of its points that
+ * keep every dropped point within `tolerance` of the result. A closed
+ * polyline is split at its first point and the point farthest from it, and
+ * each half is reduced on its own.
+ *
+ * @param {Vec[]} points Polyline (not modified); a closed one does not repeat its first point
+ * @param {number} tolerance Max distance of a dropped point
+ * @param {boolean} [closed=false]
+ * @returns {Vec[]} The kept points, in order
+ */
+export const simplifyPolyline = (points, tolerance, closed = false) => {
+    const n = points.length;
+    if (n <= (closed ? 3 : 2) || tolerance <= 0) return points;
+
+    const keep = new Uint8Array(n);
+    keep[0] = 1;
+    const stack = [];
+    if (closed) {
+        let far = 0;
+        points.forEach((p, i) => {
+            if (p.distance(points[0]) > points[far].distance(points[0])) far = i;
+        });
+        if (far === 0) return [points[0]];
+        keep[far] = 1;
+        stack.push([0, far], [far, n]);
+    } else {
+        keep[n - 1] = 1;
+        stack.push([0, n - 1]);
+    }
+
+    while (stack.length > 0) {
+        const [i, j] = stack.pop();
+        const a = points[i];
+        const b = points[j % n];
+        let index = -1;
+        let max = tolerance;
+        for (let k = i + 1; k < j; k++) {
+            const d = a.equals(b) ? points[k].distance(a) : points[k].distanceToLineSegment(a, b);
+            if (d > max) {
+                max = d;
+                index = k;
+            }
+        }
+        if (index >= 0) {
+            keep[index] = 1;
+            stack.push([i, index], [index, j]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Fit a polyline with lines and cubic beziers, keeping sharp turns as
+ * corners (see the module comment).
+ *
+ * @param {Vec[]} points Polyline (not modified); a closed one does not repeat its first point
+ * @param {boolean} closed
+ * @param {SimplifyOptions} [options]
+ * @returns {Path}
+ */
+export const fitPolyline = (points, closed, options = {}) => {
+    const { tolerance = 0.1, cornerAngle = 45 } = options;
+    if (points.length < 3 || tolerance <= 0) {
+        return Path.fromPoints(points.map((p) => p.clone()), closed);
+    }
+    const reach = 2 * tolerance;
+    const corners = findCorners(points, closed, reach, cornerAngle);
+
+    // Runs between corners; open ends count as corners
+    const runs = [];
+    if (closed && corners.length === 0) {
+        const before = points[pointAtReach(points, true, 0, -1, reach)];
+        const after = points[pointAtReach(points, true, 0, 1, reach)];
+        const tangent = Vec.sub(after, before).normalize();
+        runs.push({ points: [...points, points[0]], tangentStart: tangent, tangentEnd: tangent.clone().negate() });
+    } else {
+        const stops = closed ? [...corners, corners[0] + points.length] : [0, ...corners, points.length - 1];
+        for (let k = 0; k + 1 < stops.length; k++) {
+            const run = [];
+            for (let i = stops[k]; i <= stops[k + 1]; i++) run.push(points[i % points.length]);
+            runs.push({ points: run });
+        }
+    }
+
+    const cubics = runs.flatMap((run) => {
+        const first = run.points[0];
+        const last = run.points[run.points.length - 1];
+        if (simplifyPolyline(run.points, tolerance).length === 2 && !first.equals(last)) {
+            return [[first, first, last, last]];
+        }
+        const tangentStart = run.tangentStart || runTangent(run.points, 0, 1, reach);
+        const tangentEnd = run.tangentEnd || runTangent(run.points, run.points.length - 1, -1, reach);
+        return fitCubics(run.points, tangentStart, tangentEnd, tolerance);
+    });
+    return pathFromCubics(cubics, closed);
+};
+
+/**
+ * Simplify a path: reduce it with Douglas-Peucker, then, unless
+ * `curves` is false, refit it with lines and cubic beziers.
+ *
+ * ```javascript
+ * const smooth = simplifyPath(densePolyline, { tolerance: 0.05 });
+ * ```
+ *
+ * @param {Path} path Path (not modified)
+ * @param {SimplifyOptions} [options]
+ * @returns {Path} A new path, closed if the input was
+ */
+export const simplifyPath = (path, options = {}) => {
+    const { tolerance = 0.1, curves = true } = options;
+    const points = flattenPath(path);
+    const result = curves
+        ? fitPolyline(points, path.closed, options)
+        : Path.fromPoints(simplifyPolyline(points, tolerance, path.closed).map((p) => p.clone()), path.closed);
+    result.copyStyle(path);
+    return result;
+};
+
+/**
+ * Simplify every path of a geometry item (see simplifyPath).
+ *
+ * @param {Path|Shape|Group} item Geometry (not modified)
+ * @param {SimplifyOptions} [options]
+ * @returns {Path|Shape|Group} New geometry of the same kind
+ */
+export const simplifyGeometry = (item, options = {}) => {
+    const result = item.clone();
+    result.allPaths().forEach((path) => {
+        path.anchors = simplifyPath(path, options).anchors;
+    });
+    return result;
+};
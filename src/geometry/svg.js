@@ -125,12 +125,17 @@ const transformGeometryForViewbox = (geometry, svgNode, options) => {
             if (isValidUnit(widthUnit) && width !== undefined) {
                 const widthInProjectUnits =
                     width * scaleFactorForUnitConversion(widthUnit, options.units);
-                const viewboxWidth = viewboxNumbers[2] - viewboxNumbers[0];
+                const viewboxWidth = viewboxNumbers[2];
                 scaleFactor = widthInProjectUnits / viewboxWidth;
             }
         }
         geometry.transform({ scale: scaleFactor });
         geometry.scaleStroke(scaleFactor);
+    } else if (options.units) {
+        // Without a viewBox, user units are CSS pixels (96 dpi).
+        const scaleFactor = scaleFactorForUnitConversion('px', options.units);
+        geometry.transform({ scale: scaleFactor });
+        geometry.scaleStroke(scaleFactor);
     }
 };
 
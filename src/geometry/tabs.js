@@ -0,0 +1,163 @@
+/**
+ * Geometry Library - Holding Tabs
+ *
+ * Leaves short uncut bridges ("tabs") in closed contours so small parts stay
+ * attached to the sheet instead of dropping through a laser bed or being
+ * thrown by a router. A contour with tabs becomes open cut pieces with gaps
+ * where the tabs are; the gaps themselves are returned as bridge paths so a
+ * CNC can cut them at reduced depth.
+ *
+ * Tabs are either spread evenly along each contour by arc length, or placed
+ * by hand at points that snap to the nearest contour. Tabs only belong in
+ * exported cut paths; design geometry never carries them.
+ */
+
+import { Group } from './Group.js';
+
+/**
+ * @typedef {Object} HoldingTabOptions
+ * @property {number} [count=0] Tabs spread evenly along each closed contour
+ * @property {number} [width=3] Length of each tab along the contour
+ * @property {import('./Vec.js').Vec[]} [points] Hand-placed tab centres. A contour
+ *     with any point within `snapDistance` gets tabs at those points instead of
+ *     the evenly spread ones
+ * @property {number} [snapDistance=5] Max distance from a point to its contour
+ */
+
+/** Lengths below this are treated as zero. */
+const LENGTH_EPSILON = 1e-6;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Piece of a path between two distances along it. On closed paths the
+ * distances may run past the end and wrap around the start.
+ * @param {import('./Path.js').Path} path
+ * @param {number} from
+ * @param {number} to
+ * @returns {import('./Path.js').Path} A new open path
+ */
+const pathBetweenDistances = (path, from, to) => {
+    let piece = path.clone();
+    if (piece.closed) {
+        const total = piece.length();
+        const start = ((from % total) + total) % total;
+        [piece] = piece.splitAtTime(piece.timeAtDistance(start));
+        to -= from;
+        from = 0;
+    }
+    if (to < piece.length() - LENGTH_EPSILON) {
+        [piece] = piece.splitAtTime(piece.timeAtDistance(to));
+    }
+    if (from > LENGTH_EPSILON) {
+        const pieces = piece.splitAtTime(piece.timeAtDistance(from));
+        piece = pieces[pieces.length - 1];
+    }
+    return piece;
+};
+
+/**
+ * Sort tab ranges and merge the ones that overlap, including a last range
+ * that wraps past the end of the contour into the first.
+ * @param {Array<[number, number]>} ranges
+ * @param {number} total Contour length
+ * @returns {Array<[number, number]>}
+ */
+const mergeRanges = (ranges, total) => {
+    const merged = [];
+    [...ranges].sort((a, b) => a[0] - b[0]).forEach((range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    });
+    const first = merged[0];
+    const last = merged[merged.length - 1];
+    if (merged.length > 1 && last[1] - total >= first[0]) {
+        first[0] = last[0] - total;
+        first[1] = Math.max(first[1], last[1] - total);
+        merged.pop();
+    }
+    return merged;
+};
+
+// =============================================================================
+// Holding Tabs
+// =============================================================================
+
+/**
+ * Distances along a closed path at which its tabs are centred.
+ *
+ * @param {import('./Path.js').Path} path
+ * @param {HoldingTabOptions} [options]
+ * @returns {number[]} Distances from the first anchor, in ascending order
+ */
+export const holdingTabDistances = (path, options = {}) => {
+    const { count = 0, points = [], snapDistance = 5 } = options;
+    if (!path.closed || path.anchors.length < 2) return [];
+
+    const placed = [];
+    points.forEach((point) => {
+        const hit = path.closestPointWithinDistanceToPoint(snapDistance, point);
+        if (hit.distance <= snapDistance) placed.push(path.distanceAtTime(hit.time));
+    });
+    if (placed.length > 0) return placed.sort((a, b) => a - b);
+
+    const total = path.length();
+    const n = Math.max(0, Math.floor(count));
+    return Array.from({ length: n }, (_, i) => ((i + 0.5) * total) / n);
+};
+
+/**
+ * Split a closed path into the pieces that are cut and the tabs left
+ * between them. Contours too short for their tabs (tabs would cover half
+ * or more of the length) are returned whole.
+ *
+ * @param {import('./Path.js').Path} path
+ * @param {HoldingTabOptions} [options]
+ * @returns {{cuts: import('./Path.js').Path[], bridges: import('./Path.js').Path[]}}
+ *     Open cut pieces in path order, and one open path per tab
+ */
+export const splitPathAtHoldingTabs = (path, options = {}) => {
+    const width = options.width ?? 3;
+    const distances = width > 0 ? holdingTabDistances(path, options) : [];
+    if (distances.length === 0) return { cuts: [path.clone()], bridges: [] };
+
+    const total = path.length();
+    if (distances.length * width * 2 > total) return { cuts: [path.clone()], bridges: [] };
+
+    const ranges = mergeRanges(distances.map((d) => [d - width / 2, d + width / 2]), total);
+    const cuts = ranges.map((range, i) => {
+        const next = ranges[(i + 1) % ranges.length];
+        const end = i + 1 < ranges.length ? next[0] : next[0] + total;
+        return pathBetweenDistances(path, range[1], end);
+    }).filter((piece) => piece.length() > LENGTH_EPSILON);
+    const bridges = ranges.map(([from, to]) => pathBetweenDistances(path, from, to));
+    return { cuts, bridges };
+};
+
+/**
+ * Leave holding tabs in every closed contour of a geometry.
+ *
+ * ```javascript
+ * const { cuts, bridges } = applyHoldingTabs(outline, { count: 4, width: 3 });
+ * ```
+ *
+ * @param {import('./Geometry.js').Geometry} geometry Path, Shape or Group (not modified)
+ * @param {HoldingTabOptions} [options]
+ * @returns {{cuts: Group, bridges: Group}} Paths to cut, and the tabs left uncut
+ */
+export const applyHoldingTabs = (geometry, options = {}) => {
+    const cuts = [];
+    const bridges = [];
+    geometry.allPaths().forEach((path) => {
+        const split = splitPathAtHoldingTabs(path, options);
+        cuts.push(...split.cuts);
+        bridges.push(...split.bridges);
+    });
+    return { cuts: new Group(cuts), bridges: new Group(bridges) };
+};
@@ -295,6 +295,17 @@ test('length() for closed rectangle', (() => {
     return p.length() === 300; // 100 + 50 + 100 + 50
 })());
 
+test('polygonize() keeps the end point of open paths', (() => {
+    const p = Path.fromPoints([new Vec(0, 0), new Vec(10, 0)]).polygonize(4);
+    const last = p.anchors[p.anchors.length - 1].position;
+    return p.anchors.length === 4 && last.x === 10 && last.y === 0;
+})());
+
+test('polygonize() closed path does not repeat the first anchor', (() => {
+    const p = Path.rect(0, 0, 10, 10).polygonize(5);
+    return p.closed && p.anchors.length === 8;
+})());
+
 // =============================================================================
 // Time-based Operations
 // =============================================================================
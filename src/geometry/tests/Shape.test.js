@@ -285,35 +285,75 @@ test('fromSVGPathString() handles multiple subpaths', (() => {
     return s.paths.length === 2;
 })());
 
+test('fromSVGPathString() handles relative H and V commands', (() => {
+    const s = Shape.fromSVGPathString('M10 10 h20 v20 h-20 z');
+    const last = s.paths[0].anchors[3].position;
+    return s.paths[0].anchors.length === 4 && last.x === 10 && last.y === 30;
+})());
+
+test('fromSVGPathString() keeps cubic handles relative to anchors', (() => {
+    const s = Shape.fromSVGPathString('M0 0 C10 0 20 10 20 20');
+    const [a1, a2] = s.paths[0].anchors;
+    return a1.handleOut.x === 10 && a1.handleOut.y === 0 &&
+           a2.handleIn.x === 0 && a2.handleIn.y === -10;
+})());
+
+test('fromSVGPathString() reflects S control point', (() => {
+    const s = Shape.fromSVGPathString('M0 0 C10 0 20 10 20 20 S30 40 40 40');
+    const mid = s.paths[0].anchors[1];
+    return mid.handleOut.x === 0 && mid.handleOut.y === 10;
+})());
+
+test('fromSVGPathString() converts Q to cubic', (() => {
+    const s = Shape.fromSVGPathString('M0 0 Q15 15 30 0');
+    const [a1, a2] = s.paths[0].anchors;
+    return Math.abs(a1.handleOut.x - 10) < 1e-9 && Math.abs(a2.handleIn.y - 10) < 1e-9;
+})());
+
+test('fromSVGPathString() converts arcs to cubics', (() => {
+    const s = Shape.fromSVGPathString('M10 0 A10 10 0 0 1 -10 0 A10 10 0 0 1 10 0 Z');
+    const path = s.paths[0];
+    return path.closed && path.anchors.length === 4 &&
+           Math.abs(path.length() - Math.PI * 20) < 0.05;
+})());
+
+test('fromSVGPathString() parses compact arc flags', (() => {
+    const s = Shape.fromSVGPathString('M0,0a5,5 0 0110,0');
+    const anchors = s.paths[0].anchors;
+    const end = anchors[anchors.length - 1].position;
+    return Math.abs(end.x - 10) < 1e-9 && Math.abs(end.y) < 1e-9;
+})());
+
 // =============================================================================
-// Boolean Operations (stubs)
+// Boolean Operations (native fallback without PathKit)
 // =============================================================================
 
-console.log('\n  Boolean Operations (stubs):');
+console.log('\n  Boolean Operations:');
 
-test('booleanUnion() returns shape with combined paths', (() => {
-    // Note: This is a stub - actual boolean ops require PathKit
+test('booleanUnion() merges overlapping paths without PathKit', (() => {
     const shape = Shape.booleanUnion([
         Path.rect(0, 0, 50, 50),
         Path.rect(25, 25, 50, 50),
     ]);
-    return shape instanceof Shape;
+    return shape instanceof Shape && shape.paths.length === 1 && shape.paths[0].anchors.length === 8;
 })());
 
-test('booleanIntersect() returns empty shape (stub)', (() => {
+test('booleanIntersect() keeps the overlap without PathKit', (() => {
     const shape = Shape.booleanIntersect([
         Path.rect(0, 0, 50, 50),
         Path.rect(25, 25, 50, 50),
     ]);
-    return shape instanceof Shape;
+    const box = shape.tightBoundingBox();
+    return shape instanceof Shape && shape.paths.length === 1 &&
+        box.min.equals(new Vec(25, 25)) && box.max.equals(new Vec(50, 50));
 })());
 
-test('booleanDifference() returns empty shape (stub)', (() => {
+test('booleanDifference() cuts the overlap away without PathKit', (() => {
     const shape = Shape.booleanDifference([
         Path.rect(0, 0, 50, 50),
         Path.rect(25, 25, 50, 50),
     ]);
-    return shape instanceof Shape;
+    return shape instanceof Shape && shape.paths.length === 1 && shape.paths[0].anchors.length === 6;
 })());
 
 // =============================================================================
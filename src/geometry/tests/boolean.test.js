@@ -0,0 +1,130 @@
+/**
+ * boolean.js unit tests
+ */
+
+import { difference, intersection, union, windingNumberOfPaths, xor } from '../boolean.js';
+import { Group } from '../Group.js';
+import { signedAreaOfPath } from '../contour.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Stroke } from '../Style.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+const boxEquals = (box, minX, minY, maxX, maxY, eps = 1e-6) =>
+    approx(box.min.x, minX, eps) && approx(box.min.y, minY, eps) &&
+    approx(box.max.x, maxX, eps) && approx(box.max.y, maxY, eps);
+
+// Net area of a shape: outlines count positive, holes negative.
+const area = (shape) => shape.paths.reduce((sum, path) => sum + signedAreaOfPath(path), 0);
+
+const isCurved = (path) => path.anchors.some((anchor) => !anchor.handleIn.isZero() || !anchor.handleOut.isZero());
+
+// Area of a circle drawn with four cubics, for comparing curved results.
+const circleArea = (radius) => Math.abs(signedAreaOfPath(Path.circle(new Vec(0, 0), radius)));
+
+console.log('boolean.js tests:\n');
+
+console.log('  Winding:');
+
+test('windingNumberOfPaths() counts nested and reversed contours', (() => {
+    const winding = windingNumberOfPaths([Path.rect(0, 0, 30, 30), Path.rect(10, 10, 10, 10)]);
+    const reversed = windingNumberOfPaths([Path.rect(0, 0, 30, 30), Path.rect(10, 10, 10, 10).reverse()]);
+    return winding(new Vec(5, 5)) === 1 && winding(new Vec(15, 15)) === 2 && winding(new Vec(40, 15)) === 0 &&
+        reversed(new Vec(15, 15)) === 0;
+})());
+
+test('windingNumberOfPaths() follows curves exactly', (() => {
+    const winding = windingNumberOfPaths([Path.circle(new Vec(0, 0), 10)]);
+    return Math.abs(winding(new Vec(9.99, 0))) === 1 && winding(new Vec(10.01, 0)) === 0 &&
+        Math.abs(winding(new Vec(0, 0))) === 1;
+})());
+
+console.log('\n  Operations:');
+
+test('union() merges overlapping paths into one outline', (() => {
+    const result = union([Path.rect(0, 0, 20, 20), Path.rect(10, 10, 20, 20)]);
+    return result instanceof Shape && result.paths.length === 1 && result.paths[0].anchors.length === 8 &&
+        approx(area(result), 700);
+})());
+
+test('difference() cuts the later items out of the first', (() => {
+    const notched = difference([Path.rect(0, 0, 20, 20), Path.rect(10, 10, 20, 20)]);
+    const framed = difference([Path.rect(0, 0, 20, 20), Path.rect(5, 5, 10, 10)]);
+    const areas = framed.paths.map(signedAreaOfPath).sort((a, b) => a - b);
+    return notched.paths.length === 1 && notched.paths[0].anchors.length === 6 && approx(area(notched), 300) &&
+        framed.paths.length === 2 && approx(areas[0], -100) && approx(areas[1], 400);
+})());
+
+test('intersection() keeps the area covered by every item', (() => {
+    const result = intersection([Path.rect(0, 0, 20, 20), Path.rect(10, 10, 20, 20), Path.rect(0, 15, 30, 5)]);
+    return result.paths.length === 1 && boxEquals(result.tightBoundingBox(), 10, 15, 20, 20);
+})());
+
+test('xor() keeps the area covered by exactly one item', (() => {
+    const result = xor([Path.rect(0, 0, 20, 20), Path.rect(10, 10, 20, 20)]);
+    return approx(area(result), 600) && boxEquals(result.tightBoundingBox(), 0, 0, 30, 30);
+})());
+
+test('union() keeps curved segments as curves', (() => {
+    const result = union([Path.circle(new Vec(0, 0), 10), Path.circle(new Vec(10, 0), 10)]);
+    const lens = intersection([Path.circle(new Vec(0, 0), 10), Path.circle(new Vec(10, 0), 10)]);
+    const lensArea = 2 * 100 * Math.acos(0.5) - 5 * Math.sqrt(300);
+    return result.paths.length === 1 && result.paths[0].anchors.every((anchor) => !anchor.handleIn.isZero()) &&
+        approx(area(result) + area(lens), 2 * circleArea(10), 1e-3) && approx(area(lens), lensArea, 0.1);
+})());
+
+test('difference() cuts a curved bite with straight and curved edges', (() => {
+    const result = difference([Path.rect(0, 0, 20, 20), Path.circle(new Vec(20, 10), 8)]);
+    return result.paths.length === 1 && isCurved(result.paths[0]) &&
+        approx(area(result), 400 - circleArea(8) / 2, 1e-3);
+})());
+
+console.log('\n  Edge cases:');
+
+test('union() joins paths that share an edge', (() => {
+    const result = union([Path.rect(0, 0, 10, 10), Path.rect(10, 0, 10, 10)]);
+    return result.paths.length === 1 && result.paths[0].anchors.length === 4 &&
+        boxEquals(result.tightBoundingBox(), 0, 0, 20, 10);
+})());
+
+test('identical paths give one outline or nothing', (() => {
+    const rect = Path.rect(0, 0, 20, 20);
+    return union([rect, rect.clone()]).paths.length === 1 && intersection([rect, rect.clone()]).paths.length === 1 &&
+        difference([rect, rect.clone()]).paths.length === 0;
+})());
+
+test('operands keep their holes and groups cover any of their items', (() => {
+    const frame = new Shape([Path.rect(0, 0, 30, 30), Path.rect(10, 10, 10, 10)]);
+    const bridged = union([frame, Path.rect(12, -5, 6, 40)]);
+    const holes = bridged.paths.filter((path) => signedAreaOfPath(path) < 0);
+    const joined = union([new Group([Path.rect(0, 0, 5, 5), Path.rect(20, 0, 5, 5)]), Path.rect(3, 0, 20, 5)]);
+    return holes.length === 2 && approx(area(bridged), 920) &&
+        joined.paths.length === 1 && boxEquals(joined.tightBoundingBox(), 0, 0, 25, 5);
+})());
+
+test('results keep the style of the first item', (() => {
+    const styled = new Shape([Path.rect(0, 0, 10, 10)]).assignStroke(new Stroke(undefined, false, 2));
+    const result = union([styled, Path.rect(5, 0, 10, 10)]);
+    return result.stroke?.width === 2 && result.stroke !== styled.stroke;
+})());
+
+console.log(`\nboolean.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`boolean.js: ${testCount - passCount} tests failed`);
+}
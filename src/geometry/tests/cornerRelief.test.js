@@ -0,0 +1,91 @@
+/**
+ * cornerRelief.js unit tests
+ */
+
+import { applyCornerRelief, reliefPathCorners } from '../cornerRelief.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, tolerance = 0.001) => Math.abs(a - b) < tolerance;
+
+const hasPoint = (path, point) => path.anchors.some((anchor) => anchor.position.equalsWithinTolerance(point, 1e-6));
+
+console.log('cornerRelief.js tests:\n');
+
+console.log('\n  Dog-bone:');
+
+test('reliefPathCorners() overcuts every corner of a hole', (() => {
+    const slot = reliefPathCorners(Path.rect(0, 0, 10, 30), true, { toolDiameter: 3 });
+    const chord = 3 * Math.SQRT1_2;
+    return slot.anchors.length === 12 &&
+        hasPoint(slot, new Vec(0, chord)) && hasPoint(slot, new Vec(chord, 0)) && hasPoint(slot, new Vec(0, 0));
+})());
+
+test('reliefPathCorners() dog-bone bulges into the material', (() => {
+    const slot = reliefPathCorners(Path.rect(0, 0, 10, 30), true, { toolDiameter: 3 });
+    const center = new Vec(1.5 * Math.SQRT1_2, 1.5 * Math.SQRT1_2);
+    const bulge = slot.positionAtTime(0.5);
+    return bulge.x < 0 && approx(bulge.distance(center), 1.5, 0.01);
+})());
+
+test('reliefPathCorners() leaves convex outer corners alone', (() => {
+    const board = reliefPathCorners(Path.rect(0, 0, 10, 30), false, { toolDiameter: 3 });
+    return board.anchors.length === 4;
+})());
+
+test('reliefPathCorners() finds inside corners whatever the winding', (() => {
+    const points = [new Vec(0, 0), new Vec(30, 0), new Vec(30, 20), new Vec(20, 20), new Vec(20, 10), new Vec(10, 10), new Vec(10, 20), new Vec(0, 20)];
+    const forward = reliefPathCorners(Path.fromPoints(points, true), false, { toolDiameter: 3 });
+    const backward = reliefPathCorners(Path.fromPoints([...points].reverse(), true), false, { toolDiameter: 3 });
+    return forward.anchors.length === 12 && backward.anchors.length === 12 &&
+        hasPoint(forward, new Vec(20, 10)) && hasPoint(forward, new Vec(10, 10));
+})());
+
+test('reliefPathCorners() skips corners on edges too short for the tool', (() => {
+    const slot = reliefPathCorners(Path.rect(0, 0, 2, 30), true, { toolDiameter: 3 });
+    return slot.anchors.length === 4;
+})());
+
+console.log('\n  T-bone:');
+
+test('reliefPathCorners() T-bone runs into the shorter edge', (() => {
+    const slot = reliefPathCorners(Path.rect(0, 0, 10, 30), true, { toolDiameter: 3, style: 'tbone' });
+    return slot.anchors.length === 12 &&
+        hasPoint(slot, new Vec(0, 0)) && hasPoint(slot, new Vec(3, 0)) && hasPoint(slot, new Vec(1.5, -1.5)) &&
+        slot.anchors.every((anchor) => anchor.position.x >= -1e-9 && anchor.position.x <= 10 + 1e-9);
+})());
+
+console.log('\n  Geometry:');
+
+test('applyCornerRelief() treats nested contours as holes', (() => {
+    const board = new Shape([Path.rect(-20, -20, 60, 80), Path.rect(0, 0, 10, 30)]);
+    const relieved = applyCornerRelief(board, { toolDiameter: 3 });
+    return relieved instanceof Shape && relieved.paths[0].anchors.length === 4 && relieved.paths[1].anchors.length === 12 &&
+        board.paths[1].anchors.length === 4;
+})());
+
+test('applyCornerRelief() does nothing without a tool or with style none', (() => {
+    const slot = Path.rect(0, 0, 10, 30);
+    return applyCornerRelief(slot).anchors.length === 4 &&
+        applyCornerRelief(slot, { toolDiameter: 3, style: 'none' }).anchors.length === 4;
+})());
+
+console.log(`\ncornerRelief.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`cornerRelief.js: ${testCount - passCount} tests failed`);
+}
@@ -0,0 +1,129 @@
+/**
+ * cutOrder.js unit tests
+ */
+
+import { optimizeCutOrder, optimizeLayerCutOrder } from '../cutOrder.js';
+import { Path } from '../Path.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const boxMin = (path) => path.looseBoundingBox().min;
+const startOf = (path) => path.anchors[0].position;
+const endOf = (path) => (path.closed ? path.firstAnchor() : path.lastAnchor()).position;
+
+// Travel from start through every path in order.
+const travel = (paths, start = new Vec(0, 0)) => {
+    let head = start;
+    let distance = 0;
+    for (const path of paths) {
+        distance += head.distance(startOf(path));
+        head = endOf(path);
+    }
+    return distance;
+};
+
+console.log('cutOrder.js tests:\n');
+
+console.log('\n  Inner contours first:');
+
+test('optimizeCutOrder() cuts a hole before the outline around it', (() => {
+    const outer = Path.rect(0, 0, 100, 100);
+    const hole = Path.rect(80, 80, 10, 10);
+    const ordered = optimizeCutOrder([outer, hole]);
+    return ordered.length === 2 && boxMin(ordered[0]).equals(new Vec(80, 80)) && boxMin(ordered[1]).equals(new Vec(0, 0));
+})());
+
+test('optimizeCutOrder() cuts nested contours from the inside out', (() => {
+    const ordered = optimizeCutOrder([
+        Path.rect(0, 0, 100, 100),
+        Path.rect(10, 10, 80, 80),
+        Path.rect(40, 40, 20, 20)
+    ]);
+    return ordered.map((path) => boxMin(path).x).join(',') === '40,10,0';
+})());
+
+test('optimizeCutOrder() cuts open paths inside a closed contour first', (() => {
+    const outer = Path.rect(0, 0, 50, 50);
+    const score = Path.fromPoints([new Vec(40, 25), new Vec(45, 25)]);
+    const ordered = optimizeCutOrder([outer, score]);
+    return !ordered[0].closed && ordered[1].closed;
+})());
+
+test('optimizeCutOrder() with innerFirst false may cut the outline first', (() => {
+    const outer = Path.rect(0, 0, 100, 100);
+    const hole = Path.rect(80, 80, 10, 10);
+    const ordered = optimizeCutOrder([hole, outer], { innerFirst: false });
+    return boxMin(ordered[0]).equals(new Vec(0, 0));
+})());
+
+console.log('\n  Travel:');
+
+test('optimizeCutOrder() chains contours by nearest neighbour', (() => {
+    const squares = [60, 0, 90, 30].map((x) => Path.rect(x, 0, 10, 10));
+    return optimizeCutOrder(squares).map((path) => boxMin(path).x).join(',') === '0,30,60,90';
+})());
+
+test('optimizeCutOrder() starts closed contours at the nearest anchor', (() => {
+    const ordered = optimizeCutOrder([Path.rect(0, 0, 10, 10)], { start: new Vec(20, 20) });
+    return startOf(ordered[0]).equals(new Vec(10, 10)) && ordered[0].anchors.length === 4;
+})());
+
+test('optimizeCutOrder() cuts open paths from the nearer end', (() => {
+    const line = Path.fromPoints([new Vec(50, 0), new Vec(0, 0)]);
+    const ordered = optimizeCutOrder([line]);
+    return startOf(ordered[0]).equals(new Vec(0, 0)) && endOf(ordered[0]).equals(new Vec(50, 0));
+})());
+
+test('optimizeCutOrder() with reverseOpen false keeps open path direction', (() => {
+    const line = Path.fromPoints([new Vec(50, 0), new Vec(0, 0)]);
+    return startOf(optimizeCutOrder([line], { reverseOpen: false })[0]).equals(new Vec(50, 0));
+})());
+
+test('optimizeCutOrder() 2-opt never lengthens the nearest neighbour tour', (() => {
+    const lines = [];
+    for (let i = 0; i < 40; i++) {
+        const x = (i * 37) % 100;
+        const y = (i * 61) % 100;
+        lines.push(Path.fromPoints([new Vec(x, y), new Vec(x + 2, y)]));
+    }
+    const greedy = travel(optimizeCutOrder(lines, { maxPasses: 0 }));
+    const improved = travel(optimizeCutOrder(lines));
+    return improved <= greedy && improved < travel(lines);
+})());
+
+test('optimizeCutOrder() does not modify its input', (() => {
+    const rect = Path.rect(0, 0, 10, 10);
+    const line = Path.fromPoints([new Vec(50, 0), new Vec(20, 0)]);
+    const ordered = optimizeCutOrder([line, rect], { start: new Vec(10, 10) });
+    return ordered.length === 2 && ordered[0] !== rect && ordered[1] !== line &&
+        startOf(rect).equals(new Vec(0, 0)) && startOf(line).equals(new Vec(50, 0));
+})());
+
+console.log('\n  Layers:');
+
+test('optimizeLayerCutOrder() starts each layer where the previous one ended', (() => {
+    const layers = optimizeLayerCutOrder([
+        { name: 'score', geometry: Path.fromPoints([new Vec(0, 0), new Vec(100, 0)]) },
+        { name: 'cut', geometry: Path.rect(0, 0, 100, 10) }
+    ]);
+    const cut = layers[1].geometry.items[0];
+    return layers[0].name === 'score' && layers[1].name === 'cut' && startOf(cut).equals(new Vec(100, 0));
+})());
+
+console.log(`\ncutOrder.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`cutOrder.js: ${testCount - passCount} tests failed`);
+}
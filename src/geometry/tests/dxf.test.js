@@ -0,0 +1,228 @@
+/**
+ * dxf.js unit tests
+ */
+
+import { dxfStringFromGeometry, dxfStringFromLayers, fitArcsToCubic, geometryFromDXFString } from '../dxf.js';
+import { pointOnCubicAtTime } from '../bezier.js';
+import { Group } from '../Group.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+// Split a DXF string into [code, value] pairs.
+const groupPairs = (dxf) => {
+    const lines = dxf.trim().split('\n');
+    const result = [];
+    for (let i = 0; i < lines.length; i += 2) {
+        result.push([parseInt(lines[i], 10), lines[i + 1]]);
+    }
+    return result;
+};
+
+const entityCount = (dxf, type) => groupPairs(dxf).filter(([code, value]) => code === 0 && value === type).length;
+
+// Values of a group code within the ENTITIES section.
+const valuesFor = (dxf, code) => {
+    const entities = dxf.slice(dxf.indexOf('ENTITIES'));
+    return groupPairs(entities.slice(entities.indexOf('\n') + 1)).filter(([c]) => c === code).map(([, v]) => v);
+};
+
+console.log('dxf.js tests:\n');
+
+test('dxfStringFromGeometry() writes R12 header, R12 entities and EOF by default', (() => {
+    const dxf = dxfStringFromGeometry(new Shape([Path.rect(0, 0, 10, 10), Path.circle(new Vec(20, 5), 5)]));
+    return dxf.includes('$ACADVER\n  1\nAC1009') && dxf.trim().endsWith('EOF') &&
+        entityCount(dxf, 'LWPOLYLINE') === 0 && entityCount(dxf, 'SPLINE') === 0 && entityCount(dxf, 'ARC') > 0;
+})());
+
+test('dxfStringFromGeometry() marks the R12 header metric without $INSUNITS', (() => {
+    const dxf = dxfStringFromGeometry(Path.rect(0, 0, 10, 10));
+    return dxf.includes('$MEASUREMENT\n 70\n1') && !dxf.includes('$INSUNITS');
+})());
+
+test('dxfStringFromGeometry() stamps R2000 when it writes LWPOLYLINE or SPLINE', (() => {
+    const polylines = dxfStringFromGeometry(Path.rect(0, 0, 10, 10), { polylines: true });
+    const splines = dxfStringFromGeometry(Path.circle(new Vec(0, 0), 5), { curves: 'splines' });
+    return [polylines, splines].every((dxf) => dxf.includes('$ACADVER\n  1\nAC1015') && dxf.includes('$INSUNITS\n 70\n4'));
+})());
+
+test('dxfStringFromGeometry() writes straight closed path as one LWPOLYLINE', (() => {
+    const dxf = dxfStringFromGeometry(Path.rect(0, 0, 10, 20), { polylines: true });
+    const pairs = groupPairs(dxf);
+    const start = pairs.findIndex(([c, v]) => c === 0 && v === 'LWPOLYLINE');
+    const count = pairs.slice(start).find(([c]) => c === 90)?.[1];
+    const flags = pairs.slice(start).find(([c]) => c === 70)?.[1];
+    return entityCount(dxf, 'LWPOLYLINE') === 1 && count === '4' && flags === '1';
+})());
+
+test('dxfStringFromGeometry() flips Y axis', (() => {
+    const dxf = dxfStringFromGeometry(Path.fromPoints([new Vec(0, 5), new Vec(10, 5)]));
+    return valuesFor(dxf, 20).includes('-5');
+})());
+
+test('dxfStringFromGeometry() with polylines=false writes LINE entities', (() => {
+    const dxf = dxfStringFromGeometry(Path.rect(0, 0, 10, 10), { polylines: false });
+    return entityCount(dxf, 'LINE') === 4 && entityCount(dxf, 'LWPOLYLINE') === 0;
+})());
+
+test('dxfStringFromGeometry() converts units to mm', (() => {
+    const dxf = dxfStringFromGeometry(Path.fromPoints([new Vec(0, 0), new Vec(1, 0)]), { units: 'in' });
+    return valuesFor(dxf, 11).includes('25.4');
+})());
+
+test('dxfStringFromGeometry() fits circle to ARC entities', (() => {
+    const dxf = dxfStringFromGeometry(Path.circle(new Vec(0, 0), 20));
+    const radii = valuesFor(dxf, 40).map(Number);
+    return entityCount(dxf, 'ARC') >= 4 &&
+        entityCount(dxf, 'SPLINE') === 0 &&
+        radii.every((r) => Math.abs(r - 20) < 0.05);
+})());
+
+test('dxfStringFromGeometry() writes curved path as one SPLINE in splines mode', (() => {
+    const dxf = dxfStringFromGeometry(Path.circle(new Vec(0, 0), 20), { curves: 'splines' });
+    const knots = Number(valuesFor(dxf, 72)[0]);
+    const controls = Number(valuesFor(dxf, 73)[0]);
+    return entityCount(dxf, 'SPLINE') === 1 && controls === 13 && knots === controls + 4;
+})());
+
+test('dxfStringFromGeometry() handles Shape and Group', (() => {
+    const shape = new Shape([Path.rect(0, 0, 10, 10), Path.rect(2, 2, 4, 4)]);
+    const group = new Group([shape, Path.rect(20, 0, 5, 5)]);
+    return entityCount(dxfStringFromGeometry(group, { polylines: true }), 'LWPOLYLINE') === 3;
+})());
+
+test('dxfStringFromLayers() declares each layer with its colour', (() => {
+    const dxf = dxfStringFromLayers([
+        { name: 'cut', geometry: Path.rect(0, 0, 10, 10), color: 1 },
+        { name: 'score', geometry: Path.rect(20, 0, 10, 10), color: 5 }
+    ]);
+    const layerNames = valuesFor(dxf, 8);
+    return dxf.includes('LAYER\n  2\ncut\n 70\n0\n 62\n1') &&
+        dxf.includes('LAYER\n  2\nscore\n 70\n0\n 62\n5') &&
+        layerNames.includes('cut') && layerNames.includes('score');
+})());
+
+test('fitArcsToCubic() stays within tolerance', (() => {
+    const cubic = [new Vec(0, 0), new Vec(10, 30), new Vec(40, -20), new Vec(50, 10)];
+    const tolerance = 0.01;
+    const pieces = fitArcsToCubic(cubic, tolerance);
+    const point = new Vec();
+    for (let i = 0; i <= 64; i++) {
+        pointOnCubicAtTime(point, cubic, i / 64);
+        const nearest = Math.min(...pieces.map((piece) => {
+            if (piece.type === 'arc') {
+                return Math.abs(point.distance(piece.center) - piece.radius);
+            }
+            const d = Vec.sub(piece.end, piece.start);
+            const t = Math.max(0, Math.min(1, Vec.sub(point, piece.start).dot(d) / d.dot(d)));
+            return point.distance(new Vec(piece.start.x + d.x * t, piece.start.y + d.y * t));
+        }));
+        if (nearest > tolerance * 2) return false;
+    }
+    return pieces.length > 1;
+})());
+
+test('fitArcsToCubic() returns one line for a straight cubic', (() => {
+    const pieces = fitArcsToCubic([new Vec(0, 0), new Vec(1, 0), new Vec(2, 0), new Vec(3, 0)]);
+    return pieces.length === 1 && pieces[0].type === 'line' && approx(pieces[0].end.x, 3);
+})());
+
+test('fitArcsToCubic() reports sweep direction', (() => {
+    // Quarter circle from (10, 0) to (0, 10) around the origin is counter-clockwise (Y-up).
+    const k = 0.5522847498 * 10;
+    const pieces = fitArcsToCubic([new Vec(10, 0), new Vec(10, k), new Vec(k, 10), new Vec(0, 10)]);
+    return pieces.length === 1 && pieces[0].type === 'arc' && pieces[0].clockwise === false &&
+        approx(pieces[0].radius, 10, 0.01);
+})());
+
+// Wrap entity lines in a minimal DXF document.
+const dxfDocument = (entities, insunits = 4) => [
+    '0', 'SECTION', '2', 'HEADER', '9', '$INSUNITS', '70', String(insunits), '0', 'ENDSEC',
+    '0', 'SECTION', '2', 'ENTITIES', ...entities, '0', 'ENDSEC', '0', 'EOF'
+].join('\n');
+
+console.log('\n  Import:');
+
+test('geometryFromDXFString() chains LINE entities into a closed contour', (() => {
+    const dxf = dxfDocument([
+        '0', 'LINE', '10', '0', '20', '0', '11', '10', '21', '0',
+        '0', 'LINE', '10', '10', '20', '10', '11', '10', '21', '0',
+        '0', 'LINE', '10', '10', '20', '10', '11', '0', '21', '10',
+        '0', 'LINE', '10', '0', '20', '10', '11', '0', '21', '0'
+    ]);
+    const paths = geometryFromDXFString(dxf, { units: 'mm' }).allPaths();
+    return paths.length === 1 && paths[0].closed && paths[0].anchors.length === 4;
+})());
+
+test('geometryFromDXFString() flips Y and converts units', (() => {
+    const dxf = dxfDocument(['0', 'LINE', '10', '0', '20', '1', '11', '1', '21', '1'], 1);
+    const box = geometryFromDXFString(dxf, { units: 'mm' }).looseBoundingBox();
+    return approx(box.max.x, 25.4) && approx(box.min.y, -25.4);
+})());
+
+test('geometryFromDXFString() reads CIRCLE as closed curve', (() => {
+    const dxf = dxfDocument(['0', 'CIRCLE', '10', '5', '20', '5', '40', '5']);
+    const [path] = geometryFromDXFString(dxf, { units: 'mm' }).allPaths();
+    const box = path.tightBoundingBox();
+    return path.closed && path.anchors.length === 4 &&
+        approx(box.min.x, 0, 1e-3) && approx(box.max.x, 10, 1e-3) && approx(box.min.y, -10, 1e-3);
+})());
+
+test('geometryFromDXFString() reads LWPOLYLINE bulges as arcs', (() => {
+    // Two semicircles of radius 5 make a full circle.
+    const dxf = dxfDocument([
+        '0', 'LWPOLYLINE', '90', '2', '70', '1',
+        '10', '0', '20', '0', '42', '1',
+        '10', '10', '20', '0', '42', '1'
+    ]);
+    const [path] = geometryFromDXFString(dxf, { units: 'mm' }).allPaths();
+    const box = path.tightBoundingBox();
+    return path.closed && approx(box.width(), 10, 1e-3) && approx(box.height(), 10, 1e-3);
+})());
+
+test('geometryFromDXFString() reads clamped SPLINE as beziers', (() => {
+    const dxf = dxfDocument([
+        '0', 'SPLINE', '70', '0', '71', '3', '72', '8', '73', '4',
+        '40', '0', '40', '0', '40', '0', '40', '0', '40', '1', '40', '1', '40', '1', '40', '1',
+        '10', '0', '20', '0', '10', '0', '20', '10', '10', '10', '20', '10', '10', '10', '20', '0'
+    ]);
+    const [path] = geometryFromDXFString(dxf, { units: 'mm' }).allPaths();
+    return path.anchors.length === 2 && approx(path.anchors[0].handleOut.y, -10) &&
+        approx(path.anchors[1].handleIn.y, -10);
+})());
+
+test('geometryFromDXFString() round-trips exported geometry', (() => {
+    const source = new Group([Path.rect(0, 0, 30, 20), Path.circle(new Vec(50, 10), 8)]);
+    const sourceBox = source.tightBoundingBox();
+    for (const curves of ['arcs', 'splines']) {
+        const imported = geometryFromDXFString(dxfStringFromGeometry(source, { curves }), { units: 'mm' });
+        const box = imported.tightBoundingBox();
+        const closed = imported.allPaths().every((path) => path.closed);
+        if (!closed || imported.allPaths().length !== 2) return false;
+        if (!box.min.equalsWithinTolerance(sourceBox.min, 0.02) || !box.max.equalsWithinTolerance(sourceBox.max, 0.02)) {
+            return false;
+        }
+    }
+    return true;
+})());
+
+console.log(`\ndxf.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`dxf.js: ${testCount - passCount} tests failed`);
+}
@@ -0,0 +1,109 @@
+/**
+ * fillet.js unit tests
+ */
+
+import { difference } from '../boolean.js';
+import { chamferCorners, chamferPathCorners, filletCorners, filletPathCorners } from '../fillet.js';
+import { signedAreaOfPath } from '../contour.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+// Area a fillet of radius r removes from a right-angled corner.
+const cornerLoss = (radius) => (4 - Math.PI) * radius * radius / 4;
+
+const hasCurves = (path) => path.anchors.some((anchor) => !anchor.handleIn.isZero() || !anchor.handleOut.isZero());
+
+console.log('fillet.js tests:\n');
+
+console.log('  Fillet:');
+
+test('filletPathCorners() rounds every chosen corner of a rectangle', (() => {
+    const rect = Path.rect(0, 0, 20, 10);
+    const result = filletPathCorners(rect, [0, 1, 2, 3], 2);
+    return result.anchors.length === 8 && result.closed &&
+        approx(signedAreaOfPath(result), 200 - 4 * cornerLoss(2), 0.01) &&
+        rect.anchors.length === 4;
+})());
+
+test('fillets between straight edges are tangent circular arcs', (() => {
+    const open = Path.fromPoints([new Vec(0, 0), new Vec(10, 0), new Vec(10, 10)]);
+    const result = filletPathCorners(open, [1], 2);
+    const [start, from, to, end] = result.anchors;
+    const middle = result.positionAtTime(1.5);
+    return result.anchors.length === 4 && start.position.equals(new Vec(0, 0)) && end.position.equals(new Vec(10, 10)) &&
+        approx(from.position.x, 8) && approx(to.position.y, 2) &&
+        approx(from.handleOut.y, 0) && approx(to.handleIn.x, 0) &&
+        approx(middle.distance(new Vec(8, 2)), 2, 1e-3);
+})());
+
+test('only the chosen corners change', (() => {
+    const result = filletPathCorners(Path.rect(0, 0, 20, 10), [2], 3);
+    const corners = result.anchors.filter((anchor) => anchor.handleIn.isZero() && anchor.handleOut.isZero());
+    return result.anchors.length === 5 && corners.length === 3 &&
+        approx(signedAreaOfPath(result), 200 - cornerLoss(3), 0.01);
+})());
+
+test('oversized radii shrink to what the edges allow', (() => {
+    const result = filletPathCorners(Path.rect(0, 0, 20, 10), [0, 1, 2, 3], 100);
+    return result.anchors.length === 6 && approx(signedAreaOfPath(result), 200 - 4 * cornerLoss(5), 0.05);
+})());
+
+test('corners next to curves are blended smoothly', (() => {
+    const bitten = difference([Path.rect(0, 0, 20, 20), Path.circle(new Vec(20, 10), 8)]).paths[0];
+    const indices = bitten.anchors.map((anchor, i) => i);
+    const result = filletPathCorners(bitten, indices, 1);
+    const area = signedAreaOfPath(result);
+    const smooth = result.anchors.every((anchor) => anchor.handleIn.isZero() || anchor.handleOut.isZero() ||
+        approx(anchor.handleIn.clone().normalize().cross(anchor.handleOut.clone().normalize()), 0, 1e-6));
+    return result.anchors.length > bitten.anchors.length && hasCurves(result) && smooth &&
+        area < signedAreaOfPath(bitten) && area > signedAreaOfPath(bitten) - 5;
+})());
+
+console.log('\n  Chamfer:');
+
+test('chamferPathCorners() cuts a straight bevel', (() => {
+    const result = chamferPathCorners(Path.rect(0, 0, 20, 10), [0], 3);
+    return result.anchors.length === 5 && !hasCurves(result) &&
+        result.anchors[0].position.equals(new Vec(0, 3)) && result.anchors[1].position.equals(new Vec(3, 0)) &&
+        approx(signedAreaOfPath(result), 195.5);
+})());
+
+console.log('\n  Edge cases:');
+
+test('straight corners, open ends and bad indices are left alone', (() => {
+    const open = Path.fromPoints([new Vec(0, 0), new Vec(5, 0), new Vec(10, 0), new Vec(10, 10)]);
+    const result = filletPathCorners(open, [0, 1, 3, 7, -1, 1.5], 2);
+    const circle = filletPathCorners(Path.circle(new Vec(0, 0), 10), [0, 1, 2], 2);
+    return result.anchors.length === 4 && circle.anchors.length === 5 &&
+        filletPathCorners(Path.rect(0, 0, 10, 10), [0], 0).anchors.length === 4;
+})());
+
+test('filletCorners() and chamferCorners() address paths like allPaths()', (() => {
+    const frame = new Shape([Path.rect(0, 0, 30, 30), Path.rect(10, 10, 10, 10)]);
+    const rounded = filletCorners(frame, [{ pathIndex: 1, index: 0 }, { pathIndex: 1, index: 2 }], 2);
+    const cut = chamferCorners(Path.rect(0, 0, 10, 10), [{ pathIndex: 0, index: 1 }], 2);
+    return rounded instanceof Shape && rounded.paths[0].anchors.length === 4 && rounded.paths[1].anchors.length === 6 &&
+        frame.paths[1].anchors.length === 4 && cut instanceof Path && cut.anchors.length === 5;
+})());
+
+console.log(`\nfillet.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`fillet.js: ${testCount - passCount} tests failed`);
+}
@@ -0,0 +1,277 @@
+/**
+ * font.js unit tests
+ *
+ * The fonts are built here, byte by byte, with only the tables the parser
+ * reads.
+ */
+
+import { fontFromArrayBuffer, glyphOutline, textGeometry } from '../font.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const near = (a, b, tolerance = 1e-6) => Math.abs(a - b) <= tolerance;
+
+// =============================================================================
+// Font Building
+// =============================================================================
+
+const u16 = (v) => [(v >> 8) & 0xff, v & 0xff];
+const u32 = (v) => [(v >>> 24) & 0xff, (v >>> 16) & 0xff, (v >>> 8) & 0xff, v & 0xff];
+const tag = (s) => [...s].map((c) => c.charCodeAt(0));
+
+// A font file from its tables, each a byte array.
+const sfnt = (signature, tables) => {
+    const tags = Object.keys(tables).sort();
+    const bytes = [...tag(signature), ...u16(tags.length), 0, 0, 0, 0, 0, 0];
+    let offset = 12 + tags.length * 16;
+    const data = [];
+    tags.forEach((name) => {
+        const table = tables[name];
+        bytes.push(...tag(name), 0, 0, 0, 0, ...u32(offset), ...u32(table.length));
+        const padded = [...table, ...new Array((4 - (table.length % 4)) % 4).fill(0)];
+        data.push(...padded);
+        offset += padded.length;
+    });
+    return new Uint8Array([...bytes, ...data]).buffer;
+};
+
+const head = (unitsPerEm) => [
+    ...u32(0x10000), ...u32(0), ...u32(0), ...u32(0x5f0f3cf5), ...u16(0), ...u16(unitsPerEm),
+    ...new Array(16).fill(0), ...new Array(8).fill(0), ...u16(0), ...u16(0), ...u16(2), ...u16(1), ...u16(0)
+];
+
+const hhea = (ascender, descender, lineGap, metricCount) => [
+    ...u32(0x10000), ...u16(ascender), ...u16(descender), ...u16(lineGap),
+    ...new Array(22).fill(0), ...u16(0), ...u16(metricCount)
+];
+
+const hmtx = (advances) => advances.flatMap((advance) => [...u16(advance), ...u16(0)]);
+
+// Format 4 cmap mapping single characters to glyphs.
+const cmap = (mapping) => {
+    const codes = Object.keys(mapping).map((c) => c.charCodeAt(0)).sort((a, b) => a - b);
+    const segments = [...codes, 0xffff];
+    const glyphOf = (code) => mapping[String.fromCharCode(code)];
+    const subtable = [
+        ...u16(4), ...u16(16 + segments.length * 8), ...u16(0), ...u16(segments.length * 2), 0, 0, 0, 0, 0, 0,
+        ...segments.flatMap(u16), ...u16(0), ...segments.flatMap(u16),
+        ...segments.flatMap((code) => u16(code === 0xffff ? 1 : glyphOf(code) - code)),
+        ...segments.flatMap(() => u16(0))
+    ];
+    return [...u16(0), ...u16(1), ...u16(3), ...u16(1), ...u32(12), ...subtable];
+};
+
+const name = (family) => {
+    const text = [...family].flatMap((c) => u16(c.charCodeAt(0)));
+    return [...u16(0), ...u16(1), ...u16(18), ...u16(3), ...u16(1), ...u16(0x409), ...u16(1), ...u16(text.length), ...u16(0), ...text];
+};
+
+// A simple glyph from contours of [x, y, onCurve] points.
+const simpleGlyph = (contours) => {
+    const points = contours.flat();
+    let end = -1;
+    const endPoints = contours.flatMap((contour) => u16((end += contour.length)));
+    const deltas = (axis) => {
+        let previous = 0;
+        return points.flatMap((point) => {
+            const delta = point[axis] - previous;
+            previous = point[axis];
+            return u16(delta);
+        });
+    };
+    return [...u16(contours.length), ...new Array(8).fill(0), ...endPoints, ...u16(0),
+        ...points.map(([, , onCurve]) => (onCurve ? 1 : 0)), ...deltas(0), ...deltas(1)];
+};
+
+// A composite glyph placing one component with an offset and a uniform scale.
+const compositeGlyph = (component, dx, dy, scale) => [
+    ...u16(0xffff), ...new Array(8).fill(0), ...u16(0x0001 | 0x0002 | 0x0008), ...u16(component),
+    ...u16(dx), ...u16(dy), ...u16(Math.round(scale * 16384))
+];
+
+const square = (x, y, size) => [[x, y, true], [x, y + size, true], [x + size, y + size, true], [x + size, y, true]];
+
+// Units per em 1000; glyph 1 a square, 2 a circle of off-curve points only,
+// 3 a half-size copy of 1, 4 two overlapping squares. Every advance is 1000.
+const trueTypeFont = () => {
+    const glyphs = [
+        [],
+        simpleGlyph([square(100, 0, 800)]),
+        simpleGlyph([[[500, 0, false], [1000, 500, false], [500, 1000, false], [0, 500, false]]]),
+        compositeGlyph(1, 200, 100, 0.5),
+        simpleGlyph([square(0, 0, 600), square(300, 300, 600)])
+    ];
+    const loca = [];
+    let offset = 0;
+    glyphs.forEach((glyph) => {
+        loca.push(...u32(offset));
+        offset += glyph.length;
+    });
+    loca.push(...u32(offset));
+    const kern = [...u16(0), ...u16(1), ...u16(0), ...u16(20), ...u16(0x0001), ...u16(1), 0, 0, 0, 0, 0, 0,
+        ...u16(1), ...u16(1), ...u16(-100 & 0xffff)];
+    return sfnt('\x00\x01\x00\x00', {
+        head: head(1000),
+        hhea: hhea(800, -200, 100, 1),
+        maxp: [...u32(0x10000), ...u16(glyphs.length)],
+        hmtx: hmtx([1000]),
+        cmap: cmap({ A: 1, O: 2, C: 3, X: 4 }),
+        name: name('Test Sans'),
+        loca,
+        glyf: glyphs.flat(),
+        kern
+    });
+};
+
+// Type 2 charstring number.
+const number = (n) => {
+    if (n >= -107 && n <= 107) return [n + 139];
+    if (n >= 108 && n <= 1131) return [((n - 108) >> 8) + 247, (n - 108) & 0xff];
+    return [((-n - 108) >> 8) + 251, (-n - 108) & 0xff];
+};
+
+// A CFF INDEX of byte arrays, with one-byte offsets.
+const cffIndex = (items) => {
+    if (items.length === 0) return u16(0);
+    let offset = 1;
+    const offsets = [1, ...items.map((item) => (offset += item.length))];
+    return [...u16(items.length), 1, ...offsets, ...items.flat()];
+};
+
+// An OpenType CFF font: glyph 1 a square drawn partly by a global
+// subroutine, with its advance width on the charstring's first operator.
+const cffFont = () => {
+    const subroutine = [...number(0), ...number(800), 5, ...number(-800), ...number(0), 5, 11];
+    const charStrings = cffIndex([
+        [14],
+        [...number(500), ...number(100), ...number(0), 21, ...number(800), ...number(0), 5, ...number(-107), 29, 14]
+    ]);
+    const header = [1, 0, 4, 4];
+    const names = cffIndex([tag('T')]);
+    const topDictSize = 6;
+    const beforeCharStrings = header.length + names.length + cffIndex([new Array(topDictSize).fill(0)]).length +
+        cffIndex([]).length + cffIndex([subroutine]).length;
+    const topDict = [29, ...u32(beforeCharStrings), 17];
+    const cff = [...header, ...names, ...cffIndex([topDict]), ...cffIndex([]), ...cffIndex([subroutine]), ...charStrings];
+    return sfnt('OTTO', {
+        head: head(1000),
+        hhea: hhea(800, -200, 0, 1),
+        maxp: [...u32(0x5000), ...u16(2)],
+        hmtx: hmtx([1000]),
+        cmap: cmap({ A: 1 }),
+        'CFF ': cff
+    });
+};
+
+console.log('font.js tests:\n');
+
+console.log('  TrueType:');
+
+test('reads names, metrics and the character map', (() => {
+    const font = fontFromArrayBuffer(trueTypeFont());
+    return font.family === 'Test Sans' && font.unitsPerEm === 1000 && font.ascender === 800 &&
+        font.descender === -200 && font.lineGap === 100 && font.glyphCount === 5 &&
+        font.characterMap.get(65) === 1 && font.characterMap.get(88) === 4 && font.advanceWidths[4] === 1000;
+})());
+
+test('a square glyph is scaled to the size and flipped Y down', (() => {
+    const font = fontFromArrayBuffer(trueTypeFont());
+    const shape = textGeometry(font, 'A', { size: 10 });
+    const box = shape.tightBoundingBox();
+    return shape.paths.length === 1 && near(shape.area(), 64) &&
+        near(box.min.x, 1) && near(box.max.x, 9) && near(box.min.y, -8) && near(box.max.y, 0);
+})());
+
+test('off-curve points alone make a closed curve through their midpoints', (() => {
+    const [circle] = glyphOutline(fontFromArrayBuffer(trueTypeFont()), 2);
+    const expected = [[250, 250], [750, 250], [750, 750], [250, 750]];
+    // Halfway along the first quadratic, between its ends and its control point.
+    const middle = circle.positionAtTime(0.5);
+    return circle.closed && circle.anchors.length === 4 &&
+        circle.anchors.every(({ position }, i) => near(position.x, expected[i][0]) && near(position.y, expected[i][1])) &&
+        near(middle.x, 500) && near(middle.y, 125);
+})());
+
+test('composite glyphs place their scaled components', (() => {
+    const [component] = glyphOutline(fontFromArrayBuffer(trueTypeFont()), 3);
+    const box = component.tightBoundingBox();
+    return near(box.min.x, 250) && near(box.max.x, 650) && near(box.min.y, 100) && near(box.max.y, 500);
+})());
+
+test('overlapping contours are merged into one outline', (() => {
+    const outline = glyphOutline(fontFromArrayBuffer(trueTypeFont()), 4);
+    return outline.length === 1 && near(outline[0].area(), 2 * 600 * 600 - 300 * 300, 1e-3) &&
+        outline[0].selfIntersections().length === 0;
+})());
+
+console.log('\n  Layout:');
+
+test('advances, kerning and letter spacing place the glyphs', (() => {
+    const font = fontFromArrayBuffer(trueTypeFont());
+    const kerned = textGeometry(font, 'AA', { size: 10 }).tightBoundingBox();
+    const unkerned = textGeometry(font, 'AA', { size: 10, kerning: false }).tightBoundingBox();
+    const spaced = textGeometry(font, 'AC', { size: 10, letterSpacing: 2 }).tightBoundingBox();
+    return near(kerned.max.x, 18) && near(unkerned.max.x, 19) && near(spaced.max.x, 18.5);
+})());
+
+test('alignment centres and right-aligns each line on the origin', (() => {
+    const font = fontFromArrayBuffer(trueTypeFont());
+    const centred = textGeometry(font, 'XX', { size: 10, align: 'center', kerning: false }).tightBoundingBox();
+    const right = textGeometry(font, 'A', { size: 10, align: 'right' }).tightBoundingBox();
+    return near(centred.min.x, -10) && near(centred.max.x, 9) && near(right.min.x, -9) && near(right.max.x, -1);
+})());
+
+test('newlines stack lines by the font\'s line spacing', (() => {
+    const font = fontFromArrayBuffer(trueTypeFont());
+    const shape = textGeometry(font, 'A\nA', { size: 10 });
+    const doubled = textGeometry(font, 'A\r\nA', { size: 10, lineHeight: 2 });
+    // Line spacing: (800 + 200 + 100) units at 10 / 1000.
+    return shape.paths.length === 2 && near(shape.tightBoundingBox().max.y, 11) &&
+        near(doubled.tightBoundingBox().max.y, 22);
+})());
+
+test('missing characters use glyph 0 and empty text has no outlines', (() => {
+    const font = fontFromArrayBuffer(trueTypeFont());
+    return textGeometry(font, 'z', { size: 10 }).paths.length === 0 &&
+        textGeometry(font, '', { size: 10 }).paths.length === 0;
+})());
+
+console.log('\n  CFF and errors:');
+
+test('CFF charstrings draw through subroutines and skip the width', (() => {
+    const font = fontFromArrayBuffer(cffFont());
+    const shape = textGeometry(font, 'A', { size: 10 });
+    const box = shape.tightBoundingBox();
+    return shape.paths.length === 1 && shape.paths[0].anchors.length === 4 && near(shape.area(), 64) &&
+        near(box.min.x, 1) && near(box.max.x, 9) && near(box.min.y, -8);
+})());
+
+test('files that are not readable fonts are rejected', (() => {
+    const throws = (buffer) => {
+        try {
+            fontFromArrayBuffer(buffer);
+            return false;
+        } catch (error) {
+            return error instanceof Error;
+        }
+    };
+    return throws(new Uint8Array([...tag('wOFF'), ...new Array(40).fill(0)]).buffer) &&
+        throws(new Uint8Array(40).buffer) && throws(new Uint8Array(4).buffer);
+})());
+
+console.log(`\nfont.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`font.js: ${testCount - passCount} tests failed`);
+}
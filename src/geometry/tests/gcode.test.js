@@ -0,0 +1,151 @@
+/**
+ * gcode.js unit tests
+ */
+
+import { gcodeStringFromGeometry, gcodeStringFromLayers } from '../gcode.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+const gcodeLines = (gcode) => gcode.trim().split('\n');
+
+// Read a word (e.g. 'X') from a G-code line.
+const word = (line, letter) => {
+    const match = line.match(new RegExp(`${letter}(-?[\\d.]+)`));
+    return match ? Number(match[1]) : null;
+};
+
+console.log('gcode.js tests:\n');
+
+test('gcodeStringFromGeometry() writes mm, absolute mode and program end', (() => {
+    const lines = gcodeLines(gcodeStringFromGeometry(Path.rect(0, 0, 10, 10)));
+    return lines.includes('G21') && lines.includes('G90') && lines[lines.length - 1] === 'M2';
+})());
+
+test('gcodeStringFromGeometry() traces a rectangle with G1 moves', (() => {
+    const lines = gcodeLines(gcodeStringFromGeometry(Path.rect(0, 0, 10, 20)));
+    const cuts = lines.filter((line) => line.startsWith('G1 '));
+    const last = cuts[cuts.length - 1];
+    return cuts.length === 4 && word(last, 'X') === 0 && word(last, 'Y') === 20;
+})());
+
+test('gcodeStringFromGeometry() flips Y and moves the lower-left corner to the origin', (() => {
+    const lines = gcodeLines(gcodeStringFromGeometry(Path.fromPoints([new Vec(5, 10), new Vec(25, 40)])));
+    const travel = lines.find((line) => line.startsWith('G0 X'));
+    const cut = lines.find((line) => line.startsWith('G1 '));
+    return word(travel, 'X') === 0 && word(travel, 'Y') === 30 && word(cut, 'X') === 20 && word(cut, 'Y') === 0;
+})());
+
+test('gcodeStringFromLayers() writes feed and power per layer', (() => {
+    const gcode = gcodeStringFromLayers([
+        { name: 'score', geometry: Path.rect(0, 0, 10, 10), feedRate: 1500, power: 300 },
+        { name: 'cut', geometry: Path.rect(20, 0, 10, 10), feedRate: 600, power: 1000 }
+    ]);
+    const lines = gcodeLines(gcode);
+    const scoreAt = lines.findIndex((line) => line.startsWith('; layer: score'));
+    const cutAt = lines.findIndex((line) => line.startsWith('; layer: cut'));
+    return scoreAt >= 0 && cutAt > scoreAt &&
+        lines.slice(scoreAt, cutAt).includes('M4 S300') &&
+        lines.slice(scoreAt, cutAt).some((line) => line.includes('F1500')) &&
+        lines.slice(cutAt).includes('M4 S1000') &&
+        lines.slice(cutAt).some((line) => line.includes('F600'));
+})());
+
+test('gcodeStringFromLayers() repeats contours for each pass', (() => {
+    const gcode = gcodeStringFromLayers([{ name: 'cut', geometry: Path.rect(0, 0, 10, 10), passes: 3 }]);
+    const lines = gcodeLines(gcode);
+    return lines.filter((line) => line.startsWith('M4')).length === 3 &&
+        lines.filter((line) => line.startsWith('G1 ')).length === 12;
+})());
+
+test('gcodeStringFromGeometry() writes circle as G2/G3 arcs on the circle', (() => {
+    const lines = gcodeLines(gcodeStringFromGeometry(Path.circle(new Vec(0, 0), 10)));
+    const start = lines.find((line) => line.startsWith('G0 X'));
+    let x = word(start, 'X');
+    let y = word(start, 'Y');
+    const arcs = lines.filter((line) => /^G[23] /.test(line));
+    // The circle spans 0..20 after moving to the origin, so its centre is (10, 10).
+    const ok = arcs.every((line) => {
+        const cx = x + word(line, 'I');
+        const cy = y + word(line, 'J');
+        x = word(line, 'X');
+        y = word(line, 'Y');
+        return approx(cx, 10, 0.05) && approx(cy, 10, 0.05);
+    });
+    return arcs.length >= 4 && ok && lines.filter((line) => line.startsWith('G1 ')).length === 0;
+})());
+
+test('gcodeStringFromGeometry() with curves "lines" writes short G1 moves', (() => {
+    const lines = gcodeLines(gcodeStringFromGeometry(Path.circle(new Vec(0, 0), 10), {
+        curves: 'lines',
+        segmentLength: 1
+    }));
+    const cuts = lines.filter((line) => line.startsWith('G1 '));
+    return lines.every((line) => !/^G[23] /.test(line)) && cuts.length >= 63 &&
+        cuts.every((line) => approx(Math.hypot(word(line, 'X') - 10, word(line, 'Y') - 10), 10, 0.05));
+})());
+
+test('gcodeStringFromGeometry() leads into outer contours from outside and holes from inside', (() => {
+    const part = new Shape([Path.rect(0, 0, 40, 40), Path.rect(10, 10, 20, 20)]);
+    const lines = gcodeLines(gcodeStringFromGeometry(part, { leadIn: 2 }));
+    const pierces = lines.filter((line) => line.startsWith('G0 X')).slice(0, 2);
+    // Lead-ins start square to the first edge, so pierces lie on its extension.
+    const within = (line, min, max) => {
+        const x = word(line, 'X');
+        const y = word(line, 'Y');
+        return x >= min && x <= max && y >= min && y <= max;
+    };
+    return pierces.length === 2 && !within(pierces[0], 0, 40) && within(pierces[1], 10, 30);
+})());
+
+test('gcodeStringFromGeometry() with optimizeOrder cuts holes before outlines', (() => {
+    const part = new Shape([Path.rect(0, 0, 40, 40), Path.rect(10, 10, 20, 20)]);
+    const lines = gcodeLines(gcodeStringFromGeometry(part, { optimizeOrder: true }));
+    const first = lines.find((line) => line.startsWith('G0 X'));
+    return word(first, 'X') >= 10 && word(first, 'X') <= 30 && word(first, 'Y') >= 10 && word(first, 'Y') <= 30;
+})());
+
+test('gcodeStringFromGeometry() knife mode uses Z moves and no power', (() => {
+    const lines = gcodeLines(gcodeStringFromGeometry(Path.rect(0, 0, 10, 10), {
+        machine: 'knife',
+        safeZ: 3,
+        cutZ: -0.5
+    }));
+    return lines.includes('G0 Z3') && lines.some((line) => line.startsWith('G1 Z-0.5')) &&
+        lines.every((line) => !/^M[34]/.test(line));
+})());
+
+test('gcodeStringFromLayers() knife plunges to a layer\'s own cutZ', (() => {
+    const lines = gcodeLines(gcodeStringFromLayers([
+        { name: 'cut', geometry: Path.rect(0, 0, 10, 10) },
+        { name: 'tabs', geometry: Path.fromPoints([new Vec(0, 0), new Vec(3, 0)]), cutZ: 1 }
+    ], { machine: 'knife', cutZ: -2 }));
+    const plunges = lines.filter((line) => line.startsWith('G1 Z'));
+    return plunges.length === 2 && word(plunges[0], 'Z') === -2 && word(plunges[1], 'Z') === 1;
+})());
+
+test('gcodeStringFromGeometry() output is deterministic', (() => {
+    const geometry = new Shape([Path.circle(new Vec(5, 5), 4), Path.rect(0, 0, 30, 20)]);
+    return gcodeStringFromGeometry(geometry, { leadIn: 1 }) === gcodeStringFromGeometry(geometry.clone(), { leadIn: 1 });
+})());
+
+console.log(`\ngcode.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`gcode.js: ${testCount - passCount} tests failed`);
+}
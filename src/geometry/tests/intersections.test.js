@@ -0,0 +1,108 @@
+/**
+ * intersections.js unit tests
+ */
+
+import { pathIntersections, pathSelfIntersections } from '../intersections.js';
+import { Anchor } from '../Anchor.js';
+import { Path } from '../Path.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const polyline = (coords, closed = false) => Path.fromPoints(coords.map(([x, y]) => new Vec(x, y)), closed);
+
+// Whether each hit's times land on its position on both paths.
+const onBothPaths = (hits, path1, path2) => hits.every(({ position, time1, time2 }) =>
+    path1.positionAtTime(time1).equalsWithinTolerance(position, 1e-6) &&
+    path2.positionAtTime(time2).equalsWithinTolerance(position, 1e-6));
+
+// A single cubic that loops over itself.
+const loopedCubic = () => new Path([
+    new Anchor(new Vec(0, 0), new Vec(), new Vec(30, 20)),
+    new Anchor(new Vec(20, 0), new Vec(-30, 20), new Vec())
+]);
+
+console.log('intersections.js tests:\n');
+
+console.log('  Two paths:');
+
+test('crossing lines meet once at their midpoints', (() => {
+    const a = polyline([[0, 0], [10, 10]]);
+    const b = polyline([[0, 10], [10, 0]]);
+    const hits = a.intersections(b);
+    return hits.length === 1 && hits[0].position.equalsWithinTolerance(new Vec(5, 5), 1e-9) &&
+        Math.abs(hits[0].time1 - 0.5) < 1e-9 && Math.abs(hits[0].time2 - 0.5) < 1e-9;
+})());
+
+test('a line through a circle crosses twice, once at the circle\'s start', (() => {
+    const line = polyline([[-20, 0], [20, 0]]);
+    const circle = Path.circle(new Vec(0, 0), 10);
+    const hits = pathIntersections(line, circle);
+    return hits.length === 2 && hits[0].position.equalsWithinTolerance(new Vec(-10, 0), 1e-6) &&
+        hits[1].position.equalsWithinTolerance(new Vec(10, 0), 1e-6) && hits[1].time2 === 0 &&
+        hits[0].time1 < hits[1].time1 && onBothPaths(hits, line, circle);
+})());
+
+test('overlapping circles cross twice', (() => {
+    const a = Path.circle(new Vec(0, 0), 10);
+    const b = Path.circle(new Vec(10, 0), 10);
+    const hits = a.intersections(b);
+    // Bezier circles are a close approximation, not exact arcs.
+    const y = Math.sqrt(75);
+    return hits.length === 2 && hits.every((hit) => Math.abs(hit.position.x - 5) < 1e-6 &&
+        Math.abs(Math.abs(hit.position.y) - y) < 0.01) && onBothPaths(hits, a, b);
+})());
+
+test('paths meeting at an anchor are reported once, and apart paths not at all', (() => {
+    const a = polyline([[0, 0], [10, 0], [20, 0]]);
+    const b = polyline([[10, 0], [10, 10]]);
+    const hits = a.intersections(b);
+    return hits.length === 1 && hits[0].time1 === 1 && hits[0].time2 === 0 &&
+        Path.rect(0, 0, 5, 5).intersections(Path.rect(10, 10, 5, 5)).length === 0;
+})());
+
+console.log('\n  Self-intersections:');
+
+test('a bow tie crosses itself once', (() => {
+    const bowTie = polyline([[0, 0], [10, 10], [10, 0], [0, 10]], true);
+    const hits = bowTie.selfIntersections();
+    return hits.length === 1 && hits[0].position.equalsWithinTolerance(new Vec(5, 5), 1e-9) &&
+        Math.abs(hits[0].time1 - 0.5) < 1e-9 && Math.abs(hits[0].time2 - 2.5) < 1e-9;
+})());
+
+test('a looped cubic reports its loop with two times on one segment', (() => {
+    const path = loopedCubic();
+    const hits = pathSelfIntersections(path);
+    return hits.length === 1 && hits[0].time1 < hits[0].time2 && hits[0].time2 < 1 &&
+        onBothPaths(hits, path, path);
+})());
+
+test('simple outlines do not cross themselves at their anchors', (() =>
+    Path.rect(0, 0, 10, 10).selfIntersections().length === 0 &&
+    Path.circle(new Vec(0, 0), 10).selfIntersections().length === 0 &&
+    polyline([[0, 0], [10, 0], [10, 10], [0, 10]]).selfIntersections().length === 0
+)());
+
+test('an open path crossing back over itself reports the crossing', (() => {
+    const zigzag = polyline([[0, 0], [20, 0], [20, 10], [10, -10]]);
+    const hits = zigzag.selfIntersections();
+    return hits.length === 1 && hits[0].position.equalsWithinTolerance(new Vec(15, 0), 1e-9) &&
+        Math.abs(hits[0].time1 - 0.75) < 1e-9 && onBothPaths(hits, zigzag, zigzag);
+})());
+
+console.log(`\nintersections.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`intersections.js: ${testCount - passCount} tests failed`);
+}
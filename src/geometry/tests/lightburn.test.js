@@ -0,0 +1,112 @@
+/**
+ * lightburn.js unit tests
+ */
+
+import { Group } from '../Group.js';
+import { lightburnStringFromGeometry, lightburnStringFromLayers } from '../lightburn.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+// Read the Value attribute of a cut setting field.
+const settingValue = (xml, field) => {
+    const match = xml.match(new RegExp(`<${field} Value="([^"]*)"/>`));
+    return match ? match[1] : null;
+};
+
+// Parse the vertex positions of every Path shape.
+const shapeVertices = (xml) => [...xml.matchAll(/<VertList>([^<]*)<\/VertList>/g)].map((match) =>
+    [...match[1].matchAll(/V(-?[\d.]+) (-?[\d.]+)/g)].map((v) => new Vec(Number(v[1]), Number(v[2]))));
+
+const shapePrims = (xml) => [...xml.matchAll(/<PrimList>([^<]*)<\/PrimList>/g)].map((match) => match[1]);
+
+console.log('lightburn.js tests:\n');
+
+console.log('\n  Document:');
+
+test('lightburnStringFromGeometry() writes a LightBurn project', (() => {
+    const xml = lightburnStringFromGeometry(Path.rect(0, 0, 10, 10));
+    return xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>') &&
+        xml.includes('<LightBurnProject ') && xml.trim().endsWith('</LightBurnProject>');
+})());
+
+test('lightburnStringFromLayers() writes one cut setting per layer', (() => {
+    const xml = lightburnStringFromLayers([
+        { name: 'Score', geometry: Path.rect(0, 0, 10, 10), index: 1, speed: 100, power: 20 },
+        { name: 'Cut', geometry: Path.rect(20, 0, 10, 10), index: 2, speed: 12.5, power: 65, passes: 2 }
+    ]);
+    const settings = xml.split('<CutSetting').slice(1);
+    return settings.length === 2 &&
+        settingValue(settings[0], 'index') === '1' && settingValue(settings[0], 'priority') === '0' &&
+        settingValue(settings[1], 'name') === 'Cut' && settingValue(settings[1], 'speed') === '12.5' &&
+        settingValue(settings[1], 'maxPower') === '65' && settingValue(settings[1], 'numPasses') === '2' &&
+        settingValue(settings[1], 'priority') === '1';
+})());
+
+test('lightburnStringFromLayers() writes fill layers as Scan settings', (() => {
+    const xml = lightburnStringFromLayers([
+        { name: 'Engrave', geometry: Path.rect(0, 0, 10, 10), index: 0, type: 'Scan', interval: 0.08 }
+    ]);
+    return xml.includes('<CutSetting type="Scan">') && settingValue(xml, 'interval') === '0.08';
+})());
+
+test('lightburnStringFromLayers() escapes layer names', (() => {
+    const xml = lightburnStringFromLayers([{ name: 'Cut <3mm> & "ply"', geometry: Path.rect(0, 0, 1, 1), index: 2 }]);
+    return xml.includes('<name Value="Cut &lt;3mm&gt; &amp; &quot;ply&quot;"/>');
+})());
+
+console.log('\n  Shapes:');
+
+test('lightburnStringFromGeometry() writes one Path shape per contour on its layer', (() => {
+    const part = new Shape([Path.rect(0, 0, 40, 20), Path.rect(10, 5, 5, 5)]);
+    const xml = lightburnStringFromGeometry(new Group([part, Path.rect(50, 0, 10, 10)]), { index: 2 });
+    return (xml.match(/<Shape Type="Path" CutIndex="2">/g) || []).length === 3;
+})());
+
+test('lightburnStringFromGeometry() flips Y and moves the lower-left corner to the origin', (() => {
+    const xml = lightburnStringFromGeometry(Path.rect(10, 20, 30, 15));
+    const [verts] = shapeVertices(xml);
+    return verts.length === 4 &&
+        verts[0].equals(new Vec(0, 15)) && verts[1].equals(new Vec(30, 15)) &&
+        verts[2].equals(new Vec(30, 0)) && verts[3].equals(new Vec(0, 0));
+})());
+
+test('lightburnStringFromGeometry() writes closed and open contours as line primitives', (() => {
+    const closed = lightburnStringFromGeometry(Path.rect(0, 0, 10, 10));
+    const open = lightburnStringFromGeometry(Path.fromPoints([new Vec(0, 0), new Vec(10, 0), new Vec(10, 10)]));
+    return shapePrims(closed)[0] === 'L0 1L1 2L2 3L3 0' && shapePrims(open)[0] === 'L0 1L1 2';
+})());
+
+test('lightburnStringFromGeometry() writes curves as beziers with control points', (() => {
+    const xml = lightburnStringFromGeometry(Path.circle(new Vec(0, 0), 10));
+    const prims = shapePrims(xml)[0];
+    const vertList = xml.match(/<VertList>([^<]*)<\/VertList>/)[1];
+    const controls = [...vertList.matchAll(/c0x(-?[\d.]+)c0y(-?[\d.]+)c1x(-?[\d.]+)c1y(-?[\d.]+)/g)];
+    const [verts] = shapeVertices(xml);
+    // The first anchor's outgoing control lies on the tangent at that anchor.
+    const out = new Vec(Number(controls[0][1]), Number(controls[0][2]));
+    return /^(B\d+ \d+)+$/.test(prims) && controls.length === verts.length &&
+        verts.every((v) => approx(v.distance(new Vec(10, 10)), 10, 1e-3)) &&
+        approx(Vec.sub(out, verts[0]).dot(Vec.sub(verts[0], new Vec(10, 10))), 0, 1e-3);
+})());
+
+console.log(`\nlightburn.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`lightburn.js: ${testCount - passCount} tests failed`);
+}
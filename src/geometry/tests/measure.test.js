@@ -0,0 +1,93 @@
+/**
+ * measure.js unit tests
+ */
+
+import { areaOfGeometry, centroidOfGeometry, perimeterOfGeometry, secondMomentsOfGeometry } from '../measure.js';
+import { Group } from '../Group.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b));
+
+const polyline = (coords, closed = false) => Path.fromPoints(coords.map(([x, y]) => new Vec(x, y)), closed);
+
+console.log('measure.js tests:\n');
+
+console.log('  Area:');
+
+test('a rectangle has width times height, whichever way it runs', (() => {
+    const rect = Path.rect(10, 20, 40, 30);
+    return near(rect.area(), 1200) && near(rect.clone().reverse().area(), 1200) &&
+        near(areaOfGeometry(rect), 1200);
+})());
+
+test('a bezier circle is within its approximation error of πr²', (() =>
+    near(Path.circle(new Vec(5, 5), 10).area(), Math.PI * 100, 1e-3)
+)());
+
+test('holes are subtracted and open paths enclose nothing', (() => {
+    const frame = new Shape([Path.rect(0, 0, 100, 100), Path.rect(10, 10, 20, 20).reverse()]);
+    const line = polyline([[0, 0], [10, 0]]);
+    return near(frame.area(), 9600) && line.area() === 0 &&
+        near(new Group([frame, line, Path.rect(200, 0, 10, 10)]).area(), 9700);
+})());
+
+console.log('\n  Perimeter:');
+
+test('perimeter counts every path, and curves are measured accurately', (() => {
+    const frame = new Shape([Path.rect(0, 0, 100, 100), Path.rect(10, 10, 20, 20)]);
+    return near(frame.perimeter(), 480) &&
+        near(perimeterOfGeometry(Path.circle(new Vec(0, 0), 10)), 2 * Math.PI * 10, 1e-3);
+})());
+
+console.log('\n  Centroid:');
+
+test('a hole pulls the centroid away from it', (() => {
+    const frame = new Shape([Path.rect(0, 0, 100, 100), Path.rect(10, 10, 20, 20)]);
+    return frame.centroid().equalsWithinTolerance(new Vec(51.25, 51.25), 1e-9) &&
+        Path.circle(new Vec(5, -5), 10).centroid().equalsWithinTolerance(new Vec(5, -5), 1e-9);
+})());
+
+test('items with no area fall back to the centre of their length', (() =>
+    centroidOfGeometry(polyline([[0, 0], [10, 0], [10, 30]])).equalsWithinTolerance(new Vec(8.75, 11.25), 1e-9) &&
+    new Path().centroid() === undefined
+)());
+
+console.log('\n  Second moments:');
+
+test('a rectangle matches bh³/12 about its centroid', (() => {
+    const { xx, yy, xy } = Path.rect(10, 20, 40, 30).secondMoments();
+    return near(xx, (30 * 40 ** 3) / 12) && near(yy, (40 * 30 ** 3) / 12) && Math.abs(xy) < 1e-6;
+})());
+
+test('a right triangle has the product moment -b²h²/72', (() => {
+    const { xx, xy } = secondMomentsOfGeometry(polyline([[0, 0], [30, 0], [0, 30]], true));
+    return near(xx, (30 * 30 ** 3) / 36) && near(xy, -(30 ** 4) / 72);
+})());
+
+test('groups add their items\' moments about the combined centroid', (() => {
+    const group = new Group([Path.rect(0, 0, 10, 10), Path.rect(20, 0, 10, 10)]);
+    const { xx, yy } = group.secondMoments();
+    return near(xx, 2 * (10000 / 12 + 100 * 100)) && near(yy, 2 * (10000 / 12)) &&
+        secondMomentsOfGeometry(polyline([[0, 0], [10, 0]])).xx === 0;
+})());
+
+console.log(`\nmeasure.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`measure.js: ${testCount - passCount} tests failed`);
+}
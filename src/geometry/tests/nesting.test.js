@@ -0,0 +1,120 @@
+/**
+ * nesting.js unit tests
+ */
+
+import { nestGeometry } from '../nesting.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+// Placed parts of a sheet, transformed onto the sheet.
+const placedParts = (parts, sheet) =>
+    sheet.placements.map(({ index, transform }) => parts[index].clone().transform(transform));
+
+const withinSheet = (box, sheet, margin) =>
+    box.min.x >= margin - 1e-6 && box.min.y >= margin - 1e-6 &&
+    box.max.x <= sheet.width - margin + 1e-6 && box.max.y <= sheet.height - margin + 1e-6;
+
+// True when no two boxes come closer than `spacing`.
+const keepsSpacing = (boxes, spacing) => boxes.every((a, i) => boxes.every((b, j) => {
+    if (i >= j) return true;
+    const gapX = Math.max(b.min.x - a.max.x, a.min.x - b.max.x);
+    const gapY = Math.max(b.min.y - a.max.y, a.min.y - b.max.y);
+    return Math.max(gapX, gapY) >= spacing - 1e-6;
+}));
+
+console.log('nesting.js tests:\n');
+
+test('nestGeometry() places parts inside the sheet margin', (() => {
+    const parts = [Path.rect(100, 100, 50, 30), Path.rect(-20, 0, 40, 40)];
+    const { sheets, unplaced } = nestGeometry(parts, { sheetWidth: 200, sheetHeight: 100, margin: 5, spacing: 2 });
+    const boxes = placedParts(parts, sheets[0]).map((part) => part.tightBoundingBox());
+    return sheets.length === 1 && unplaced.length === 0 &&
+        boxes.every((box) => withinSheet(box, sheets[0], 5));
+})());
+
+test('nestGeometry() keeps spacing between parts', (() => {
+    const parts = Array.from({ length: 12 }, (_, i) => Path.rect(0, 0, 30 + i * 3, 20 + (i % 4) * 5));
+    const { sheets } = nestGeometry(parts, { sheetWidth: 200, sheetHeight: 150, margin: 5, spacing: 4 });
+    return sheets.every((sheet) => keepsSpacing(placedParts(parts, sheet).map((p) => p.tightBoundingBox()), 4));
+})());
+
+test('nestGeometry() boundingBox matches the transformed part', (() => {
+    const parts = [Path.rect(10, 10, 60, 20), Path.circle(new Vec(0, 0), 15)];
+    const { sheets } = nestGeometry(parts, { sheetWidth: 100, sheetHeight: 100 });
+    return sheets[0].placements.every(({ index, transform, boundingBox }) => {
+        const box = parts[index].clone().transform(transform).tightBoundingBox();
+        return box.min.equalsWithinTolerance(boundingBox.min, 1e-6) &&
+            box.max.equalsWithinTolerance(boundingBox.max, 1e-6);
+    });
+})());
+
+test('nestGeometry() opens more sheets when parts do not fit', (() => {
+    const parts = Array.from({ length: 6 }, () => Path.rect(0, 0, 90, 90));
+    const { sheets, unplaced } = nestGeometry(parts, { sheetWidth: 200, sheetHeight: 200, margin: 5, spacing: 5 });
+    const placedCount = sheets.reduce((sum, sheet) => sum + sheet.placements.length, 0);
+    return sheets.length === 2 && sheets[0].placements.length === 4 && placedCount === 6 && unplaced.length === 0;
+})());
+
+test('nestGeometry() rotates parts by 90° to fit', (() => {
+    const parts = [Path.rect(0, 0, 20, 80)];
+    const { sheets } = nestGeometry(parts, { sheetWidth: 100, sheetHeight: 40, margin: 5, spacing: 0 });
+    const box = placedParts(parts, sheets[0])[0].tightBoundingBox();
+    return sheets[0].placements[0].rotation === 90 && approx(box.width(), 80) && approx(box.height(), 20);
+})());
+
+test('nestGeometry() with rotation "none" never rotates', (() => {
+    const parts = [Path.rect(0, 0, 20, 80), Path.rect(0, 0, 10, 10)];
+    const { sheets, unplaced } = nestGeometry(parts, { sheetWidth: 100, sheetHeight: 40, rotation: 'none' });
+    return unplaced.length === 1 && unplaced[0] === 0 &&
+        sheets.every((sheet) => sheet.placements.every((p) => p.rotation === 0));
+})());
+
+test('nestGeometry() with rotation "free" fits a diagonal part', (() => {
+    // A long bar at 45° only fits a narrow sheet once straightened.
+    const bar = Path.rect(0, 0, 100, 10).transform({ rotation: 45 });
+    const noFree = nestGeometry([bar], { sheetWidth: 120, sheetHeight: 30, margin: 2, rotation: '90' });
+    const free = nestGeometry([bar], { sheetWidth: 120, sheetHeight: 30, margin: 2, rotation: 'free' });
+    const box = placedParts([bar], free.sheets[0])[0].tightBoundingBox();
+    return noFree.unplaced.length === 1 && free.unplaced.length === 0 && box.height() < 26;
+})());
+
+test('nestGeometry() reports parts larger than a sheet as unplaced', (() => {
+    const parts = [Path.rect(0, 0, 500, 500), Path.rect(0, 0, 10, 10)];
+    const { sheets, unplaced } = nestGeometry(parts, { sheetWidth: 100, sheetHeight: 100 });
+    return unplaced.length === 1 && unplaced[0] === 0 && sheets.length === 1;
+})());
+
+test('nestGeometry() keeps holes with their part', (() => {
+    const part = new Shape([Path.rect(0, 0, 40, 40), Path.rect(10, 10, 20, 20)]);
+    const { sheets } = nestGeometry([part], { sheetWidth: 60, sheetHeight: 60, margin: 5 });
+    const [placed] = placedParts([part], sheets[0]);
+    const [outer, hole] = placed.allPaths().map((path) => path.tightBoundingBox());
+    return approx(hole.min.x - outer.min.x, 10) && approx(hole.min.y - outer.min.y, 10);
+})());
+
+test('nestGeometry() returns no sheets for no parts', (() => {
+    const { sheets, unplaced } = nestGeometry([], { sheetWidth: 100, sheetHeight: 100 });
+    return sheets.length === 0 && unplaced.length === 0;
+})());
+
+console.log(`\nnesting.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`nesting.js: ${testCount - passCount} tests failed`);
+}
@@ -0,0 +1,202 @@
+/**
+ * offset.js unit tests
+ */
+
+import { Group } from '../Group.js';
+import { signedAreaOfPath } from '../contour.js';
+import { offsetGeometry, offsetPath } from '../offset.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+const boxEquals = (box, minX, minY, maxX, maxY, eps = 1e-6) =>
+    approx(box.min.x, minX, eps) && approx(box.min.y, minY, eps) &&
+    approx(box.max.x, maxX, eps) && approx(box.max.y, maxY, eps);
+
+// Largest distance from points sampled on `path` to a circle.
+const circleError = (path, center, radius) => {
+    let error = 0;
+    const count = path.closed ? path.anchors.length : path.anchors.length - 1;
+    for (let i = 0; i < count; i++) {
+        for (let t = 0; t <= 1; t += 0.125) {
+            error = Math.max(error, Math.abs(path.positionAtTime(i + t).distance(center) - radius));
+        }
+    }
+    return error;
+};
+
+console.log('offset.js tests:\n');
+
+console.log('  Area:');
+
+test('signedAreaOfPath() measures polygons with sign', (() => {
+    const rect = Path.rect(0, 0, 10, 20);
+    return approx(signedAreaOfPath(rect), 200) && approx(signedAreaOfPath(rect.clone().reverse()), -200);
+})());
+
+test('signedAreaOfPath() counts bezier bulges', (() => {
+    return approx(Math.abs(signedAreaOfPath(Path.circle(new Vec(0, 0), 10))), Math.PI * 100, 0.2);
+})());
+
+console.log('\n  offsetPath:');
+
+test('offsetPath() grows a closed path regardless of direction', (() => {
+    const rect = Path.rect(0, 0, 10, 10);
+    const a = offsetPath(rect, 1);
+    const b = offsetPath(rect.clone().reverse(), 1);
+    return a.anchors.length === 4 && boxEquals(a.tightBoundingBox(), -1, -1, 11, 11) &&
+        boxEquals(b.tightBoundingBox(), -1, -1, 11, 11);
+})());
+
+test('offsetPath() with negative distance trims inner corners', (() => {
+    const inset = offsetPath(Path.rect(0, 0, 10, 10), -1);
+    return inset.anchors.length === 4 && boxEquals(inset.tightBoundingBox(), 1, 1, 9, 9);
+})());
+
+test('offsetPath() joins: bevel cuts corners, round keeps distance', (() => {
+    const rect = Path.rect(0, 0, 10, 10);
+    const bevel = offsetPath(rect, 1, { join: 'bevel' });
+    const round = offsetPath(rect, 1, { join: 'round' });
+    return bevel.anchors.length === 8 && approx(signedAreaOfPath(bevel), 144 - 2) &&
+        approx(signedAreaOfPath(round), 140 + Math.PI, 0.01);
+})());
+
+test('offsetPath() falls back to bevel past the miter limit', (() => {
+    const spike = Path.fromPoints([new Vec(0, 0), new Vec(100, 5), new Vec(0, 10)], true);
+    const mitered = offsetPath(spike, 1, { miterLimit: 4 });
+    const tip = Math.max(...mitered.anchors.map((a) => a.position.x));
+    return mitered.anchors.length === 4 && tip < 104;
+})());
+
+test('offsetPath() keeps an offset circle within tolerance', (() => {
+    const center = new Vec(5, 5);
+    const circle = Path.circle(center, 10);
+    const outset = offsetPath(circle, 2, { tolerance: 0.01 });
+    const inset = offsetPath(circle, -3, { tolerance: 0.01 });
+    return circleError(outset, center, 12) < 0.02 && circleError(inset, center, 7) < 0.02;
+})());
+
+test('offsetPath() handles a concave corner between straight edges', (() => {
+    const ell = Path.fromPoints([
+        new Vec(0, 0), new Vec(20, 0), new Vec(20, 10),
+        new Vec(10, 10), new Vec(10, 20), new Vec(0, 20)
+    ], true);
+    const outset = offsetPath(ell, 1);
+    return outset.anchors.length === 6 && outset.anchors.some((a) => a.position.equals(new Vec(11, 11)));
+})());
+
+test('offsetPath() moves an open path to one side', (() => {
+    const line = Path.fromPoints([new Vec(0, 0), new Vec(10, 0)]);
+    const moved = offsetPath(line, 2);
+    return !moved.closed && moved.anchors.every((a) => approx(a.position.y, -2));
+})());
+
+console.log('\n  offsetGeometry:');
+
+test('offsetGeometry() grows outer contours and shrinks holes', (() => {
+    const frame = new Shape([Path.rect(0, 0, 30, 30), Path.rect(10, 10, 10, 10)]);
+    const result = offsetGeometry(frame, 1);
+    return result instanceof Shape && result.paths.length === 2 &&
+        boxEquals(result.paths[0].tightBoundingBox(), -1, -1, 31, 31) &&
+        boxEquals(result.paths[1].tightBoundingBox(), 11, 11, 19, 19);
+})());
+
+test('offsetGeometry() drops holes that close up', (() => {
+    const frame = new Shape([Path.rect(0, 0, 30, 30), Path.rect(10, 10, 10, 10)]);
+    return offsetGeometry(frame, 6).paths.length === 1;
+})());
+
+test('offsetGeometry() keeps open paths and recurses into groups', (() => {
+    const line = Path.fromPoints([new Vec(0, 0), new Vec(10, 0)]);
+    const group = new Group([line, Path.rect(20, 0, 10, 10)]);
+    const result = offsetGeometry(group, 1);
+    return result instanceof Group &&
+        result.items[0].anchors[0].position.equals(new Vec(0, 0)) &&
+        boxEquals(result.items[1].tightBoundingBox(), 19, -1, 31, 11);
+})());
+
+console.log('\n  Self-intersections:');
+
+// Two 20 x 20 squares joined by a 20 x 4 bar.
+const dumbbell = () => Path.fromPoints([
+    [0, 0], [20, 0], [20, 8], [40, 8], [40, 0], [60, 0], [60, 20], [40, 20], [40, 12], [20, 12], [20, 20], [0, 20]
+].map(([x, y]) => new Vec(x, y)), true);
+
+test('offsetGeometry() splits a contour that pinches off', (() => {
+    const result = offsetGeometry(dumbbell(), -3);
+    return result instanceof Shape && result.paths.length === 2 &&
+        result.paths.every((path) => path.anchors.length === 4 && approx(signedAreaOfPath(path), 196)) &&
+        boxEquals(result.paths[0].tightBoundingBox(), 3, 3, 17, 17) &&
+        boxEquals(result.paths[1].tightBoundingBox(), 43, 3, 57, 17);
+})());
+
+test('offsetGeometry() removes the loops of an inset wider than a notch', (() => {
+    const notched = Path.fromPoints([[0, 0], [9, 0], [9, 8], [11, 8], [11, 0], [20, 0], [20, 20], [0, 20]]
+        .map(([x, y]) => new Vec(x, y)), true);
+    const result = offsetGeometry(notched, -3);
+    const expected = [[3, 3], [6, 3], [6, 11], [14, 11], [14, 3], [17, 3], [17, 17], [3, 17]];
+    return result instanceof Path && result.anchors.length === 8 && approx(signedAreaOfPath(result), 132) &&
+        expected.every(([x, y]) => result.anchors.some((a) => a.position.equalsWithinTolerance(new Vec(x, y))));
+})());
+
+test('offsetGeometry() merges outlines that grow into each other', (() => {
+    const result = offsetGeometry(new Shape([Path.rect(0, 0, 10, 10), Path.rect(12, 0, 10, 10)]), 2);
+    return result.paths.length === 1 && result.paths[0].anchors.length === 4 &&
+        boxEquals(result.paths[0].tightBoundingBox(), -2, -2, 24, 12);
+})());
+
+test('offsetGeometry() drops a region whose hole grows past its outline', (() => {
+    const frame = new Shape([Path.rect(0, 0, 20, 20), Path.rect(2, 2, 16, 16)]);
+    return offsetGeometry(frame, -3).paths.length === 0;
+})());
+
+test('offsetGeometry() drops circles inset past their radius', (() => {
+    const shrunk = offsetGeometry(Path.circle(new Vec(0, 0), 10), -4);
+    return offsetGeometry(Path.circle(new Vec(0, 0), 10), -12).anchors.length === 0 &&
+        circleError(shrunk, new Vec(0, 0), 6) < 0.01;
+})());
+
+test('offsetGeometry() keeps the direction of the source outline', (() => {
+    const reversed = dumbbell().reverse();
+    const result = offsetGeometry(reversed, -3);
+    return result.paths.every((path) => signedAreaOfPath(path) < 0);
+})());
+
+console.log('\n  Methods:');
+
+test('Path.offset() offsets closed paths as regions and open paths to one side', (() => {
+    const grown = Path.rect(0, 0, 10, 10).offset(2, { join: 'round' });
+    const moved = Path.fromPoints([new Vec(0, 0), new Vec(10, 0)]).offset(2);
+    return approx(signedAreaOfPath(grown), 14 * 14 - (4 - Math.PI) * 4, 0.01) &&
+        moved.anchors.every((a) => approx(Math.abs(a.position.y), 2));
+})());
+
+test('Shape.offset() and Group.offset() offset their contents', (() => {
+    const frame = new Shape([Path.rect(0, 0, 30, 30), Path.rect(10, 10, 10, 10)]);
+    const shape = frame.offset(1);
+    const group = new Group([frame, Path.rect(40, 0, 10, 10)]).offset(-1);
+    return shape instanceof Shape && boxEquals(shape.paths[1].tightBoundingBox(), 11, 11, 19, 19) &&
+        group instanceof Group && boxEquals(group.items[0].paths[1].tightBoundingBox(), 9, 9, 21, 21) &&
+        boxEquals(group.items[1].tightBoundingBox(), 41, 1, 49, 9);
+})());
+
+console.log(`\noffset.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`offset.js: ${testCount - passCount} tests failed`);
+}
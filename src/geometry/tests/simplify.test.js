@@ -0,0 +1,124 @@
+/**
+ * simplify.js unit tests
+ */
+
+import { fitPolyline, simplifyGeometry, simplifyPath, simplifyPolyline } from '../simplify.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const isCorner = (anchor) => anchor.handleIn.isZero() && anchor.handleOut.isZero();
+
+// Farthest any of the points lies from the path.
+const deviation = (path, points) => Math.max(...points.map((p) => path.closestPointWithinDistanceToPoint(10, p).distance));
+
+const circlePoints = (center, radius, count) => Array.from({ length: count }, (_, i) => {
+    const angle = (i / count) * Math.PI * 2;
+    return new Vec(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle));
+});
+
+// A 40 x 20 rectangle traced as a dense polyline, 0.4 apart.
+const denseRectangle = () => {
+    const points = [];
+    for (let i = 0; i < 100; i++) points.push(new Vec(i * 0.4, 0));
+    for (let i = 0; i < 50; i++) points.push(new Vec(40, i * 0.4));
+    for (let i = 0; i < 100; i++) points.push(new Vec(40 - i * 0.4, 20));
+    for (let i = 0; i < 50; i++) points.push(new Vec(0, 20 - i * 0.4));
+    return points;
+};
+
+console.log('simplify.js tests:\n');
+
+console.log('  Douglas-Peucker:');
+
+test('simplifyPolyline() keeps the ends and the points that stray', (() => {
+    const points = [new Vec(0, 0), new Vec(1, 0.01), new Vec(2, 0), new Vec(3, 2), new Vec(4, 0), new Vec(5, 0)];
+    const kept = simplifyPolyline(points, 0.1);
+    return kept.length === 5 && kept[0] === points[0] && kept[4] === points[5] && !kept.includes(points[1]) &&
+        simplifyPolyline(points, 3).length === 2 && simplifyPolyline(points, 0) === points;
+})());
+
+test('closed polylines reduce to their corners', (() => {
+    const kept = simplifyPolyline(denseRectangle(), 0.05, true);
+    const corners = [new Vec(0, 0), new Vec(40, 0), new Vec(40, 20), new Vec(0, 20)];
+    return kept.length === 4 && corners.every((corner) => kept.some((p) => p.equalsWithinTolerance(corner, 1e-9)));
+})());
+
+console.log('\n  Curve fitting:');
+
+test('a dense circle becomes a few smooth curves within tolerance', (() => {
+    const points = circlePoints(new Vec(50, 50), 20, 400);
+    const result = fitPolyline(points, true, { tolerance: 0.05 });
+    const smooth = result.anchors.every((anchor) =>
+        Math.abs(anchor.handleIn.clone().normalize().cross(anchor.handleOut.clone().normalize())) < 1e-6);
+    return result.closed && result.anchors.length <= 12 && !result.anchors.some(isCorner) && smooth &&
+        deviation(result, points) <= 0.05;
+})());
+
+test('sharp turns stay corners and straight runs stay lines', (() => {
+    const result = simplifyPath(Path.fromPoints(denseRectangle(), true), { tolerance: 0.05 });
+    return result.anchors.length === 4 && result.anchors.every(isCorner) &&
+        result.anchors[2].position.equalsWithinTolerance(new Vec(40, 20), 1e-9);
+})());
+
+test('a noisy open curve keeps its ends and stays within tolerance', (() => {
+    const points = Array.from({ length: 300 }, (_, i) => new Vec(i * 0.2, 5 * Math.sin(i * 0.02) + (i % 2 ? 0.01 : -0.01)));
+    const result = simplifyPath(Path.fromPoints(points), { tolerance: 0.1 });
+    const { anchors } = result;
+    return !result.closed && anchors.length < 10 && anchors[0].position.equals(points[0]) &&
+        anchors[anchors.length - 1].position.equals(points[points.length - 1]) && deviation(result, points) <= 0.1;
+})());
+
+test('a rounded rectangle keeps corner arcs between straight edges', (() => {
+    const points = [];
+    const arc = (cx, cy, from) => {
+        for (let i = 0; i < 20; i++) {
+            const angle = from + (i / 20) * Math.PI / 2;
+            points.push(new Vec(cx + 5 * Math.cos(angle), cy + 5 * Math.sin(angle)));
+        }
+    };
+    arc(35, 5, -Math.PI / 2);
+    arc(35, 25, 0);
+    arc(5, 25, Math.PI / 2);
+    arc(5, 5, Math.PI);
+    const result = simplifyPath(Path.fromPoints(points, true), { tolerance: 0.05, cornerAngle: 60 });
+    const curved = result.anchors.filter((anchor) => !isCorner(anchor));
+    return curved.length >= 4 && result.anchors.length <= 16 && deviation(result, points) <= 0.05;
+})());
+
+console.log('\n  Options and geometry:');
+
+test('curves: false returns the reduced polyline', (() => {
+    const points = circlePoints(new Vec(0, 0), 10, 200);
+    const result = simplifyPath(Path.fromPoints(points, true), { tolerance: 0.1, curves: false });
+    return result.closed && result.anchors.every(isCorner) && result.anchors.length < 40 &&
+        result.anchors.length === simplifyPolyline(points, 0.1, true).length;
+})());
+
+test('simplifyGeometry() simplifies every path and keeps curves refittable', (() => {
+    const shape = new Shape([Path.fromPoints(denseRectangle(), true), Path.circle(new Vec(20, 10), 5)]);
+    const result = simplifyGeometry(shape, { tolerance: 0.05 });
+    const circle = result.paths[1];
+    return result instanceof Shape && result.paths[0].anchors.length === 4 &&
+        circle.anchors.length <= 8 && !circle.anchors.some(isCorner) &&
+        shape.paths[0].anchors.length === 300 && simplifyGeometry(Path.rect(0, 0, 5, 5)) instanceof Path;
+})());
+
+console.log(`\nsimplify.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`simplify.js: ${testCount - passCount} tests failed`);
+}
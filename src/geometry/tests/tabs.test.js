@@ -0,0 +1,104 @@
+/**
+ * tabs.js unit tests
+ */
+
+import { Group } from '../Group.js';
+import { Path } from '../Path.js';
+import { Shape } from '../Shape.js';
+import { applyHoldingTabs, holdingTabDistances, splitPathAtHoldingTabs } from '../tabs.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, tolerance = 0.001) => Math.abs(a - b) < tolerance;
+
+const sum = (paths) => paths.reduce((total, path) => total + path.length(), 0);
+
+console.log('tabs.js tests:\n');
+
+console.log('\n  Tab positions:');
+
+test('holdingTabDistances() spreads tabs evenly by arc length', (() => {
+    const distances = holdingTabDistances(Path.rect(0, 0, 100, 50), { count: 4 });
+    return distances.length === 4 && approx(distances[0], 37.5) && approx(distances[1] - distances[0], 75);
+})());
+
+test('holdingTabDistances() snaps hand-placed points to the contour', (() => {
+    const distances = holdingTabDistances(Path.rect(0, 0, 100, 50), {
+        count: 4,
+        points: [new Vec(50, -1), new Vec(300, 300)]
+    });
+    return distances.length === 1 && approx(distances[0], 50);
+})());
+
+test('holdingTabDistances() ignores open paths', (() => {
+    return holdingTabDistances(Path.fromPoints([new Vec(0, 0), new Vec(100, 0)]), { count: 2 }).length === 0;
+})());
+
+console.log('\n  Splitting:');
+
+test('splitPathAtHoldingTabs() leaves gaps of the tab width', (() => {
+    const rect = Path.rect(0, 0, 100, 50);
+    const { cuts, bridges } = splitPathAtHoldingTabs(rect, { count: 4, width: 3 });
+    return cuts.length === 4 && bridges.length === 4 &&
+        cuts.every((piece) => !piece.closed) &&
+        bridges.every((bridge) => approx(bridge.length(), 3)) &&
+        approx(sum(cuts), 300 - 12);
+})());
+
+test('splitPathAtHoldingTabs() cut pieces end where tabs begin', (() => {
+    const { cuts, bridges } = splitPathAtHoldingTabs(Path.rect(0, 0, 100, 50), { count: 2, width: 4 });
+    return cuts.every((piece) => bridges.some((bridge) =>
+        bridge.firstAnchor().position.equalsWithinTolerance(piece.lastAnchor().position, 1e-6)));
+})());
+
+test('splitPathAtHoldingTabs() wraps a tab across the first anchor', (() => {
+    const { cuts, bridges } = splitPathAtHoldingTabs(Path.rect(0, 0, 100, 50), { points: [new Vec(0, 0)], width: 6 });
+    const bridge = bridges[0];
+    return cuts.length === 1 && bridges.length === 1 && approx(bridge.length(), 6) &&
+        approx(sum(cuts), 294) && bridge.anchors.some((anchor) => anchor.position.equals(new Vec(0, 0)));
+})());
+
+test('splitPathAtHoldingTabs() follows curves', (() => {
+    const circle = Path.circle(new Vec(0, 0), 20);
+    const { cuts, bridges } = splitPathAtHoldingTabs(circle, { count: 3, width: 2 });
+    return cuts.length === 3 && bridges.length === 3 && approx(sum(cuts) + sum(bridges), circle.length(), 0.1) &&
+        cuts.every((piece) => approx(piece.anchors[1].position.length(), 20, 0.05));
+})());
+
+test('splitPathAtHoldingTabs() keeps contours too short for their tabs', (() => {
+    const { cuts, bridges } = splitPathAtHoldingTabs(Path.rect(0, 0, 4, 4), { count: 4, width: 3 });
+    return cuts.length === 1 && cuts[0].closed && bridges.length === 0;
+})());
+
+console.log('\n  Geometry:');
+
+test('applyHoldingTabs() tabs every closed contour and keeps open paths', (() => {
+    const part = new Shape([Path.rect(0, 0, 100, 50), Path.rect(40, 20, 20, 10)]);
+    const line = Path.fromPoints([new Vec(0, 80), new Vec(50, 80)]);
+    const { cuts, bridges } = applyHoldingTabs(new Group([part, line]), { count: 2, width: 2 });
+    return cuts instanceof Group && cuts.items.length === 5 && bridges.items.length === 4 &&
+        part.paths[0].closed && part.paths[0].anchors.length === 4;
+})());
+
+test('applyHoldingTabs() does nothing without tabs', (() => {
+    const { cuts, bridges } = applyHoldingTabs(Path.rect(0, 0, 10, 10));
+    return cuts.items.length === 1 && cuts.items[0].closed && bridges.items.length === 0;
+})());
+
+console.log(`\ntabs.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`tabs.js: ${testCount - passCount} tests failed`);
+}
@@ -0,0 +1,131 @@
+/**
+ * trace.js unit tests
+ */
+
+import { signedAreaOfPath } from '../contour.js';
+import { bitmapFromImageData, contoursFromBitmap, traceBitmap, traceImageData } from '../trace.js';
+import { Vec } from '../Vec.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const approx = (a, b, tolerance = 0.001) => Math.abs(a - b) < tolerance;
+
+// Bitmap with ink wherever isInk(x, y) holds.
+const bitmap = (width, height, isInk) => {
+    const data = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data[y * width + x] = isInk(x, y) ? 1 : 0;
+        }
+    }
+    return { width, height, data };
+};
+
+// RGBA image data from a list of [r, g, b, a] pixels.
+const imageData = (width, height, pixels) => ({ width, height, data: Uint8ClampedArray.from(pixels.flat()) });
+
+const polygonArea = (points) => points.reduce((sum, p, i) => {
+    const q = points[(i + 1) % points.length];
+    return sum + (p.x * q.y - q.x * p.y) / 2;
+}, 0);
+
+const disc = (cx, cy, radius) => (x, y) => Math.hypot(x + 0.5 - cx, y + 0.5 - cy) < radius;
+
+console.log('trace.js tests:\n');
+
+console.log('\n  Threshold:');
+
+test('bitmapFromImageData() marks dark pixels as ink and transparent ones as background', (() => {
+    const image = imageData(4, 1, [[0, 0, 0, 255], [200, 200, 200, 255], [100, 100, 100, 255], [0, 0, 0, 0]]);
+    const { data } = bitmapFromImageData(image, { threshold: 128 });
+    return Array.from(data).join('') === '1010';
+})());
+
+test('bitmapFromImageData() traces light pixels when inverted', (() => {
+    const image = imageData(2, 1, [[0, 0, 0, 255], [255, 255, 255, 255]]);
+    return Array.from(bitmapFromImageData(image, { invert: true }).data).join('') === '01';
+})());
+
+console.log('\n  Contours:');
+
+test('contoursFromBitmap() outlines a block along its pixel edges', (() => {
+    const contours = contoursFromBitmap(bitmap(10, 10, (x, y) => x >= 2 && x < 7 && y >= 3 && y < 6));
+    const xs = contours[0].map((p) => p.x);
+    const ys = contours[0].map((p) => p.y);
+    return contours.length === 1 && Math.min(...xs) === 2 && Math.max(...xs) === 7 &&
+        Math.min(...ys) === 3 && Math.max(...ys) === 6;
+})());
+
+test('contoursFromBitmap() runs outer contours clockwise and holes counter-clockwise', (() => {
+    const ring = bitmap(30, 30, (x, y) => disc(15, 15, 12)(x, y) && !disc(15, 15, 5)(x, y));
+    const areas = contoursFromBitmap(ring).map(polygonArea).sort((a, b) => a - b);
+    return areas.length === 2 && areas[0] < 0 && areas[1] > 0;
+})());
+
+test('contoursFromBitmap() keeps diagonally touching pixels together', (() => {
+    return contoursFromBitmap(bitmap(4, 4, (x, y) => (x === 1 && y === 1) || (x === 2 && y === 2))).length === 1;
+})());
+
+console.log('\n  Tracing:');
+
+test('traceBitmap() despeckles small specks and pinholes', (() => {
+    const image = bitmap(40, 40, (x, y) => {
+        const pinhole = x >= 15 && x < 17 && y >= 15 && y < 17;
+        const speck = x >= 34 && x < 36 && y >= 34 && y < 36;
+        return (x >= 5 && x < 30 && y >= 5 && y < 30 && !pinhole) || speck;
+    });
+    return traceBitmap(image, { despeckle: 4 }).length === 1 && traceBitmap(image, { despeckle: 0 }).length === 3;
+})());
+
+test('traceBitmap() keeps square corners sharp', (() => {
+    const [path] = traceBitmap(bitmap(60, 60, (x, y) => x >= 3 && x < 45 && y >= 4 && y < 34));
+    const corners = [new Vec(3, 4), new Vec(45, 4), new Vec(45, 34), new Vec(3, 34)];
+    return path.anchors.length === 4 &&
+        path.anchors.every((anchor) => anchor.handleIn.isZero() && anchor.handleOut.isZero()) &&
+        corners.every((corner) => path.anchors.some((anchor) => anchor.position.equalsWithinTolerance(corner)));
+})());
+
+test('traceBitmap() fits round outlines with bezier curves', (() => {
+    const [path] = traceBitmap(bitmap(60, 60, disc(30, 30, 20)));
+    const center = new Vec(30, 30);
+    const onCircle = [0.1, 0.3, 0.5, 0.7, 0.9].every((t) =>
+        approx(path.positionAtTime(t * path.anchors.length).distance(center), 20, 0.5));
+    return path.closed && onCircle && path.anchors.every((anchor) => !anchor.handleIn.isZero());
+})());
+
+test('traceBitmap() keeps the polygon without smoothing', (() => {
+    const [path] = traceBitmap(bitmap(60, 60, disc(30, 30, 20)), { smoothing: 0 });
+    return path.anchors.length > 8 && path.anchors.every((anchor) => anchor.handleIn.isZero() && anchor.handleOut.isZero());
+})());
+
+test('traceImageData() scales pixels to the given size and keeps hole winding', (() => {
+    const pixels = [];
+    for (let y = 0; y < 20; y++) {
+        for (let x = 0; x < 20; x++) {
+            const ink = x >= 2 && x < 18 && y >= 2 && y < 18 && !(x >= 8 && x < 12 && y >= 8 && y < 12);
+            pixels.push(ink ? [0, 0, 0, 255] : [255, 255, 255, 255]);
+        }
+    }
+    const group = traceImageData(imageData(20, 20, pixels), { pixelSize: 0.5 });
+    const box = group.tightBoundingBox();
+    const areas = group.items.map(signedAreaOfPath).sort((a, b) => a - b);
+    return group.items.length === 2 && approx(box.min.x, 1) && approx(box.max.x, 9) &&
+        approx(box.min.y, 1) && approx(box.max.y, 9) && Math.sign(areas[0]) !== Math.sign(areas[1]);
+})());
+
+console.log(`\ntrace.js: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`trace.js: ${testCount - passCount} tests failed`);
+}
@@ -0,0 +1,327 @@
+/**
+ * Geometry Library - Raster Tracing
+ *
+ * Turns a raster image (a scanned sketch, a logo) into closed outlines:
+ *
+ *   1. Threshold: each pixel becomes ink or background by its luminance,
+ *      composited over white so transparent pixels are background.
+ *   2. Contours: marching squares over the pixel centres, resolving
+ *      saddles so diagonal ink pixels stay connected. Contours keep the
+ *      ink on their right, so outer contours run clockwise on screen
+ *      (Y down) and holes counter-clockwise.
+ *   3. Despeckle: contours enclosing fewer square pixels than the
+ *      despeckle size are dropped, whether specks of ink or pinholes.
+ *   4. Polygon: marching squares cuts square corners with a short
+ *      diagonal; where both neighbouring edges meet within a pixel, the
+ *      corner is restored. Each contour is then simplified to a polygon
+ *      within a tolerance.
+ *   5. Curves: potrace-style corner detection decides, per polygon vertex,
+ *      whether it stays a sharp corner or is rounded into a bezier running
+ *      between the midpoints of its two edges. `smoothing` is potrace's
+ *      alphamax: 0 keeps the polygon, 1 is a good default, 4/3 rounds
+ *      every vertex.
+ *
+ * Everything works on plain pixel data ({width, height, data} as in
+ * ImageData), so it runs without a browser.
+ */
+
+import { Anchor } from './Anchor.js';
+import { Group } from './Group.js';
+import { Path } from './Path.js';
+import { simplifyPolyline } from './simplify.js';
+import { Vec } from './Vec.js';
+
+/**
+ * @typedef {Object} Bitmap
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} data - One byte per pixel, row by row: 1 ink, 0 background
+ */
+
+/**
+ * @typedef {Object} TraceOptions
+ * @property {number} [threshold=128] Luminance (0-255) below which a pixel is ink
+ * @property {boolean} [invert=false] Trace light pixels instead of dark ones
+ * @property {number} [despeckle=4] Drop contours enclosing fewer square pixels than this
+ * @property {number} [smoothing=1] Corner threshold (potrace alphamax), 0 to 4/3
+ * @property {number} [tolerance=0.5] Max deviation in pixels when simplifying contours
+ * @property {number} [pixelSize=25.4/96] Size of a pixel in output units (mm at 96 dpi)
+ */
+
+/** Smallest rounding potrace applies to a curved vertex. */
+const MIN_ALPHA = 0.55;
+
+/** Longest edge, in pixels, treated as a cut-off corner. */
+const CORNER_CUT_LENGTH = 1;
+
+/** Cosine of the smallest turn, between the neighbouring edges, of a cut-off corner. */
+const CORNER_CUT_TURN = 0.5;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Twice the signed area of a polygon; positive when it runs clockwise on
+ * screen (Y down).
+ * @param {Vec[]} points
+ * @returns {number}
+ */
+const doubleSignedArea = (points) => {
+    let sum = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        sum += p.x * q.y - q.x * p.y;
+    });
+    return sum;
+};
+
+/**
+ * Intersection of the infinite lines through a1-a2 and b1-b2.
+ * @param {Vec} a1
+ * @param {Vec} a2
+ * @param {Vec} b1
+ * @param {Vec} b2
+ * @returns {Vec|null} Null for parallel lines
+ */
+const lineIntersection = (a1, a2, b1, b2) => {
+    const da = Vec.sub(a2, a1);
+    const db = Vec.sub(b2, b1);
+    const denominator = da.cross(db);
+    if (Math.abs(denominator) < 1e-12) return null;
+    const t = Vec.sub(b1, a1).cross(db) / denominator;
+    return Vec.add(a1, da.mulScalar(t));
+};
+
+/**
+ * Replace short diagonal edges that cut off a corner between two longer
+ * edges by the point where those edges meet.
+ * @param {Vec[]} input - Closed polygon
+ * @returns {Vec[]}
+ */
+const restoreCorners = (input) => {
+    const n = input.length;
+    if (n < 5) return input;
+    // Start after a long edge so no cut-off corner wraps around the ends.
+    const start = input.findIndex((p, i) => p.distance(input[(i + 1) % n]) > CORNER_CUT_LENGTH);
+    if (start < 0) return input;
+    const points = [...input.slice(start + 1), ...input.slice(0, start + 1)];
+
+    const result = [];
+    for (let i = 0; i < n; i++) {
+        const previous = points[(i - 1 + n) % n];
+        const a = points[i];
+        const b = points[(i + 1) % n];
+        const next = points[(i + 2) % n];
+        const length = a.distance(b);
+        const corner = length <= CORNER_CUT_LENGTH &&
+            previous.distance(a) > length && next.distance(b) > length &&
+            Vec.sub(a, previous).normalize().dot(Vec.sub(next, b).normalize()) <= CORNER_CUT_TURN
+            ? lineIntersection(previous, a, b, next)
+            : null;
+        if (corner && corner.distance(Vec.mix(a, b, 0.5)) <= CORNER_CUT_LENGTH) {
+            result.push(corner);
+            i++;
+        } else {
+            result.push(a);
+        }
+    }
+    return result;
+};
+
+/**
+ * Potrace's corner measure for a polygon vertex: how far the vertex lies
+ * from the line between the midpoints of its edges, scaled so values of
+ * 1 and above mean a corner at the default smoothing.
+ * @param {Vec} previous
+ * @param {Vec} vertex
+ * @param {Vec} next
+ * @returns {number}
+ */
+const vertexAlpha = (previous, vertex, next) => {
+    const p0 = Vec.mix(previous, vertex, 0.5);
+    const p2 = Vec.mix(vertex, next, 0.5);
+    const denominator = Math.abs(p2.x - p0.x) + Math.abs(p2.y - p0.y);
+    if (denominator === 0) return 4 / 3;
+    const dd = Math.abs(Vec.sub(vertex, p0).cross(Vec.sub(p2, p0))) / denominator;
+    const alpha = dd > 1 ? 1 - 1 / dd : 0;
+    return alpha / 0.75;
+};
+
+/**
+ * Fit a closed path to a polygon: vertices whose alpha reaches the
+ * smoothing threshold stay sharp, the others become a bezier between
+ * the midpoints of their edges.
+ * @param {Vec[]} polygon
+ * @param {number} smoothing
+ * @returns {Path}
+ */
+const fitPolygon = (polygon, smoothing) => {
+    const n = polygon.length;
+    const alphas = polygon.map((vertex, i) => vertexAlpha(polygon[(i - 1 + n) % n], vertex, polygon[(i + 1) % n]));
+    const isCorner = alphas.map((alpha) => alpha >= smoothing);
+    const midpoints = polygon.map((vertex, i) => Vec.mix(vertex, polygon[(i + 1) % n], 0.5));
+
+    // Control point of a rounded vertex, on the edge from a midpoint towards it.
+    const control = (i, midpoint) => {
+        const alpha = Math.min(Math.max(alphas[i], MIN_ALPHA), 1);
+        return Vec.sub(polygon[i], midpoint).mulScalar(alpha);
+    };
+
+    const anchors = [];
+    polygon.forEach((vertex, i) => {
+        const j = (i + 1) % n;
+        if (isCorner[i]) {
+            anchors.push(new Anchor(vertex.clone()));
+        }
+        // Midpoints between two sharp corners would only split a straight edge.
+        if (isCorner[i] && isCorner[j]) return;
+        const midpoint = midpoints[i];
+        anchors.push(new Anchor(
+            midpoint.clone(),
+            isCorner[i] ? new Vec() : control(i, midpoint),
+            isCorner[j] ? new Vec() : control(j, midpoint)
+        ));
+    });
+    return new Path(anchors, true);
+};
+
+// =============================================================================
+// Tracing
+// =============================================================================
+
+/**
+ * Threshold image pixels into ink and background.
+ * @param {{width: number, height: number, data: ArrayLike<number>}} imageData - RGBA pixels
+ * @param {TraceOptions} [options]
+ * @returns {Bitmap}
+ */
+export const bitmapFromImageData = (imageData, options = {}) => {
+    const { threshold = 128, invert = false } = options;
+    const { width, height, data: rgba } = imageData;
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        const alpha = rgba[i * 4 + 3] / 255;
+        const luminance = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+        const dark = luminance * alpha + 255 * (1 - alpha) < threshold;
+        data[i] = dark !== invert ? 1 : 0;
+    }
+    return { width, height, data };
+};
+
+/**
+ * Extract the outlines of the ink in a bitmap with marching squares. Pixel
+ * (x, y) covers the unit square from (x, y), so contour vertices lie on
+ * half-pixel positions between pixel centres.
+ * @param {Bitmap} bitmap
+ * @returns {Vec[][]} Closed polygons with ink on their right
+ */
+export const contoursFromBitmap = (bitmap) => {
+    const { width, height, data } = bitmap;
+    const inkAt = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[y * width + x] === 1;
+
+    // Work in doubled coordinates so every vertex is an integer.
+    const stride = 2 * height + 8;
+    const key = (x, y) => (x + 2) * stride + (y + 2);
+    const next = new Map();
+    const addSegment = (a, b, ink) => {
+        const d = [b[0] - a[0], b[1] - a[1]];
+        const v = [ink[0] - a[0], ink[1] - a[1]];
+        const [start, end] = d[0] * v[1] - d[1] * v[0] > 0 ? [a, b] : [b, a];
+        next.set(key(start[0], start[1]), { start, end });
+    };
+
+    for (let y = -1; y < height; y++) {
+        for (let x = -1; x < width; x++) {
+            const tl = inkAt(x, y);
+            const tr = inkAt(x + 1, y);
+            const br = inkAt(x + 1, y + 1);
+            const bl = inkAt(x, y + 1);
+            if (tl === tr && tr === br && br === bl) continue;
+
+            const corners = [
+                [[2 * x + 1, 2 * y + 1], tl],
+                [[2 * x + 3, 2 * y + 1], tr],
+                [[2 * x + 3, 2 * y + 3], br],
+                [[2 * x + 1, 2 * y + 3], bl]
+            ];
+            const ink = corners.find(([, isInk]) => isInk)[0];
+            const top = [2 * x + 2, 2 * y + 1];
+            const right = [2 * x + 3, 2 * y + 2];
+            const bottom = [2 * x + 2, 2 * y + 3];
+            const left = [2 * x + 1, 2 * y + 2];
+
+            if (tl === br && tr === bl) {
+                // Saddle: keep the diagonal ink pixels connected.
+                if (tl) {
+                    addSegment(top, right, ink);
+                    addSegment(bottom, left, ink);
+                } else {
+                    addSegment(top, left, ink);
+                    addSegment(right, bottom, ink);
+                }
+                continue;
+            }
+            const crossings = [];
+            if (tl !== tr) crossings.push(top);
+            if (tr !== br) crossings.push(right);
+            if (br !== bl) crossings.push(bottom);
+            if (bl !== tl) crossings.push(left);
+            addSegment(crossings[0], crossings[1], ink);
+        }
+    }
+
+    const contours = [];
+    for (const first of next.keys()) {
+        if (!next.has(first)) continue;
+        const doubled = [];
+        let k = first;
+        while (next.has(k)) {
+            const { start, end } = next.get(k);
+            next.delete(k);
+            doubled.push(start);
+            k = key(end[0], end[1]);
+        }
+        // Drop vertices in the middle of straight runs.
+        const points = doubled.filter((p, i) => {
+            const a = doubled[(i - 1 + doubled.length) % doubled.length];
+            const b = doubled[(i + 1) % doubled.length];
+            return (p[0] - a[0]) * (b[1] - p[1]) !== (p[1] - a[1]) * (b[0] - p[0]);
+        });
+        contours.push(points.map(([px, py]) => new Vec(px / 2, py / 2)));
+    }
+    return contours;
+};
+
+/**
+ * Trace the ink of a bitmap into closed bezier paths, in pixel units.
+ * @param {Bitmap} bitmap
+ * @param {TraceOptions} [options]
+ * @returns {Path[]} Outer contours run clockwise on screen, holes counter-clockwise
+ */
+export const traceBitmap = (bitmap, options = {}) => {
+    const { despeckle = 4, smoothing = 1, tolerance = 0.5 } = options;
+    return contoursFromBitmap(bitmap)
+        .filter((contour) => Math.abs(doubleSignedArea(contour)) / 2 >= despeckle)
+        .map((contour) => simplifyPolyline(restoreCorners(contour), tolerance, true))
+        .filter((polygon) => polygon.length >= 3)
+        .map((polygon) => fitPolygon(polygon, smoothing));
+};
+
+/**
+ * Trace an image into closed outlines.
+ *
+ * ```javascript
+ * const outlines = traceImageData(context.getImageData(0, 0, w, h), { threshold: 140, smoothing: 1 });
+ * ```
+ *
+ * @param {{width: number, height: number, data: ArrayLike<number>}} imageData - RGBA pixels
+ * @param {TraceOptions} [options]
+ * @returns {Group} Closed paths, the image's top-left corner at the origin
+ */
+export const traceImageData = (imageData, options = {}) => {
+    const pixelSize = options.pixelSize ?? 25.4 / 96;
+    const group = new Group(traceBitmap(bitmapFromImageData(imageData, options), options));
+    group.transform({ scale: new Vec(pixelSize, pixelSize) });
+    return group;
+};
@@ -116,6 +116,152 @@ function setupToolbarButtons(app) {
         });
     }
     
+    // Export SVG button - downloads the active scene as an SVG cut file in mm
+    const btnExportSvg = document.getElementById('btn-export-svg');
+    if (btnExportSvg) {
+        btnExportSvg.addEventListener('click', () => {
+            app.exportSVG();
+        });
+    }
+    
+    // Export DXF button - downloads the active scene as a DXF file in mm
+    const btnExportDxf = document.getElementById('btn-export-dxf');
+    if (btnExportDxf) {
+        btnExportDxf.addEventListener('click', () => {
+            app.exportDXF();
+        });
+    }
+    
+    // Export LightBurn button - opens the cut settings, then downloads a .lbrn2 project
+    const btnExportLightburn = document.getElementById('btn-export-lightburn');
+    if (btnExportLightburn) {
+        btnExportLightburn.addEventListener('click', () => {
+            app.showLightBurnDialog();
+        });
+    }
+    
+    // Export PDF button - opens the page settings, then downloads printable 1:1 cut sheets
+    const btnExportPdf = document.getElementById('btn-export-pdf');
+    if (btnExportPdf) {
+        btnExportPdf.addEventListener('click', () => {
+            app.showPDFDialog();
+        });
+    }
+    
+    // Export G-code button - opens the G-code settings, then downloads a GRBL program
+    const btnExportGcode = document.getElementById('btn-export-gcode');
+    if (btnExportGcode) {
+        btnExportGcode.addEventListener('click', () => {
+            app.showGCodeDialog();
+        });
+    }
+    
+    // Parts list buttons - download the bill of materials as CSV or printable HTML
+    const btnExportPartsCsv = document.getElementById('btn-export-parts-csv');
+    if (btnExportPartsCsv) {
+        btnExportPartsCsv.addEventListener('click', () => {
+            app.exportPartsList('csv');
+        });
+    }
+    const btnExportPartsHtml = document.getElementById('btn-export-parts-html');
+    if (btnExportPartsHtml) {
+        btnExportPartsHtml.addEventListener('click', () => {
+            app.exportPartsList('html');
+        });
+    }
+    
+    // Nest button - packs the active scene's parts onto stock sheets (one tab per sheet)
+    const btnNest = document.getElementById('btn-nest');
+    if (btnNest) {
+        btnNest.addEventListener('click', () => {
+            app.showNestingDialog();
+        });
+    }
+    
+    // Check button - lists manufacturability problems; clicking one selects its shape
+    const btnCheckDesign = document.getElementById('btn-check-design');
+    if (btnCheckDesign) {
+        btnCheckDesign.addEventListener('click', () => {
+            app.checkDesign();
+        });
+    }
+    
+    // Kerf input - project kerf width used to compensate cut shapes on export
+    const inputKerf = document.getElementById('input-kerf');
+    if (inputKerf) {
+        inputKerf.addEventListener('change', () => {
+            app.setKerf(inputKerf.value);
+        });
+    }
+    
+    // Corner relief - dog-bone/T-bone overcuts and tool diameter for cut shapes
+    const selectCornerRelief = document.getElementById('select-corner-relief');
+    if (selectCornerRelief) {
+        selectCornerRelief.addEventListener('change', () => {
+            app.setCornerRelief({ style: selectCornerRelief.value });
+        });
+    }
+    const inputToolDiameter = document.getElementById('input-tool-diameter');
+    if (inputToolDiameter) {
+        inputToolDiameter.addEventListener('change', () => {
+            app.setCornerRelief({ toolDiameter: inputToolDiameter.value });
+        });
+    }
+    
+    // Materials button - edits the active scene's material library
+    const btnMaterials = document.getElementById('btn-materials');
+    if (btnMaterials) {
+        btnMaterials.addEventListener('click', () => {
+            app.showMaterialDialog();
+        });
+    }
+    
+    // Tabs button - sets the holding tabs left in exported cut contours
+    const btnTabs = document.getElementById('btn-tabs');
+    if (btnTabs) {
+        btnTabs.addEventListener('click', () => {
+            app.showHoldingTabsDialog();
+        });
+    }
+    
+    // Boolean buttons - replace the selected shapes with their union, difference or intersection
+    const inputBooleanLive = document.getElementById('input-boolean-live');
+    [
+        ['btn-union', 'unionShapes'],
+        ['btn-subtract', 'subtractShapes'],
+        ['btn-intersect', 'intersectShapes']
+    ].forEach(([buttonId, commandName]) => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.addEventListener('click', () => {
+                app.combineSelectedShapes(commandName, { live: Boolean(inputBooleanLive?.checked) });
+            });
+        }
+    });
+    
+    // Corner buttons - fillet or chamfer the corners picked in edge mode
+    const inputCornerSize = document.getElementById('input-corner-size');
+    [
+        ['btn-fillet', 'filletCorners'],
+        ['btn-chamfer', 'chamferCorners']
+    ].forEach(([buttonId, commandName]) => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.addEventListener('click', () => {
+                app.treatSelectedCorners(commandName, Number(inputCornerSize?.value));
+            });
+        }
+    });
+    
+    // Simplify button - refit the selected outlines with few lines and curves
+    const btnSimplify = document.getElementById('btn-simplify');
+    const inputSimplifyTolerance = document.getElementById('input-simplify-tolerance');
+    if (btnSimplify) {
+        btnSimplify.addEventListener('click', () => {
+            app.simplifySelectedShapes(Number(inputSimplifyTolerance?.value));
+        });
+    }
+    
     // Import button - imports a .pds file from file system
     const btnImport = document.getElementById('btn-import');
     if (btnImport) {
@@ -124,6 +270,30 @@ function setupToolbarButtons(app) {
         });
     }
     
+    // Import Drawing button - adds paths from an SVG or DXF file to the active scene
+    const btnImportDrawing = document.getElementById('btn-import-drawing');
+    if (btnImportDrawing) {
+        btnImportDrawing.addEventListener('click', async () => {
+            await app.importDrawing();
+        });
+    }
+    
+    // Load Font button - loads a .ttf/.otf font for text shapes
+    const btnLoadFont = document.getElementById('btn-load-font');
+    if (btnLoadFont) {
+        btnLoadFont.addEventListener('click', async () => {
+            await app.loadFont();
+        });
+    }
+    
+    // Trace Image button - traces a raster image into paths in the active scene
+    const btnTraceImage = document.getElementById('btn-trace-image');
+    if (btnTraceImage) {
+        btnTraceImage.addEventListener('click', () => {
+            app.showTraceImageDialog();
+        });
+    }
+    
     // Undo button - reverts the last action using command history
     const btnUndo = document.getElementById('btn-undo');
     if (btnUndo) {
@@ -5,7 +5,8 @@
  * variable context at runtime.
  *
  * The AST is a classic Composite tree:
- *   - Leaf nodes   : {@link NumberNode}, {@link ParameterRefNode}
+ *   - Leaf nodes   : {@link NumberNode}, {@link ParameterRefNode},
+ *                    {@link ShapeMeasureNode}
  *   - Branch nodes : {@link BinaryOpNode}, {@link FunctionCallNode}
  *
  * All nodes share the same {@link ASTNode#evaluate} interface (the Composite
@@ -19,9 +20,32 @@
  *
  * Expression Parser using Interpreter Pattern and Composite Pattern
  * Parses mathematical expressions and evaluates them
- * Supports: +, -, *, /, parentheses, parameter references, math functions
+ * Supports: +, -, *, /, parentheses, parameter references, math functions,
+ * shape measurements
  */
 
+/**
+ * Context key under which {@link ExpressionParser#evaluate} hands the
+ * parser's shape measurer to {@link ShapeMeasureNode}.  A Symbol, so it can
+ * never collide with a parameter name.
+ */
+const SHAPE_MEASURER = Symbol('shapeMeasurer');
+
+/**
+ * The measurement functions, each picking one number out of the
+ * measurements returned by {@link ExpressionParser#shapeMeasurer}.
+ * @type {Object.<string, function(Object): number>}
+ */
+const MEASUREMENT_FUNCTIONS = {
+    area: (m) => m.area,
+    perimeter: (m) => m.perimeter,
+    centroidx: (m) => m.centroid?.x ?? 0,
+    centroidy: (m) => m.centroid?.y ?? 0,
+    momentxx: (m) => m.secondMoments.xx,
+    momentyy: (m) => m.secondMoments.yy,
+    momentxy: (m) => m.secondMoments.xy
+};
+
 /**
  * Abstract base class for every node in the expression AST.  Subclasses
  * represent the different syntactic constructs that the parser can produce.
@@ -170,6 +194,59 @@ class BinaryOpNode extends ASTNode {
     }
 }
 
+/**
+ * Leaf node that measures a shape in the scene, e.g. {@code area(Plate1)}.
+ * The argument is a shape reference rather than an expression: the shape's
+ * ID with everything but letters, digits and underscores removed, compared
+ * without regard to case (see {@link ExpressionParser.shapeReference}), so
+ * {@code Rectangle1} names the shape "Rectangle 1".
+ *
+ * Supported functions, all in millimetres of the shape's export geometry
+ * (joinery baked in, no kerf):
+ *   - {@code area(s)}                 : enclosed area in mm², holes subtracted
+ *   - {@code perimeter(s)}            : total cut length in mm
+ *   - {@code centroidx(s)}, {@code centroidy(s)} : centroid coordinates
+ *   - {@code momentxx(s)}, {@code momentyy(s)}, {@code momentxy(s)} :
+ *     second moments of area about the centroid in mm⁴
+ *
+ * Graceful degradation: like {@link ParameterRefNode}, a shape that cannot
+ * be measured (deleted, renamed, or measuring itself through its own
+ * bindings) logs a warning and evaluates to {@code 0}.
+ *
+ * ShapeMeasureNode - Represents a shape measurement
+ */
+class ShapeMeasureNode extends ASTNode {
+    /**
+     * @param {string} functionName - One of the keys of MEASUREMENT_FUNCTIONS.
+     * @param {string} reference    - The shape reference as written in the
+     *   expression.  Normalised to lower-case on construction.
+     */
+    constructor(functionName, reference) {
+        super();
+        this.functionName = functionName.toLowerCase();
+        this.reference = reference.toLowerCase();
+    }
+
+    /**
+     * Ask the measurer passed in by {@link ExpressionParser#evaluate} for the
+     * referenced shape's measurements and return the requested one.
+     *
+     * @param {Object.<string, number>} context - Variable context; carries the
+     *   shape measurer under a private key.
+     * @returns {number} The measurement, or {@code 0} if the shape cannot be
+     *   measured.
+     */
+    evaluate(context) {
+        const measurer = context[SHAPE_MEASURER];
+        const measurements = measurer ? measurer(this.reference) : null;
+        if (!measurements) {
+            console.warn(`Shape '${this.reference}' could not be measured, using 0`);
+            return 0;
+        }
+        return MEASUREMENT_FUNCTIONS[this.functionName](measurements);
+    }
+}
+
 /**
  * Composite (branch) node that represents a function invocation.  The node
  * stores the function name and an ordered array of argument AST nodes.  At
@@ -262,8 +339,8 @@ class FunctionCallNode extends ASTNode {
 export class ExpressionParser {
     /**
      * Initialise the parser.  The only instance state is the whitelist of
-     * recognised function names; everything else is local to each
-     * {@link ExpressionParser#parse} invocation.
+     * recognised function names and the shape measurer; everything else is
+     * local to each {@link ExpressionParser#parse} invocation.
      */
     constructor() {
         /**
@@ -272,7 +349,28 @@ export class ExpressionParser {
          * cause a parse-time error.
          * @type {string[]}
          */
-        this.supportedFunctions = ['sin', 'cos', 'sqrt', 'abs', 'min', 'max'];
+        this.supportedFunctions = ['sin', 'cos', 'sqrt', 'abs', 'min', 'max', ...Object.keys(MEASUREMENT_FUNCTIONS)];
+        /**
+         * Callback that measures a shape for {@link ShapeMeasureNode}: takes a
+         * lower-case shape reference and returns
+         * {@code {area, perimeter, centroid, secondMoments}}, or null if no
+         * shape matches.  Set by {@link SceneState} once its ShapeStore
+         * exists; while null every measurement evaluates to {@code 0}.
+         * @type {function(string): Object|null}
+         */
+        this.shapeMeasurer = null;
+    }
+
+    /**
+     * The name by which expressions refer to a shape: its ID without spaces
+     * or other characters an identifier cannot hold.  References are
+     * matched without regard to case.
+     *
+     * @param {string} shapeId - e.g. {@code "Rectangle 1"}
+     * @returns {string} e.g. {@code "Rectangle1"}
+     */
+    static shapeReference(shapeId) {
+        return String(shapeId).replace(/[^A-Za-z0-9_]/g, '');
     }
 
     /**
@@ -416,6 +514,12 @@ export class ExpressionParser {
                         throw new Error('Unmatched parenthesis in function call');
                     }
                     pos++; // consume ')'
+                    if (Object.hasOwn(MEASUREMENT_FUNCTIONS, identifier.toLowerCase())) {
+                        if (args.length !== 1 || !(args[0] instanceof ParameterRefNode)) {
+                            throw new Error(`${identifier}() requires a shape name, e.g. ${identifier}(Rectangle1)`);
+                        }
+                        return new ShapeMeasureNode(identifier, args[0].name);
+                    }
                     return new FunctionCallNode(identifier, args);
                 } else {
                     // Parameter reference
@@ -496,7 +600,9 @@ export class ExpressionParser {
      * Evaluate a previously compiled AST against a variable context.
      * This is the interpretation half of the Interpreter Pattern.  Because
      * the AST was already validated during parsing, evaluation is a pure
-     * recursive tree-walk with no string processing.
+     * recursive tree-walk with no string processing.  When a shape measurer
+     * is set it travels with the context so that measurement nodes can reach
+     * it without the AST holding on to the scene.
      *
      * Evaluate an AST with a context
      * @param {ASTNode} ast - The root node returned by {@link ExpressionParser#parse}.
@@ -510,6 +616,9 @@ export class ExpressionParser {
         if (!ast) {
             throw new Error('AST is required for evaluation');
         }
+        if (this.shapeMeasurer) {
+            return ast.evaluate({ ...context, [SHAPE_MEASURER]: this.shapeMeasurer });
+        }
         return ast.evaluate(context);
     }
 
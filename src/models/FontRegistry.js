@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Registry Pattern -- the fonts text shapes are drawn with,
+ * keyed by font ID.  The design mirrors {@link ShapeRegistry}: a private
+ * static Map holds every registered font, and fonts can be added at any time.
+ *
+ * Fonts are parsed locally from the file's bytes by
+ * {@link module:geometry/font.fontFromArrayBuffer}; nothing is sent anywhere.
+ * The bundled font (Lato Regular, SIL Open Font License, see fonts/OFL.txt)
+ * is fetched from the app's own fonts folder at startup.  Fonts the user
+ * loads are kept with their bytes, so a project that uses them can embed
+ * them and still draw its text when it is opened elsewhere.
+ *
+ * Font Registry - Registry Pattern for the fonts of text shapes
+ */
+import { fontFromArrayBuffer } from '../geometry/index.js';
+
+/**
+ * ID of the bundled font, used by text shapes that name no font or a font
+ * that is not loaded.
+ * @type {string}
+ */
+export const DEFAULT_FONT_ID = 'Lato';
+
+/**
+ * Location of the bundled font file, relative to index.html.
+ * @type {string}
+ */
+export const BUNDLED_FONT_URL = 'fonts/Lato-Regular.ttf';
+
+/**
+ * Encode bytes as base64 for project files.
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+const base64FromArrayBuffer = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so long fonts do not overflow the argument limit.
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+/**
+ * @param {string} base64
+ * @returns {ArrayBuffer}
+ */
+const arrayBufferFromBase64 = (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+};
+
+/**
+ * Static-only registry of parsed fonts.  All public methods are static; the
+ * class is never instantiated.
+ */
+export class FontRegistry {
+    // Private registry: Map<id, {font, buffer, bundled}>
+    static #fonts = new Map();
+
+    /**
+     * Parse a font file and register it.  A font registered again under the
+     * same ID replaces the earlier one.
+     * @param {ArrayBuffer} buffer - Bytes of a .ttf, .otf or .ttc file
+     * @param {string|null} [id=null] - Font ID; defaults to the font's full name
+     * @param {{bundled?: boolean}} [options] - Bundled fonts ship with the app and
+     *        are not embedded in project files
+     * @returns {string} The font ID
+     * @throws {Error} If the file is not a font the parser can read
+     */
+    static register(buffer, id = null, { bundled = false } = {}) {
+        const font = fontFromArrayBuffer(buffer);
+        const fontId = id || font.fullName;
+        this.#fonts.set(fontId, { font, buffer, bundled });
+        return fontId;
+    }
+
+    /**
+     * Get a parsed font
+     * @param {string} id
+     * @returns {import('../geometry/font.js').Font|null}
+     */
+    static get(id) {
+        return this.#fonts.get(id)?.font || null;
+    }
+
+    /**
+     * Check if a font is registered
+     * @param {string} id
+     * @returns {boolean}
+     */
+    static has(id) {
+        return this.#fonts.has(id);
+    }
+
+    /**
+     * Get the IDs of every registered font, bundled first
+     * @returns {Array<string>}
+     */
+    static getIds() {
+        const entries = Array.from(this.#fonts.entries());
+        return [
+            ...entries.filter(([, entry]) => entry.bundled),
+            ...entries.filter(([, entry]) => !entry.bundled)
+        ].map(([id]) => id);
+    }
+
+    /**
+     * Fetch and register the bundled font.  Safe to call more than once.
+     * @param {string} [url=BUNDLED_FONT_URL]
+     * @returns {Promise<string>} The bundled font's ID
+     */
+    static async loadBundled(url = BUNDLED_FONT_URL) {
+        if (this.has(DEFAULT_FONT_ID)) return DEFAULT_FONT_ID;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load font ${url}: ${response.status}`);
+        }
+        return this.register(await response.arrayBuffer(), DEFAULT_FONT_ID, { bundled: true });
+    }
+
+    /**
+     * Serialize user fonts for embedding in a project file.  Bundled and
+     * unknown IDs are skipped.
+     * @param {Array<string>} ids - Fonts the project uses
+     * @returns {Array<{id: string, data: string}>} Font bytes as base64
+     */
+    static toJSON(ids) {
+        return Array.from(new Set(ids))
+            .filter(id => this.#fonts.has(id) && !this.#fonts.get(id).bundled)
+            .map(id => ({ id, data: base64FromArrayBuffer(this.#fonts.get(id).buffer) }));
+    }
+
+    /**
+     * Register fonts embedded in a project file.  Fonts that are already
+     * registered are kept, and fonts that fail to parse are skipped.
+     * @param {Array<{id: string, data: string}>} json
+     */
+    static fromJSON(json) {
+        if (!Array.isArray(json)) return;
+        json.forEach(entry => {
+            if (!entry?.id || typeof entry.data !== 'string' || this.#fonts.has(entry.id)) return;
+            try {
+                this.register(arrayBufferFromBase64(entry.data), entry.id);
+            } catch (error) {
+                console.warn(`Failed to load embedded font ${entry.id}:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Material Model -- one entry of a project's material library.
+ *
+ * A material describes a sheet of stock: how thick it is, how much the
+ * cutter removes (kerf), the clearance joints need to fit (fit tolerance)
+ * the colour used to show it in the 3D assembly and, for routed stock, the
+ * corner relief its inside corners need.  Shapes and edge
+ * joinery refer to a material by {@link Material#id} instead of copying its
+ * numbers, so editing the material updates every part cut from it.
+ */
+
+/**
+ * Data model for a single stock material.
+ */
+export class Material {
+    /**
+     * @param {string} id                  - Unique identifier within the scene's
+     *   {@link MaterialStore}.  Stored on shapes as {@code materialId} and on
+     *   edge joinery entries.
+     * @param {string} name                - Human-readable name, e.g.
+     *   {@code "3mm birch ply"}.
+     * @param {number} [thicknessMm=3]     - Stock thickness in mm.  Used as the
+     *   tooth depth of joinery and the extrusion depth in the 3D assembly.
+     * @param {number} [kerfMm=0]          - Width of material the cutter removes
+     *   in mm.  Cut contours are offset by half of it on export.
+     * @param {string} [color='#d9b98c']   - CSS colour used for pieces in the
+     *   3D assembly.
+     * @param {number} [fitToleranceMm=0]  - Extra clearance in mm added to
+     *   female joinery (slots and holes) so mating teeth fit.
+     * @param {string|null} [reliefStyle=null] - Corner relief for parts cut
+     *   from this material: {@code 'none'}, {@code 'dogbone'} or
+     *   {@code 'tbone'}.  Null uses the project setting.
+     * @param {number} [toolDiameterMm=0] - Cutter diameter in mm the corner
+     *   relief is sized for.  Zero uses the project setting.
+     */
+    constructor(id, name, thicknessMm = 3, kerfMm = 0, color = '#d9b98c', fitToleranceMm = 0, reliefStyle = null, toolDiameterMm = 0) {
+        this.id = id;
+        this.name = name;
+        this.thicknessMm = thicknessMm;
+        this.kerfMm = kerfMm;
+        this.color = color;
+        this.fitToleranceMm = fitToleranceMm;
+        this.reliefStyle = reliefStyle;
+        this.toolDiameterMm = toolDiameterMm;
+    }
+
+    /**
+     * Create an independent copy of this material.
+     * @returns {Material}
+     */
+    clone() {
+        return Material.fromJSON(this.toJSON());
+    }
+
+    /**
+     * Serialize to JSON
+     * @returns {{id: string, name: string, thicknessMm: number, kerfMm: number, color: string, fitToleranceMm: number, reliefStyle: string|null, toolDiameterMm: number}}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            thicknessMm: this.thicknessMm,
+            kerfMm: this.kerfMm,
+            color: this.color,
+            fitToleranceMm: this.fitToleranceMm,
+            reliefStyle: this.reliefStyle,
+            toolDiameterMm: this.toolDiameterMm
+        };
+    }
+
+    /**
+     * Reconstruct a {@link Material} from a plain object previously produced
+     * by {@link Material#toJSON}.  Missing numeric fields fall back to the
+     * constructor defaults.
+     *
+     * @param {Object} json - A plain object with id, name, thicknessMm, kerfMm, color, fitToleranceMm,
+     *   reliefStyle, toolDiameterMm.
+     * @returns {Material}
+     */
+    static fromJSON(json) {
+        return new Material(
+            json.id,
+            json.name,
+            json.thicknessMm ?? undefined,
+            json.kerfMm ?? undefined,
+            json.color ?? undefined,
+            json.fitToleranceMm ?? undefined,
+            json.reliefStyle ?? undefined,
+            json.toolDiameterMm ?? undefined
+        );
+    }
+}
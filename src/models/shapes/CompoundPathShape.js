@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Compound path -- closed contours filled together with the even-odd rule,
+ * so an outline can carry any number of holes.
+ *
+ * Compound paths are what the boolean commands (union, difference, intersection of the
+ * selected shapes) leave on the canvas, and what scripted polygonWithHoles shapes and
+ * multi-contour boolean paths become.  Each contour is stored like a closed PathShape:
+ * its anchor points plus optional bezier handles, in world coordinates.  {@code position}
+ * is an offset added on top, which is how the canvas and the nester move the shape.
+ *
+ * A live compound path keeps the shapes it was combined from in {@code sources}, bindings
+ * included.  resolve() resolves those sources and recombines them, so the result follows
+ * any parameter that drives one of its inputs.  A baked compound path has no sources and
+ * its contours are plain data.
+ *
+ * toGeometryPath() returns a geometry Shape rather than a Path; the exporters, edge
+ * extraction and hit testing all accept either.
+ *
+ * @module models/shapes/CompoundPathShape
+ */
+
+import { Shape } from './Shape.js';
+import { PathShape } from './PathShape.js';
+import { cloneSource, sourceGeometry } from './sourceShapes.js';
+import {
+    Color as GeoColor,
+    Fill as GeoFill,
+    Shape as GeoShape,
+    Vec as GeoVec,
+    difference,
+    intersection,
+    styleContainsPoint,
+    union
+} from '../../geometry/index.js';
+
+const HIT_TEST_FILL = new GeoFill(new GeoColor(0, 0, 0, 1));
+
+/**
+ * Geometry functions for each boolean operation a compound path can be built with.
+ * @type {Object<string, Function>}
+ */
+export const BOOLEAN_OPERATIONS = { union, difference, intersection };
+
+/**
+ * Copy a contour so no point or handle object is shared.
+ * @param {{points: Array<{x: number, y: number}>, handles: Array|null}} contour
+ */
+const cloneContour = (contour) => ({
+    points: contour.points.map((p) => ({ x: p.x, y: p.y })),
+    handles: contour.handles ? contour.handles.map((h) => ({
+        handleIn: h?.handleIn ? { x: h.handleIn.x, y: h.handleIn.y } : null,
+        handleOut: h?.handleOut ? { x: h.handleOut.x, y: h.handleOut.y } : null
+    })) : null
+});
+
+/**
+ * Closed contours with holes, optionally recomputed from the shapes they were combined from.
+ *
+ * Bindable properties: {@code strokeWidth}.
+ *
+ * @extends Shape
+ */
+export class CompoundPathShape extends Shape {
+    /**
+     * @param {string} id
+     * @param {{x: number, y: number}} [position={x:0,y:0}] - Offset added to every contour
+     * @param {Array<{points: Array<{x: number, y: number}>, handles: Array|null}>} [contours=[]] -
+     *        Closed contours; outlines and holes are told apart by the even-odd rule
+     * @param {number} [strokeWidth=1]
+     * @param {string|null} [booleanOp=null] - 'union', 'difference' or 'intersection'
+     * @param {boolean} [live=false] - Recompute the contours from sources on resolve
+     * @param {Shape[]} [sources=[]] - Model shapes combined into this one, first is the subject
+     */
+    constructor(id, position = { x: 0, y: 0 }, contours = [], strokeWidth = 1, booleanOp = null, live = false, sources = []) {
+        super(id, 'compoundpath', position);
+        this.contours = contours.map(cloneContour);
+        this.strokeWidth = strokeWidth;
+        this.booleanOp = booleanOp;
+        this.live = live;
+        this.sources = sources;
+    }
+
+    getBindableProperties() {
+        return ['strokeWidth'];
+    }
+
+    /**
+     * Resolve bindings and, for a live compound path, recombine its resolved sources.
+     * The last result is cached so an unchanged scene does not redo the boolean work
+     * every frame.
+     * @param {ParameterStore} parameterStore
+     * @param {BindingResolver} bindingResolver
+     * @returns {CompoundPathShape}
+     */
+    resolve(parameterStore, bindingResolver) {
+        const resolved = super.resolve(parameterStore, bindingResolver);
+        if (!this.live || this.sources.length === 0) return resolved;
+
+        const inputs = this.sources.map((source) => source.resolve(parameterStore, bindingResolver));
+        // toJSON() leaves bound properties out, so their resolved values join the key
+        const key = JSON.stringify(inputs.map((input) => [
+            input.toJSON(),
+            input.getBindableProperties().map((property) => input[property])
+        ]));
+        if (this._liveCache?.key !== key) {
+            this._liveCache = { key, contours: CompoundPathShape.combine(inputs, this.booleanOp) };
+        }
+        resolved.contours = this._liveCache.contours.map(cloneContour);
+        return resolved;
+    }
+
+    /**
+     * Replace the contours with the boolean combination of the sources.
+     * @param {BindingResolver|null} [bindingResolver=null] - Resolves source bindings first
+     * @returns {CompoundPathShape} this
+     */
+    recompute(bindingResolver = null) {
+        const inputs = bindingResolver
+            ? this.sources.map((source) => bindingResolver.resolveShape(source))
+            : this.sources;
+        this.contours = CompoundPathShape.combine(inputs, this.booleanOp);
+        this._liveCache = null;
+        return this;
+    }
+
+    getBounds() {
+        const box = this.toGeometryPath().tightBoundingBox();
+        if (!box) {
+            return { x: this.position.x, y: this.position.y, width: 0, height: 0 };
+        }
+        return {
+            x: box.min.x,
+            y: box.min.y,
+            width: box.width(),
+            height: box.height()
+        };
+    }
+
+    containsPoint(x, y) {
+        const shape = this.toGeometryPath();
+        shape.assignFill(HIT_TEST_FILL);
+        return styleContainsPoint(shape, new GeoVec(x, y));
+    }
+
+    /**
+     * Tint the area with the even-odd rule, so holes stay clear whatever their winding,
+     * then stroke every contour.
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    render(ctx) {
+        const shape = this.toGeometryPath();
+        ctx.save();
+        ctx.beginPath();
+        shape.toCanvasPath(ctx);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
+        ctx.fill('evenodd');
+        ctx.lineWidth = this.strokeWidth;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = '#000';
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    clone() {
+        const cloned = new CompoundPathShape(
+            this.id,
+            { ...this.position },
+            this.contours,
+            this.strokeWidth,
+            this.booleanOp,
+            this.live,
+            this.sources.map(cloneSource)
+        );
+        this.getBindableProperties().forEach((property) => {
+            if (this.bindings[property]) {
+                cloned.setBinding(property, this.bindings[property]);
+            }
+        });
+        return cloned;
+    }
+
+    /**
+     * Build the contours as one geometry Shape, offset by position.
+     * @returns {GeoShape}
+     */
+    toGeometryPath() {
+        const shape = new GeoShape(this.contours.map((contour) =>
+            PathShape.buildGeometryPath(contour.points, true, null, false, contour.handles)
+        ));
+        if (this.position.x || this.position.y) {
+            shape.transform({ position: new GeoVec(this.position.x, this.position.y) });
+        }
+        return shape;
+    }
+
+    toJSON() {
+        const json = super.toJSON();
+        json.contours = this.contours.map(cloneContour);
+        json.strokeWidth = this.strokeWidth;
+        if (this.booleanOp) {
+            json.booleanOp = this.booleanOp;
+        }
+        if (this.live) {
+            json.live = true;
+            json.sources = this.sources.map((source) => source.toJSON());
+        }
+        return json;
+    }
+
+    /**
+     * @param {Object} json
+     * @param {Function|null} [sourceFromJSON=null] - Restores each serialized source
+     *        (ShapeRegistry.fromJSON); without it a live compound path loads baked
+     * @returns {CompoundPathShape}
+     */
+    static fromJSON(json, sourceFromJSON = null) {
+        const sources = sourceFromJSON && Array.isArray(json.sources)
+            ? json.sources.map(sourceFromJSON)
+            : [];
+        return new CompoundPathShape(
+            json.id,
+            json.position || { x: 0, y: 0 },
+            (json.contours || []).filter((contour) => Array.isArray(contour?.points)),
+            json.strokeWidth || 1,
+            json.booleanOp || null,
+            Boolean(json.live) && sources.length > 0,
+            sources
+        );
+    }
+
+    /**
+     * Combine resolved model shapes with a boolean operation.  Open outlines take no part.
+     * @param {Shape[]} shapes - Resolved model shapes, first is the subject of a difference
+     * @param {string} booleanOp - 'union', 'difference' or 'intersection'
+     * @returns {Array<{points: Array<{x: number, y: number}>, handles: Array|null}>}
+     */
+    static combine(shapes, booleanOp) {
+        const operation = BOOLEAN_OPERATIONS[booleanOp];
+        if (!operation) {
+            throw new Error(`Unknown boolean operation: "${booleanOp}"`);
+        }
+        const geometries = shapes.map(sourceGeometry).filter(Boolean);
+        return operation(geometries).paths.map((path) => CompoundPathShape.contourFromGeometryPath(path));
+    }
+
+    /**
+     * Convert a closed geometry Path to a stored contour, keeping its bezier handles.
+     * @param {import('../../geometry/Path.js').Path} path
+     * @returns {{points: Array<{x: number, y: number}>, handles: Array|null}}
+     */
+    static contourFromGeometryPath(path) {
+        const toHandle = (v) => (v && !v.isZero() ? { x: v.x, y: v.y } : null);
+        const handles = path.anchors.map((a) => ({
+            handleIn: toHandle(a.handleIn),
+            handleOut: toHandle(a.handleOut)
+        }));
+        return {
+            points: path.anchors.map((a) => ({ x: a.position.x, y: a.position.y })),
+            handles: handles.some((h) => h.handleIn || h.handleOut) ? handles : null
+        };
+    }
+}
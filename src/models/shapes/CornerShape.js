@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Corner shape -- another shape with some of its corners filleted or chamfered.
+ *
+ * The fillet and chamfer commands wrap the shape whose corners were picked on the canvas
+ * instead of baking the result, so the corner size stays a bindable property: bind
+ * {@code radius} to a parameter and every treated corner follows the slider.  The wrapped
+ * shape is kept in {@code source}, bindings included, and is resolved along with this one.
+ *
+ * Corners are addressed like edges in edge-selection mode: {@code pathIndex} counts the
+ * paths of the source's geometry and {@code index} the anchors of that path.  The work is
+ * done by filletCorners() / chamferCorners() in geometry/fillet.js; {@code position} is an
+ * offset added on top, which is how the canvas and the nester move the shape.
+ *
+ * @module models/shapes/CornerShape
+ */
+
+import { Shape } from './Shape.js';
+import { cloneSource, sourceGeometry } from './sourceShapes.js';
+import {
+    Color as GeoColor,
+    Fill as GeoFill,
+    Stroke as GeoStroke,
+    Vec as GeoVec,
+    chamferCorners,
+    filletCorners,
+    styleContainsPoint
+} from '../../geometry/index.js';
+
+const HIT_TEST_FILL = new GeoFill(new GeoColor(0, 0, 0, 1));
+const HIT_TEST_STROKE = new GeoStroke(new GeoColor(0, 0, 0, 1), false, 6, 'centered', 'round', 'round', 4);
+
+/**
+ * Geometry functions for each corner style.
+ * @type {Object<string, Function>}
+ */
+export const CORNER_STYLES = { fillet: filletCorners, chamfer: chamferCorners };
+
+/**
+ * A source shape with filleted or chamfered corners.
+ *
+ * Bindable properties: {@code radius} (the fillet radius, or the chamfer's setback along
+ * each edge).
+ *
+ * @extends Shape
+ */
+export class CornerShape extends Shape {
+    /**
+     * @param {string} id
+     * @param {{x: number, y: number}} [position={x:0,y:0}] - Offset added to the result
+     * @param {Shape|null} [source=null] - Model shape whose corners are treated
+     * @param {Array<{pathIndex: number, index: number}>} [corners=[]] - Corners to treat
+     * @param {string} [style='fillet'] - 'fillet' or 'chamfer'
+     * @param {number} [radius=5] - Fillet radius or chamfer distance in mm
+     */
+    constructor(id, position = { x: 0, y: 0 }, source = null, corners = [], style = 'fillet', radius = 5) {
+        super(id, 'corners', position);
+        if (!CORNER_STYLES[style]) {
+            throw new Error(`Unknown corner style: "${style}"`);
+        }
+        this.source = source;
+        this.corners = corners.map((corner) => ({ pathIndex: corner.pathIndex ?? 0, index: corner.index }));
+        this.style = style;
+        this.radius = radius;
+    }
+
+    getBindableProperties() {
+        return ['radius'];
+    }
+
+    /**
+     * Whether the source outline is closed, so the result can be filled.
+     * @returns {boolean}
+     */
+    get closed() {
+        const geometry = this.source ? sourceGeometry(this.source) : null;
+        return Boolean(geometry) && geometry.allPaths().every((path) => path.closed);
+    }
+
+    /**
+     * Resolve this shape's bindings and the source's.
+     * @param {ParameterStore} parameterStore
+     * @param {BindingResolver} bindingResolver
+     * @returns {CornerShape}
+     */
+    resolve(parameterStore, bindingResolver) {
+        const resolved = super.resolve(parameterStore, bindingResolver);
+        if (this.source) {
+            resolved.source = this.source.resolve(parameterStore, bindingResolver);
+        }
+        return resolved;
+    }
+
+    getBounds() {
+        const geometry = this.toGeometryPath();
+        const box = geometry ? geometry.tightBoundingBox() : null;
+        if (!box) {
+            return { x: this.position.x, y: this.position.y, width: 0, height: 0 };
+        }
+        return {
+            x: box.min.x,
+            y: box.min.y,
+            width: box.width(),
+            height: box.height()
+        };
+    }
+
+    containsPoint(x, y) {
+        const geometry = this.toGeometryPath();
+        if (!geometry) return false;
+        if (this.closed) {
+            geometry.assignFill(HIT_TEST_FILL);
+        } else {
+            geometry.assignStroke(HIT_TEST_STROKE);
+        }
+        return styleContainsPoint(geometry, new GeoVec(x, y));
+    }
+
+    render(ctx) {
+        const geometry = this.toGeometryPath();
+        if (!geometry) return;
+        ctx.save();
+        ctx.beginPath();
+        geometry.toCanvasPath(ctx);
+        ctx.lineWidth = this.source?.strokeWidth || 1;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = '#000';
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    clone() {
+        const cloned = new CornerShape(
+            this.id,
+            { ...this.position },
+            this.source ? cloneSource(this.source) : null,
+            this.corners,
+            this.style,
+            this.radius
+        );
+        this.getBindableProperties().forEach((property) => {
+            if (this.bindings[property]) {
+                cloned.setBinding(property, this.bindings[property]);
+            }
+        });
+        return cloned;
+    }
+
+    /**
+     * The source's geometry, rotated as drawn, with the corners treated and offset by
+     * position.  Call on a resolved shape so the source's bindings are applied.
+     * @returns {import('../../geometry/Geometry.js').Geometry|null}
+     */
+    toGeometryPath() {
+        const geometry = this.source ? sourceGeometry(this.source) : null;
+        if (!geometry) return null;
+        const result = CORNER_STYLES[this.style](geometry, this.corners, Number(this.radius) || 0);
+        if (this.position.x || this.position.y) {
+            result.transform({ position: new GeoVec(this.position.x, this.position.y) });
+        }
+        return result;
+    }
+
+    toJSON() {
+        const json = super.toJSON();
+        json.source = this.source ? this.source.toJSON() : null;
+        json.corners = this.corners.map((corner) => ({ ...corner }));
+        json.style = this.style;
+        return json;
+    }
+
+    /**
+     * @param {Object} json
+     * @param {Function} sourceFromJSON - Restores the serialized source (ShapeRegistry.fromJSON)
+     * @returns {CornerShape}
+     */
+    static fromJSON(json, sourceFromJSON) {
+        return new CornerShape(
+            json.id,
+            json.position || { x: 0, y: 0 },
+            json.source ? sourceFromJSON(json.source) : null,
+            (json.corners || []).filter((corner) => Number.isInteger(corner?.index)),
+            json.style || 'fillet',
+            json.radius ?? 5
+        );
+    }
+}
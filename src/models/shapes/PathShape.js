@@ -271,6 +271,33 @@ export class PathShape extends Shape {
         );
     }
 
+    /**
+     * Create a PathShape from a geometry Path, keeping its bezier handles.
+     * @param {string} id
+     * @param {GeoPath} path - Geometry path in world coordinates
+     * @param {number} strokeWidth
+     * @returns {PathShape}
+     */
+    static fromGeometryPath(id, path, strokeWidth = 1) {
+        const points = path.anchors.map((a) => ({ x: a.position.x, y: a.position.y }));
+        const toHandle = (v) => (v && !v.isZero() ? { x: v.x, y: v.y } : null);
+        const handles = path.anchors.map((a) => ({
+            handleIn: toHandle(a.handleIn),
+            handleOut: toHandle(a.handleOut)
+        }));
+        const hasHandles = handles.some((h) => h.handleIn || h.handleOut);
+        return new PathShape(
+            id,
+            { x: 0, y: 0 },
+            points,
+            strokeWidth,
+            path.closed,
+            null,
+            false,
+            hasHandles ? handles : null
+        );
+    }
+
     static buildGeometryPath(points, closed, curveSegments, smooth = false, customHandles = null) {
         if (!points || points.length === 0) {
             return new GeoPath([]);
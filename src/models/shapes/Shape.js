@@ -78,6 +78,27 @@ export class Shape {
          * Properties absent from this map retain their literal (hard-coded) values.
          */
         this.bindings = {}; // Map of property name to Binding object
+        /**
+         * @type {string}
+         * Fabrication operation applied to this shape when the scene is written to a cut
+         * file: 'cut', 'score' or 'engrave'.  Not bindable -- it selects an output layer
+         * rather than driving geometry.
+         */
+        this.operation = 'cut';
+        /**
+         * @type {string|null}
+         * ID of the material (see MaterialStore) this shape is cut from, or null.  The
+         * material supplies the export kerf and the thickness and colour of the shape's
+         * piece in the 3D assembly.  Not bindable.
+         */
+        this.materialId = null;
+        /**
+         * @type {Array<{pathIndex: number, index: number, time: number}>}
+         * Holding tabs placed by hand, each at a time (0-1) along one edge of the shape's
+         * geometry path.  Tabs are only applied to exported cut paths; the shape's own
+         * geometry never includes them.  Not bindable.
+         */
+        this.holdingTabs = [];
     }
     
     /**
@@ -153,6 +174,9 @@ export class Shape {
         if (typeof this.rotation === 'number') {
             resolved.rotation = this.rotation;
         }
+        resolved.operation = this.operation;
+        resolved.materialId = this.materialId;
+        resolved.holdingTabs = this.holdingTabs.map(tab => ({ ...tab }));
         
         return resolved;
     }
@@ -289,7 +313,9 @@ export class Shape {
      * localStorage or exporting as a .otto project file.
      *
      * Serialization strategy:
-     *   - Always writes: id, type, position (the structural skeleton).
+     *   - Always writes: id, type, position, operation (the structural skeleton), plus
+     *     rotation when the shape has been rotated, materialId when a material is set and
+     *     holdingTabs when tabs have been placed.
      *   - Bindings object: for every property that currently has an active Binding,
      *     serializes the Binding itself via Binding.toJSON().  The Binding JSON contains
      *     the parameter id, expression, min/max overrides, etc.
@@ -308,8 +334,18 @@ export class Shape {
             id: this.id,
             type: this.type,
             position: { ...this.position },
+            operation: this.operation,
             bindings: {}
         };
+        if (typeof this.rotation === 'number' && this.rotation !== 0) {
+            json.rotation = this.rotation;
+        }
+        if (this.materialId) {
+            json.materialId = this.materialId;
+        }
+        if (this.holdingTabs.length > 0) {
+            json.holdingTabs = this.holdingTabs.map(tab => ({ ...tab }));
+        }
 
         // Serialize bindings
         Object.keys(this.bindings).forEach(property => {
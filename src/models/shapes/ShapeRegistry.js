@@ -11,6 +11,8 @@ import { Circle } from './Circle.js';
 import { Line } from './Line.js';
 import { Rectangle } from './Rectangle.js';
 import { PathShape } from './PathShape.js';
+import { CompoundPathShape } from './CompoundPathShape.js';
+import { CornerShape } from './CornerShape.js';
 import { Polygon } from './Polygon.js';
 import { Star } from './Star.js';
 import { Triangle } from './Triangle.js';
@@ -25,6 +27,8 @@ import { Wave } from './Wave.js';
 import { Slot } from './Slot.js';
 import { Arrow } from './Arrow.js';
 import { ChamferRectangle } from './ChamferRectangle.js';
+import { Text } from './Text.js';
+import { DEFAULT_FONT_ID } from '../FontRegistry.js';
 import { createBindingFromJSON } from '../BindingRegistry.js';
 
 /**
@@ -91,11 +95,41 @@ export class ShapeRegistry {
                 position,
                 options.points || [],
                 options.strokeWidth || 2,
-                options.closed || false
+                options.closed || false,
+                null,
+                false,
+                options.handles || null
             ),
             PathShape.fromJSON
         );
 
+        // Register CompoundPath (contours with holes, e.g. boolean results)
+        this.register('compoundpath',
+            (id, position, options) => new CompoundPathShape(
+                id,
+                position,
+                options.contours || [],
+                options.strokeWidth || 1,
+                options.booleanOp || null,
+                options.live || false,
+                options.sources || []
+            ),
+            (json) => CompoundPathShape.fromJSON(json, (source) => this.fromJSON(source))
+        );
+
+        // Register Corners (another shape with filleted or chamfered corners)
+        this.register('corners',
+            (id, position, options) => new CornerShape(
+                id,
+                position,
+                options.source || null,
+                options.corners || [],
+                options.style || 'fillet',
+                options.radius ?? 5
+            ),
+            (json) => CornerShape.fromJSON(json, (source) => this.fromJSON(source))
+        );
+
         // Register Polygon
         this.register('polygon',
             (id, position, options) => new Polygon(
@@ -285,6 +319,23 @@ export class ShapeRegistry {
             ),
             ChamferRectangle.fromJSON
         );
+
+        // Register Text
+        this.register('text',
+            (id, position, options) => new Text(
+                id,
+                position,
+                options.x ?? position.x ?? 0,
+                options.y ?? position.y ?? 0,
+                options.text ?? 'Text',
+                options.fontSize || 10,
+                options.letterSpacing || 0,
+                options.lineHeight ?? 1,
+                options.align || 'left',
+                options.fontId || DEFAULT_FONT_ID
+            ),
+            Text.fromJSON
+        );
     }
     
     /**
@@ -391,6 +442,18 @@ export class ShapeRegistry {
 
         // Use registered fromJSON method
         const shape = entry.fromJSON(json);
+        if (json.operation) {
+            shape.operation = json.operation;
+        }
+        if (typeof json.rotation === 'number') {
+            shape.rotation = json.rotation;
+        }
+        if (json.materialId) {
+            shape.materialId = json.materialId;
+        }
+        if (Array.isArray(json.holdingTabs)) {
+            shape.holdingTabs = json.holdingTabs.map(tab => ({ ...tab }));
+        }
 
         // Restore bindings (common for all shapes)
         if (json.bindings) {
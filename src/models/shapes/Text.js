@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Text -- a string drawn as the real glyph outlines of a font, so it can be
+ * cut, scored or engraved like any other outline and combined in booleans.
+ *
+ * (x, y) is on the baseline of the first line: the left end of each line, its middle or
+ * its right end, depending on {@code align}.  Lines are split on newlines and stacked by
+ * the font's line spacing times {@code lineHeight}.  {@code fontSize} is the em size in mm,
+ * and {@code letterSpacing} is added after every character.
+ *
+ * The font comes from {@link FontRegistry} by {@code fontId}; a text whose font is not
+ * loaded uses the bundled font.  Until any font has loaded (the bundled font is fetched at
+ * startup) the text has no outlines and is drawn as a grey canvas-text placeholder.
+ *
+ * {@code text} is bindable like the numeric properties.  A bound text shows its
+ * parameter's value, which suits serial numbers and dimension labels; see
+ * {@link Text.displayText}.
+ *
+ * toGeometryPath() returns a geometry Shape whose contours combine with the even-odd rule,
+ * like CompoundPathShape, so the counters of letters such as "o" stay holes.
+ *
+ * @module models/shapes/Text
+ */
+
+import { Shape } from './Shape.js';
+import { DEFAULT_FONT_ID, FontRegistry } from '../FontRegistry.js';
+import {
+    Color as GeoColor,
+    Fill as GeoFill,
+    Shape as GeoShape,
+    Vec as GeoVec,
+    styleContainsPoint,
+    textGeometry
+} from '../../geometry/index.js';
+
+const HIT_TEST_FILL = new GeoFill(new GeoColor(0, 0, 0, 1));
+
+/** Text alignments relative to x. */
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+/** Most laid-out texts kept by the outline cache. */
+const LAYOUT_CACHE_SIZE = 64;
+
+/**
+ * Laid-out outlines at the origin, keyed by font ID and layout, with the font they were
+ * laid out with so a font loaded again under the same ID is not served stale outlines.
+ * Shapes are resolved (cloned) every frame, so the cache lives here rather than on the
+ * instance.
+ * @type {Map<string, {font: Object, shape: GeoShape}>}
+ */
+const layoutCache = new Map();
+
+/**
+ * Text shape drawn with glyph outlines.
+ *
+ * Bindable properties: {@code x}, {@code y}, {@code text}, {@code fontSize},
+ * {@code letterSpacing}, {@code lineHeight}.
+ *
+ * @extends Shape
+ */
+export class Text extends Shape {
+    /**
+     * @param {string} id
+     * @param {{x: number, y: number}} [position={x:0,y:0}]
+     * @param {number} [x=0] - Baseline anchor of the first line
+     * @param {number} [y=0]
+     * @param {string} [text='Text']
+     * @param {number} [fontSize=10] - Em size in mm
+     * @param {number} [letterSpacing=0] - Extra space after every character in mm
+     * @param {number} [lineHeight=1] - Multiple of the font's line spacing
+     * @param {string} [align='left'] - 'left', 'center' or 'right'
+     * @param {string} [fontId=DEFAULT_FONT_ID] - Font in {@link FontRegistry}
+     */
+    constructor(id, position = { x: 0, y: 0 }, x = 0, y = 0, text = 'Text', fontSize = 10, letterSpacing = 0,
+        lineHeight = 1, align = 'left', fontId = DEFAULT_FONT_ID) {
+        super(id, 'text', position);
+        this.x = x;
+        this.y = y;
+        this.text = text;
+        this.fontSize = fontSize;
+        this.letterSpacing = letterSpacing;
+        this.lineHeight = lineHeight;
+        this.align = TEXT_ALIGNMENTS.includes(align) ? align : 'left';
+        this.fontId = fontId || DEFAULT_FONT_ID;
+    }
+
+    getBindableProperties() {
+        return ['x', 'y', 'text', 'fontSize', 'letterSpacing', 'lineHeight'];
+    }
+
+    /**
+     * The font the text is drawn with: its own, else the bundled one.
+     * @returns {import('../../geometry/font.js').Font|null} Null until a font has loaded
+     */
+    getFont() {
+        return FontRegistry.get(this.fontId) || FontRegistry.get(DEFAULT_FONT_ID);
+    }
+
+    getBounds() {
+        const box = this.getFont() ? this.toGeometryPath().tightBoundingBox() : null;
+        if (!box) {
+            return this.estimateBounds();
+        }
+        return {
+            x: box.min.x,
+            y: box.min.y,
+            width: box.width(),
+            height: box.height()
+        };
+    }
+
+    /**
+     * Rough bounds for the placeholder drawn before a font has loaded.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    estimateBounds() {
+        const lines = Text.displayText(this.text).split('\n');
+        const width = Math.max(...lines.map(line => line.length)) * this.fontSize * 0.6;
+        const shift = this.align === 'center' ? width / 2 : this.align === 'right' ? width : 0;
+        return {
+            x: this.x - shift,
+            y: this.y - this.fontSize * 0.8,
+            width,
+            height: this.fontSize * lines.length * 1.2
+        };
+    }
+
+    containsPoint(x, y) {
+        if (!this.getFont()) {
+            const bounds = this.estimateBounds();
+            return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+        }
+        const shape = this.toGeometryPath();
+        shape.assignFill(HIT_TEST_FILL);
+        return styleContainsPoint(shape, new GeoVec(x, y));
+    }
+
+    /**
+     * Tint the glyphs with the even-odd rule so counters stay clear, then stroke their
+     * outlines.  Without a font, draw the string with canvas text as a placeholder.
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    render(ctx) {
+        if (!this.getFont()) {
+            ctx.save();
+            ctx.font = `${this.fontSize}px sans-serif`;
+            ctx.textAlign = this.align;
+            ctx.fillStyle = '#999';
+            Text.displayText(this.text).split('\n').forEach((line, i) => {
+                ctx.fillText(line, this.x, this.y + i * this.fontSize * 1.2);
+            });
+            ctx.restore();
+            return;
+        }
+        const shape = this.toGeometryPath();
+        ctx.save();
+        ctx.beginPath();
+        shape.toCanvasPath(ctx);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
+        ctx.fill('evenodd');
+        ctx.restore();
+        ctx.stroke();
+    }
+
+    clone() {
+        const t = new Text(this.id, { ...this.position }, this.x, this.y, this.text, this.fontSize,
+            this.letterSpacing, this.lineHeight, this.align, this.fontId);
+        this.getBindableProperties().forEach(property => {
+            if (this.bindings[property]) {
+                t.setBinding(property, this.bindings[property]);
+            }
+        });
+        return t;
+    }
+
+    /**
+     * Lay out the glyph outlines, positioned at (x, y).  Empty until a font has loaded.
+     * @returns {GeoShape}
+     */
+    toGeometryPath() {
+        const font = this.getFont();
+        if (!font) return new GeoShape();
+
+        const fontId = FontRegistry.get(this.fontId) ? this.fontId : DEFAULT_FONT_ID;
+        const text = Text.displayText(this.text);
+        const options = {
+            size: Math.max(0, Number(this.fontSize) || 0),
+            letterSpacing: Number(this.letterSpacing) || 0,
+            lineHeight: Number.isFinite(Number(this.lineHeight)) ? Number(this.lineHeight) : 1,
+            align: this.align
+        };
+        const key = JSON.stringify([fontId, text, options]);
+        let laidOut = layoutCache.get(key);
+        if (laidOut && laidOut.font !== font) laidOut = null;
+        if (!laidOut) {
+            laidOut = { font, shape: textGeometry(font, text, options) };
+            if (layoutCache.size >= LAYOUT_CACHE_SIZE) {
+                layoutCache.delete(layoutCache.keys().next().value);
+            }
+            layoutCache.set(key, laidOut);
+        }
+
+        const shape = laidOut.shape.clone();
+        if (this.x || this.y) {
+            shape.transform({ position: new GeoVec(this.x, this.y) });
+        }
+        return shape;
+    }
+
+    toJSON() {
+        const json = super.toJSON();
+        json.align = this.align;
+        json.fontId = this.fontId;
+        return json;
+    }
+
+    static fromJSON(json) {
+        return new Text(
+            json.id,
+            json.position || { x: 0, y: 0 },
+            json.x || 0,
+            json.y || 0,
+            json.text ?? 'Text',
+            json.fontSize || 10,
+            json.letterSpacing || 0,
+            json.lineHeight ?? 1,
+            json.align || 'left',
+            json.fontId || DEFAULT_FONT_ID
+        );
+    }
+
+    /**
+     * The string a text value stands for.  Bindings resolve to numbers, which are shown
+     * rounded to at most three decimals.
+     * @param {string|number} value
+     * @returns {string}
+     */
+    static displayText(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? String(Number(value.toFixed(3))) : '';
+        }
+        return value == null ? '' : String(value);
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Helpers for shapes built from other shapes.
+ *
+ * A compound path keeps the shapes it was combined from and a corner shape keeps the
+ * shape whose corners it rounds.  Both resolve those sources each frame and work on
+ * their geometry, which has to include the source's rotation because the canvas
+ * applies rotation outside toGeometryPath().
+ *
+ * @module models/shapes/sourceShapes
+ */
+
+import { Vec as GeoVec } from '../../geometry/index.js';
+
+/**
+ * Copy a source shape.  clone() does not carry rotation, which the source's geometry needs.
+ * @param {import('./Shape.js').Shape} shape
+ * @returns {import('./Shape.js').Shape}
+ */
+export const cloneSource = (shape) => {
+    const cloned = shape.clone();
+    if (typeof shape.rotation === 'number') {
+        cloned.rotation = shape.rotation;
+    }
+    return cloned;
+};
+
+/**
+ * Geometry of a resolved model shape in world coordinates, rotated about the centre of
+ * its bounds as the canvas draws it.
+ * @param {import('./Shape.js').Shape} shape - Resolved model shape
+ * @returns {import('../../geometry/Geometry.js').Geometry|null}
+ */
+export const sourceGeometry = (shape) => {
+    const geometry = typeof shape.toGeometryPath === 'function' ? shape.toGeometryPath() : null;
+    if (!geometry) return null;
+    const rotation = Number(shape.rotation || 0);
+    if (rotation) {
+        const bounds = shape.getBounds();
+        const center = new GeoVec(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+        geometry.transform({ position: center, rotation, origin: center });
+    }
+    return geometry;
+};
@@ -3,7 +3,10 @@
  */
 
 import { Circle } from '../Circle.js';
+import { CompoundPathShape } from '../CompoundPathShape.js';
+import { CornerShape } from '../CornerShape.js';
 import { Rectangle } from '../Rectangle.js';
+import { Text } from '../Text.js';
 
 let testCount = 0;
 let passCount = 0;
@@ -32,6 +35,64 @@ test('Rectangle.getBounds uses geometry path', (() => {
     return b.x === 10 && b.y === 20 && b.width === 30 && b.height === 40;
 })());
 
+test('CompoundPathShape.recompute combines its sources into outline and hole', (() => {
+    const sources = [
+        new Rectangle('r3', { x: 0, y: 0 }, 0, 0, 40, 40),
+        new Circle('c3', { x: 0, y: 0 }, 20, 20, 10)
+    ];
+    const shape = new CompoundPathShape('cp1', { x: 0, y: 0 }, [], 1, 'difference', false, sources).recompute();
+    const b = shape.getBounds();
+    return shape.contours.length === 2 && shape.contours[1].handles !== null &&
+        b.x === 0 && b.y === 0 && b.width === 40 && b.height === 40;
+})());
+
+test('CompoundPathShape keeps contours and offset through JSON', (() => {
+    const contour = { points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }], handles: null };
+    const shape = new CompoundPathShape('cp2', { x: 5, y: 0 }, [contour]);
+    const restored = CompoundPathShape.fromJSON(JSON.parse(JSON.stringify(shape.toJSON())));
+    const b = restored.getBounds();
+    return restored.contours.length === 1 && b.x === 5 && b.width === 10 && b.height === 10;
+})());
+
+test('CornerShape fillets only the chosen corners of its source', (() => {
+    const source = new Rectangle('r4', { x: 0, y: 0 }, 0, 0, 40, 20);
+    const shape = new CornerShape('k1', { x: 0, y: 0 }, source, [{ pathIndex: 0, index: 0 }, { pathIndex: 0, index: 2 }], 'fillet', 5);
+    const anchors = shape.toGeometryPath().anchors;
+    const b = shape.getBounds();
+    const near = (a, c) => Math.abs(a - c) < 1e-9;
+    return anchors.length === 6 && shape.getBindableProperties().includes('radius') && shape.closed &&
+        near(b.x, 0) && near(b.y, 0) && near(b.width, 40) && near(b.height, 20);
+})());
+
+test('CornerShape keeps its source and corners through JSON', (() => {
+    const source = new Rectangle('r5', { x: 0, y: 0 }, 0, 0, 10, 10);
+    const shape = new CornerShape('k2', { x: 0, y: 0 }, source, [{ pathIndex: 0, index: 1 }], 'chamfer', 2);
+    const restored = CornerShape.fromJSON(JSON.parse(JSON.stringify(shape.toJSON())),
+        (json) => Rectangle.fromJSON(json));
+    return restored.style === 'chamfer' && restored.radius === 2 && restored.corners.length === 1 &&
+        restored.toGeometryPath().anchors.length === 5;
+})());
+
+test('Text keeps its string, alignment and font through JSON', (() => {
+    const shape = new Text('t1', { x: 0, y: 0 }, 5, 10, 'A\nB', 8, 0.5, 1.2, 'right', 'Custom');
+    const restored = Text.fromJSON(JSON.parse(JSON.stringify(shape.toJSON())));
+    return restored.text === 'A\nB' && restored.fontSize === 8 && restored.letterSpacing === 0.5 &&
+        restored.lineHeight === 1.2 && restored.align === 'right' && restored.fontId === 'Custom' &&
+        shape.getBindableProperties().includes('text');
+})());
+
+test('Text without a loaded font has no outlines and estimated bounds', (() => {
+    const shape = new Text('t2', { x: 0, y: 0 }, 0, 10, 'Hello', 10);
+    const b = shape.getBounds();
+    return shape.toGeometryPath().allPaths().length === 0 &&
+        b.x === 0 && b.y < 10 && b.width > 0 && b.height > 0;
+})());
+
+test('Text.displayText shows bound numbers rounded', (() => {
+    return Text.displayText(12) === '12' && Text.displayText(1 / 3) === '0.333' &&
+        Text.displayText(null) === '' && Text.displayText('No. 7') === 'No. 7';
+})());
+
 if (typeof document !== 'undefined') {
     test('Circle.containsPoint uses geometry hit testing', (() => {
         const c = new Circle('c2', { x: 0, y: 0 }, 0, 0, 10);
@@ -42,6 +103,15 @@ if (typeof document !== 'undefined') {
         const r = new Rectangle('r2', { x: 0, y: 0 }, 0, 0, 10, 10);
         return r.containsPoint(5, 5) === true && r.containsPoint(20, 20) === false;
     })());
+
+    test('CompoundPathShape.containsPoint leaves holes out', (() => {
+        const square = (x, y, size) => ({
+            points: [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }],
+            handles: null
+        });
+        const frame = new CompoundPathShape('cp3', { x: 0, y: 0 }, [square(0, 0, 30), square(10, 10, 10)]);
+        return frame.containsPoint(5, 5) === true && frame.containsPoint(15, 15) === false;
+    })());
 } else {
     console.log('  Skipping containsPoint tests (no DOM available)');
 }
@@ -3,6 +3,30 @@
  * Handles file import/export operations
  */
 import { Serializer } from './Serializer.js';
+import { SceneSVGExporter, OPERATION_LAYERS } from '../rendering/SceneSVGExporter.js';
+import { ScenePDFExporter } from '../rendering/ScenePDFExporter.js';
+import { Group, dxfStringFromLayers, gcodeStringFromLayers, geometryFromDXFString, lightburnStringFromLayers, geometryFromSVGString, optimizeLayerCutOrder, traceImageData } from '../geometry/index.js';
+import { PathShape } from '../models/shapes/PathShape.js';
+import { ShapeRegistry } from '../models/shapes/ShapeRegistry.js';
+import { FontRegistry } from '../models/FontRegistry.js';
+import { PartsReport } from '../core/PartsReport.js';
+
+/**
+ * Turn geometry paths into path shapes with unique ids.  The shapes are
+ * added to the store only later, so the ids handed out in this batch are
+ * skipped as well as the ones already in the store.
+ * @param {Array<import('../geometry/Path.js').Path>} paths
+ * @param {ShapeStore|null} shapeStore
+ * @returns {Array<PathShape>}
+ */
+const pathShapesFromPaths = (paths, shapeStore) => {
+    const shapes = [];
+    const taken = { getAll: () => [...(shapeStore?.getAll?.() || []), ...shapes] };
+    paths.forEach(path => {
+        shapes.push(PathShape.fromGeometryPath(ShapeRegistry.generateId('path', taken), path));
+    });
+    return shapes;
+};
 
 export class FileManager {
     constructor(tabManager, serializer) {
@@ -27,6 +51,253 @@ export class FileManager {
         }
     }
     
+    /**
+     * Export a scene's shapes as an SVG cut file (.svg, mm units), with
+     * cut and score contours in cutting order
+     * @param {ShapeStore} shapeStore - Store of the scene to export
+     * @param {string} filename - Optional filename
+     * @param {Object} options
+     * @param {number} options.kerfMm - Kerf compensation width in mm for shapes
+     *   without a material (default: 0)
+     * @param {{style: string, toolDiameter: number}} options.cornerRelief - Overcuts for
+     *   inside corners of cut contours (default: none)
+     * @param {{count: number, width: number}} options.holdingTabs - Tabs left uncut in
+     *   cut contours (default: none)
+     */
+    exportSVG(shapeStore, filename = null, options = {}) {
+        try {
+            const shapes = shapeStore.getResolved();
+            if (shapes.length === 0) {
+                throw new Error('Nothing to export');
+            }
+            const svg = new SceneSVGExporter({
+                joineryProvider: shapeStore,
+                kerf: options.kerfMm || 0,
+                materials: shapeStore.materialStore,
+                cornerRelief: options.cornerRelief ?? null,
+                holdingTabs: options.holdingTabs ?? null,
+                optimizeOrder: true
+            }).export(shapes);
+            const defaultFilename = filename || `nova_otto_${new Date().toISOString().split('T')[0]}.svg`;
+            this.createDownload(svg, defaultFilename, 'image/svg+xml');
+            return true;
+        } catch (error) {
+            console.error('SVG export error:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Export a scene's shapes as a DXF file (.dxf, mm units), one layer
+     * per fabrication operation with contours in cutting order
+     * @param {ShapeStore} shapeStore - Store of the scene to export
+     * @param {string} filename - Optional filename
+     * @param {import('../geometry/dxf.js').ExportDXFOptions & {kerfMm: number, cornerRelief: Object, holdingTabs: Object}} options -
+     *   DXF writer options plus the kerf compensation width in mm for shapes
+     *   without a material, the corner relief and the holding tabs left in
+     *   cut contours
+     */
+    exportDXF(shapeStore, filename = null, options = {}) {
+        try {
+            const { kerfMm = 0, cornerRelief = null, holdingTabs = null, ...dxfOptions } = options;
+            const shapes = shapeStore.getResolved();
+            if (shapes.length === 0) {
+                throw new Error('Nothing to export');
+            }
+            const layers = Object.entries(OPERATION_LAYERS).map(([operation, layer]) => {
+                const items = shapes
+                    .filter(shape => SceneSVGExporter.operationForShape(shape) === operation)
+                    .map(shape => SceneSVGExporter.shapeGeometry(shape, {
+                        joineryProvider: shapeStore,
+                        kerf: kerfMm,
+                        materials: shapeStore.materialStore,
+                        cornerRelief,
+                        holdingTabs
+                    }))
+                    .filter(Boolean);
+                return { name: operation, geometry: new Group(items), color: layer.aci };
+            }).filter(layer => layer.geometry.items.length > 0);
+            const bounds = new Group(layers.map(layer => layer.geometry)).looseBoundingBox();
+            const dxf = dxfStringFromLayers(optimizeLayerCutOrder(layers, { start: bounds?.min }), dxfOptions);
+            const defaultFilename = filename || `nova_otto_${new Date().toISOString().split('T')[0]}.dxf`;
+            this.createDownload(dxf, defaultFilename, 'application/dxf');
+            return true;
+        } catch (error) {
+            console.error('DXF export error:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Export a scene's shapes as a GRBL G-code program (.gcode, mm units).
+     * Engrave and score layers run before cuts so parts stay in place until
+     * all of their inner work is done; within a layer, inner contours are
+     * cut before the outlines around them and travel is kept short.
+     * Holding tabs are left uncut; a knife or router then runs over them
+     * at the tab height in a separate "tabs" layer after the cuts.
+     * @param {ShapeStore} shapeStore - Store of the scene to export
+     * @param {string} filename - Optional filename
+     * @param {import('../geometry/gcode.js').ExportGCodeOptions & {kerfMm: number, layers: Object, cornerRelief: Object, holdingTabs: Object}} options -
+     *   G-code writer options, the kerf compensation width in mm for shapes
+     *   without a material, the feed rate, power and passes per operation,
+     *   the corner relief and the holding tab count, width and height
+     */
+    exportGCode(shapeStore, filename = null, options = {}) {
+        try {
+            const { kerfMm = 0, layers: layerSettings = {}, cornerRelief = null, holdingTabs = null, ...gcodeOptions } = options;
+            const shapes = shapeStore.getResolved();
+            if (shapes.length === 0) {
+                throw new Error('Nothing to export');
+            }
+            const bridges = [];
+            const layers = ['engrave', 'score', 'cut'].map(operation => {
+                const items = shapes
+                    .filter(shape => SceneSVGExporter.operationForShape(shape) === operation)
+                    .map(shape => {
+                        const geometry = SceneSVGExporter.shapeGeometry(shape, {
+                            joineryProvider: shapeStore,
+                            kerf: kerfMm,
+                            materials: shapeStore.materialStore,
+                            cornerRelief
+                        });
+                        const tabbed = holdingTabs && SceneSVGExporter.holdingTabGeometry(shape, geometry, holdingTabs);
+                        if (!tabbed) return geometry;
+                        bridges.push(...tabbed.bridges.items);
+                        return tabbed.cuts;
+                    })
+                    .filter(Boolean);
+                return { ...layerSettings[operation], name: operation, geometry: new Group(items) };
+            }).filter(layer => layer.geometry.items.length > 0);
+            if (gcodeOptions.machine === 'knife' && holdingTabs?.height > 0 && bridges.length > 0) {
+                layers.push({
+                    ...layerSettings.cut,
+                    name: 'tabs',
+                    geometry: new Group(bridges),
+                    cutZ: (gcodeOptions.cutZ ?? 0) + holdingTabs.height
+                });
+            }
+            const gcode = gcodeStringFromLayers(layers, { ...gcodeOptions, optimizeOrder: true });
+            const defaultFilename = filename || `nova_otto_${new Date().toISOString().split('T')[0]}.gcode`;
+            this.createDownload(gcode, defaultFilename, 'text/plain');
+            return true;
+        } catch (error) {
+            console.error('G-code export error:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Export a scene's shapes as a LightBurn project (.lbrn2, mm units) with
+     * one cut setting per fabrication operation. Engrave runs first as a
+     * filled scan, then score and cut follow the lines.
+     * @param {ShapeStore} shapeStore - Store of the scene to export
+     * @param {string} filename - Optional filename
+     * @param {Object} options
+     * @param {Object<string, {speed: number, power: number, passes: number}>} options.layers -
+     *   Speed (mm/s), power (%) and passes per operation
+     * @param {number} options.kerfMm - Kerf compensation width in mm for shapes
+     *   without a material (default: 0)
+     * @param {{style: string, toolDiameter: number}} options.cornerRelief - Overcuts for
+     *   inside corners of cut contours (default: none)
+     * @param {{count: number, width: number}} options.holdingTabs - Tabs left uncut in
+     *   cut contours (default: none)
+     */
+    exportLightBurn(shapeStore, filename = null, options = {}) {
+        try {
+            const { layers: layerSettings = {}, kerfMm = 0, cornerRelief = null, holdingTabs = null } = options;
+            const shapes = shapeStore.getResolved();
+            if (shapes.length === 0) {
+                throw new Error('Nothing to export');
+            }
+            const layers = ['engrave', 'score', 'cut'].map(operation => {
+                const layer = OPERATION_LAYERS[operation];
+                const items = shapes
+                    .filter(shape => SceneSVGExporter.operationForShape(shape) === operation)
+                    .map(shape => SceneSVGExporter.shapeGeometry(shape, {
+                        joineryProvider: shapeStore,
+                        kerf: kerfMm,
+                        materials: shapeStore.materialStore,
+                        cornerRelief,
+                        holdingTabs
+                    }))
+                    .filter(Boolean);
+                return {
+                    ...layerSettings[operation],
+                    name: layer.label,
+                    geometry: new Group(items),
+                    index: layer.lightburnIndex,
+                    type: layer.fill ? 'Scan' : 'Cut'
+                };
+            }).filter(layer => layer.geometry.items.length > 0);
+            const lbrn2 = lightburnStringFromLayers(layers);
+            const defaultFilename = filename || `nova_otto_${new Date().toISOString().split('T')[0]}.lbrn2`;
+            this.createDownload(lbrn2, defaultFilename, 'application/xml');
+            return true;
+        } catch (error) {
+            console.error('LightBurn export error:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Export a scene's shapes as printable 1:1 PDF cut sheets (.pdf), tiled
+     * across as many pages as the design needs
+     * @param {ShapeStore} shapeStore - Store of the scene to export
+     * @param {string} filename - Optional filename
+     * @param {Object} options - Page size, orientation, dimensions and title
+     *   block names (see ScenePDFExporter)
+     */
+    exportPDF(shapeStore, filename = null, options = {}) {
+        try {
+            const shapes = shapeStore.getResolved();
+            if (shapes.length === 0) {
+                throw new Error('Nothing to export');
+            }
+            const pdf = new ScenePDFExporter({
+                ...options,
+                joineryProvider: shapeStore
+            }).export(shapes);
+            const defaultFilename = filename || `nova_otto_${new Date().toISOString().split('T')[0]}.pdf`;
+            this.createDownload(pdf, defaultFilename, 'application/pdf');
+            return true;
+        } catch (error) {
+            console.error('PDF export error:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Export a scene's parts list (bill of materials) as CSV or printable HTML
+     * @param {ShapeStore} shapeStore - Store of the scene to report on
+     * @param {string} filename - Optional filename
+     * @param {Object} options
+     * @param {'csv'|'html'} options.format - Output format (default: 'csv')
+     * @param {string} options.title - Heading of the HTML report
+     * @param {Object} options.sheet - Stock sheet for the usage estimate (see PartsReport)
+     */
+    exportPartsList(shapeStore, filename = null, options = {}) {
+        try {
+            const { format = 'csv', title, sheet = {} } = options;
+            const partsReport = new PartsReport(sheet);
+            const report = partsReport.build(shapeStore);
+            if (report.parts.length === 0) {
+                throw new Error('Nothing to export');
+            }
+            const date = new Date().toISOString().split('T')[0];
+            if (format === 'html') {
+                const html = partsReport.toHTML(report, title);
+                this.createDownload(html, filename || `nova_otto_parts_${date}.html`, 'text/html');
+            } else {
+                const csv = partsReport.toCSV(report);
+                this.createDownload(csv, filename || `nova_otto_parts_${date}.csv`, 'text/csv');
+            }
+            return true;
+        } catch (error) {
+            console.error('Parts list export error:', error);
+            return false;
+        }
+    }
+    
     /**
      * Import from file
      * @param {File} file 
@@ -79,13 +350,184 @@ export class FileManager {
         });
     }
     
+    /**
+     * Import an SVG or DXF drawing as editable path shapes.
+     * Units declared by the file are converted to mm (world units).
+     * @param {File} file
+     * @param {ShapeStore} shapeStore - Store used to pick unique shape ids
+     * @returns {Promise<Array<PathShape>|null>} New shapes (not yet added), or null on error
+     */
+    async importDrawingFromFile(file, shapeStore = null) {
+        try {
+            if (!file) {
+                throw new Error('No file provided');
+            }
+            
+            const name = file.name.toLowerCase();
+            const content = await this.readFile(file);
+            let geometry;
+            if (name.endsWith('.svg')) {
+                geometry = geometryFromSVGString(content, { units: 'mm' });
+            } else if (name.endsWith('.dxf')) {
+                geometry = geometryFromDXFString(content, { units: 'mm' });
+            } else {
+                throw new Error('Invalid file format. Expected .svg or .dxf file');
+            }
+            
+            const shapes = pathShapesFromPaths(
+                geometry.allPaths().filter(path => path.anchors.length >= 2),
+                shapeStore
+            );
+            if (shapes.length === 0) {
+                throw new Error('No paths found in drawing');
+            }
+            return shapes;
+        } catch (error) {
+            console.error('Drawing import error:', error);
+            alert(`Error importing drawing: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Show drawing import dialog
+     * @param {ShapeStore} shapeStore - Store used to pick unique shape ids
+     * @returns {Promise<Array<PathShape>|null>}
+     */
+    showDrawingImportDialog(shapeStore = null) {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.svg,.dxf';
+            
+            input.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    resolve(await this.importDrawingFromFile(file, shapeStore));
+                } else {
+                    resolve(null);
+                }
+            });
+            
+            input.click();
+        });
+    }
+    
+    /**
+     * Trace a raster image (PNG, JPEG) into closed path shapes.
+     * Pixels are sized from the resolution, so a 96 dpi image keeps its
+     * on-screen size in mm.
+     * @param {File} file
+     * @param {ShapeStore} shapeStore - Store used to pick unique shape ids
+     * @param {Object} options - Trace settings: threshold, invert, despeckle, smoothing, dpi
+     * @returns {Promise<Array<PathShape>|null>} New shapes (not yet added), or null on error
+     */
+    async traceImageFromFile(file, shapeStore = null, options = {}) {
+        try {
+            if (!file) {
+                throw new Error('No file provided');
+            }
+            if (!/\.(png|jpe?g)$/.test(file.name.toLowerCase())) {
+                throw new Error('Invalid file format. Expected .png or .jpg file');
+            }
+            
+            const imageData = await this.readImageData(file);
+            const geometry = traceImageData(imageData, {
+                ...options,
+                pixelSize: 25.4 / (options.dpi || 96)
+            });
+            
+            const shapes = pathShapesFromPaths(geometry.allPaths(), shapeStore);
+            if (shapes.length === 0) {
+                throw new Error('No outlines found in image. Try another threshold');
+            }
+            return shapes;
+        } catch (error) {
+            console.error('Image trace error:', error);
+            alert(`Error tracing image: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Show image trace dialog
+     * @param {ShapeStore} shapeStore - Store used to pick unique shape ids
+     * @param {Object} options - Trace settings (see traceImageFromFile)
+     * @returns {Promise<Array<PathShape>|null>}
+     */
+    showImageTraceDialog(shapeStore = null, options = {}) {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.png,.jpg,.jpeg';
+            
+            input.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    resolve(await this.traceImageFromFile(file, shapeStore, options));
+                } else {
+                    resolve(null);
+                }
+            });
+            
+            input.click();
+        });
+    }
+    
+    /**
+     * Load a TrueType or OpenType font for text shapes.  The font is parsed
+     * locally and kept with its bytes so projects that use it can embed it.
+     * @param {File} file
+     * @returns {Promise<string|null>} The font ID, or null on error
+     */
+    async loadFontFromFile(file) {
+        try {
+            if (!file) {
+                throw new Error('No file provided');
+            }
+            if (!/\.(ttf|otf|ttc)$/.test(file.name.toLowerCase())) {
+                throw new Error('Invalid file format. Expected .ttf, .otf or .ttc file');
+            }
+            
+            return FontRegistry.register(await file.arrayBuffer());
+        } catch (error) {
+            console.error('Font load error:', error);
+            alert(`Error loading font: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Show font load dialog
+     * @returns {Promise<string|null>} The font ID
+     */
+    showFontImportDialog() {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.ttf,.otf,.ttc';
+            
+            input.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    resolve(await this.loadFontFromFile(file));
+                } else {
+                    resolve(null);
+                }
+            });
+            
+            input.click();
+        });
+    }
+    
     /**
      * Create a download
      * @param {string} content - File content
      * @param {string} filename - Filename
+     * @param {string} mimeType - MIME type of the content
      */
-    createDownload(content, filename) {
-        const blob = new Blob([content], { type: 'application/json' });
+    createDownload(content, filename, mimeType = 'application/json') {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
@@ -116,4 +558,20 @@ export class FileManager {
             reader.readAsText(file);
         });
     }
+    
+    /**
+     * Decode an image file into RGBA pixels
+     * @param {File} file 
+     * @returns {Promise<ImageData>}
+     */
+    async readImageData(file) {
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
 }
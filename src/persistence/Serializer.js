@@ -17,6 +17,19 @@
  * Serializer using Serializer Pattern
  * Handles serialization and deserialization of the entire application state
  */
+import { FontRegistry } from '../models/FontRegistry.js';
+
+/**
+ * Embedded user fonts of a scene's text shapes
+ * @param {SceneState} sceneState
+ * @returns {Array<{id: string, data: string}>}
+ */
+const serializeFonts = (sceneState) => FontRegistry.toJSON(
+    sceneState.shapeStore.getAll()
+        .filter(shape => shape.type === 'text')
+        .map(shape => shape.fontId)
+);
+
 export class Serializer {
     /**
      * Format version stamp written into every serialized payload.  When a
@@ -120,6 +133,13 @@ export class Serializer {
      *   - {@code viewport}       : the current pan/zoom state, shallow-copied
      *     so that later mutations to the live viewport do not affect the
      *     serialized snapshot.
+     *   - {@code fabrication}    : project fabrication settings such as
+     *     the export kerf and the G-code and LightBurn layer settings.
+     *   - {@code materials}      : the material library, via
+     *     {@link MaterialStore#toJSON}.
+     *   - {@code fonts}          : the user-loaded fonts its text shapes
+     *     use, as base64, so the text draws the same wherever the file is
+     *     opened ({@link FontRegistry#toJSON}).
      *
      * Serialize a single tab
      * @param {Tab} tab - A fully initialised Tab instance.
@@ -134,7 +154,10 @@ export class Serializer {
             shapes: tab.sceneState.shapeStore.toJSON().shapes,
             edgeJoinery: tab.sceneState.shapeStore.toJSON().edgeJoinery,
             selectedShapeId: tab.sceneState.shapeStore.selectedShapeId,
-            viewport: { ...tab.sceneState.viewport }
+            viewport: { ...tab.sceneState.viewport },
+            fabrication: { ...tab.sceneState.fabrication },
+            materials: tab.sceneState.materialStore.toJSON().materials,
+            fonts: serializeFonts(tab.sceneState)
         };
     }
     
@@ -144,12 +167,14 @@ export class Serializer {
      *
      * The method is {@code async} because it dynamically imports both
      * {@link Tab} and {@link SceneState} to avoid circular module references.
-     * A fresh SceneState is created and then populated in order:
+     * A fresh SceneState is created and then populated in order, after any
+     * embedded fonts are registered:
      *   1. Parameters are restored via {@link ParameterStore#fromJSON} so
      *      they exist before any bindings are resolved.
      *   2. Shapes (including their bindings and edge-joinery constraints) are
      *      restored via {@link ShapeStore#fromJSON}.
-     *   3. The viewport state is shallow-copied back in.
+     *   3. The viewport and fabrication settings are shallow-copied back in,
+     *      and the material library replaces the defaults when present.
      *
      * Deserialize a single tab
      * @param {Object} json - A plain object as produced by
@@ -162,6 +187,8 @@ export class Serializer {
         
         const sceneState = new SceneState();
         
+        FontRegistry.fromJSON(json.fonts);
+        
         // Deserialize scene state
         if (json.parameters) {
             sceneState.parameterStore.fromJSON({ parameters: json.parameters });
@@ -179,6 +206,14 @@ export class Serializer {
             sceneState.viewport = { ...json.viewport };
         }
         
+        if (json.fabrication) {
+            sceneState.fabrication = { ...sceneState.fabrication, ...json.fabrication };
+        }
+        
+        if (json.materials) {
+            sceneState.materialStore.fromJSON({ materials: json.materials });
+        }
+        
         const tab = new Tab(json.id, json.name, sceneState);
         return tab;
     }
@@ -192,7 +227,7 @@ export class Serializer {
      * Serialize SceneState to JSON
      * @param {SceneState} sceneState - The scene to serialize.
      * @returns {Object} A plain object containing parameters, shapes,
-     *   edgeJoinery, selectedShapeId, and viewport.
+     *   edgeJoinery, selectedShapeId, viewport, fabrication, materials and fonts.
      */
     static serializeSceneState(sceneState) {
         return {
@@ -200,7 +235,10 @@ export class Serializer {
             shapes: sceneState.shapeStore.toJSON().shapes,
             edgeJoinery: sceneState.shapeStore.toJSON().edgeJoinery,
             selectedShapeId: sceneState.shapeStore.selectedShapeId,
-            viewport: { ...sceneState.viewport }
+            viewport: { ...sceneState.viewport },
+            fabrication: { ...sceneState.fabrication },
+            materials: sceneState.materialStore.toJSON().materials,
+            fonts: serializeFonts(sceneState)
         };
     }
     
@@ -221,6 +259,8 @@ export class Serializer {
         const { SceneState } = await import('../core/SceneState.js');
         const sceneState = new SceneState();
         
+        FontRegistry.fromJSON(json.fonts);
+        
         if (json.parameters) {
             await sceneState.parameterStore.fromJSON({ parameters: json.parameters });
         }
@@ -237,6 +277,14 @@ export class Serializer {
             sceneState.viewport = { ...json.viewport };
         }
         
+        if (json.fabrication) {
+            sceneState.fabrication = { ...sceneState.fabrication, ...json.fabrication };
+        }
+        
+        if (json.materials) {
+            sceneState.materialStore.fromJSON({ materials: json.materials });
+        }
+        
         return sceneState;
     }
 }
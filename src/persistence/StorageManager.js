@@ -63,9 +63,10 @@ export class StorageManager {
      * Wire up the Observer Pattern subscriptions.  Every event that indicates
      * a mutation to the application state triggers a call to
      * {@link StorageManager#autoSave}.  The full list of observed events is:
-     *   - Shape lifecycle : SHAPE_ADDED, SHAPE_REMOVED, SHAPE_MOVED
+     *   - Shape lifecycle : SHAPE_ADDED, SHAPE_REMOVED, SHAPE_MOVED, SHAPE_UPDATED
      *   - Parameter lifecycle : PARAM_ADDED, PARAM_REMOVED, PARAM_CHANGED
      *   - Edge joinery : EDGE_JOINERY_CHANGED
+     *   - Fabrication settings : FABRICATION_CHANGED, MATERIALS_CHANGED
      *   - Tab lifecycle : TAB_CREATED, TAB_CLOSED, TAB_SWITCHED
      *
      * This method is called once during construction and should not be called
@@ -75,10 +76,13 @@ export class StorageManager {
         EventBus.subscribe(EVENTS.SHAPE_ADDED, () => this.autoSave());
         EventBus.subscribe(EVENTS.SHAPE_REMOVED, () => this.autoSave());
         EventBus.subscribe(EVENTS.SHAPE_MOVED, () => this.autoSave());
+        EventBus.subscribe(EVENTS.SHAPE_UPDATED, () => this.autoSave());
         EventBus.subscribe(EVENTS.PARAM_ADDED, () => this.autoSave());
         EventBus.subscribe(EVENTS.PARAM_REMOVED, () => this.autoSave());
         EventBus.subscribe(EVENTS.PARAM_CHANGED, () => this.autoSave());
         EventBus.subscribe(EVENTS.EDGE_JOINERY_CHANGED, () => this.autoSave());
+        EventBus.subscribe(EVENTS.FABRICATION_CHANGED, () => this.autoSave());
+        EventBus.subscribe(EVENTS.MATERIALS_CHANGED, () => this.autoSave());
         EventBus.subscribe(EVENTS.TAB_CREATED, () => this.autoSave());
         EventBus.subscribe(EVENTS.TAB_CLOSED, () => this.autoSave());
         EventBus.subscribe(EVENTS.TAB_SWITCHED, () => this.autoSave());
@@ -0,0 +1,93 @@
+/**
+ * FileManager tests
+ */
+
+import { FileManager } from '../FileManager.js';
+import { SceneState } from '../../core/SceneState.js';
+import { PathShape } from '../../models/shapes/PathShape.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+console.log('FileManager tests:\n');
+
+// Two circles in mm; DXF parses without a DOM, unlike SVG.
+const TWO_CIRCLES_DXF = [
+    '0', 'SECTION', '2', 'HEADER', '9', '$INSUNITS', '70', '4', '0', 'ENDSEC',
+    '0', 'SECTION', '2', 'ENTITIES',
+    '0', 'CIRCLE', '10', '10', '20', '10', '40', '5',
+    '0', 'CIRCLE', '10', '30', '20', '10', '40', '5',
+    '0', 'ENDSEC', '0', 'EOF'
+].join('\n');
+
+/**
+ * A scene that already holds "Path 1"
+ * @returns {import('../../core/ShapeStore.js').ShapeStore}
+ */
+const storeWithPath = () => {
+    const { shapeStore } = new SceneState();
+    shapeStore.add(new PathShape('Path 1', { x: 0, y: 0 }, [{ x: 0, y: 0 }, { x: 5, y: 5 }]));
+    return shapeStore;
+};
+
+/**
+ * Add shapes to a store, as Application does after an import
+ * @returns {boolean} False if the store rejected one
+ */
+const addAll = (shapeStore, shapes) => {
+    try {
+        shapes.forEach(shape => shapeStore.add(shape));
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+{
+    const fileManager = new FileManager(null);
+    fileManager.readFile = async () => TWO_CIRCLES_DXF;
+    const shapeStore = storeWithPath();
+    const shapes = await fileManager.importDrawingFromFile({ name: 'circles.dxf' }, shapeStore);
+    const ids = (shapes || []).map(shape => shape.id);
+    test('importDrawingFromFile gives each path a new id when the store has paths',
+        ids.length === 2 && new Set(ids).size === 2 && !ids.includes('Path 1') &&
+        addAll(shapeStore, shapes) && shapeStore.getAll().length === 3);
+}
+
+{
+    // Two dark 4 x 4 squares on a white 16 x 8 image
+    const width = 16;
+    const height = 8;
+    const data = new Uint8ClampedArray(width * height * 4).fill(255);
+    for (let y = 2; y < 6; y++) {
+        for (const x0 of [2, 10]) {
+            for (let x = x0; x < x0 + 4; x++) {
+                data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+            }
+        }
+    }
+    const fileManager = new FileManager(null);
+    fileManager.readImageData = async () => ({ width, height, data });
+    const shapeStore = storeWithPath();
+    const shapes = await fileManager.traceImageFromFile({ name: 'squares.png' }, shapeStore);
+    const ids = (shapes || []).map(shape => shape.id);
+    test('traceImageFromFile gives each outline a new id when the store has paths',
+        ids.length === 2 && new Set(ids).size === 2 && !ids.includes('Path 1') &&
+        addAll(shapeStore, shapes) && shapeStore.getAll().length === 3);
+}
+
+console.log(`\nFileManager: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`FileManager: ${testCount - passCount} tests failed`);
+}
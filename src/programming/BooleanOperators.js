@@ -702,7 +702,7 @@ class BooleanNaming {
       const inst = this._createShapeInstance(shape);
       const res = this._getShapeResolution(shape.type);
       const pts = inst.getPoints(res);
-      const arr = pts.map(p => [p.x || 0, p.y || 0]);
+      const arr = pts.map(p => (p === null ? null : [p.x || 0, p.y || 0]));
       const transform = this._mergeTransformWithParams(shape);
       return this.applyTransform(arr, transform);
     }
@@ -778,6 +778,7 @@ class BooleanNaming {
         case 'wave': return new Wave(p.width || 50, p.amplitude || 10, p.frequency || 2);
         case 'slot': return new Slot(p.length || 50, p.width || 10);
         case 'chamferRectangle': return new ChamferRectangle(p.width || 50, p.height || 50, p.chamfer || 5);
+        case 'text': return new Text(p.text ?? 'Text', p.fontSize || 10, p.fontId || p.fontFamily || p.font, p.letterSpacing || 0, p.align || 'left', p.lineHeight ?? 1);
         case 'polygonWithHoles': return new PolygonWithHoles(p.outerPath || [], p.holes || []);
         case 'dovetailpin': return new DovetailPin(p.width, p.jointCount, p.depth, p.angle, p.thickness);
         case 'dovetailtail': return new DovetailTail(p.width, p.jointCount, p.depth, p.angle, p.thickness);
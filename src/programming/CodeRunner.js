@@ -9,6 +9,7 @@ import { Parser } from './Parser.js';
 import { Interpreter } from './Interpreter.js';
 import { ShapeRegistry } from '../models/shapes/ShapeRegistry.js';
 import { ParameterBuilder } from '../models/Parameter.js';
+import { ParameterBinding } from '../models/Binding.js';
 
 export class CodeRunner {
     /**
@@ -132,8 +133,20 @@ export class CodeRunner {
      * @private
      */
     _createShape(name, shapeData) {
-        const type = shapeData.type;
+        const shape = this._buildShape(name, shapeData);
+        if (shape) {
+            this.shapeStore.add(shape);
+        }
+        return shape;
+    }
+
+    /**
+     * Build a model shape from interpreter result without adding it
+     * @private
+     */
+    _buildShape(name, shapeData) {
         const params = shapeData.params || {};
+        const type = this._modelType(shapeData.type, params);
         const transform = shapeData.transform || {};
 
         // Calculate position from transform
@@ -163,8 +176,21 @@ export class CodeRunner {
                 shape.scaleX = transform.scale[0];
                 shape.scaleY = transform.scale[1];
             }
+            if (type === 'corners' && params.radiusParameter) {
+                const parameter = this.parameterStore.getByName(params.radiusParameter);
+                if (parameter) {
+                    shape.setBinding('radius', new ParameterBinding(parameter.id));
+                }
+            }
+            if (type === 'text' && params.parameterBindings) {
+                Object.entries(params.parameterBindings).forEach(([property, parameterName]) => {
+                    const parameter = this.parameterStore.getByName(parameterName);
+                    if (parameter) {
+                        shape.setBinding(property, new ParameterBinding(parameter.id));
+                    }
+                });
+            }
 
-            this.shapeStore.add(shape);
             return shape;
 
         } catch (error) {
@@ -173,6 +199,22 @@ export class CodeRunner {
         }
     }
 
+    /**
+     * Model type for an interpreter shape.  Polygons with holes and closed paths with
+     * several contours (boolean results) become compound paths so their holes survive.
+     * @private
+     */
+    _modelType(type, params) {
+        if (String(type).toLowerCase() === 'polygonwithholes') {
+            return 'compoundpath';
+        }
+        if (type === 'path' && params.closed && Array.isArray(params.points) &&
+            this._splitContours(params.points).length > 1) {
+            return 'compoundpath';
+        }
+        return type;
+    }
+
     /**
      * Map interpreter params to ShapeRegistry options format
      * @private
@@ -218,27 +260,71 @@ export class CodeRunner {
             options.slotWidth = params.slot_width;
         }
 
+        if (type === 'text' && !params.fontId && (params.fontFamily || params.font)) {
+            options.fontId = params.fontFamily || params.font;
+        }
+
         if (type === 'path' && Array.isArray(params.points)) {
             options.points = this._normalizePathPoints(params.points);
         }
 
+        if (type === 'compoundpath' && !params.contours) {
+            const contours = Array.isArray(params.outerPath)
+                ? [params.outerPath, ...(params.holes || [])].map((points) => this._splitContours(points)[0] || [])
+                : this._splitContours(params.points || []);
+            options.contours = contours
+                .filter((points) => points.length >= 3)
+                .map((points) => ({ points, handles: null }));
+        }
+
+        if (type === 'corners' && params.source) {
+            options.source = this._buildShape(params.source.name, params.source);
+            options.corners = params.corners || this._allCorners(options.source);
+        }
+
         return options;
     }
 
+    /**
+     * Every anchor of a shape's outline, for fillet/chamfer blocks without corners
+     * @private
+     */
+    _allCorners(shape) {
+        const geometry = shape?.toGeometryPath ? shape.toGeometryPath() : null;
+        if (!geometry) return [];
+        return geometry.allPaths().flatMap((path, pathIndex) =>
+            path.anchors.map((anchor, index) => ({ pathIndex, index }))
+        );
+    }
+
+    /**
+     * First contour of an interpreter point list; closed multi-contour paths are
+     * compound paths instead (see _modelType)
+     * @private
+     */
     _normalizePathPoints(points) {
-        const normalized = [];
+        return this._splitContours(points)[0] || [];
+    }
+
+    /**
+     * Split an interpreter point list at its null separators into {x, y} contours
+     * @private
+     */
+    _splitContours(points) {
+        const contours = [];
+        let current = [];
         for (const p of points) {
             if (p === null) {
-                // Only keep the first contour; ignore holes/extra contours for now
-                break;
-            }
-            if (Array.isArray(p) && p.length >= 2) {
-                normalized.push({ x: Number(p[0]) || 0, y: Number(p[1]) || 0 });
+                if (current.length > 0) contours.push(current);
+                current = [];
+            } else if (Array.isArray(p) && p.length >= 2) {
+                current.push({ x: Number(p[0]) || 0, y: Number(p[1]) || 0 });
             } else if (p && typeof p === 'object') {
-                normalized.push({ x: Number(p.x) || 0, y: Number(p.y) || 0 });
+                current.push({ x: Number(p.x) || 0, y: Number(p.y) || 0 });
             }
         }
-        return normalized;
+        if (current.length > 0) contours.push(current);
+        return contours;
     }
 
     /**
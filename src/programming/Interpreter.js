@@ -7,6 +7,7 @@ import {
   ParamVisitor,
   ShapeVisitor,
   BooleanOperationVisitor,
+  CornerOperationVisitor,
   FunctionVisitor,
   ControlFlowVisitor,
   DrawVisitor,
@@ -33,6 +34,7 @@ export class Interpreter {
       param: new ParamVisitor(this),
       shape: new ShapeVisitor(this),
       booleanOperation: new BooleanOperationVisitor(this),
+      cornerOperation: new CornerOperationVisitor(this),
       function: new FunctionVisitor(this),
       controlFlow: new ControlFlowVisitor(this),
       draw: new DrawVisitor(this),
@@ -92,6 +94,8 @@ export class Interpreter {
         return this.visitors.controlFlow.visitForLoop(node);
       case 'boolean_operation':
         return this.visitors.booleanOperation.visit(node);
+      case 'corner_operation':
+        return this.visitors.cornerOperation.visit(node);
       case 'function_definition':
         return this.visitors.function.visitFunctionDefinition(node);
       case 'function_call':
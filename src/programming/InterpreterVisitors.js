@@ -189,6 +189,20 @@ export class ShapeVisitor extends BaseVisitor {
       });
     }
     
+    // Text properties given as a bare parameter name stay bound to that parameter
+    if (node.shapeType === 'text') {
+      const parameterBindings = {};
+      for (const key of ['x', 'y', 'text', 'fontSize', 'letterSpacing', 'lineHeight']) {
+        const expr = node.params[key];
+        if (expr && expr.type === 'identifier' && expr.name !== 'null') {
+          parameterBindings[key] = expr.name.replace(/^param\./, '');
+        }
+      }
+      if (Object.keys(parameterBindings).length > 0) {
+        params.parameterBindings = parameterBindings;
+      }
+    }
+
     this.interpreter.processShapeFillParameters(node.shapeType, params);
     const shape = this.interpreter.env.createShapeWithName(node.shapeType, shapeName, params);
     console.log(`✅ Created shape: ${shapeName} (${node.shapeType})`);
@@ -252,6 +266,51 @@ export class BooleanOperationVisitor extends BaseVisitor {
   }
 }
 
+// Corner Operation Visitor
+export class CornerOperationVisitor extends BaseVisitor {
+  visit(node) {
+    const { style, name, shape: shapeName } = node;
+    const shape = this.interpreter.env.getShape(shapeName);
+
+    const radius = this.interpreter.evaluateExpression(node.radius);
+    if (typeof radius !== 'number' || !(radius > 0)) {
+      throw new Error(`Error in ${style} ${name}: size must be a positive number`);
+    }
+
+    // corners: [0, 2] picks anchors of the first outline, [[1, 0]] anchors of
+    // other paths as [pathIndex, index]; leaving it out treats every corner.
+    let corners = null;
+    if (node.corners) {
+      const value = this.interpreter.evaluateExpression(node.corners);
+      corners = (Array.isArray(value) ? value : [value]).map(corner =>
+        Array.isArray(corner)
+          ? { pathIndex: corner[0], index: corner[1] }
+          : { pathIndex: 0, index: corner }
+      );
+    }
+
+    // The source is drawn as part of the result, not on its own
+    shape._consumedByBoolean = true;
+
+    const params = { style, radius, corners, source: { ...shape, name: shapeName } };
+    // A radius given as a bare parameter name stays bound to that parameter
+    if (node.radius.type === 'identifier' && node.radius.name !== 'null') {
+      params.radiusParameter = node.radius.name.replace(/^param\./, '');
+    }
+
+    const result = {
+      type: 'corners',
+      id: `corners_${name}_${Date.now()}`,
+      params,
+      transform: { position: [0, 0], rotation: 0, scale: [1, 1] },
+      layerName: null,
+      name
+    };
+    this.interpreter.env.addShape(name, result);
+    return result;
+  }
+}
+
 // Function Visitor
 export class FunctionVisitor extends BaseVisitor {
   visitFunctionDefinition(node) {
@@ -1,6 +1,9 @@
 // parser.js - Complete parser with enhanced fill and color support
 import { Token } from './Lexer.js';
 
+// Statement words that are not reserved, so scripts may still use them as names
+const CORNER_OPERATIONS = ['fillet', 'chamfer'];
+
 export class Parser {
   constructor(lexer) {
     this.lexer = lexer;
@@ -640,6 +643,63 @@ export class Parser {
     };
   }
 
+  // Corner operation parsing: fillet/chamfer name { add shape radius: r corners: [..] }
+  parseCornerOperation() {
+    const style = this.currentToken.value;
+    this.eat('IDENTIFIER');
+
+    const name = this.currentToken.value;
+    this.eat('IDENTIFIER');
+
+    this.eat('LBRACE');
+    let shape = null;
+    let radius = null;
+    let corners = null;
+
+    while (this.currentToken.type !== 'RBRACE') {
+      if (this.currentToken.type === 'ADD') {
+        if (shape) {
+          this.error(`${style} takes exactly one shape`);
+        }
+        this.eat('ADD');
+        shape = this.currentToken.value;
+        this.eat('IDENTIFIER');
+      } else if (this.currentToken.type === 'IDENTIFIER' || this.currentToken.type === 'DISTANCE') {
+        // 'radius' and 'distance' both set the corner size
+        const key = this.currentToken.value;
+        this.eat(this.currentToken.type);
+        this.eat('COLON');
+        if (key === 'radius' || key === 'distance') {
+          radius = this.parseExpression();
+        } else if (key === 'corners') {
+          corners = this.parseExpression();
+        } else {
+          this.error(`Unknown ${style} property: ${key}`);
+        }
+      } else {
+        this.error(`Expected ADD, radius, distance or corners in ${style} block`);
+      }
+    }
+
+    this.eat('RBRACE');
+
+    if (!shape) {
+      this.error(`${style} requires a shape`);
+    }
+    if (!radius) {
+      this.error(`${style} requires a radius or distance`);
+    }
+
+    return {
+      type: 'corner_operation',
+      style: style,
+      name: name,
+      shape: shape,
+      radius: radius,
+      corners: corners
+    };
+  }
+
 
   parseAnchorRef() {
     const shape = this.currentToken.value;
@@ -794,6 +854,11 @@ export class Parser {
         break;
         
       case 'IDENTIFIER':
+        // A corner operation: fillet or chamfer followed by its name
+        if (CORNER_OPERATIONS.includes(this.currentToken.value) && this.lexer.peekToken().type === 'IDENTIFIER') {
+          statement = this.parseCornerOperation();
+          break;
+        }
         // Check if this is a function call
         const name = this.currentToken.value;
         this.eat('IDENTIFIER');
@@ -1,3 +1,6 @@
+import { isSegmentLinear, pairs, textGeometry } from '../geometry/index.js';
+import { DEFAULT_FONT_ID, FontRegistry } from '../models/FontRegistry.js';
+
 // Base Shape class with common functionality
 class Shape {
   constructor() {
@@ -324,18 +327,57 @@ class Arrow extends Shape {
   }
 }
 
-// 11. Text (Bounding box for text)
+// 11. Text (glyph outlines from a loaded font, origin on the first baseline)
 class Text extends Shape {
-  constructor(text, fontSize = 12, fontFamily = "Arial") {
+  constructor(text, fontSize = 12, fontFamily = "Arial", letterSpacing = 0, align = "left", lineHeight = 1) {
     super();
-    this.text = text;
+    this.text = String(text ?? "");
     this.fontSize = fontSize;
     this.fontFamily = fontFamily;
-    // Rough estimation of text dimensions
+    this.letterSpacing = letterSpacing;
+    this.align = align;
+    this.lineHeight = lineHeight;
+    // Rough estimation of text dimensions, for when no font has loaded
     this.width = this.fontSize * 0.6 * this.text.length;
     this.height = this.fontSize;
   }
 
+  // Glyph contours separated by nulls; each curve gets segments / 8 points
+  getPoints(segments = 64) {
+    const font = FontRegistry.get(this.fontFamily) || FontRegistry.get(DEFAULT_FONT_ID);
+    if (!font) {
+      const { width, height } = this;
+      const box = [
+        { x: 0, y: -height },
+        { x: width, y: -height },
+        { x: width, y: 0 },
+        { x: 0, y: 0 },
+      ];
+      return box.map((p) => this.transformPoint(p));
+    }
+
+    const geometry = textGeometry(font, this.text, {
+      size: this.fontSize,
+      letterSpacing: this.letterSpacing,
+      align: this.align,
+      lineHeight: this.lineHeight,
+    });
+    const steps = Math.max(1, Math.round(segments / 8));
+    const points = [];
+    geometry.allPaths().forEach((path) => {
+      if (path.anchors.length < 2) return;
+      if (points.length > 0) points.push(null);
+      pairs(path.anchors, true).forEach((segment, index) => {
+        const count = isSegmentLinear(segment) ? 1 : steps;
+        for (let i = 0; i < count; i++) {
+          const p = path.positionAtTime(index + i / count);
+          points.push(this.transformPoint({ x: p.x, y: p.y }));
+        }
+      });
+    });
+    return points;
+  }
+
   getBoundingBox() {
     return {
       x: this.position.x,
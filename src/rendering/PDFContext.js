@@ -0,0 +1,599 @@
+import { RenderingContext } from './RenderingContext.js';
+
+/**
+ * PDFContext - Bridge Pattern Concrete Implementation
+ *
+ * Generates a multi-page PDF document instead of rendering to canvas.
+ * Self-contained: no fonts are embedded (text uses the standard Helvetica
+ * font every PDF reader has) and nothing is fetched over the network.
+ *
+ * Key differences from Canvas:
+ * - User units are millimetres with Y pointing down, like the canvas
+ *   world; pages are written at true size, so printing at 100% keeps scale
+ * - Transforms are applied to coordinates here and the page content is
+ *   written in PDF points, so a shape drawn 10 mm wide is 10 mm on paper
+ * - Gradients, shadows, images and alpha are not supported
+ * - clip() is available in addition to the RenderingContext interface
+ */
+
+/** PDF points per millimetre. */
+const POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * Helvetica advance widths (1/1000 em) for the printable ASCII characters,
+ * starting at the space (32). Used for measureText and text alignment.
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/** Width used for characters outside the table. */
+const DEFAULT_CHAR_WIDTH = 556;
+
+/**
+ * Format a number for a PDF content stream
+ * @param {number} value
+ * @returns {string}
+ */
+const num = (value) => {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+};
+
+/**
+ * Parse a CSS colour into PDF RGB components (0-1)
+ * @param {string} color - Hex (#rgb, #rrggbb), rgb()/rgba() or black/white
+ * @returns {Array<number>|null} [r, g, b], or null for none/transparent
+ */
+const parseColor = (color) => {
+    if (!color || color === 'none' || color === 'transparent') return null;
+    const value = String(color).trim().toLowerCase();
+    if (value === 'white') return [1, 1, 1];
+    if (value === 'black') return [0, 0, 0];
+
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d) : hex[1].match(/../g);
+        return digits.map(d => parseInt(d, 16) / 255);
+    }
+
+    const rgb = value.match(/^rgba?\(([^)]+)\)$/);
+    if (rgb) {
+        const parts = rgb[1].split(',').map(part => parseFloat(part));
+        if (parts.length === 4 && parts[3] === 0) return null;
+        return parts.slice(0, 3).map(part => Math.min(Math.max(part / 255, 0), 1));
+    }
+
+    return [0, 0, 0];
+};
+
+/**
+ * Escape text for a PDF string literal.  Characters outside Latin-1 are
+ * replaced by '?' since the standard font uses WinAnsi encoding.
+ * @param {string} text
+ * @returns {string}
+ */
+const pdfString = (text) => Array.from(String(text)).map(ch => {
+    const code = ch.charCodeAt(0);
+    if (ch === '(' || ch === ')' || ch === '\\') return `\\${ch}`;
+    if (code >= 32 && code < 127) return ch;
+    if (code >= 160 && code < 256) return `\\${code.toString(8).padStart(3, '0')}`;
+    if (ch === '—') return '\\227';
+    if (ch === '–') return '\\226';
+    return '?';
+}).join('');
+
+export class PDFContext extends RenderingContext {
+    /**
+     * @param {number} width - Page width in mm (default: A4 210)
+     * @param {number} height - Page height in mm (default: A4 297)
+     * @param {Object} options - Document options
+     * @param {string} options.title - Document title stored in the PDF info (default: none)
+     */
+    constructor(width = 210, height = 297, options = {}) {
+        super();
+
+        this.width = width;
+        this.height = height;
+        this.title = options.title || '';
+
+        // Finished page content streams, and the one being written
+        this.pages = [];
+        this.content = [];
+
+        // Current path operators, in page space
+        this.currentPath = [];
+        this.currentPoint = null;
+
+        // State stack for save/restore
+        this.stateStack = [];
+        this.state = this.createDefaultState();
+    }
+
+    /**
+     * Create default rendering state
+     */
+    createDefaultState() {
+        return {
+            transform: { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 },
+            strokeStyle: '#000000',
+            fillStyle: '#000000',
+            lineWidth: 1,
+            lineCap: 'butt',
+            lineJoin: 'miter',
+            lineDash: [],
+            globalAlpha: 1,
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic'
+        };
+    }
+
+    getContext() {
+        return null; // No native context
+    }
+
+    getDimensions() {
+        return { width: this.width, height: this.height };
+    }
+
+    // --- Pages ---
+
+    /**
+     * Finish the current page and start a new, empty one.  State and
+     * transform are reset.
+     */
+    addPage() {
+        while (this.stateStack.length > 0) {
+            this.restore();
+        }
+        this.pages.push(this.content.join('\n'));
+        this.content = [];
+        this.currentPath = [];
+        this.currentPoint = null;
+        this.state = this.createDefaultState();
+    }
+
+    /**
+     * Number of pages, including the one being written
+     * @returns {number}
+     */
+    getPageCount() {
+        return this.pages.length + 1;
+    }
+
+    // --- State Management ---
+
+    save() {
+        this.stateStack.push({ ...this.state, transform: { ...this.state.transform } });
+        this.content.push('q');
+    }
+
+    restore() {
+        if (this.stateStack.length > 0) {
+            this.state = this.stateStack.pop();
+            this.content.push('Q');
+        }
+    }
+
+    resetTransform() {
+        this.state.transform = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    }
+
+    // --- Transform Operations ---
+
+    translate(x, y) {
+        const t = this.state.transform;
+        t.e += t.a * x + t.c * y;
+        t.f += t.b * x + t.d * y;
+    }
+
+    scale(x, y) {
+        const t = this.state.transform;
+        t.a *= x;
+        t.b *= x;
+        t.c *= y;
+        t.d *= y;
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const { a, b, c, d } = this.state.transform;
+        this.state.transform.a = a * cos + c * sin;
+        this.state.transform.b = b * cos + d * sin;
+        this.state.transform.c = c * cos - a * sin;
+        this.state.transform.d = d * cos - b * sin;
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.state.transform = { a, b, c, d, e, f };
+    }
+
+    /**
+     * Map a point from user space (mm, Y down) to page space (pt, Y up)
+     * @param {number} x
+     * @param {number} y
+     * @returns {Array<number>} [x, y] in points
+     */
+    toPage(x, y) {
+        const { a, b, c, d, e, f } = this.state.transform;
+        const ux = a * x + c * y + e;
+        const uy = b * x + d * y + f;
+        return [ux * POINTS_PER_MM, (this.height - uy) * POINTS_PER_MM];
+    }
+
+    /**
+     * Scale factor of the current transform, used for line widths
+     * @returns {number}
+     */
+    transformScale() {
+        const { a, b, c, d } = this.state.transform;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    // --- Style Operations ---
+
+    setStrokeStyle(color) {
+        this.state.strokeStyle = color;
+    }
+
+    setFillStyle(color) {
+        this.state.fillStyle = color;
+    }
+
+    setLineWidth(width) {
+        this.state.lineWidth = width;
+    }
+
+    setLineCap(cap) {
+        this.state.lineCap = cap;
+    }
+
+    setLineJoin(join) {
+        this.state.lineJoin = join;
+    }
+
+    setLineDash(segments) {
+        this.state.lineDash = segments;
+    }
+
+    setGlobalAlpha(alpha) {
+        this.state.globalAlpha = alpha;
+    }
+
+    setShadow() {
+        // Shadows are not supported in PDF output
+    }
+
+    clearShadow() {
+        // Shadows are not supported in PDF output
+    }
+
+    // --- Path Operations ---
+
+    beginPath() {
+        this.currentPath = [];
+        this.currentPoint = null;
+    }
+
+    closePath() {
+        this.currentPath.push('h');
+    }
+
+    moveTo(x, y) {
+        const [px, py] = this.toPage(x, y);
+        this.currentPath.push(`${num(px)} ${num(py)} m`);
+        this.currentPoint = { x, y };
+    }
+
+    lineTo(x, y) {
+        const [px, py] = this.toPage(x, y);
+        this.currentPath.push(`${num(px)} ${num(py)} l`);
+        this.currentPoint = { x, y };
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterClockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (!counterClockwise && sweep < 0) {
+            sweep = (sweep % (Math.PI * 2)) + Math.PI * 2;
+        } else if (counterClockwise && sweep > 0) {
+            sweep = (sweep % (Math.PI * 2)) - Math.PI * 2;
+        }
+        sweep = Math.max(-Math.PI * 2, Math.min(Math.PI * 2, sweep));
+
+        const startX = x + radius * Math.cos(startAngle);
+        const startY = y + radius * Math.sin(startAngle);
+        if (this.currentPoint) {
+            this.lineTo(startX, startY);
+        } else {
+            this.moveTo(startX, startY);
+        }
+
+        // Cubic approximation, at most a quarter turn per segment
+        const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const step = sweep / count;
+        const k = (4 / 3) * Math.tan(step / 4);
+        for (let i = 0; i < count; i++) {
+            const a0 = startAngle + i * step;
+            const a1 = a0 + step;
+            const cos0 = Math.cos(a0);
+            const sin0 = Math.sin(a0);
+            const cos1 = Math.cos(a1);
+            const sin1 = Math.sin(a1);
+            this.bezierCurveTo(
+                x + radius * (cos0 - k * sin0), y + radius * (sin0 + k * cos0),
+                x + radius * (cos1 + k * sin1), y + radius * (sin1 - k * cos1),
+                x + radius * cos1, y + radius * sin1
+            );
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        const start = this.currentPoint || { x: cpx, y: cpy };
+        this.bezierCurveTo(
+            start.x + (2 / 3) * (cpx - start.x), start.y + (2 / 3) * (cpy - start.y),
+            x + (2 / 3) * (cpx - x), y + (2 / 3) * (cpy - y),
+            x, y
+        );
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        const points = [this.toPage(cp1x, cp1y), this.toPage(cp2x, cp2y), this.toPage(x, y)];
+        this.currentPath.push(`${points.map(([px, py]) => `${num(px)} ${num(py)}`).join(' ')} c`);
+        this.currentPoint = { x, y };
+    }
+
+    // --- Drawing Operations ---
+
+    /**
+     * Graphics state operators for stroking with the current style
+     * @returns {string|null} Operators, or null when the stroke is invisible
+     */
+    strokeOperators() {
+        const color = parseColor(this.state.strokeStyle);
+        if (!color || this.state.globalAlpha === 0) return null;
+        const scale = this.transformScale() * POINTS_PER_MM;
+        const caps = { butt: 0, round: 1, square: 2 };
+        const joins = { miter: 0, round: 1, bevel: 2 };
+        const dash = this.state.lineDash.map(length => num(length * scale)).join(' ');
+        return [
+            `${color.map(num).join(' ')} RG`,
+            `${num(this.state.lineWidth * scale)} w`,
+            `${caps[this.state.lineCap] ?? 0} J`,
+            `${joins[this.state.lineJoin] ?? 0} j`,
+            `[${dash}] 0 d`
+        ].join(' ');
+    }
+
+    /**
+     * Graphics state operator for filling with the current style
+     * @returns {string|null} Operator, or null when the fill is invisible
+     */
+    fillOperator() {
+        const color = parseColor(this.state.fillStyle);
+        if (!color || this.state.globalAlpha === 0) return null;
+        return `${color.map(num).join(' ')} rg`;
+    }
+
+    stroke() {
+        const style = this.strokeOperators();
+        if (this.currentPath.length === 0 || !style) return;
+        this.content.push(style, ...this.currentPath, 'S');
+    }
+
+    /**
+     * Fill the current path
+     * @param {string} fillRule - 'nonzero' or 'evenodd' (default: 'nonzero')
+     */
+    fill(fillRule = 'nonzero') {
+        const style = this.fillOperator();
+        if (this.currentPath.length === 0 || !style) return;
+        this.content.push(style, ...this.currentPath, fillRule === 'evenodd' ? 'f*' : 'f');
+    }
+
+    /**
+     * Restrict drawing to the current path until the state is restored
+     * @param {string} fillRule - 'nonzero' or 'evenodd' (default: 'nonzero')
+     */
+    clip(fillRule = 'nonzero') {
+        if (this.currentPath.length === 0) return;
+        this.content.push(...this.currentPath, fillRule === 'evenodd' ? 'W* n' : 'W n');
+        this.currentPath = [];
+        this.currentPoint = null;
+    }
+
+    clearRect(x, y, width, height) {
+        // In PDF, we can't really "clear" - but we can add a white rectangle
+        const fillStyle = this.state.fillStyle;
+        this.state.fillStyle = '#ffffff';
+        this.fillRect(x, y, width, height);
+        this.state.fillStyle = fillStyle;
+    }
+
+    fillRect(x, y, width, height) {
+        const path = this.currentPath;
+        const point = this.currentPoint;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this.currentPath = path;
+        this.currentPoint = point;
+    }
+
+    strokeRect(x, y, width, height) {
+        const path = this.currentPath;
+        const point = this.currentPoint;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        this.currentPath = path;
+        this.currentPoint = point;
+    }
+
+    // --- Text Operations ---
+
+    setFont(font) {
+        this.state.font = font;
+    }
+
+    setTextAlign(align) {
+        this.state.textAlign = align;
+    }
+
+    setTextBaseline(baseline) {
+        this.state.textBaseline = baseline;
+    }
+
+    /**
+     * Font size in user units, parsed from the CSS font string
+     * @returns {number}
+     */
+    getFontSize() {
+        const match = String(this.state.font).match(/([\d.]+)px/);
+        return match ? parseFloat(match[1]) : 10;
+    }
+
+    /**
+     * Operators that place text at a point with the current alignment
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y
+     * @param {string} paint - Text render mode operator ('0 Tr' fill, '1 Tr' stroke)
+     * @returns {string}
+     */
+    textOperators(text, x, y, paint) {
+        const size = this.getFontSize();
+        const width = this.measureText(text).width;
+        const align = this.state.textAlign;
+        if (align === 'center') {
+            x -= width / 2;
+        } else if (align === 'right' || align === 'end') {
+            x -= width;
+        }
+        const baselineShift = { top: 0.75, hanging: 0.75, middle: 0.35, bottom: -0.22, ideographic: -0.22 };
+        y += (baselineShift[this.state.textBaseline] ?? 0) * size;
+
+        // Glyphs are drawn Y up; flip them back into the Y-down user space.
+        const { a, b, c, d } = this.state.transform;
+        const [px, py] = this.toPage(x, y);
+        const matrix = [a, -b, -c, d, px, py].map((value, i) => (i < 4 ? value * POINTS_PER_MM : value));
+        return `BT /F1 ${num(size)} Tf ${paint} ${matrix.map(num).join(' ')} Tm (${pdfString(text)}) Tj ET`;
+    }
+
+    fillText(text, x, y, maxWidth) {
+        const style = this.fillOperator();
+        if (!style) return;
+        this.content.push(style, this.textOperators(text, x, y, '0 Tr'));
+    }
+
+    strokeText(text, x, y, maxWidth) {
+        const style = this.strokeOperators();
+        if (!style) return;
+        this.content.push(style, this.textOperators(text, x, y, '1 Tr'));
+    }
+
+    measureText(text) {
+        const size = this.getFontSize();
+        const units = Array.from(String(text)).reduce((sum, ch) => {
+            const code = ch.charCodeAt(0);
+            return sum + (HELVETICA_WIDTHS[code - 32] ?? DEFAULT_CHAR_WIDTH);
+        }, 0);
+        return { width: (units / 1000) * size };
+    }
+
+    // --- Gradient/Pattern Operations ---
+
+    createLinearGradient() {
+        throw new Error('PDFContext does not support gradients');
+    }
+
+    createRadialGradient() {
+        throw new Error('PDFContext does not support gradients');
+    }
+
+    // --- Image Operations ---
+
+    drawImage() {
+        console.warn('PDFContext.drawImage is not implemented');
+    }
+
+    // --- Export Operations ---
+
+    /**
+     * Generate the complete PDF document
+     * @returns {string} PDF file contents (7-bit ASCII)
+     */
+    toPDFString() {
+        const streams = [...this.pages, this.content.join('\n')];
+        const pageWidth = num(this.width * POINTS_PER_MM);
+        const pageHeight = num(this.height * POINTS_PER_MM);
+
+        // 1 catalog, 2 page tree, 3 font, 4 info, then a page and its content per page
+        const pageIds = streams.map((_, i) => 5 + i * 2);
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${streams.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            `<< /Producer (Otto) /Title (${pdfString(this.title)}) >>`
+        ];
+        streams.forEach((stream, i) => {
+            objects.push(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+                `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`
+            );
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        });
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return pdf;
+    }
+
+    async export(format = 'pdf') {
+        const pdfString = this.toPDFString();
+
+        if (format === 'pdf' || format === 'string') {
+            return pdfString;
+        } else if (format === 'blob') {
+            return new Blob([pdfString], { type: 'application/pdf' });
+        } else if (format === 'dataurl') {
+            return 'data:application/pdf;base64,' + btoa(pdfString);
+        } else {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    /**
+     * Clear all pages and reset state
+     */
+    clear() {
+        this.pages = [];
+        this.content = [];
+        this.currentPath = [];
+        this.currentPoint = null;
+        this.stateStack = [];
+        this.state = this.createDefaultState();
+    }
+}
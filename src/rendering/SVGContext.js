@@ -15,12 +15,17 @@ export class SVGContext extends RenderingContext {
     /**
      * @param {number} width - SVG width
      * @param {number} height - SVG height
+     * @param {Object} options - Document options
+     * @param {string} options.units - Unit suffix for width/height (e.g. 'mm', default: none)
+     * @param {{x: number, y: number, width: number, height: number}} options.viewBox - User-space viewBox (default: 0 0 width height)
      */
-    constructor(width = 800, height = 600) {
+    constructor(width = 800, height = 600, options = {}) {
         super();
 
         this.width = width;
         this.height = height;
+        this.units = options.units || '';
+        this.viewBox = options.viewBox || null;
 
         // SVG elements accumulator
         this.elements = [];
@@ -297,6 +302,27 @@ export class SVGContext extends RenderingContext {
         this.elements.push(`<rect x="${x}" y="${y}" width="${width}" height="${height}" ${this.getStyleAttributes('stroke')}/>`);
     }
 
+    // --- Grouping ---
+
+    /**
+     * Open a <g> element. Everything emitted until the matching
+     * endGroup() is nested inside it.
+     * @param {Object} attributes - Attribute name/value pairs for the group
+     */
+    beginGroup(attributes = {}) {
+        const attrs = Object.entries(attributes)
+            .map(([name, value]) => `${name}="${this.escapeXml(String(value))}"`)
+            .join(' ');
+        this.elements.push(attrs ? `<g ${attrs}>` : '<g>');
+    }
+
+    /**
+     * Close the most recently opened <g> element
+     */
+    endGroup() {
+        this.elements.push('</g>');
+    }
+
     // --- Text Operations ---
 
     setFont(font) {
@@ -423,9 +449,10 @@ export class SVGContext extends RenderingContext {
      * @returns {string}
      */
     toSVGString() {
+        const vb = this.viewBox || { x: 0, y: 0, width: this.width, height: this.height };
         const svg = [
             `<?xml version="1.0" encoding="UTF-8"?>`,
-            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}${this.units}" height="${this.height}${this.units}" viewBox="${vb.x} ${vb.y} ${vb.width} ${vb.height}">`,
             ...this.elements,
             `</svg>`
         ];
@@ -0,0 +1,297 @@
+import { PDFContext } from './PDFContext.js';
+import { OPERATION_LAYERS, SceneSVGExporter } from './SceneSVGExporter.js';
+import { DimensionRenderStrategy } from './strategies/DimensionRenderStrategy.js';
+
+/**
+ * Paper sizes in mm, portrait.
+ */
+export const PAGE_SIZES = {
+    a4: { label: 'A4', width: 210, height: 297 },
+    letter: { label: 'Letter', width: 215.9, height: 279.4 }
+};
+
+/**
+ * Default PDF cut sheet options (see ScenePDFExporter).
+ */
+export const DEFAULT_PDF_OPTIONS = {
+    pageSize: 'a4',
+    pageWidth: 210,
+    pageHeight: 297,
+    orientation: 'portrait',
+    margin: 12,
+    dimensions: true,
+    projectName: ''
+};
+
+/** Height of the title block at the foot of each page, in mm. */
+const TITLE_BLOCK_HEIGHT = 16;
+
+/** Space between the drawing area and the title block, in mm. */
+const TITLE_BLOCK_GAP = 8;
+
+/** Crop mark length and their gap to the drawing area corner, in mm. */
+const CROP_MARK_LENGTH = 5;
+const CROP_MARK_GAP = 1;
+
+/** Side of the calibration square, in mm. */
+const CALIBRATION_SIZE = 10;
+
+/** Size on paper of one dimension display unit, in mm. */
+const DIMENSION_SCALE = 0.25;
+
+/**
+ * ScenePDFExporter - Builds printable 1:1 cut sheets on top of PDFContext
+ *
+ * Draws the same geometry as SceneSVGExporter (joinery baked in, no kerf
+ * or holding tabs, since the sheets are templates of the finished parts)
+ * at true scale. A design larger than the page is tiled across as many
+ * pages as it needs, with crop marks at the corners of each tile so the
+ * sheets can be trimmed and butted together. Every page carries a title
+ * block with the project and tab name, its place in the tiling and a
+ * 10 mm calibration square to check the printer kept scale. Optionally,
+ * each shape gets the width/height dimensions the canvas shows for a
+ * selection, drawn by the same DimensionRenderStrategy.
+ *
+ * Usage:
+ * ```javascript
+ * const exporter = new ScenePDFExporter({ pageSize: 'letter', projectName: 'Shelf', tabName: 'Sides' });
+ * const pdf = exporter.export(shapeStore.getResolved());
+ * ```
+ */
+export class ScenePDFExporter {
+    /**
+     * @param {Object} options - Export options
+     * @param {'a4'|'letter'|'custom'} options.pageSize - Paper size (default: 'a4')
+     * @param {number} options.pageWidth - Portrait page width in mm for 'custom' (default: 210)
+     * @param {number} options.pageHeight - Portrait page height in mm for 'custom' (default: 297)
+     * @param {'portrait'|'landscape'} options.orientation - Page orientation (default: 'portrait')
+     * @param {number} options.margin - Unprinted border of each page in mm (default: 12)
+     * @param {boolean} options.dimensions - Annotate each shape with its width and height (default: true)
+     * @param {string} options.projectName - Project name for the title block (default: none)
+     * @param {string} options.tabName - Tab (scene) name for the title block (default: none)
+     * @param {number} options.strokeWidth - Line width in mm (default: 0.2)
+     * @param {ShapeStore|Function} options.joineryProvider - Edge joinery lookup (default: none)
+     */
+    constructor(options = {}) {
+        const settings = { ...DEFAULT_PDF_OPTIONS, ...options };
+        const paper = PAGE_SIZES[settings.pageSize] ?? { width: settings.pageWidth, height: settings.pageHeight };
+        const landscape = settings.orientation === 'landscape';
+        this.pageWidth = landscape ? Math.max(paper.width, paper.height) : Math.min(paper.width, paper.height);
+        this.pageHeight = landscape ? Math.min(paper.width, paper.height) : Math.max(paper.width, paper.height);
+        this.margin = settings.margin;
+        this.dimensions = settings.dimensions;
+        this.projectName = settings.projectName;
+        this.tabName = options.tabName ?? '';
+        this.strokeWidth = options.strokeWidth ?? 0.2;
+        this.joineryProvider = options.joineryProvider ?? null;
+        this.dimensionStrategy = new DimensionRenderStrategy({ padding: 2 });
+    }
+
+    /**
+     * Get the drawing area of a page, between the margins and above the
+     * title block
+     * @returns {{x: number, y: number, width: number, height: number}} Area in mm
+     */
+    getDrawingArea() {
+        return {
+            x: this.margin,
+            y: this.margin,
+            width: this.pageWidth - this.margin * 2,
+            height: this.pageHeight - this.margin * 2 - TITLE_BLOCK_HEIGHT - TITLE_BLOCK_GAP
+        };
+    }
+
+    /**
+     * Render shapes into a PDF document string
+     * @param {Array<Shape>} shapes - Resolved shapes (see ShapeStore.getResolved)
+     * @returns {string} PDF document
+     * @throws {Error} If the page is too small for its margins and title block
+     */
+    export(shapes) {
+        const area = this.getDrawingArea();
+        if (area.width <= 0 || area.height <= 0) {
+            throw new Error('Page is too small for its margins');
+        }
+
+        const entries = [];
+        let bounds = null;
+        shapes.forEach(shape => {
+            const geometry = SceneSVGExporter.shapeGeometry(shape, { joineryProvider: this.joineryProvider });
+            const box = geometry ? geometry.tightBoundingBox() : null;
+            if (!box) return;
+
+            entries.push({ shape, operation: SceneSVGExporter.operationForShape(shape), geometry });
+            bounds = bounds ? bounds.expandToIncludeBoundingBox(box) : box.clone();
+        });
+
+        // Dimensions are drawn below and to the right of each shape: the
+        // dimension line, then a label centred 12 units beyond it.
+        const { padding, offset, fontSize } = this.dimensionStrategy;
+        const dimensionRoom = this.dimensions ? padding + (offset + 12 + (fontSize + 8) / 2) * DIMENSION_SCALE : 0;
+        const originX = bounds ? bounds.min.x : 0;
+        const originY = bounds ? bounds.min.y : 0;
+        const columns = bounds ? Math.max(1, Math.ceil((bounds.width() + dimensionRoom) / area.width)) : 1;
+        const rows = bounds ? Math.max(1, Math.ceil((bounds.height() + dimensionRoom) / area.height)) : 1;
+        const pageCount = columns * rows;
+
+        const context = new PDFContext(this.pageWidth, this.pageHeight, {
+            title: [this.projectName, this.tabName].filter(Boolean).join(' - ')
+        });
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                if (row > 0 || column > 0) {
+                    context.addPage();
+                }
+                const tileX = originX + column * area.width;
+                const tileY = originY + row * area.height;
+
+                context.save();
+                context.beginPath();
+                context.rect(area.x, area.y, area.width, area.height);
+                context.clip();
+                context.translate(area.x - tileX, area.y - tileY);
+                this.renderEntries(context, entries);
+                context.restore();
+
+                this.renderCropMarks(context, area);
+                this.renderTitleBlock(context, {
+                    page: row * columns + column + 1,
+                    pageCount,
+                    row: row + 1,
+                    column: column + 1,
+                    rows,
+                    columns
+                });
+            }
+        }
+
+        return context.toPDFString();
+    }
+
+    /**
+     * Draw shape geometry, one layer style per operation, and the optional
+     * dimension annotations, in world coordinates
+     * @param {PDFContext} context
+     * @param {Array<{shape: Shape, operation: string, geometry: Path|Shape|Group}>} entries
+     */
+    renderEntries(context, entries) {
+        Object.entries(OPERATION_LAYERS).forEach(([operation, layer]) => {
+            const layerEntries = entries.filter(entry => entry.operation === operation);
+            if (layerEntries.length === 0) return;
+
+            context.save();
+            context.setStrokeStyle(layer.stroke);
+            context.setLineWidth(this.strokeWidth);
+            context.setLineJoin('round');
+            if (layer.fill) {
+                context.setFillStyle(layer.fill);
+            }
+            layerEntries.forEach(({ geometry }) => {
+                context.beginPath();
+                geometry.toCanvasPath(context);
+                if (layer.fill) {
+                    context.fill('evenodd');
+                } else {
+                    context.stroke();
+                }
+            });
+            context.restore();
+        });
+
+        if (!this.dimensions) return;
+        entries.forEach(({ shape, geometry }) => {
+            this.dimensionStrategy.render(context, ScenePDFExporter.dimensionBounds(shape, geometry), {
+                scale: DIMENSION_SCALE
+            });
+        });
+    }
+
+    /**
+     * Get the bounds a shape's dimensions measure: the same bounds the
+     * canvas annotates for a selection, or the geometry's when the shape
+     * has none
+     * @param {Shape} shape
+     * @param {Path|Shape|Group} geometry
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    static dimensionBounds(shape, geometry) {
+        const bounds = typeof shape.getBounds === 'function' ? shape.getBounds() : null;
+        if (bounds) return bounds;
+        const box = geometry.tightBoundingBox();
+        return { x: box.min.x, y: box.min.y, width: box.width(), height: box.height() };
+    }
+
+    /**
+     * Draw crop marks just outside each corner of the drawing area
+     * @param {PDFContext} context
+     * @param {{x: number, y: number, width: number, height: number}} area
+     */
+    renderCropMarks(context, area) {
+        const corners = [
+            { x: area.x, y: area.y, dx: -1, dy: -1 },
+            { x: area.x + area.width, y: area.y, dx: 1, dy: -1 },
+            { x: area.x, y: area.y + area.height, dx: -1, dy: 1 },
+            { x: area.x + area.width, y: area.y + area.height, dx: 1, dy: 1 }
+        ];
+        const length = Math.min(CROP_MARK_LENGTH, this.margin - CROP_MARK_GAP * 2);
+        if (length <= 0) return;
+
+        context.save();
+        context.setStrokeStyle('#000000');
+        context.setLineWidth(0.1);
+        context.beginPath();
+        corners.forEach(({ x, y, dx, dy }) => {
+            context.moveTo(x + dx * CROP_MARK_GAP, y);
+            context.lineTo(x + dx * (CROP_MARK_GAP + length), y);
+            context.moveTo(x, y + dy * CROP_MARK_GAP);
+            context.lineTo(x, y + dy * (CROP_MARK_GAP + length));
+        });
+        context.stroke();
+        context.restore();
+    }
+
+    /**
+     * Draw the title block with the calibration square at the foot of a page
+     * @param {PDFContext} context
+     * @param {{page: number, pageCount: number, row: number, column: number, rows: number, columns: number}} tile
+     */
+    renderTitleBlock(context, tile) {
+        const x = this.margin;
+        const y = this.pageHeight - this.margin - TITLE_BLOCK_HEIGHT;
+        const width = this.pageWidth - this.margin * 2;
+        const inset = (TITLE_BLOCK_HEIGHT - CALIBRATION_SIZE) / 2;
+
+        context.save();
+        context.setStrokeStyle('#000000');
+        context.setFillStyle('#000000');
+        context.setLineWidth(0.2);
+        context.strokeRect(x, y, width, TITLE_BLOCK_HEIGHT);
+
+        // Calibration square
+        context.setLineWidth(0.1);
+        context.strokeRect(x + inset, y + inset, CALIBRATION_SIZE, CALIBRATION_SIZE);
+        context.setFont('2.5px Helvetica');
+        context.setTextBaseline('middle');
+        context.setTextAlign('left');
+        context.fillText(`${CALIBRATION_SIZE} mm`, x + inset * 2 + CALIBRATION_SIZE, y + TITLE_BLOCK_HEIGHT / 2);
+
+        const textX = x + inset * 3 + CALIBRATION_SIZE + 12;
+        context.setTextBaseline('alphabetic');
+        context.setFont('4px Helvetica');
+        context.fillText(this.projectName || 'Untitled project', textX, y + 6.5);
+        context.setFont('3px Helvetica');
+        context.fillText(this.tabName ? `Tab: ${this.tabName}` : '', textX, y + 12);
+
+        const rightX = x + width - inset;
+        context.setTextAlign('right');
+        context.setFont('3.5px Helvetica');
+        context.fillText(`Page ${tile.page} of ${tile.pageCount}`, rightX, y + 5.5);
+        context.setFont('2.5px Helvetica');
+        if (tile.pageCount > 1) {
+            context.fillText(`Row ${tile.row} of ${tile.rows}, column ${tile.column} of ${tile.columns}`, rightX, y + 9.5);
+        }
+        context.fillText('Scale 1:1 - print at 100%, no fit to page', rightX, y + 13);
+        context.restore();
+    }
+}
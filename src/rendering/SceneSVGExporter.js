@@ -0,0 +1,270 @@
+import { SVGContext } from './SVGContext.js';
+import { Group, Path as GeoPath, Vec as GeoVec, applyCornerRelief, applyHoldingTabs, bakeEdgeJoinery, offsetGeometry, optimizeLayerCutOrder } from '../geometry/index.js';
+
+/**
+ * Fabrication operations and the layer each one is written to.
+ * Colours follow the common laser convention (red cut, blue score,
+ * black filled engrave) so the layers map onto machine settings
+ * without manual reassignment. `aci` is the matching AutoCAD Color
+ * Index used for DXF layers, `lightburnIndex` the matching LightBurn
+ * colour layer.
+ */
+export const OPERATION_LAYERS = {
+    cut: { label: 'Cut', stroke: '#ff0000', fill: null, aci: 1, lightburnIndex: 2 },
+    score: { label: 'Score', stroke: '#0000ff', fill: null, aci: 5, lightburnIndex: 1 },
+    engrave: { label: 'Engrave', stroke: 'none', fill: '#000000', aci: 7, lightburnIndex: 0 }
+};
+
+/**
+ * Rotate geometry about the centre of a shape's bounds, as the canvas does.
+ * @param {Shape} shape
+ * @param {Path|Shape|Group} geometry - Transformed in place
+ */
+const rotateWithShape = (shape, geometry) => {
+    const rotation = Number(shape.rotation || 0);
+    if (!rotation || typeof shape.getBounds !== 'function') return;
+    const bounds = shape.getBounds();
+    if (!bounds) return;
+    const center = new GeoVec(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+    geometry.transform({ position: center, rotation, origin: center });
+};
+
+/**
+ * SceneSVGExporter - Builds an SVG cut file on top of SVGContext
+ *
+ * Walks resolved shapes and emits only their geometry: joinery previews,
+ * selection brackets and the grid belong to CanvasRenderer and never
+ * reach this exporter. World units are millimetres, so the document is
+ * sized in mm with a matching viewBox and opens at true scale. When a
+ * joinery provider is given, edge joinery is baked into each outline.
+ * A non-zero kerf offsets cut contours by half its width: outlines grow
+ * and holes shrink, so parts come off the machine at their drawn size.
+ * A shape cut from a library material uses that material's kerf instead.
+ * With cornerRelief, concave corners of cut contours get dog-bone or
+ * T-bone overcuts for a round cutter; a material's own relief settings
+ * take precedence. With holdingTabs, closed cut contours are split around uncut tabs.
+ * With optimizeOrder, stroked layers are written one contour per element
+ * in cutting order: inner contours first, then by shortest travel.
+ *
+ * Usage:
+ * ```javascript
+ * const exporter = new SceneSVGExporter({ margin: 5, joineryProvider: shapeStore, kerf: 0.15 });
+ * const svg = exporter.export(shapeStore.getResolved());
+ * ```
+ */
+export class SceneSVGExporter {
+    /**
+     * @param {Object} options - Export options
+     * @param {number} options.margin - Empty border around the design in mm (default: 5)
+     * @param {number} options.strokeWidth - Hairline width in mm for cut/score layers (default: 0.1)
+     * @param {ShapeStore|Function} options.joineryProvider - Edge joinery lookup (default: none)
+     * @param {number} options.kerf - Cutter kerf width in mm applied to cut shapes (default: 0)
+     * @param {MaterialStore} options.materials - Material library for per-shape kerf (default: none)
+     * @param {{style: string, toolDiameter: number}} options.cornerRelief - Overcuts for inside corners (default: none)
+     * @param {{count: number, width: number}} options.holdingTabs - Tabs left in cut contours (default: none)
+     * @param {boolean} options.optimizeOrder - Write cut/score contours in optimised cutting order (default: false)
+     */
+    constructor(options = {}) {
+        this.margin = options.margin ?? 5;
+        this.strokeWidth = options.strokeWidth ?? 0.1;
+        this.joineryProvider = options.joineryProvider ?? null;
+        this.kerf = options.kerf ?? 0;
+        this.materials = options.materials ?? null;
+        this.cornerRelief = options.cornerRelief ?? null;
+        this.holdingTabs = options.holdingTabs ?? null;
+        this.optimizeOrder = options.optimizeOrder ?? false;
+    }
+
+    /**
+     * Get the export geometry of a resolved shape in world coordinates.
+     * Edge joinery, rotation, corner relief and kerf compensation are baked
+     * into the returned geometry instead of being written as an SVG
+     * transform. Corner relief, kerf and holding tabs only apply to shapes
+     * on the cut layer; a shape's material settings take precedence over
+     * the given ones.
+     * @param {Shape} shape - Resolved model shape
+     * @param {Object} options
+     * @param {ShapeStore|Function} options.joineryProvider - Store (or getEdgeJoinery-style function) holding edge joinery
+     * @param {number} options.kerf - Cutter kerf width in mm (default: 0)
+     * @param {MaterialStore} options.materials - Material library looked up by shape.materialId (default: none)
+     * @param {{style: string, toolDiameter: number}} options.cornerRelief - Project corner relief (default: none)
+     * @param {{count: number, width: number}} options.holdingTabs - Tabs left in cut contours (default: none)
+     * @returns {Path|Shape|Group|null} Geometry path/shape (a Group of open cut pieces
+     *   when tabs were left), or null if the shape has none
+     */
+    static shapeGeometry(shape, options = {}) {
+        const { joineryProvider = null, materials = null, cornerRelief = null, holdingTabs = null } = options;
+        const kerf = materials?.get(shape?.materialId)?.kerfMm ?? options.kerf ?? 0;
+        if (!shape || typeof shape.toGeometryPath !== 'function') return null;
+
+        let geometry = shape.toGeometryPath();
+        if (!geometry) return null;
+
+        const getJoinery = typeof joineryProvider === 'function'
+            ? joineryProvider
+            : joineryProvider?.getEdgeJoinery?.bind(joineryProvider);
+        if (getJoinery) {
+            geometry = bakeEdgeJoinery(geometry, getJoinery, { shapeId: shape.id });
+        }
+
+        rotateWithShape(shape, geometry);
+
+        const relief = SceneSVGExporter.cornerReliefForShape(shape, materials, cornerRelief);
+        if (relief) {
+            geometry = applyCornerRelief(geometry, relief);
+        }
+        if (kerf > 0 && SceneSVGExporter.operationForShape(shape) === 'cut') {
+            geometry = offsetGeometry(geometry, kerf / 2);
+        }
+        if (holdingTabs) {
+            geometry = SceneSVGExporter.holdingTabGeometry(shape, geometry, holdingTabs)?.cuts ?? geometry;
+        }
+        return geometry;
+    }
+
+    /**
+     * Get the corner relief a shape is cut with. The shape's material
+     * overrides the project's style and tool diameter where it sets them.
+     * @param {Shape} shape - Resolved model shape
+     * @param {MaterialStore|null} materials - Material library
+     * @param {{style: string, toolDiameter: number}|null} cornerRelief - Project setting
+     * @returns {{style: string, toolDiameter: number}|null} Null when the shape
+     *   is not cut or gets no relief
+     */
+    static cornerReliefForShape(shape, materials, cornerRelief) {
+        if (SceneSVGExporter.operationForShape(shape) !== 'cut') return null;
+        const material = materials?.get(shape.materialId) ?? null;
+        const style = material?.reliefStyle || cornerRelief?.style || 'none';
+        const toolDiameter = material?.toolDiameterMm || cornerRelief?.toolDiameter || 0;
+        return style !== 'none' && toolDiameter > 0 ? { style, toolDiameter } : null;
+    }
+
+    /**
+     * Get the world positions of a shape's hand-placed holding tabs.
+     * @param {Shape} shape - Resolved model shape
+     * @returns {Array<GeoVec>}
+     */
+    static holdingTabPoints(shape) {
+        if (!shape?.holdingTabs?.length || typeof shape.toGeometryPath !== 'function') return [];
+        const geometry = shape.toGeometryPath();
+        if (!geometry) return [];
+
+        const paths = geometry.allPaths();
+        const points = shape.holdingTabs
+            .filter(tab => paths[tab.pathIndex])
+            .map(tab => paths[tab.pathIndex].positionAtTime(tab.index + tab.time));
+        if (points.length === 0) return [];
+
+        const marker = GeoPath.fromPoints(points);
+        rotateWithShape(shape, marker);
+        return marker.anchors.map(anchor => anchor.position);
+    }
+
+    /**
+     * Split a cut shape's export geometry around its holding tabs. Contours
+     * with hand-placed tabs get those; the others get `count` evenly spread
+     * tabs.
+     * @param {Shape} shape - Resolved model shape
+     * @param {Path|Shape|Group} geometry - The shape's export geometry (see shapeGeometry)
+     * @param {{count: number, width: number}} holdingTabs - Project tab settings
+     * @returns {{cuts: Group, bridges: Group}|null} Cut pieces and uncut tabs, or
+     *   null when the shape is not cut or gets no tabs
+     */
+    static holdingTabGeometry(shape, geometry, holdingTabs) {
+        if (!geometry || SceneSVGExporter.operationForShape(shape) !== 'cut') return null;
+        const tabbed = applyHoldingTabs(geometry, {
+            count: holdingTabs.count,
+            width: holdingTabs.width,
+            points: SceneSVGExporter.holdingTabPoints(shape)
+        });
+        return tabbed.bridges.items.length > 0 ? tabbed : null;
+    }
+
+    /**
+     * Get the operation a shape is exported with, falling back to 'cut'
+     * @param {Shape} shape
+     * @returns {string}
+     */
+    static operationForShape(shape) {
+        return OPERATION_LAYERS[shape.operation] ? shape.operation : 'cut';
+    }
+
+    /**
+     * Render shapes into an SVG document string
+     * @param {Array<Shape>} shapes - Resolved shapes (see ShapeStore.getResolved)
+     * @returns {string} SVG document
+     */
+    export(shapes) {
+        const entries = [];
+        let bounds = null;
+
+        shapes.forEach(shape => {
+            const geometry = SceneSVGExporter.shapeGeometry(shape, {
+                joineryProvider: this.joineryProvider,
+                kerf: this.kerf,
+                materials: this.materials,
+                cornerRelief: this.cornerRelief,
+                holdingTabs: this.holdingTabs
+            });
+            const box = geometry ? geometry.looseBoundingBox() : null;
+            if (!box) return;
+
+            entries.push({ operation: SceneSVGExporter.operationForShape(shape), geometry });
+            bounds = bounds ? bounds.expandToIncludeBoundingBox(box) : box.clone();
+        });
+
+        const minX = bounds ? bounds.min.x - this.margin : 0;
+        const minY = bounds ? bounds.min.y - this.margin : 0;
+        const width = bounds ? bounds.width() + this.margin * 2 : this.margin * 2;
+        const height = bounds ? bounds.height() + this.margin * 2 : this.margin * 2;
+
+        const context = new SVGContext(width, height, {
+            units: 'mm',
+            viewBox: { x: minX, y: minY, width, height }
+        });
+
+        // Stroked layers are split into contours and ordered for cutting;
+        // filled layers keep whole shapes so holes stay holes.
+        const orderedLayers = new Map();
+        if (this.optimizeOrder && bounds) {
+            const strokedLayers = Object.entries(OPERATION_LAYERS)
+                .filter(([, layer]) => !layer.fill)
+                .map(([operation]) => ({
+                    operation,
+                    geometry: new Group(entries.filter(entry => entry.operation === operation).map(entry => entry.geometry))
+                }));
+            optimizeLayerCutOrder(strokedLayers, { start: bounds.min }).forEach(({ operation, geometry }) => {
+                orderedLayers.set(operation, geometry.items);
+            });
+        }
+
+        Object.entries(OPERATION_LAYERS).forEach(([operation, layer]) => {
+            const layerEntries = entries.filter(entry => entry.operation === operation);
+            if (layerEntries.length === 0) return;
+            const items = orderedLayers.get(operation) ?? layerEntries.map(entry => entry.geometry);
+
+            context.beginGroup({ id: operation, 'data-operation': operation, 'fill-rule': 'evenodd' });
+            context.save();
+            context.setStrokeStyle(layer.stroke);
+            context.setLineWidth(this.strokeWidth);
+            if (layer.fill) {
+                context.setFillStyle(layer.fill);
+            }
+
+            items.forEach(geometry => {
+                context.beginPath();
+                geometry.toCanvasPath(context);
+                if (layer.fill) {
+                    context.fill();
+                } else {
+                    context.stroke();
+                }
+            });
+
+            context.restore();
+            context.endGroup();
+        });
+
+        return context.toSVGString();
+    }
+}
@@ -5,6 +5,9 @@
  * - RenderingContext: Abstract interface for rendering backends
  * - Canvas2DContext: Standard HTML5 Canvas implementation
  * - SVGContext: SVG generation for vector export
+ * - SceneSVGExporter: Scene-wide SVG cut file (mm units, one layer per operation)
+ * - PDFContext: Self-contained multi-page PDF generation
+ * - ScenePDFExporter: Printable 1:1 cut sheets tiled across pages
  * - Strategies: Interchangeable rendering algorithms
  *
  * Usage:
@@ -25,6 +28,9 @@
 export { RenderingContext } from './RenderingContext.js';
 export { Canvas2DContext } from './Canvas2DContext.js';
 export { SVGContext } from './SVGContext.js';
+export { SceneSVGExporter, OPERATION_LAYERS } from './SceneSVGExporter.js';
+export { PDFContext } from './PDFContext.js';
+export { ScenePDFExporter, PAGE_SIZES, DEFAULT_PDF_OPTIONS } from './ScenePDFExporter.js';
 
 // Strategy Pattern - Rendering strategies
 export * from './strategies/index.js';
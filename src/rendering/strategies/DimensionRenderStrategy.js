@@ -0,0 +1,119 @@
+/**
+ * DimensionRenderStrategy - Strategy Pattern Implementation
+ *
+ * Encapsulates width/height dimension annotation rendering: a dimension
+ * line with end ticks below the bounds and a rotated one to the right,
+ * each labelled with its size in mm.
+ *
+ * Sizes (padding, offsets, font) are given in display units and multiplied
+ * by a scale at render time, so the same annotation can be drawn at a
+ * constant on-screen size (scale = 1 / zoom) or at a fixed size on paper.
+ */
+export class DimensionRenderStrategy {
+    /**
+     * @param {Object} options - Dimension rendering configuration
+     * @param {string} options.color - Line and text color (default: '#2aa3ff')
+     * @param {string} options.labelBackground - Label background color (default: 'rgba(255,255,255,0.9)')
+     * @param {number} options.padding - Gap between the bounds and the measured extent (default: 8)
+     * @param {number} options.offset - Distance of the dimension lines from the padded bounds (default: 10)
+     * @param {number} options.fontSize - Label font size (default: 12)
+     * @param {number} options.lineWidth - Dimension line width (default: 1.5)
+     */
+    constructor(options = {}) {
+        this.color = options.color || '#2aa3ff';
+        this.labelBackground = options.labelBackground || 'rgba(255,255,255,0.9)';
+        this.padding = options.padding ?? 8;
+        this.offset = options.offset ?? 10;
+        this.fontSize = options.fontSize || 12;
+        this.lineWidth = options.lineWidth || 1.5;
+    }
+
+    /**
+     * Render width and height dimensions of a bounding box
+     * @param {RenderingContext} context - Rendering context abstraction
+     * @param {{x: number, y: number, width: number, height: number}} bounds - Measured bounds in mm
+     * @param {Object} options
+     * @param {number} options.scale - World units per display unit (default: 1)
+     */
+    render(context, bounds, options = {}) {
+        const scale = options.scale ?? 1;
+        const padding = this.padding;
+        const x = bounds.x - padding;
+        const y = bounds.y - padding;
+        const w = bounds.width + padding * 2;
+        const h = bounds.height + padding * 2;
+
+        const fontSize = this.fontSize * scale;
+        const textPadding = 4 * scale;
+        const tick = 4 * scale;
+        const fmt = (v) => `${v.toFixed(2)} mm`;
+
+        context.save();
+        context.setStrokeStyle(this.color);
+        context.setLineWidth(this.lineWidth * scale);
+        context.setFont(`${fontSize}px sans-serif`);
+        context.setTextBaseline('middle');
+        context.setTextAlign('center');
+
+        // Horizontal dimension (bottom)
+        const bottomY = y + h + this.offset * scale;
+        this.renderDimensionLine(context, x, bottomY, x + w, bottomY, 0, tick);
+        this.renderLabel(context, fmt(bounds.width), x + w / 2, bottomY + 12 * scale, 0, fontSize, textPadding);
+
+        // Vertical dimension (right)
+        const rightX = x + w + this.offset * scale;
+        this.renderDimensionLine(context, rightX, y, rightX, y + h, tick, 0);
+        this.renderLabel(context, fmt(bounds.height), rightX + 12 * scale, y + h / 2, Math.PI / 2, fontSize, textPadding);
+
+        context.restore();
+    }
+
+    /**
+     * Draw a dimension line with a tick across each end
+     * @param {RenderingContext} context
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @param {number} tickX - Half length of the ticks along x
+     * @param {number} tickY - Half length of the ticks along y
+     */
+    renderDimensionLine(context, x1, y1, x2, y2, tickX, tickY) {
+        context.beginPath();
+        context.moveTo(x1, y1);
+        context.lineTo(x2, y2);
+        context.stroke();
+
+        context.beginPath();
+        context.moveTo(x1 - tickX, y1 - tickY);
+        context.lineTo(x1 + tickX, y1 + tickY);
+        context.moveTo(x2 - tickX, y2 - tickY);
+        context.lineTo(x2 + tickX, y2 + tickY);
+        context.stroke();
+    }
+
+    /**
+     * Draw a label centred on a point, over a background box
+     * @param {RenderingContext} context
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y
+     * @param {number} rotation - Rotation in radians
+     * @param {number} fontSize
+     * @param {number} textPadding
+     */
+    renderLabel(context, text, x, y, rotation, fontSize, textPadding) {
+        const textWidth = context.measureText(text).width + textPadding * 2;
+        const textHeight = fontSize + textPadding * 2;
+        context.save();
+        context.translate(x, y);
+        if (rotation) {
+            context.rotate(rotation);
+        }
+        context.setFillStyle(this.labelBackground);
+        context.fillRect(-textWidth / 2, -textHeight / 2, textWidth, textHeight);
+        context.setFillStyle(this.color);
+        context.fillText(text, 0, 0);
+        context.restore();
+    }
+}
@@ -5,6 +5,7 @@
  * - Grid rendering (lines, dots, none)
  * - Shape rendering (normal, wireframe, preview)
  * - Selection rendering (standard, minimal, highlight)
+ * - Dimension annotations (width/height of bounds)
  *
  * Usage:
  * ```javascript
@@ -43,3 +44,6 @@ export {
     MinimalSelectionStrategy,
     HighlightSelectionStrategy
 } from './SelectionRenderStrategy.js';
+
+// Dimension annotation strategy
+export { DimensionRenderStrategy } from './DimensionRenderStrategy.js';
@@ -0,0 +1,88 @@
+/**
+ * PDFContext tests
+ */
+
+import { PDFContext } from '../PDFContext.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+/**
+ * Numbers of the MediaBox of every page
+ * @param {string} pdf
+ * @returns {Array<Array<number>>}
+ */
+const mediaBoxes = (pdf) => Array.from(pdf.matchAll(/\/MediaBox \[([^\]]*)\]/g), (match) => match[1].split(' ').map(Number));
+
+console.log('PDFContext tests:\n');
+
+test('draws 10 mm as 28.346 pt, Y up from the page foot', (() => {
+    const context = new PDFContext(210, 297);
+    context.beginPath();
+    context.rect(0, 0, 10, 10);
+    context.stroke();
+    const pdf = context.toPDFString();
+    return pdf.includes('0 841.89 m') && pdf.includes('28.346 841.89 l') &&
+        pdf.includes('28.346 813.543 l') && pdf.includes('0 813.543 l');
+})());
+
+test('scales line widths from mm to pt', (() => {
+    const context = new PDFContext();
+    context.setLineWidth(10);
+    context.beginPath();
+    context.moveTo(0, 0);
+    context.lineTo(10, 0);
+    context.stroke();
+    return context.toPDFString().includes('28.346 w');
+})());
+
+test('sizes the MediaBox of every page from the page size in mm', (() => {
+    const context = new PDFContext(215.9, 279.4);
+    context.addPage();
+    const boxes = mediaBoxes(context.toPDFString());
+    return boxes.length === 2 && boxes.every((box) => box.join() === '0,0,612,792');
+})());
+
+test('points every xref entry at its object', (() => {
+    const context = new PDFContext();
+    context.fillText('Page (1)', 10, 10);
+    context.addPage();
+    context.fillText('Page (2)', 10, 10);
+    const pdf = context.toPDFString();
+    const start = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const [header, ...entries] = pdf.slice(start).split('\n');
+    const [, count] = entries[0].split(' ').map(Number);
+    const offsets = entries.slice(2, count + 1).map((entry) => Number(entry.slice(0, 10)));
+    return header === 'xref' && count === 9 && offsets.length === 8 &&
+        offsets.every((offset, i) => pdf.startsWith(`${i + 1} 0 obj`, offset));
+})());
+
+test('gives each content stream its length', (() => {
+    const context = new PDFContext();
+    context.fillRect(0, 0, 10, 10);
+    const pdf = context.toPDFString();
+    const [, length, stream] = pdf.match(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/);
+    return Number(length) === stream.length && stream.length > 0;
+})());
+
+test('escapes text for PDF string literals', (() => {
+    const context = new PDFContext();
+    context.fillText('a (b) \\ é', 0, 0);
+    return context.toPDFString().includes('(a \\(b\\) \\\\ \\351) Tj');
+})());
+
+console.log(`\nPDFContext: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`PDFContext: ${testCount - passCount} tests failed`);
+}
@@ -0,0 +1,83 @@
+/**
+ * ScenePDFExporter tests
+ */
+
+import { ScenePDFExporter } from '../ScenePDFExporter.js';
+import { Rectangle } from '../../models/shapes/Rectangle.js';
+
+let testCount = 0;
+let passCount = 0;
+
+const test = (name, passed) => {
+    testCount++;
+    if (passed) {
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } else {
+        console.log(`  ✗ ${name}`);
+    }
+};
+
+const rect = (id, x, y, width, height) => new Rectangle(id, { x: 0, y: 0 }, x, y, width, height);
+
+/**
+ * MediaBox of every page, as 'width,height' in points
+ * @param {string} pdf
+ * @returns {Array<string>}
+ */
+const pageSizes = (pdf) => Array.from(pdf.matchAll(/\/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/g), (match) => `${match[1]},${match[2]}`);
+
+console.log('ScenePDFExporter tests:\n');
+
+test('prints A4 portrait by default', (() => {
+    const pdf = new ScenePDFExporter().export([rect('Rectangle 1', 0, 0, 40, 20)]);
+    return pageSizes(pdf).join() === '595.276,841.89';
+})());
+
+test('prints Letter', (() => {
+    const pdf = new ScenePDFExporter({ pageSize: 'letter' }).export([rect('Rectangle 1', 0, 0, 40, 20)]);
+    return pageSizes(pdf).join() === '612,792';
+})());
+
+test('turns the page for landscape', (() => {
+    const a4 = new ScenePDFExporter({ orientation: 'landscape' }).export([rect('Rectangle 1', 0, 0, 40, 20)]);
+    const letter = new ScenePDFExporter({ pageSize: 'letter', orientation: 'landscape' }).export([rect('Rectangle 1', 0, 0, 40, 20)]);
+    return pageSizes(a4).join() === '841.89,595.276' && pageSizes(letter).join() === '792,612';
+})());
+
+test('draws the design at 1:1', (() => {
+    // A 10 mm square at the corner of the drawing area, 12 mm in from the top left.
+    const pdf = new ScenePDFExporter({ dimensions: false }).export([rect('Rectangle 1', 0, 0, 10, 10)]);
+    return pdf.includes('34.016 807.874 m') && pdf.includes('62.362 807.874 l') && pdf.includes('62.362 779.528 l');
+})());
+
+test('fits a small design on one page', (() => {
+    const pdf = new ScenePDFExporter({ dimensions: false }).export([rect('Rectangle 1', 0, 0, 180, 240)]);
+    return pageSizes(pdf).length === 1 && pdf.includes('(Page 1 of 1) Tj');
+})());
+
+test('tiles an oversized design into columns × rows pages', (() => {
+    // The A4 drawing area is 186 × 249 mm, so 400 × 300 mm needs 3 columns and 2 rows.
+    const exporter = new ScenePDFExporter({ dimensions: false });
+    const area = exporter.getDrawingArea();
+    const pdf = exporter.export([rect('Rectangle 1', 0, 0, 400, 300)]);
+    const pages = Array.from({ length: 6 }, (_, i) => `(Page ${i + 1} of 6) Tj`);
+    return area.width === 186 && area.height === 249 && pageSizes(pdf).length === 6 &&
+        pages.every((label) => pdf.includes(label)) &&
+        pdf.includes('(Row 2 of 2, column 3 of 3) Tj');
+})());
+
+test('rejects a page too small for its margins', (() => {
+    try {
+        new ScenePDFExporter({ pageSize: 'custom', pageWidth: 20, pageHeight: 40 }).export([]);
+        return false;
+    } catch (error) {
+        return /too small/.test(error.message);
+    }
+})());
+
+console.log(`\nScenePDFExporter: ${passCount}/${testCount} tests passed`);
+
+if (passCount !== testCount) {
+    throw new Error(`ScenePDFExporter: ${testCount - passCount} tests failed`);
+}
@@ -31,6 +31,9 @@ import { MoveShapesCommand, DuplicateShapesCommand } from '../core/Command.js';
 import { PathShape } from '../models/shapes/PathShape.js';
 import { Path as GeoPath, Vec as GeoVec } from '../geometry/index.js';
 import { EdgeJoineryMenu } from './EdgeJoineryMenu.js';
+import { SceneSVGExporter } from '../rendering/SceneSVGExporter.js';
+import { Canvas2DContext } from '../rendering/Canvas2DContext.js';
+import { DimensionRenderStrategy } from '../rendering/strategies/DimensionRenderStrategy.js';
 import { getResizeStrategy } from './ShapeResizeStrategies.js';
 import {
     EdgeHitTester,
@@ -108,6 +111,9 @@ export class CanvasRenderer extends Component {
      * `edgeJoineryMenu`, `joineryHandles` (hit-test cache rebuilt every frame),
      * `hoveredJoineryHandle`, `isDraggingJoineryHandle`, `joineryDragStart`.
      *
+     * **Selection dimensions** -- `dimensionStrategy`, `dimensionContext`
+     * (Canvas2DContext over the canvas, created on first use).
+     *
      * **Keyboard** -- `pressedKeys` Set for modifier detection.
      *
      * **Command history** -- `commandHistory` for batch undo.
@@ -253,6 +259,12 @@ export class CanvasRenderer extends Component {
         this.isDraggingJoineryHandle = false;
         this.joineryDragStart = null;
 
+        // ---------------------------------------------------------------------------
+        // Selection dimensions -- width/height annotations of selected shapes
+        // ---------------------------------------------------------------------------
+        this.dimensionStrategy = new DimensionRenderStrategy();
+        this.dimensionContext = null;
+
         // ---------------------------------------------------------------------------
         // Keyboard -- modifier and shortcut detection
         // ---------------------------------------------------------------------------
@@ -341,6 +353,9 @@ export class CanvasRenderer extends Component {
             this.requestRender();
         });
         this.subscribe(EVENTS.EDGE_JOINERY_CHANGED, () => this.requestRender());
+        this.subscribe(EVENTS.CORNER_SELECTED, () => this.requestRender());
+        this.subscribe(EVENTS.MATERIALS_CHANGED, () => this.requestRender());
+        this.subscribe(EVENTS.SHAPE_UPDATED, () => this.requestRender());
         this.subscribe(EVENTS.SELECTION_MODE_CHANGED, (payload) => {
             // Update cursor based on mode
             if (payload?.mode === 'edge') {
@@ -448,6 +463,9 @@ export class CanvasRenderer extends Component {
 
         // Render edge joinery previews
         this.renderEdgeJoinery();
+
+        // Render hand-placed holding tab markers
+        this.renderHoldingTabs();
         
         // Render selection
         this.renderSelection();
@@ -860,6 +878,25 @@ export class CanvasRenderer extends Component {
         });
     }
 
+    /**
+     * Mark hand-placed holding tabs with small squares. Tabs only exist in
+     * exported cut paths, so the outline itself is drawn unbroken.
+     */
+    renderHoldingTabs() {
+        const shapeStore = this.sceneState.shapeStore;
+        if (!shapeStore.getAll().some(shape => shape.holdingTabs?.length)) return;
+
+        const size = 6 / this.viewport.zoom;
+        this.ctx.save();
+        this.ctx.fillStyle = '#f97316';
+        shapeStore.getResolved().forEach(shape => {
+            SceneSVGExporter.holdingTabPoints(shape).forEach(point => {
+                this.ctx.fillRect(point.x - size / 2, point.y - size / 2, size, size);
+            });
+        });
+        this.ctx.restore();
+    }
+
     /**
      * Render a finger joint preview on a linear edge
      * @param {import('../geometry/edge/index.js').Edge} edge
@@ -1201,6 +1238,24 @@ export class CanvasRenderer extends Component {
             });
         });
 
+        // Render selected corners as small squares on their anchors
+        const cornerEdges = new Map();
+        const half = 4 / this.viewport.zoom;
+        shapeStore.getSelectedCorners().forEach(corner => {
+            if (!cornerEdges.has(corner.shapeId)) {
+                cornerEdges.set(corner.shapeId, shapeStore.getEdgesForShape(corner.shapeId));
+            }
+            const edge = cornerEdges.get(corner.shapeId)
+                .find(e => e.pathIndex === corner.pathIndex && e.index === corner.index);
+            if (!edge) return;
+            const { x, y } = edge.anchor1.position;
+            this.ctx.fillStyle = '#ff6600';
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 1.5 / this.viewport.zoom;
+            this.ctx.fillRect(x - half, y - half, half * 2, half * 2);
+            this.ctx.strokeRect(x - half, y - half, half * 2, half * 2);
+        });
+
         // Render hovered edge
         if (this.hoveredEdge) {
             renderEdgeHover(this.ctx, this.hoveredEdge, {
@@ -1451,9 +1506,11 @@ export class CanvasRenderer extends Component {
             'gear',
             'slot',
             'arrow',
-            'chamferrectangle'
+            'chamferrectangle',
+            'compoundpath',
+            'text'
         ].includes(t)) return true;
-        if (t === 'path') return Boolean(shape.closed);
+        if (t === 'path' || t === 'corners') return Boolean(shape.closed);
         return false;
     }
 
@@ -1461,84 +1518,10 @@ export class CanvasRenderer extends Component {
      * Render width/height dimension labels for selection.
      */
     renderSelectionDimensions(bounds) {
-        const padding = 8;
-        const x = bounds.x - padding;
-        const y = bounds.y - padding;
-        const w = bounds.width + padding * 2;
-        const h = bounds.height + padding * 2;
-
-        const fontSize = 12 / this.viewport.zoom;
-        const textColor = '#2aa3ff';
-        const lineColor = '#2aa3ff';
-        const textPadding = 4 / this.viewport.zoom;
-        const fmt = (v) => `${v.toFixed(2)} mm`;
-
-        const widthText = fmt(bounds.width);
-        const heightText = fmt(bounds.height);
-
-        this.ctx.save();
-        this.ctx.strokeStyle = lineColor;
-        this.ctx.fillStyle = textColor;
-        this.ctx.lineWidth = 1.5 / this.viewport.zoom;
-        this.ctx.font = `${fontSize}px sans-serif`;
-        this.ctx.textBaseline = 'middle';
-        this.ctx.textAlign = 'center';
-
-        // Horizontal dimension (bottom)
-        const bottomY = y + h + 10 / this.viewport.zoom;
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, bottomY);
-        this.ctx.lineTo(x + w, bottomY);
-        this.ctx.stroke();
-
-        // End ticks
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, bottomY - 4 / this.viewport.zoom);
-        this.ctx.lineTo(x, bottomY + 4 / this.viewport.zoom);
-        this.ctx.moveTo(x + w, bottomY - 4 / this.viewport.zoom);
-        this.ctx.lineTo(x + w, bottomY + 4 / this.viewport.zoom);
-        this.ctx.stroke();
-
-        // Width label with background
-        const textX = x + w / 2;
-        const textY = bottomY + 12 / this.viewport.zoom;
-        const textWidth = this.ctx.measureText(widthText).width + textPadding * 2;
-        const textHeight = fontSize + textPadding * 2;
-        this.ctx.fillStyle = 'rgba(255,255,255,0.9)';
-        this.ctx.fillRect(textX - textWidth / 2, textY - textHeight / 2, textWidth, textHeight);
-        this.ctx.fillStyle = textColor;
-        this.ctx.fillText(widthText, textX, textY);
-
-        // Vertical dimension (right)
-        const rightX = x + w + 10 / this.viewport.zoom;
-        this.ctx.beginPath();
-        this.ctx.moveTo(rightX, y);
-        this.ctx.lineTo(rightX, y + h);
-        this.ctx.stroke();
-
-        // End ticks
-        this.ctx.beginPath();
-        this.ctx.moveTo(rightX - 4 / this.viewport.zoom, y);
-        this.ctx.lineTo(rightX + 4 / this.viewport.zoom, y);
-        this.ctx.moveTo(rightX - 4 / this.viewport.zoom, y + h);
-        this.ctx.lineTo(rightX + 4 / this.viewport.zoom, y + h);
-        this.ctx.stroke();
-
-        // Height label (rotated)
-        const hTextX = rightX + 12 / this.viewport.zoom;
-        const hTextY = y + h / 2;
-        const hTextWidth = this.ctx.measureText(heightText).width + textPadding * 2;
-        const hTextHeight = fontSize + textPadding * 2;
-        this.ctx.save();
-        this.ctx.translate(hTextX, hTextY);
-        this.ctx.rotate(Math.PI / 2);
-        this.ctx.fillStyle = 'rgba(255,255,255,0.9)';
-        this.ctx.fillRect(-hTextWidth / 2, -hTextHeight / 2, hTextWidth, hTextHeight);
-        this.ctx.fillStyle = textColor;
-        this.ctx.fillText(heightText, 0, 0);
-        this.ctx.restore();
-
-        this.ctx.restore();
+        if (!this.dimensionContext) {
+            this.dimensionContext = new Canvas2DContext(this.canvas);
+        }
+        this.dimensionStrategy.render(this.dimensionContext, bounds, { scale: 1 / this.viewport.zoom });
     }
 
     /**
@@ -2008,6 +1991,38 @@ export class CanvasRenderer extends Component {
         return this.edgeHitTester.test(worldPos);
     }
 
+    /**
+     * Hit test for corners - find the path anchor nearest to screen coordinates
+     * among the edges {@link #hitTestEdge} would consider.
+     * @param {number} x - Screen X coordinate
+     * @param {number} y - Screen Y coordinate
+     * @returns {{shapeId: string, pathIndex: number, index: number, position: import('../geometry/Vec.js').Vec}|null}
+     */
+    hitTestCorner(x, y) {
+        const worldPos = this.screenToWorld(x, y);
+        const shapeStore = this.sceneState.shapeStore;
+        const edges = this.selectedShapeIds.size > 0
+            ? shapeStore.getEdgesForSelectedShapes()
+            : shapeStore.getEdgesForAllShapes();
+
+        const tolerance = DEFAULT_HIT_DISTANCE / this.viewport.zoom;
+        let best = null;
+        edges.forEach(edge => {
+            const position = edge.anchor1.position;
+            const distance = Math.hypot(position.x - worldPos.x, position.y - worldPos.y);
+            if (distance <= tolerance && (!best || distance < best.distance)) {
+                best = { edge, position, distance };
+            }
+        });
+        if (!best) return null;
+        return {
+            shapeId: best.edge.shapeId,
+            pathIndex: best.edge.pathIndex,
+            index: best.edge.index,
+            position: best.position
+        };
+    }
+
     /**
      * Update edge hover state based on mouse position
      * @param {number} x - Screen X coordinate
@@ -2062,13 +2077,25 @@ export class CanvasRenderer extends Component {
 
 
     /**
-     * Handle edge click in edge selection mode
+     * Handle edge click in edge selection mode.  Clicks on an anchor pick
+     * the corner there (for fillets and chamfers) rather than an edge.
      * @param {number} x - Screen X coordinate
      * @param {number} y - Screen Y coordinate
      * @param {boolean} shiftKey - Whether shift key is pressed
      */
     handleEdgeClick(x, y, shiftKey) {
         const shapeStore = this.sceneState.shapeStore;
+        const corner = this.hitTestCorner(x, y);
+        if (corner) {
+            const { position, ...ref } = corner;
+            if (shiftKey) {
+                shapeStore.toggleCornerSelection(ref);
+            } else {
+                shapeStore.selectCorner(ref);
+            }
+            return;
+        }
+
         const hit = this.hitTestEdge(x, y);
 
         if (hit) {
@@ -2079,6 +2106,7 @@ export class CanvasRenderer extends Component {
             }
         } else if (!shiftKey) {
             shapeStore.clearEdgeSelection();
+            shapeStore.clearCornerSelection();
         }
     }
 
@@ -2205,7 +2233,8 @@ export class CanvasRenderer extends Component {
                 this.edgeJoineryMenu.show({
                     x: e.clientX,
                     y: e.clientY,
-                    edge: hit.edge
+                    edge: hit.edge,
+                    time: hit.time
                 });
                 e.preventDefault();
                 return;
@@ -2524,12 +2553,13 @@ export class CanvasRenderer extends Component {
             // Clamp to reasonable values
             const newThickness = Math.max(1, Math.min(50, projectedDist));
             
-            // Update joinery
+            // Update joinery; a dragged depth no longer follows the material
             const shapeStore = this.sceneState.shapeStore;
             const currentJoinery = shapeStore.getEdgeJoinery(this.joineryDragStart.edge);
             if (currentJoinery) {
                 shapeStore.setEdgeJoinery(this.joineryDragStart.edge, {
                     ...currentJoinery,
+                    materialId: null,
                     thicknessMm: Math.round(newThickness * 10) / 10
                 });
             }
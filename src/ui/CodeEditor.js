@@ -112,7 +112,7 @@ export class CodeEditor extends Component {
         CodeMirror.defineSimpleMode('otto', {
             start: [
                 { regex: /\/\/.*/, token: 'comment' },
-                { regex: /\b(?:shape|param|layer|transform|add|rotate|scale|position|if|else|for|from|to|step|def|return|union|difference|intersection|draw|forward|backward|right|left|goto|penup|pendown|fill|fillColor|color|strokeColor|strokeWidth|opacity|constraints|coincident|distance|horizontal|vertical)\b/, token: 'keyword' },
+                { regex: /\b(?:shape|param|layer|transform|add|rotate|scale|position|if|else|for|from|to|step|def|return|union|difference|intersection|fillet|chamfer|draw|forward|backward|right|left|goto|penup|pendown|fill|fillColor|color|strokeColor|strokeWidth|opacity|constraints|coincident|distance|horizontal|vertical)\b/, token: 'keyword' },
                 { regex: /\b(?:circle|rectangle|triangle|ellipse|polygon|star|arc|roundedRectangle|roundedrectangle|path|line|arrow|text|donut|spiral|cross|wave|slot|chamferRectangle|chamferrectangle|gear)\b/, token: 'variable-2' },
                 { regex: /\d+\.?\d*/, token: 'number' },
                 { regex: /"(?:[^\\]|\\.)*?"/, token: 'string' },
@@ -351,6 +351,17 @@ export class CodeEditor extends Component {
         return str;
     }
 
+    /**
+     * Name of the parameter a shape property is bound to, as written in generated code
+     * @returns {string|null} Null if the property is not bound to a parameter
+     */
+    boundParameterName(shape, prop) {
+        const binding = shape.getBinding?.(prop);
+        if (!binding || binding.type !== 'parameter') return null;
+        const parameter = this.parameterStore?.get?.(binding.parameterId);
+        return parameter ? this.sanitizeIdentifier(parameter.name, 'param') : null;
+    }
+
     generateCodeFromScene() {
         const lines = [];
         const shapeRanges = new Map();
@@ -369,7 +380,7 @@ export class CodeEditor extends Component {
         const shapes = (this.shapeStore?.getAll?.() || []).slice();
         for (const shape of shapes) {
             // Skip complex paths for now (would require dumping lots of points)
-            if (!shape || shape.type === 'path') continue;
+            if (!shape || ['path', 'compoundpath', 'corners'].includes(shape.type)) continue;
 
             const type = String(shape.type || '').trim() || 'rectangle';
             const name = this.sanitizeIdentifier(shape.id, type);
@@ -382,10 +393,23 @@ export class CodeEditor extends Component {
                 : [];
             for (const prop of props) {
                 const v = shape[prop];
+                const parameterName = shape.type === 'text' ? this.boundParameterName(shape, prop) : null;
+                if (parameterName) {
+                    lines.push(`    ${prop}: ${parameterName}`);
+                    continue;
+                }
+                if (typeof v === 'string') {
+                    lines.push(`    ${prop}: ${JSON.stringify(v)}`);
+                    continue;
+                }
                 const num = this.formatNumber(Number(v));
                 if (num == null) continue;
                 lines.push(`    ${prop}: ${num}`);
             }
+            if (shape.type === 'text') {
+                lines.push(`    align: ${JSON.stringify(shape.align)}`);
+                lines.push(`    fontId: ${JSON.stringify(shape.fontId)}`);
+            }
 
             lines.push('}');
             lines.push('');
@@ -482,7 +506,15 @@ SHAPES
          ellipse, polygon, star, arc,
          roundedrectangle, donut, cross,
          gear, spiral, wave, slot, arrow,
-         chamferrectangle
+         chamferrectangle, text
+
+TEXT
+  shape text label {
+      text: "Part A"
+      fontSize: 10
+      align: "center"
+  }
+  text: serial   (bound to a parameter)
 
 TRANSFORMS
   transform shapeName {
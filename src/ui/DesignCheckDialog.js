@@ -0,0 +1,146 @@
+/**
+ * Design Check Dialog
+ * Lists the problems DesignChecker found in the active scene. Clicking a
+ * shape ID selects that shape on the canvas.
+ */
+
+const TYPE_LABELS = {
+    'open-contour': 'Open contour',
+    'overlap': 'Double cut',
+    'self-intersection': 'Self-intersection',
+    'narrow-feature': 'Narrow feature',
+    'finger-fit': 'Finger joint',
+    'sheet-size': 'Too large for sheet'
+};
+
+export class DesignCheckDialog {
+    constructor({ onSelectShape, onRecheck }) {
+        this.onSelectShape = onSelectShape;
+        this.onRecheck = onRecheck;
+        this.isOpen = false;
+        this.root = document.createElement('div');
+        this.root.className = 'design-check-dialog';
+        this.root.setAttribute('role', 'dialog');
+        this.root.setAttribute('aria-label', 'Design check');
+        this.root.setAttribute('aria-hidden', 'true');
+
+        this.buildDialog();
+
+        document.body.appendChild(this.root);
+
+        this.onDocumentMouseDown = (e) => this.handleDocumentMouseDown(e);
+        this.onDocumentKeyDown = (e) => this.handleDocumentKeyDown(e);
+    }
+
+    buildDialog() {
+        const title = document.createElement('div');
+        title.className = 'design-check-dialog__title';
+        title.textContent = 'Check Design';
+        this.root.appendChild(title);
+
+        this.summary = document.createElement('div');
+        this.summary.className = 'design-check-dialog__hint';
+        this.root.appendChild(this.summary);
+
+        this.list = document.createElement('ul');
+        this.list.className = 'design-check-dialog__list';
+        this.root.appendChild(this.list);
+
+        const actions = document.createElement('div');
+        actions.className = 'design-check-dialog__actions';
+
+        this.recheckButton = document.createElement('button');
+        this.recheckButton.type = 'button';
+        this.recheckButton.className = 'design-check-dialog__apply';
+        this.recheckButton.textContent = 'Check again';
+        this.recheckButton.addEventListener('click', () => this.onRecheck?.());
+
+        this.closeButton = document.createElement('button');
+        this.closeButton.type = 'button';
+        this.closeButton.className = 'design-check-dialog__cancel';
+        this.closeButton.textContent = 'Close';
+        this.closeButton.addEventListener('click', () => this.hide());
+
+        actions.appendChild(this.recheckButton);
+        actions.appendChild(this.closeButton);
+        this.root.appendChild(actions);
+    }
+
+    /**
+     * @param {Array<import('../core/DesignChecker.js').DesignIssue>} issues - Problems found, errors first
+     */
+    show(issues) {
+        const errors = issues.filter((issue) => issue.severity === 'error').length;
+        this.summary.textContent = issues.length === 0
+            ? 'No problems found. The design is ready to cut.'
+            : `${errors} error(s), ${issues.length - errors} warning(s). Click a shape to select it.`;
+
+        this.list.replaceChildren(...issues.map((issue) => this.buildIssue(issue)));
+        if (!this.isOpen) this.open();
+    }
+
+    /**
+     * @param {import('../core/DesignChecker.js').DesignIssue} issue
+     * @returns {HTMLLIElement}
+     */
+    buildIssue(issue) {
+        const item = document.createElement('li');
+        item.className = `design-check-dialog__issue design-check-dialog__issue--${issue.severity}`;
+
+        const type = document.createElement('div');
+        type.className = 'design-check-dialog__type';
+        type.textContent = TYPE_LABELS[issue.type] || issue.type;
+        item.appendChild(type);
+
+        const message = document.createElement('div');
+        message.className = 'design-check-dialog__message';
+        message.textContent = issue.message;
+        item.appendChild(message);
+
+        const shapes = document.createElement('div');
+        shapes.className = 'design-check-dialog__shapes';
+        issue.shapeIds.forEach((id) => {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'design-check-dialog__shape';
+            link.textContent = id;
+            link.title = 'Select this shape';
+            link.addEventListener('click', () => this.onSelectShape?.(id));
+            shapes.appendChild(link);
+        });
+        item.appendChild(shapes);
+        return item;
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('is-open');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('mousedown', this.onDocumentMouseDown);
+        document.removeEventListener('keydown', this.onDocumentKeyDown);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.root.classList.add('is-open');
+        this.root.setAttribute('aria-hidden', 'false');
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.onDocumentMouseDown);
+            document.addEventListener('keydown', this.onDocumentKeyDown);
+        }, 0);
+    }
+
+    handleDocumentMouseDown(e) {
+        if (!this.root.contains(e.target)) {
+            this.hide();
+        }
+    }
+
+    handleDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+}
@@ -1,6 +1,9 @@
 /**
  * Edge Joinery Context Menu
  * Shows joint type options and parameters for the selected edge.
+ * The joint's thickness comes from a material in the scene's library, or
+ * from the thickness field when "Custom" is chosen.
+ * Holding tabs can also be placed by hand at the clicked point.
  */
 
 const JOINT_TYPES = [
@@ -13,7 +16,7 @@ const ALIGN_OPTIONS = [
     { id: 'right', label: 'Right' }
 ];
 
-const DEFAULT_THICKNESS_MM = 3;
+const CUSTOM_MATERIAL = '';
 const DEFAULT_FINGER_COUNT = 6;
 const DEFAULT_ALIGN = 'left';
 
@@ -21,6 +24,7 @@ export class EdgeJoineryMenu {
     constructor({ getShapeStore }) {
         this.getShapeStore = getShapeStore;
         this.edge = null;
+        this.edgeTime = 0;
         this.activeType = null;
         this.activeAlign = DEFAULT_ALIGN;
         this.isOpen = false;
@@ -59,6 +63,28 @@ export class EdgeJoineryMenu {
             list.appendChild(button);
         });
 
+        const addTabButton = document.createElement('button');
+        addTabButton.type = 'button';
+        addTabButton.className = 'edge-joinery-menu__item';
+        addTabButton.textContent = 'Add Holding Tab Here';
+        addTabButton.setAttribute('role', 'menuitem');
+        addTabButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.addHoldingTab();
+        });
+        list.appendChild(addTabButton);
+
+        const clearTabsButton = document.createElement('button');
+        clearTabsButton.type = 'button';
+        clearTabsButton.className = 'edge-joinery-menu__item';
+        clearTabsButton.textContent = 'Clear Holding Tabs';
+        clearTabsButton.setAttribute('role', 'menuitem');
+        clearTabsButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.clearHoldingTabs();
+        });
+        list.appendChild(clearTabsButton);
+
         this.submenu = document.createElement('div');
         this.submenu.className = 'edge-joinery-menu__submenu';
 
@@ -66,6 +92,24 @@ export class EdgeJoineryMenu {
         this.submenuTitle.className = 'edge-joinery-menu__title';
         this.submenu.appendChild(this.submenuTitle);
 
+        const materialGroup = document.createElement('div');
+        materialGroup.className = 'edge-joinery-menu__field';
+
+        const materialLabel = document.createElement('label');
+        materialLabel.className = 'edge-joinery-menu__label';
+        materialLabel.textContent = 'Material';
+        materialLabel.setAttribute('for', 'edge-joinery-material');
+
+        this.materialSelect = document.createElement('select');
+        this.materialSelect.id = 'edge-joinery-material';
+        this.materialSelect.addEventListener('change', () => {
+            this.setMaterial(this.materialSelect.value);
+        });
+
+        materialGroup.appendChild(materialLabel);
+        materialGroup.appendChild(this.materialSelect);
+        this.submenu.appendChild(materialGroup);
+
         const thicknessGroup = document.createElement('div');
         thicknessGroup.className = 'edge-joinery-menu__field';
 
@@ -79,7 +123,6 @@ export class EdgeJoineryMenu {
         this.thicknessInput.id = 'edge-joinery-thickness';
         this.thicknessInput.min = '0';
         this.thicknessInput.step = '0.1';
-        this.thicknessInput.value = String(DEFAULT_THICKNESS_MM);
         this.thicknessInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
@@ -168,8 +211,9 @@ export class EdgeJoineryMenu {
         this.root.appendChild(this.submenu);
     }
 
-    show({ x, y, edge }) {
+    show({ x, y, edge, time = 0.5 }) {
         this.edge = edge;
+        this.edgeTime = time;
         this.activeType = null;
         this.activeAlign = DEFAULT_ALIGN;
         this.setActiveType(null, false);
@@ -177,6 +221,7 @@ export class EdgeJoineryMenu {
 
         const shapeStore = this.getShapeStore?.();
         const joinery = shapeStore?.getEdgeJoinery?.(edge) || null;
+        this.populateMaterials(shapeStore?.materialStore);
 
         if (joinery?.type) {
             const type = String(joinery.type).toLowerCase();
@@ -189,10 +234,11 @@ export class EdgeJoineryMenu {
                     ? 'dovetail'
                     : null;
             if (mappedType) {
-                this.setActiveType(mappedType, true);
-                if (typeof joinery.thicknessMm === 'number') {
+                this.setMaterial(joinery.materialId || CUSTOM_MATERIAL);
+                if (!this.getMaterial() && typeof joinery.thicknessMm === 'number') {
                     this.thicknessInput.value = String(joinery.thicknessMm);
                 }
+                this.setActiveType(mappedType, true);
                 if (typeof joinery.fingerCount === 'number') {
                     this.countInput.value = String(joinery.fingerCount);
                 }
@@ -201,7 +247,12 @@ export class EdgeJoineryMenu {
                 }
             }
         } else {
-            this.thicknessInput.value = String(DEFAULT_THICKNESS_MM);
+            // New joints default to the material the shape is cut from
+            const materialStore = shapeStore?.materialStore;
+            const shapeMaterial = shapeStore?.getMaterialForShape?.(shapeStore.get(edge?.shapeId));
+            const material = shapeMaterial || materialStore?.getAll()[0] || null;
+            this.thicknessInput.value = '';
+            this.setMaterial(material ? material.id : CUSTOM_MATERIAL);
             this.countInput.value = String(DEFAULT_FINGER_COUNT);
             this.closeSubmenu();
         }
@@ -252,14 +303,60 @@ export class EdgeJoineryMenu {
             this.submenuTitle.textContent = typeLabel;
             this.openSubmenu();
             setTimeout(() => {
-                this.thicknessInput.focus();
-                this.thicknessInput.select();
+                if (this.thicknessInput.disabled) {
+                    this.materialSelect.focus();
+                } else {
+                    this.thicknessInput.focus();
+                    this.thicknessInput.select();
+                }
             }, 0);
         } else if (!openSubmenu) {
             this.closeSubmenu();
         }
     }
 
+    /**
+     * Fill the material select with "Custom" and the scene's library
+     * @param {MaterialStore|null} materialStore
+     */
+    populateMaterials(materialStore) {
+        this.materialStore = materialStore || null;
+        this.materialSelect.innerHTML = '';
+
+        const custom = document.createElement('option');
+        custom.value = CUSTOM_MATERIAL;
+        custom.textContent = 'Custom';
+        this.materialSelect.appendChild(custom);
+
+        (this.materialStore?.getAll() || []).forEach((material) => {
+            const option = document.createElement('option');
+            option.value = material.id;
+            option.textContent = `${material.name} (${material.thicknessMm} mm)`;
+            this.materialSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Select a material; its thickness replaces the thickness field until
+     * "Custom" is chosen again.
+     * @param {string} materialId - Material id, or '' for a custom thickness
+     */
+    setMaterial(materialId) {
+        const material = this.materialStore?.get(materialId) || null;
+        this.materialSelect.value = material ? material.id : CUSTOM_MATERIAL;
+        this.thicknessInput.disabled = Boolean(material);
+        if (material) {
+            this.thicknessInput.value = String(material.thicknessMm);
+        }
+    }
+
+    /**
+     * @returns {Material|null} The selected library material, or null for "Custom"
+     */
+    getMaterial() {
+        return this.materialStore?.get(this.materialSelect.value) || null;
+    }
+
     setActiveAlign(align) {
         this.activeAlign = align;
         this.alignButtons.forEach((button, id) => {
@@ -281,7 +378,8 @@ export class EdgeJoineryMenu {
         if (!this.activeType || !this.edge) {
             return;
         }
-        const thicknessMm = Number(this.thicknessInput.value);
+        const material = this.getMaterial();
+        const thicknessMm = material ? material.thicknessMm : Number(this.thicknessInput.value);
         if (!Number.isFinite(thicknessMm) || thicknessMm <= 0) {
             this.thicknessInput.focus();
             return;
@@ -296,6 +394,7 @@ export class EdgeJoineryMenu {
         if (shapeStore?.setEdgeJoinery) {
             shapeStore.setEdgeJoinery(this.edge, {
                 type: this.activeType,
+                materialId: material ? material.id : null,
                 thicknessMm,
                 fingerCount: Math.floor(fingerCount),
                 align: this.activeAlign
@@ -305,6 +404,22 @@ export class EdgeJoineryMenu {
         this.hide();
     }
 
+    addHoldingTab() {
+        const shapeStore = this.getShapeStore?.();
+        if (this.edge && shapeStore?.addHoldingTab) {
+            shapeStore.addHoldingTab(this.edge, this.edgeTime);
+        }
+        this.hide();
+    }
+
+    clearHoldingTabs() {
+        const shapeStore = this.getShapeStore?.();
+        if (this.edge && shapeStore?.clearHoldingTabs) {
+            shapeStore.clearHoldingTabs(this.edge.shapeId);
+        }
+        this.hide();
+    }
+
     positionMenu(x, y) {
         this.root.style.left = `${x}px`;
         this.root.style.top = `${y}px`;
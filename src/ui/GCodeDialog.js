@@ -0,0 +1,222 @@
+/**
+ * G-code Dialog
+ * Edits the machine type, lead-in length and the feed rate, power and
+ * passes of each operation layer before the active scene is exported as
+ * G-code.
+ */
+import { OPERATION_LAYERS } from '../rendering/SceneSVGExporter.js';
+
+const MACHINE_OPTIONS = [
+    { id: 'laser', label: 'Laser' },
+    { id: 'knife', label: 'Drag knife' }
+];
+
+const LAYER_FIELDS = [
+    { key: 'feedRate', label: 'Feed', min: '1', step: '10' },
+    { key: 'power', label: 'Power', min: '0', step: '10' },
+    { key: 'passes', label: 'Passes', min: '1', step: '1' }
+];
+
+export class GCodeDialog {
+    constructor({ onExport }) {
+        this.onExport = onExport;
+        this.isOpen = false;
+        this.root = document.createElement('div');
+        this.root.className = 'gcode-dialog';
+        this.root.setAttribute('role', 'dialog');
+        this.root.setAttribute('aria-label', 'Export G-code');
+        this.root.setAttribute('aria-hidden', 'true');
+
+        // Map of operation -> Map of field key -> input
+        this.layerInputs = new Map();
+        this.buildDialog();
+
+        document.body.appendChild(this.root);
+
+        this.onDocumentMouseDown = (e) => this.handleDocumentMouseDown(e);
+        this.onDocumentKeyDown = (e) => this.handleDocumentKeyDown(e);
+    }
+
+    buildDialog() {
+        const title = document.createElement('div');
+        title.className = 'gcode-dialog__title';
+        title.textContent = 'Export G-code';
+        this.root.appendChild(title);
+
+        const machineGroup = document.createElement('div');
+        machineGroup.className = 'gcode-dialog__field';
+
+        const machineLabel = document.createElement('label');
+        machineLabel.className = 'gcode-dialog__label';
+        machineLabel.textContent = 'Machine';
+        machineLabel.setAttribute('for', 'gcode-machine');
+
+        this.machineSelect = document.createElement('select');
+        this.machineSelect.id = 'gcode-machine';
+        MACHINE_OPTIONS.forEach((opt) => {
+            const option = document.createElement('option');
+            option.value = opt.id;
+            option.textContent = opt.label;
+            this.machineSelect.appendChild(option);
+        });
+
+        machineGroup.appendChild(machineLabel);
+        machineGroup.appendChild(this.machineSelect);
+        this.root.appendChild(machineGroup);
+
+        const leadInGroup = document.createElement('div');
+        leadInGroup.className = 'gcode-dialog__field';
+
+        const leadInLabel = document.createElement('label');
+        leadInLabel.className = 'gcode-dialog__label';
+        leadInLabel.textContent = 'Lead-in (mm)';
+        leadInLabel.setAttribute('for', 'gcode-lead-in');
+
+        this.leadInInput = this.createNumberInput('gcode-lead-in', '0', '0.5');
+
+        leadInGroup.appendChild(leadInLabel);
+        leadInGroup.appendChild(this.leadInInput);
+        this.root.appendChild(leadInGroup);
+
+        // One row per operation layer: name, feed (mm/min), power (S), passes
+        const grid = document.createElement('div');
+        grid.className = 'gcode-dialog__layers';
+
+        const corner = document.createElement('span');
+        corner.className = 'gcode-dialog__label';
+        corner.textContent = 'mm/min · S';
+        grid.appendChild(corner);
+        LAYER_FIELDS.forEach((field) => {
+            const header = document.createElement('span');
+            header.className = 'gcode-dialog__label';
+            header.textContent = field.label;
+            grid.appendChild(header);
+        });
+
+        Object.entries(OPERATION_LAYERS).forEach(([operation, layer]) => {
+            const name = document.createElement('span');
+            name.className = 'gcode-dialog__layer-name';
+            name.textContent = layer.label;
+            grid.appendChild(name);
+
+            const inputs = new Map();
+            LAYER_FIELDS.forEach((field) => {
+                const input = this.createNumberInput(`gcode-${operation}-${field.key}`, field.min, field.step);
+                input.setAttribute('aria-label', `${layer.label} ${field.label.toLowerCase()}`);
+                inputs.set(field.key, input);
+                grid.appendChild(input);
+            });
+            this.layerInputs.set(operation, inputs);
+        });
+        this.root.appendChild(grid);
+
+        const actions = document.createElement('div');
+        actions.className = 'gcode-dialog__actions';
+
+        this.exportButton = document.createElement('button');
+        this.exportButton.type = 'button';
+        this.exportButton.className = 'gcode-dialog__apply';
+        this.exportButton.textContent = 'Export';
+        this.exportButton.addEventListener('click', () => this.submit());
+
+        this.cancelButton = document.createElement('button');
+        this.cancelButton.type = 'button';
+        this.cancelButton.className = 'gcode-dialog__cancel';
+        this.cancelButton.textContent = 'Cancel';
+        this.cancelButton.addEventListener('click', () => this.hide());
+
+        actions.appendChild(this.exportButton);
+        actions.appendChild(this.cancelButton);
+        this.root.appendChild(actions);
+    }
+
+    createNumberInput(id, min, step) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = id;
+        input.min = min;
+        input.step = step;
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submit();
+            }
+        });
+        return input;
+    }
+
+    /**
+     * @param {{machine: string, leadIn: number, layers: Object}} settings - Current G-code settings
+     */
+    show(settings) {
+        this.machineSelect.value = settings.machine;
+        this.leadInInput.value = String(settings.leadIn);
+        this.layerInputs.forEach((inputs, operation) => {
+            inputs.forEach((input, key) => {
+                input.value = String(settings.layers[operation]?.[key] ?? '');
+            });
+        });
+        this.open();
+        setTimeout(() => {
+            this.leadInInput.focus();
+            this.leadInInput.select();
+        }, 0);
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('is-open');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('mousedown', this.onDocumentMouseDown);
+        document.removeEventListener('keydown', this.onDocumentKeyDown);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.root.classList.add('is-open');
+        this.root.setAttribute('aria-hidden', 'false');
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.onDocumentMouseDown);
+            document.addEventListener('keydown', this.onDocumentKeyDown);
+        }, 0);
+    }
+
+    handleDocumentMouseDown(e) {
+        if (!this.root.contains(e.target)) {
+            this.hide();
+        }
+    }
+
+    handleDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+
+    submit() {
+        const leadIn = Number(this.leadInInput.value);
+        if (!Number.isFinite(leadIn) || leadIn < 0) {
+            this.leadInInput.focus();
+            return;
+        }
+
+        const layers = {};
+        for (const [operation, inputs] of this.layerInputs) {
+            layers[operation] = {};
+            for (const field of LAYER_FIELDS) {
+                const input = inputs.get(field.key);
+                const value = Number(input.value);
+                if (!Number.isFinite(value) || value < Number(field.min)) {
+                    input.focus();
+                    return;
+                }
+                layers[operation][field.key] = field.key === 'passes' ? Math.round(value) : value;
+            }
+        }
+
+        this.hide();
+        this.onExport?.({ machine: this.machineSelect.value, leadIn, layers });
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Holding Tabs Dialog
+ * Collects how many holding tabs to leave in each cut contour, how wide
+ * they are and how high a knife or router leaves them.
+ */
+
+const NUMBER_FIELDS = [
+    { key: 'count', label: 'Tabs per contour', min: '0', step: '1' },
+    { key: 'width', label: 'Tab width (mm)', min: '0.1', step: '0.5' },
+    { key: 'height', label: 'Tab height, knife only (mm)', min: '0', step: '0.1' }
+];
+
+export class HoldingTabsDialog {
+    constructor({ onSave }) {
+        this.onSave = onSave;
+        this.isOpen = false;
+        this.root = document.createElement('div');
+        this.root.className = 'holding-tabs-dialog';
+        this.root.setAttribute('role', 'dialog');
+        this.root.setAttribute('aria-label', 'Holding tabs');
+        this.root.setAttribute('aria-hidden', 'true');
+
+        this.inputs = new Map();
+        this.buildDialog();
+
+        document.body.appendChild(this.root);
+
+        this.onDocumentMouseDown = (e) => this.handleDocumentMouseDown(e);
+        this.onDocumentKeyDown = (e) => this.handleDocumentKeyDown(e);
+    }
+
+    buildDialog() {
+        const title = document.createElement('div');
+        title.className = 'holding-tabs-dialog__title';
+        title.textContent = 'Holding Tabs';
+        this.root.appendChild(title);
+
+        NUMBER_FIELDS.forEach((field) => {
+            const group = document.createElement('div');
+            group.className = 'holding-tabs-dialog__field';
+
+            const label = document.createElement('label');
+            label.className = 'holding-tabs-dialog__label';
+            label.textContent = field.label;
+            label.setAttribute('for', `holding-tabs-${field.key}`);
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `holding-tabs-${field.key}`;
+            input.min = field.min;
+            input.step = field.step;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.submit();
+                }
+            });
+            this.inputs.set(field.key, input);
+
+            group.appendChild(label);
+            group.appendChild(input);
+            this.root.appendChild(group);
+        });
+
+        const hint = document.createElement('div');
+        hint.className = 'holding-tabs-dialog__hint';
+        hint.textContent = 'Right-click an edge to place tabs by hand.';
+        this.root.appendChild(hint);
+
+        const actions = document.createElement('div');
+        actions.className = 'holding-tabs-dialog__actions';
+
+        this.saveButton = document.createElement('button');
+        this.saveButton.type = 'button';
+        this.saveButton.className = 'holding-tabs-dialog__apply';
+        this.saveButton.textContent = 'Save';
+        this.saveButton.addEventListener('click', () => this.submit());
+
+        this.cancelButton = document.createElement('button');
+        this.cancelButton.type = 'button';
+        this.cancelButton.className = 'holding-tabs-dialog__cancel';
+        this.cancelButton.textContent = 'Cancel';
+        this.cancelButton.addEventListener('click', () => this.hide());
+
+        actions.appendChild(this.saveButton);
+        actions.appendChild(this.cancelButton);
+        this.root.appendChild(actions);
+    }
+
+    /**
+     * @param {{count: number, width: number, height: number}} settings - Current tab settings
+     */
+    show(settings) {
+        this.inputs.forEach((input, key) => {
+            input.value = String(settings[key]);
+        });
+        this.open();
+        setTimeout(() => {
+            const first = this.inputs.get('count');
+            first.focus();
+            first.select();
+        }, 0);
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('is-open');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('mousedown', this.onDocumentMouseDown);
+        document.removeEventListener('keydown', this.onDocumentKeyDown);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.root.classList.add('is-open');
+        this.root.setAttribute('aria-hidden', 'false');
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.onDocumentMouseDown);
+            document.addEventListener('keydown', this.onDocumentKeyDown);
+        }, 0);
+    }
+
+    handleDocumentMouseDown(e) {
+        if (!this.root.contains(e.target)) {
+            this.hide();
+        }
+    }
+
+    handleDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+
+    submit() {
+        const settings = {};
+        for (const field of NUMBER_FIELDS) {
+            const input = this.inputs.get(field.key);
+            const value = Number(input.value);
+            if (!Number.isFinite(value) || value < Number(field.min)) {
+                input.focus();
+                return;
+            }
+            settings[field.key] = field.key === 'count' ? Math.floor(value) : value;
+        }
+
+        this.hide();
+        this.onSave?.(settings);
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * LightBurn Dialog
+ * Edits the speed, power and passes of each operation layer before the
+ * active scene is exported as a LightBurn project.
+ */
+import { OPERATION_LAYERS } from '../rendering/SceneSVGExporter.js';
+
+const LAYER_FIELDS = [
+    { key: 'speed', label: 'Speed', min: '0.1', step: '1' },
+    { key: 'power', label: 'Power', min: '0', max: '100', step: '1' },
+    { key: 'passes', label: 'Passes', min: '1', step: '1' }
+];
+
+export class LightBurnDialog {
+    constructor({ onExport }) {
+        this.onExport = onExport;
+        this.isOpen = false;
+        this.root = document.createElement('div');
+        this.root.className = 'lightburn-dialog';
+        this.root.setAttribute('role', 'dialog');
+        this.root.setAttribute('aria-label', 'Export LightBurn project');
+        this.root.setAttribute('aria-hidden', 'true');
+
+        // Map of operation -> Map of field key -> input
+        this.layerInputs = new Map();
+        this.buildDialog();
+
+        document.body.appendChild(this.root);
+
+        this.onDocumentMouseDown = (e) => this.handleDocumentMouseDown(e);
+        this.onDocumentKeyDown = (e) => this.handleDocumentKeyDown(e);
+    }
+
+    buildDialog() {
+        const title = document.createElement('div');
+        title.className = 'lightburn-dialog__title';
+        title.textContent = 'Export LightBurn';
+        this.root.appendChild(title);
+
+        // One row per operation layer: name, speed (mm/s), power (%), passes
+        const grid = document.createElement('div');
+        grid.className = 'lightburn-dialog__layers';
+
+        const corner = document.createElement('span');
+        corner.className = 'lightburn-dialog__label';
+        corner.textContent = 'mm/s · %';
+        grid.appendChild(corner);
+        LAYER_FIELDS.forEach((field) => {
+            const header = document.createElement('span');
+            header.className = 'lightburn-dialog__label';
+            header.textContent = field.label;
+            grid.appendChild(header);
+        });
+
+        Object.entries(OPERATION_LAYERS).forEach(([operation, layer]) => {
+            const name = document.createElement('span');
+            name.className = 'lightburn-dialog__layer-name';
+            name.textContent = layer.label;
+            grid.appendChild(name);
+
+            const inputs = new Map();
+            LAYER_FIELDS.forEach((field) => {
+                const input = this.createNumberInput(`lightburn-${operation}-${field.key}`, field);
+                input.setAttribute('aria-label', `${layer.label} ${field.label.toLowerCase()}`);
+                inputs.set(field.key, input);
+                grid.appendChild(input);
+            });
+            this.layerInputs.set(operation, inputs);
+        });
+        this.root.appendChild(grid);
+
+        const actions = document.createElement('div');
+        actions.className = 'lightburn-dialog__actions';
+
+        this.exportButton = document.createElement('button');
+        this.exportButton.type = 'button';
+        this.exportButton.className = 'lightburn-dialog__apply';
+        this.exportButton.textContent = 'Export';
+        this.exportButton.addEventListener('click', () => this.submit());
+
+        this.cancelButton = document.createElement('button');
+        this.cancelButton.type = 'button';
+        this.cancelButton.className = 'lightburn-dialog__cancel';
+        this.cancelButton.textContent = 'Cancel';
+        this.cancelButton.addEventListener('click', () => this.hide());
+
+        actions.appendChild(this.exportButton);
+        actions.appendChild(this.cancelButton);
+        this.root.appendChild(actions);
+    }
+
+    createNumberInput(id, field) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = id;
+        input.min = field.min;
+        if (field.max) {
+            input.max = field.max;
+        }
+        input.step = field.step;
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submit();
+            }
+        });
+        return input;
+    }
+
+    /**
+     * @param {{layers: Object}} settings - Current LightBurn settings
+     */
+    show(settings) {
+        this.layerInputs.forEach((inputs, operation) => {
+            inputs.forEach((input, key) => {
+                input.value = String(settings.layers[operation]?.[key] ?? '');
+            });
+        });
+        this.open();
+        setTimeout(() => {
+            const first = this.layerInputs.get('cut').get('speed');
+            first.focus();
+            first.select();
+        }, 0);
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('is-open');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('mousedown', this.onDocumentMouseDown);
+        document.removeEventListener('keydown', this.onDocumentKeyDown);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.root.classList.add('is-open');
+        this.root.setAttribute('aria-hidden', 'false');
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.onDocumentMouseDown);
+            document.addEventListener('keydown', this.onDocumentKeyDown);
+        }, 0);
+    }
+
+    handleDocumentMouseDown(e) {
+        if (!this.root.contains(e.target)) {
+            this.hide();
+        }
+    }
+
+    handleDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+
+    submit() {
+        const layers = {};
+        for (const [operation, inputs] of this.layerInputs) {
+            layers[operation] = {};
+            for (const field of LAYER_FIELDS) {
+                const input = inputs.get(field.key);
+                const value = Number(input.value);
+                if (!Number.isFinite(value) || value < Number(field.min) || (field.max && value > Number(field.max))) {
+                    input.focus();
+                    return;
+                }
+                layers[operation][field.key] = field.key === 'passes' ? Math.round(value) : value;
+            }
+        }
+
+        this.hide();
+        this.onExport?.({ layers });
+    }
+}
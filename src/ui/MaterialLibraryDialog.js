@@ -0,0 +1,237 @@
+/**
+ * Material Library Dialog
+ * Lists the active scene's materials with their thickness, kerf, fit
+ * tolerance, corner relief and colour. Rows can be edited, added and
+ * deleted; nothing changes until the dialog is saved.
+ */
+
+const MATERIAL_FIELDS = [
+    { key: 'thicknessMm', label: 'Thickness', min: '0.1', step: '0.1' },
+    { key: 'kerfMm', label: 'Kerf', min: '0', step: '0.01' },
+    { key: 'fitToleranceMm', label: 'Fit', min: '0', step: '0.01' },
+    { key: 'toolDiameterMm', label: 'Tool', min: '0', step: '0.1' }
+];
+
+// '' keeps the project's corner relief setting
+const RELIEF_OPTIONS = [
+    { id: '', label: 'Project' },
+    { id: 'none', label: 'None' },
+    { id: 'dogbone', label: 'Dog-bone' },
+    { id: 'tbone', label: 'T-bone' }
+];
+
+const NEW_MATERIAL = { name: 'New material', thicknessMm: 3, kerfMm: 0, color: '#d9b98c', fitToleranceMm: 0, reliefStyle: null, toolDiameterMm: 0 };
+
+export class MaterialLibraryDialog {
+    constructor({ onSave }) {
+        this.onSave = onSave;
+        this.isOpen = false;
+        this.root = document.createElement('div');
+        this.root.className = 'material-dialog';
+        this.root.setAttribute('role', 'dialog');
+        this.root.setAttribute('aria-label', 'Material library');
+        this.root.setAttribute('aria-hidden', 'true');
+
+        // One entry per row: { id, nameInput, reliefSelect, colorInput, inputs: Map<key, input>, row }
+        this.rows = [];
+        this.buildDialog();
+
+        document.body.appendChild(this.root);
+
+        this.onDocumentMouseDown = (e) => this.handleDocumentMouseDown(e);
+        this.onDocumentKeyDown = (e) => this.handleDocumentKeyDown(e);
+    }
+
+    buildDialog() {
+        const title = document.createElement('div');
+        title.className = 'material-dialog__title';
+        title.textContent = 'Materials';
+        this.root.appendChild(title);
+
+        // Name, thickness, kerf, fit, tool (mm), relief, colour, delete
+        this.grid = document.createElement('div');
+        this.grid.className = 'material-dialog__rows';
+
+        const header = document.createElement('div');
+        header.className = 'material-dialog__row material-dialog__row--header';
+        ['Name', ...MATERIAL_FIELDS.map((field) => `${field.label} (mm)`), 'Relief', 'Colour', ''].forEach((text) => {
+            const cell = document.createElement('span');
+            cell.className = 'material-dialog__label';
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        this.grid.appendChild(header);
+        this.root.appendChild(this.grid);
+
+        this.addButton = document.createElement('button');
+        this.addButton.type = 'button';
+        this.addButton.className = 'material-dialog__add';
+        this.addButton.textContent = 'Add material';
+        this.addButton.addEventListener('click', () => {
+            const entry = this.addRow(NEW_MATERIAL);
+            entry.nameInput.focus();
+            entry.nameInput.select();
+        });
+        this.root.appendChild(this.addButton);
+
+        const actions = document.createElement('div');
+        actions.className = 'material-dialog__actions';
+
+        this.saveButton = document.createElement('button');
+        this.saveButton.type = 'button';
+        this.saveButton.className = 'material-dialog__apply';
+        this.saveButton.textContent = 'Save';
+        this.saveButton.addEventListener('click', () => this.submit());
+
+        this.cancelButton = document.createElement('button');
+        this.cancelButton.type = 'button';
+        this.cancelButton.className = 'material-dialog__cancel';
+        this.cancelButton.textContent = 'Cancel';
+        this.cancelButton.addEventListener('click', () => this.hide());
+
+        actions.appendChild(this.saveButton);
+        actions.appendChild(this.cancelButton);
+        this.root.appendChild(actions);
+    }
+
+    /**
+     * Append an editable row for a material
+     * @param {{id?: string, name: string, thicknessMm: number, kerfMm: number, color: string, fitToleranceMm: number, reliefStyle: string|null, toolDiameterMm: number}} material
+     * @returns {Object} The row entry
+     */
+    addRow(material) {
+        const row = document.createElement('div');
+        row.className = 'material-dialog__row';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = material.name;
+        nameInput.setAttribute('aria-label', 'Material name');
+        row.appendChild(nameInput);
+
+        const inputs = new Map();
+        MATERIAL_FIELDS.forEach((field) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = field.min;
+            input.step = field.step;
+            input.value = String(material[field.key]);
+            input.setAttribute('aria-label', `${field.label} (mm)`);
+            inputs.set(field.key, input);
+            row.appendChild(input);
+        });
+
+        const reliefSelect = document.createElement('select');
+        RELIEF_OPTIONS.forEach((opt) => {
+            const option = document.createElement('option');
+            option.value = opt.id;
+            option.textContent = opt.label;
+            reliefSelect.appendChild(option);
+        });
+        reliefSelect.value = material.reliefStyle || '';
+        reliefSelect.setAttribute('aria-label', 'Corner relief');
+        row.appendChild(reliefSelect);
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = material.color;
+        colorInput.setAttribute('aria-label', 'Colour');
+        row.appendChild(colorInput);
+
+        const entry = { id: material.id || null, nameInput, reliefSelect, colorInput, inputs, row };
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'material-dialog__delete';
+        deleteButton.textContent = '×';
+        deleteButton.title = 'Delete material';
+        deleteButton.addEventListener('click', () => {
+            row.remove();
+            this.rows = this.rows.filter((other) => other !== entry);
+        });
+        row.appendChild(deleteButton);
+
+        row.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submit();
+            }
+        });
+
+        this.grid.appendChild(row);
+        this.rows.push(entry);
+        return entry;
+    }
+
+    /**
+     * @param {Array<Material>} materials - Current material library
+     */
+    show(materials) {
+        this.rows.forEach((entry) => entry.row.remove());
+        this.rows = [];
+        materials.forEach((material) => this.addRow(material));
+        this.open();
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('is-open');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('mousedown', this.onDocumentMouseDown);
+        document.removeEventListener('keydown', this.onDocumentKeyDown);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.root.classList.add('is-open');
+        this.root.setAttribute('aria-hidden', 'false');
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.onDocumentMouseDown);
+            document.addEventListener('keydown', this.onDocumentKeyDown);
+        }, 0);
+    }
+
+    handleDocumentMouseDown(e) {
+        if (!this.root.contains(e.target)) {
+            this.hide();
+        }
+    }
+
+    handleDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+
+    submit() {
+        const materials = [];
+        for (const entry of this.rows) {
+            const name = entry.nameInput.value.trim();
+            if (!name) {
+                entry.nameInput.focus();
+                return;
+            }
+            const material = {
+                id: entry.id,
+                name,
+                color: entry.colorInput.value,
+                reliefStyle: entry.reliefSelect.value || null
+            };
+            for (const field of MATERIAL_FIELDS) {
+                const input = entry.inputs.get(field.key);
+                const value = Number(input.value);
+                if (!Number.isFinite(value) || value < Number(field.min)) {
+                    input.focus();
+                    return;
+                }
+                material[field.key] = value;
+            }
+            materials.push(material);
+        }
+
+        this.hide();
+        this.onSave?.(materials);
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Nesting Dialog
+ * Collects the stock sheet size, margin, part spacing and rotation mode
+ * before the active scene is nested onto sheets.
+ */
+import { DEFAULT_NESTING_OPTIONS } from '../core/SheetNester.js';
+
+const NUMBER_FIELDS = [
+    { key: 'sheetWidth', label: 'Sheet width (mm)', min: '1', step: '1' },
+    { key: 'sheetHeight', label: 'Sheet height (mm)', min: '1', step: '1' },
+    { key: 'margin', label: 'Margin (mm)', min: '0', step: '0.5' },
+    { key: 'spacing', label: 'Part spacing (mm)', min: '0', step: '0.5' }
+];
+
+const ROTATION_OPTIONS = [
+    { id: 'none', label: 'None' },
+    { id: '90', label: '90° steps' },
+    { id: 'free', label: 'Free' }
+];
+
+export class NestingDialog {
+    constructor({ onNest }) {
+        this.onNest = onNest;
+        this.options = { ...DEFAULT_NESTING_OPTIONS };
+        this.isOpen = false;
+        this.root = document.createElement('div');
+        this.root.className = 'nesting-dialog';
+        this.root.setAttribute('role', 'dialog');
+        this.root.setAttribute('aria-label', 'Nest parts on sheets');
+        this.root.setAttribute('aria-hidden', 'true');
+
+        this.inputs = new Map();
+        this.buildDialog();
+
+        document.body.appendChild(this.root);
+
+        this.onDocumentMouseDown = (e) => this.handleDocumentMouseDown(e);
+        this.onDocumentKeyDown = (e) => this.handleDocumentKeyDown(e);
+    }
+
+    buildDialog() {
+        const title = document.createElement('div');
+        title.className = 'nesting-dialog__title';
+        title.textContent = 'Nest on Sheets';
+        this.root.appendChild(title);
+
+        NUMBER_FIELDS.forEach((field) => {
+            const group = document.createElement('div');
+            group.className = 'nesting-dialog__field';
+
+            const label = document.createElement('label');
+            label.className = 'nesting-dialog__label';
+            label.textContent = field.label;
+            label.setAttribute('for', `nesting-${field.key}`);
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `nesting-${field.key}`;
+            input.min = field.min;
+            input.step = field.step;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.submit();
+                }
+            });
+            this.inputs.set(field.key, input);
+
+            group.appendChild(label);
+            group.appendChild(input);
+            this.root.appendChild(group);
+        });
+
+        const rotationGroup = document.createElement('div');
+        rotationGroup.className = 'nesting-dialog__field';
+
+        const rotationLabel = document.createElement('label');
+        rotationLabel.className = 'nesting-dialog__label';
+        rotationLabel.textContent = 'Rotation';
+        rotationLabel.setAttribute('for', 'nesting-rotation');
+
+        this.rotationSelect = document.createElement('select');
+        this.rotationSelect.id = 'nesting-rotation';
+        ROTATION_OPTIONS.forEach((opt) => {
+            const option = document.createElement('option');
+            option.value = opt.id;
+            option.textContent = opt.label;
+            this.rotationSelect.appendChild(option);
+        });
+
+        rotationGroup.appendChild(rotationLabel);
+        rotationGroup.appendChild(this.rotationSelect);
+        this.root.appendChild(rotationGroup);
+
+        const actions = document.createElement('div');
+        actions.className = 'nesting-dialog__actions';
+
+        this.nestButton = document.createElement('button');
+        this.nestButton.type = 'button';
+        this.nestButton.className = 'nesting-dialog__apply';
+        this.nestButton.textContent = 'Nest';
+        this.nestButton.addEventListener('click', () => this.submit());
+
+        this.cancelButton = document.createElement('button');
+        this.cancelButton.type = 'button';
+        this.cancelButton.className = 'nesting-dialog__cancel';
+        this.cancelButton.textContent = 'Cancel';
+        this.cancelButton.addEventListener('click', () => this.hide());
+
+        actions.appendChild(this.nestButton);
+        actions.appendChild(this.cancelButton);
+        this.root.appendChild(actions);
+    }
+
+    show() {
+        this.inputs.forEach((input, key) => {
+            input.value = String(this.options[key]);
+        });
+        this.rotationSelect.value = this.options.rotation;
+        this.open();
+        setTimeout(() => {
+            const first = this.inputs.get('sheetWidth');
+            first.focus();
+            first.select();
+        }, 0);
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('is-open');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('mousedown', this.onDocumentMouseDown);
+        document.removeEventListener('keydown', this.onDocumentKeyDown);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.root.classList.add('is-open');
+        this.root.setAttribute('aria-hidden', 'false');
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.onDocumentMouseDown);
+            document.addEventListener('keydown', this.onDocumentKeyDown);
+        }, 0);
+    }
+
+    handleDocumentMouseDown(e) {
+        if (!this.root.contains(e.target)) {
+            this.hide();
+        }
+    }
+
+    handleDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+
+    submit() {
+        const options = { rotation: this.rotationSelect.value };
+        for (const field of NUMBER_FIELDS) {
+            const input = this.inputs.get(field.key);
+            const value = Number(input.value);
+            if (!Number.isFinite(value) || value < Number(field.min)) {
+                input.focus();
+                return;
+            }
+            options[field.key] = value;
+        }
+        if (options.margin * 2 >= Math.min(options.sheetWidth, options.sheetHeight)) {
+            this.inputs.get('margin').focus();
+            return;
+        }
+
+        this.options = options;
+        this.hide();
+        this.onNest?.(options);
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * PDF Export Dialog
+ * Collects the paper size, orientation, project name and whether to add
+ * dimensions before the active scene is exported as printable cut sheets.
+ */
+import { DEFAULT_PDF_OPTIONS, PAGE_SIZES } from '../rendering/ScenePDFExporter.js';
+
+const PAGE_SIZE_OPTIONS = [
+    ...Object.entries(PAGE_SIZES).map(([id, size]) => ({ id, label: size.label })),
+    { id: 'custom', label: 'Custom' }
+];
+
+const ORIENTATION_OPTIONS = [
+    { id: 'portrait', label: 'Portrait' },
+    { id: 'landscape', label: 'Landscape' }
+];
+
+const NUMBER_FIELDS = [
+    { key: 'pageWidth', label: 'Page width (mm)', min: '50', step: '1' },
+    { key: 'pageHeight', label: 'Page height (mm)', min: '50', step: '1' }
+];
+
+export class PDFExportDialog {
+    constructor({ onExport }) {
+        this.onExport = onExport;
+        this.options = { ...DEFAULT_PDF_OPTIONS };
+        this.isOpen = false;
+        this.root = document.createElement('div');
+        this.root.className = 'pdf-dialog';
+        this.root.setAttribute('role', 'dialog');
+        this.root.setAttribute('aria-label', 'Export PDF cut sheets');
+        this.root.setAttribute('aria-hidden', 'true');
+
+        this.inputs = new Map();
+        this.buildDialog();
+
+        document.body.appendChild(this.root);
+
+        this.onDocumentMouseDown = (e) => this.handleDocumentMouseDown(e);
+        this.onDocumentKeyDown = (e) => this.handleDocumentKeyDown(e);
+    }
+
+    buildDialog() {
+        const title = document.createElement('div');
+        title.className = 'pdf-dialog__title';
+        title.textContent = 'PDF Cut Sheets';
+        this.root.appendChild(title);
+
+        this.pageSizeSelect = this.buildSelect('pdf-page-size', 'Paper', PAGE_SIZE_OPTIONS);
+        this.pageSizeSelect.addEventListener('change', () => this.updateCustomFields());
+        this.orientationSelect = this.buildSelect('pdf-orientation', 'Orientation', ORIENTATION_OPTIONS);
+
+        NUMBER_FIELDS.forEach((field) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = field.min;
+            input.step = field.step;
+            this.inputs.set(field.key, input);
+            this.buildField(`pdf-${field.key}`, field.label, input);
+        });
+
+        this.projectInput = document.createElement('input');
+        this.projectInput.type = 'text';
+        this.projectInput.placeholder = 'Untitled project';
+        this.buildField('pdf-project-name', 'Project name', this.projectInput);
+
+        [...this.inputs.values(), this.projectInput].forEach((input) => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.submit();
+                }
+            });
+        });
+
+        const dimensionsLabel = document.createElement('label');
+        dimensionsLabel.className = 'pdf-dialog__check';
+        this.dimensionsCheckbox = document.createElement('input');
+        this.dimensionsCheckbox.type = 'checkbox';
+        dimensionsLabel.appendChild(this.dimensionsCheckbox);
+        dimensionsLabel.appendChild(document.createTextNode(' Dimension each part'));
+        this.root.appendChild(dimensionsLabel);
+
+        const hint = document.createElement('div');
+        hint.className = 'pdf-dialog__hint';
+        hint.textContent = 'Print at 100% and check the 10 mm square.';
+        this.root.appendChild(hint);
+
+        const actions = document.createElement('div');
+        actions.className = 'pdf-dialog__actions';
+
+        this.exportButton = document.createElement('button');
+        this.exportButton.type = 'button';
+        this.exportButton.className = 'pdf-dialog__apply';
+        this.exportButton.textContent = 'Export';
+        this.exportButton.addEventListener('click', () => this.submit());
+
+        this.cancelButton = document.createElement('button');
+        this.cancelButton.type = 'button';
+        this.cancelButton.className = 'pdf-dialog__cancel';
+        this.cancelButton.textContent = 'Cancel';
+        this.cancelButton.addEventListener('click', () => this.hide());
+
+        actions.appendChild(this.exportButton);
+        actions.appendChild(this.cancelButton);
+        this.root.appendChild(actions);
+    }
+
+    /**
+     * Append a labelled field to the dialog
+     * @param {string} id - Id given to the control
+     * @param {string} labelText
+     * @param {HTMLElement} control
+     */
+    buildField(id, labelText, control) {
+        const group = document.createElement('div');
+        group.className = 'pdf-dialog__field';
+
+        const label = document.createElement('label');
+        label.className = 'pdf-dialog__label';
+        label.textContent = labelText;
+        label.setAttribute('for', id);
+        control.id = id;
+
+        group.appendChild(label);
+        group.appendChild(control);
+        this.root.appendChild(group);
+    }
+
+    /**
+     * Append a labelled select to the dialog
+     * @param {string} id
+     * @param {string} labelText
+     * @param {Array<{id: string, label: string}>} options
+     * @returns {HTMLSelectElement}
+     */
+    buildSelect(id, labelText, options) {
+        const select = document.createElement('select');
+        options.forEach((opt) => {
+            const option = document.createElement('option');
+            option.value = opt.id;
+            option.textContent = opt.label;
+            select.appendChild(option);
+        });
+        this.buildField(id, labelText, select);
+        return select;
+    }
+
+    /**
+     * Only a custom paper size takes its width and height from the inputs
+     */
+    updateCustomFields() {
+        const custom = this.pageSizeSelect.value === 'custom';
+        this.inputs.forEach((input) => {
+            input.disabled = !custom;
+        });
+    }
+
+    show() {
+        this.pageSizeSelect.value = this.options.pageSize;
+        this.orientationSelect.value = this.options.orientation;
+        this.inputs.forEach((input, key) => {
+            input.value = String(this.options[key]);
+        });
+        this.projectInput.value = this.options.projectName;
+        this.dimensionsCheckbox.checked = this.options.dimensions;
+        this.updateCustomFields();
+        this.open();
+        setTimeout(() => this.pageSizeSelect.focus(), 0);
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('is-open');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('mousedown', this.onDocumentMouseDown);
+        document.removeEventListener('keydown', this.onDocumentKeyDown);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.root.classList.add('is-open');
+        this.root.setAttribute('aria-hidden', 'false');
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.onDocumentMouseDown);
+            document.addEventListener('keydown', this.onDocumentKeyDown);
+        }, 0);
+    }
+
+    handleDocumentMouseDown(e) {
+        if (!this.root.contains(e.target)) {
+            this.hide();
+        }
+    }
+
+    handleDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+
+    submit() {
+        const options = {
+            ...this.options,
+            pageSize: this.pageSizeSelect.value,
+            orientation: this.orientationSelect.value,
+            projectName: this.projectInput.value.trim(),
+            dimensions: this.dimensionsCheckbox.checked
+        };
+        if (options.pageSize === 'custom') {
+            for (const field of NUMBER_FIELDS) {
+                const input = this.inputs.get(field.key);
+                const value = Number(input.value);
+                if (!Number.isFinite(value) || value < Number(field.min)) {
+                    input.focus();
+                    return;
+                }
+                options[field.key] = value;
+            }
+        }
+
+        this.options = options;
+        this.hide();
+        this.onExport?.(options);
+    }
+}
@@ -5,6 +5,10 @@
 import { Component } from './Component.js';
 import EventBus, { EVENTS } from '../events/EventBus.js';
 import { LiteralBinding, ParameterBinding, ExpressionBinding } from '../models/Binding.js';
+import { ExpressionParser } from '../models/ExpressionParser.js';
+import { OPERATION_LAYERS } from '../rendering/SceneSVGExporter.js';
+import { FontRegistry } from '../models/FontRegistry.js';
+import { TEXT_ALIGNMENTS } from '../models/shapes/Text.js';
 
 export class PropertiesPanel extends Component {
     constructor(container, shapeStore, parameterStore) {
@@ -45,15 +49,22 @@ export class PropertiesPanel extends Component {
             this.render();
         });
 
+        // Subscribe to material library edits so the material select stays current
+        this.subscribe(EVENTS.MATERIALS_CHANGED, () => {
+            if (this.selectedShape) {
+                this.render();
+            }
+        });
+
         // Subscribe to selection mode changes
         this.subscribe(EVENTS.SELECTION_MODE_CHANGED, () => {
             this.render();
         });
 
-        // Subscribe to parameter changes to refresh property values
-        // Use requestAnimationFrame to debounce rapid updates
+        // Subscribe to parameter and shape changes to refresh property values
+        // and measurements. Use requestAnimationFrame to debounce rapid updates
         this._pendingRender = false;
-        this.subscribe(EVENTS.PARAM_CHANGED, () => {
+        const renderSelectionOnNextFrame = () => {
             if ((this.selectedShape || this.selectedShapeIds.size > 0) && !this._pendingRender) {
                 this._pendingRender = true;
                 requestAnimationFrame(() => {
@@ -63,7 +74,10 @@ export class PropertiesPanel extends Component {
                     }
                 });
             }
-        });
+        };
+        this.subscribe(EVENTS.PARAM_CHANGED, renderSelectionOnNextFrame);
+        this.subscribe(EVENTS.SHAPE_UPDATED, renderSelectionOnNextFrame);
+        this.subscribe(EVENTS.SHAPE_MOVED, renderSelectionOnNextFrame);
         
         // Check for initially selected shapes
         const selectedShape = this.shapeStore.getSelected();
@@ -112,6 +126,66 @@ export class PropertiesPanel extends Component {
 
         // Render all shapes in compact layers format
         this.renderLayersList(allShapes);
+
+        if (selectionMode === 'shape') {
+            this.renderMeasurements();
+        }
+    }
+
+    /**
+     * Render area, perimeter, centroid and second moments of the selected
+     * shapes, measured together by their export geometry
+     */
+    renderMeasurements() {
+        const ids = this.selectedShapeIds.size > 0
+            ? Array.from(this.selectedShapeIds)
+            : (this.selectedShape ? [this.selectedShape.id] : []);
+        if (ids.length === 0) return;
+
+        let measurements = null;
+        try {
+            measurements = this.shapeStore.measureShapes(ids);
+        } catch (e) {
+            console.warn('PropertiesPanel: Could not measure selection', e);
+        }
+        if (!measurements) return;
+
+        const section = this.createElement('div', {
+            class: 'measure-section'
+        });
+        section.appendChild(this.createElement('div', {
+            class: 'measure-header'
+        }, ids.length === 1 ? 'Measurements' : `Measurements (${ids.length} shapes)`));
+
+        const { area, perimeter, centroid, secondMoments } = measurements;
+        const rows = [
+            ['Area', `${area.toFixed(2)} mm²`],
+            ['Perimeter', `${perimeter.toFixed(2)} mm`],
+            ['Centroid', centroid ? `${centroid.x.toFixed(2)}, ${centroid.y.toFixed(2)}` : '—'],
+            ['Ixx', `${secondMoments.xx.toFixed(1)} mm⁴`],
+            ['Iyy', `${secondMoments.yy.toFixed(1)} mm⁴`],
+            ['Ixy', `${secondMoments.xy.toFixed(1)} mm⁴`]
+        ];
+        rows.forEach(([label, value]) => {
+            const row = this.createElement('div', {
+                class: 'measure-row'
+            });
+            row.appendChild(this.createElement('span', {
+                class: 'measure-label'
+            }, label));
+            row.appendChild(this.createElement('span', {
+                class: 'measure-value'
+            }, value));
+            section.appendChild(row);
+        });
+
+        if (ids.length === 1) {
+            section.appendChild(this.createElement('div', {
+                class: 'measure-hint'
+            }, `In formulas: area(${ExpressionParser.shapeReference(ids[0])}), perimeter(…), centroidx(…)`));
+        }
+
+        this.container.appendChild(section);
     }
 
     /**
@@ -384,6 +458,59 @@ export class PropertiesPanel extends Component {
         }, shape.id));
         this.container.appendChild(idDiv);
         
+        // Fabrication operation (export layer)
+        const operationDiv = this.createElement('div', {
+            class: 'property-item'
+        });
+        operationDiv.appendChild(this.createElement('label', {}, 'operation:'));
+        const operationSelect = this.createElement('select', {
+            class: 'binding-type-select'
+        });
+        Object.entries(OPERATION_LAYERS).forEach(([operation, layer]) => {
+            const option = this.createElement('option', {
+                value: operation
+            }, layer.label);
+            operationSelect.appendChild(option);
+        });
+        operationSelect.value = shape.operation || 'cut';
+        operationSelect.addEventListener('change', () => {
+            this.shapeStore.setShapeOperation(shape.id, operationSelect.value);
+        });
+        operationDiv.appendChild(operationSelect);
+        this.container.appendChild(operationDiv);
+        
+        // Stock material (thickness and kerf come from the library)
+        const materialDiv = this.createElement('div', {
+            class: 'property-item'
+        });
+        materialDiv.appendChild(this.createElement('label', {}, 'material:'));
+        const materialSelect = this.createElement('select', {
+            class: 'binding-type-select'
+        });
+        materialSelect.appendChild(this.createElement('option', { value: '' }, 'None'));
+        (this.shapeStore.materialStore?.getAll() || []).forEach(material => {
+            const option = this.createElement('option', {
+                value: material.id
+            }, material.name);
+            materialSelect.appendChild(option);
+        });
+        materialSelect.value = this.shapeStore.getMaterialForShape(shape)?.id || '';
+        materialSelect.addEventListener('change', () => {
+            this.shapeStore.setShapeMaterial(shape.id, materialSelect.value || null);
+        });
+        materialDiv.appendChild(materialSelect);
+        this.container.appendChild(materialDiv);
+        
+        // Text alignment and font
+        if (shape.type === 'text') {
+            this.renderTextStyleSelect(shape, 'align', TEXT_ALIGNMENTS.map(align => [align, align]));
+            const fontIds = FontRegistry.getIds();
+            if (!fontIds.includes(shape.fontId)) fontIds.push(shape.fontId);
+            this.renderTextStyleSelect(shape, 'fontId', fontIds.map(id => [
+                id, FontRegistry.has(id) ? id : `${id} (not loaded)`
+            ]));
+        }
+        
         // Bindable properties
         const bindableProps = shape.getBindableProperties();
         bindableProps.forEach(property => {
@@ -431,6 +558,31 @@ export class PropertiesPanel extends Component {
         this.renderPropertiesForShape(shape);
     }
     
+    /**
+     * Render a select for a text shape's alignment or font
+     * @param {Shape} shape
+     * @param {string} property - 'align' or 'fontId'
+     * @param {Array<[string, string]>} options - Value and label pairs
+     */
+    renderTextStyleSelect(shape, property, options) {
+        const div = this.createElement('div', {
+            class: 'property-item'
+        });
+        div.appendChild(this.createElement('label', {}, property === 'fontId' ? 'font:' : `${property}:`));
+        const select = this.createElement('select', {
+            class: 'binding-type-select'
+        });
+        options.forEach(([value, label]) => {
+            select.appendChild(this.createElement('option', { value }, label));
+        });
+        select.value = shape[property];
+        select.addEventListener('change', () => {
+            this.shapeStore.setTextStyle(shape.id, { [property]: select.value });
+        });
+        div.appendChild(select);
+        this.container.appendChild(div);
+    }
+    
     /**
      * Render binding editor for a property
      * @param {string} property 
@@ -530,7 +682,13 @@ export class PropertiesPanel extends Component {
             }
         }
         
-        const input = this.createElement('input', {
+        // String properties (a text shape's text) are edited as text
+        const isString = typeof currentValue === 'string';
+        const input = this.createElement('input', isString ? {
+            type: 'text',
+            class: 'binding-input binding-literal',
+            value: currentValue
+        } : {
             type: 'number',
             class: 'binding-input binding-literal',
             value: currentValue || 0,
@@ -540,8 +698,8 @@ export class PropertiesPanel extends Component {
         // Only update on blur or Enter key to allow multi-digit typing
         const updateValue = () => {
             if (!targetShape) return;
-            const newValue = parseFloat(input.value);
-            if (!isNaN(newValue)) {
+            const newValue = isString ? input.value : parseFloat(input.value);
+            if (isString || !isNaN(newValue)) {
                 // Create literal binding with the new value
                 const binding = new LiteralBinding(newValue);
                 
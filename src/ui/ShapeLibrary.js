@@ -107,7 +107,9 @@ const ShapePreviews = {
     
     arrow: () => `<path d="M 4 16 L 20 16 L 20 10 L 28 16 L 20 22 L 20 16" fill="none" stroke="currentColor" stroke-width="2"/>`,
     
-    chamferrectangle: () => `<polygon points="8,4 24,4 28,8 28,24 24,28 8,28 4,24 4,8" fill="none" stroke="currentColor" stroke-width="2"/>`
+    chamferrectangle: () => `<polygon points="8,4 24,4 28,8 28,24 24,28 8,28 4,24 4,8" fill="none" stroke="currentColor" stroke-width="2"/>`,
+    
+    text: () => `<path d="M 6 4 L 26 4 L 26 10 L 24 10 L 22 7 L 18 7 L 18 25 L 21 26 L 21 28 L 11 28 L 11 26 L 14 25 L 14 7 L 10 7 L 8 10 L 6 10 Z" fill="none" stroke="currentColor" stroke-width="2"/>`
 };
 
 /**
@@ -117,8 +119,9 @@ const ShapePreviews = {
  *
  * Interaction flow
  * ----------------
- * 1. render() queries ShapeRegistry for available types, filters out 'path'
- *    (path shapes are created by the free-draw tool, not the palette), and
+ * 1. render() queries ShapeRegistry for available types, filters out 'path',
+ *    'compoundpath' and 'corners' (created by the free-draw tool and the
+ *    boolean and fillet commands, not the palette), and
  *    calls createShapeItem() for each remaining type.
  * 2. createShapeItem() produces a `div.shape-item[draggable]` containing an
  *    SVG icon and a formatted label, and wires dragstart/dragend handlers.
@@ -162,8 +165,8 @@ export class ShapeLibrary extends Component {
 
         const availableTypes = this.shapeRegistry.getAvailableTypes();
 
-        // Filter out 'path' since it has a different creation method
-        const filteredTypes = availableTypes.filter(type => type !== 'path');
+        // Filter out 'path', 'compoundpath' and 'corners' since they have different creation methods
+        const filteredTypes = availableTypes.filter(type => !['path', 'compoundpath', 'corners'].includes(type));
 
         filteredTypes.forEach(type => {
             const shapeItem = this.createShapeItem(type);
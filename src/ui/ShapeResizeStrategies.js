@@ -213,6 +213,24 @@ export const RESIZE_STRATEGIES = {
             return ['centerX', 'centerY', 'startRadius', 'endRadius'];
         }
     },
+    text: {
+        // Glyphs keep their proportions, so the text follows the new height.
+        init: (shape, resolved, bounds) => ({
+            fontSize: toNumber(resolved.fontSize ?? shape.fontSize, 10),
+            letterSpacing: toNumber(resolved.letterSpacing ?? shape.letterSpacing, 0),
+            offsetX: toNumber(resolved.x ?? shape.x) - bounds.x,
+            offsetY: toNumber(resolved.y ?? shape.y) - bounds.y,
+            startBounds: { ...bounds }
+        }),
+        apply: (shape, state, bounds) => {
+            const scale = Math.abs(safeRatio(bounds.height, state.startBounds.height, 1));
+            shape.x = bounds.x + state.offsetX * scale;
+            shape.y = bounds.y + state.offsetY * scale;
+            shape.fontSize = Math.max(0.1, state.fontSize * scale);
+            shape.letterSpacing = state.letterSpacing * scale;
+            return ['x', 'y', 'fontSize', 'letterSpacing'];
+        }
+    },
     path: {
         init: (shape, resolved, bounds) => ({
             points: Array.isArray(shape.points) ? shape.points.map((p) => (p ? { x: p.x, y: p.y } : null)) : [],
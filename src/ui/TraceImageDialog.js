@@ -0,0 +1,167 @@
+/**
+ * Trace Image Dialog
+ * Collects the threshold, despeckle, smoothing and resolution used to trace
+ * a raster image into path shapes, before the image file is picked.
+ */
+
+const NUMBER_FIELDS = [
+    { key: 'threshold', label: 'Threshold (0-255)', min: '0', max: '255', step: '1' },
+    { key: 'despeckle', label: 'Despeckle (px²)', min: '0', step: '1' },
+    { key: 'smoothing', label: 'Smoothing (0-1.33)', min: '0', max: '1.3334', step: '0.1' },
+    { key: 'dpi', label: 'Resolution (dpi)', min: '1', step: '1' }
+];
+
+const DEFAULT_TRACE_OPTIONS = {
+    threshold: 128,
+    despeckle: 4,
+    smoothing: 1,
+    dpi: 96,
+    invert: false
+};
+
+export class TraceImageDialog {
+    constructor({ onTrace }) {
+        this.onTrace = onTrace;
+        this.options = { ...DEFAULT_TRACE_OPTIONS };
+        this.isOpen = false;
+        this.root = document.createElement('div');
+        this.root.className = 'trace-dialog';
+        this.root.setAttribute('role', 'dialog');
+        this.root.setAttribute('aria-label', 'Trace image');
+        this.root.setAttribute('aria-hidden', 'true');
+
+        this.inputs = new Map();
+        this.buildDialog();
+
+        document.body.appendChild(this.root);
+
+        this.onDocumentMouseDown = (e) => this.handleDocumentMouseDown(e);
+        this.onDocumentKeyDown = (e) => this.handleDocumentKeyDown(e);
+    }
+
+    buildDialog() {
+        const title = document.createElement('div');
+        title.className = 'trace-dialog__title';
+        title.textContent = 'Trace Image';
+        this.root.appendChild(title);
+
+        NUMBER_FIELDS.forEach((field) => {
+            const group = document.createElement('div');
+            group.className = 'trace-dialog__field';
+
+            const label = document.createElement('label');
+            label.className = 'trace-dialog__label';
+            label.textContent = field.label;
+            label.setAttribute('for', `trace-${field.key}`);
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `trace-${field.key}`;
+            input.min = field.min;
+            if (field.max) {
+                input.max = field.max;
+            }
+            input.step = field.step;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.submit();
+                }
+            });
+            this.inputs.set(field.key, input);
+
+            group.appendChild(label);
+            group.appendChild(input);
+            this.root.appendChild(group);
+        });
+
+        const invertLabel = document.createElement('label');
+        invertLabel.className = 'trace-dialog__check';
+        this.invertCheckbox = document.createElement('input');
+        this.invertCheckbox.type = 'checkbox';
+        invertLabel.appendChild(this.invertCheckbox);
+        invertLabel.appendChild(document.createTextNode(' Trace light areas'));
+        this.root.appendChild(invertLabel);
+
+        const actions = document.createElement('div');
+        actions.className = 'trace-dialog__actions';
+
+        this.traceButton = document.createElement('button');
+        this.traceButton.type = 'button';
+        this.traceButton.className = 'trace-dialog__apply';
+        this.traceButton.textContent = 'Choose Image';
+        this.traceButton.addEventListener('click', () => this.submit());
+
+        this.cancelButton = document.createElement('button');
+        this.cancelButton.type = 'button';
+        this.cancelButton.className = 'trace-dialog__cancel';
+        this.cancelButton.textContent = 'Cancel';
+        this.cancelButton.addEventListener('click', () => this.hide());
+
+        actions.appendChild(this.traceButton);
+        actions.appendChild(this.cancelButton);
+        this.root.appendChild(actions);
+    }
+
+    show() {
+        this.inputs.forEach((input, key) => {
+            input.value = String(this.options[key]);
+        });
+        this.invertCheckbox.checked = this.options.invert;
+        this.open();
+        setTimeout(() => {
+            const first = this.inputs.get('threshold');
+            first.focus();
+            first.select();
+        }, 0);
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('is-open');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('mousedown', this.onDocumentMouseDown);
+        document.removeEventListener('keydown', this.onDocumentKeyDown);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.root.classList.add('is-open');
+        this.root.setAttribute('aria-hidden', 'false');
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.onDocumentMouseDown);
+            document.addEventListener('keydown', this.onDocumentKeyDown);
+        }, 0);
+    }
+
+    handleDocumentMouseDown(e) {
+        if (!this.root.contains(e.target)) {
+            this.hide();
+        }
+    }
+
+    handleDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+
+    submit() {
+        const options = { invert: this.invertCheckbox.checked };
+        for (const field of NUMBER_FIELDS) {
+            const input = this.inputs.get(field.key);
+            const value = Number(input.value);
+            if (!Number.isFinite(value) || value < Number(field.min) || (field.max && value > Number(field.max))) {
+                input.focus();
+                return;
+            }
+            options[field.key] = value;
+        }
+
+        this.options = options;
+        this.hide();
+        this.onTrace?.(options);
+    }
+}